@@ -89,7 +89,7 @@ class Scraper {
     static async fetchPrice(targetUrl, customSelector = null) {
         // Prefer backend extraction for consistency with background checks.
         try {
-            const res = await fetch(`${window.location.origin}/api/extract`, {
+            const res = await window.app.apiFetch(`${window.location.origin}/api/extract`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ url: targetUrl, selector: customSelector || null })
@@ -309,6 +309,9 @@ class App {
         this.itemCheckFlashUntil = new Map();
         this.localCheckingItemIds = new Set();
         this.remoteCheckingItemId = null;
+        this.remoteCheckingItemIds = [];
+        this.itemSchedules = {};
+        this.hostCircuits = [];
         this.systemActivitySections = {
             queue: true,
             diagnostics: true,
@@ -326,11 +329,17 @@ class App {
             CNY: 'chinese yuan'
         };
         this.lists = [{ id: 'default', name: 'Default' }];
+        this.productGroups = [];
+        this.browserProfiles = [];
+        this.productMatches = [];
         this.activeListId = 'all';
         this.newItemListId = 'default';
         this.pendingAddItemListId = null;
         this.alertRules = {
             targetHitEnabled: true,
+            targetUseEffectivePrice: false,
+            unitTargetHitEnabled: true,
+            groupTargetHitEnabled: true,
             priceDropEnabled: true,
             priceDrop24hEnabled: true,
             priceDrop24hPercent: 5,
@@ -358,6 +367,13 @@ class App {
         };
         this.settingsRevision = 0;
         this.listsStateToken = '';
+        this.auth = {
+            authConfigured: false,
+            authenticated: false,
+            username: null,
+            csrfToken: null
+        };
+        this.authWaiters = [];
 
         this.init();
     }
@@ -366,9 +382,12 @@ class App {
         this.setupInputs();
         this.loadUiPreferences();
         this.applySystemActivitySectionStates();
+        await this.ensureAuthenticated();
         await Promise.all([
             this.loadSettings(),
             this.loadLists(),
+            this.loadProductGroups(),
+            this.loadBrowserProfiles(),
             this.loadAlertRules(),
             this.loadAuditLog()
         ]);
@@ -490,6 +509,8 @@ class App {
                 'name_asc', 'name_desc',
                 'list_asc', 'list_desc',
                 'price_asc', 'price_desc',
+                'effective_asc', 'effective_desc',
+                'unit_asc', 'unit_desc',
                 'discount_asc', 'discount_desc',
                 'confidence_asc', 'confidence_desc',
                 'status_asc', 'status_desc',
@@ -543,6 +564,37 @@ class App {
         }
     }
 
+    // Price after coupons plus shipping; falls back to the headline price when the page showed neither.
+    getEffectivePrice(item) {
+        return item.effectivePrice != null ? item.effectivePrice : item.currentPrice;
+    }
+
+    getTargetComparablePrice(item) {
+        return this.alertRules.targetUseEffectivePrice ? this.getEffectivePrice(item) : item.currentPrice;
+    }
+
+    getNormalizedEffectivePrice(item) {
+        const effective = this.getEffectivePrice(item);
+        if (!effective) return 0;
+        const headlineUSD = this.getNormalizedPrice(item);
+        return item.currentPrice ? headlineUSD * (effective / item.currentPrice) : effective;
+    }
+
+    getNormalizedUnitPrice(item) {
+        if (item.unitPrice == null || !item.currentPrice) return null;
+        return this.getNormalizedPrice(item) * (item.unitPrice / item.currentPrice);
+    }
+
+    formatUnitPrice(value, unit, currency) {
+        return `${this.formatPrice(value, currency)} / ${unit === 'unit' ? 'piece' : unit}`;
+    }
+
+    formatPackSize(item) {
+        if (!item.unitQuantity || !item.unitOfMeasure) return '';
+        const quantity = Number(item.unitQuantity.toFixed(3));
+        return item.unitOfMeasure === 'unit' ? `${quantity} pieces` : `${quantity} ${item.unitOfMeasure}`;
+    }
+
     getNormalizedPrice(item) {
         // Prefer server-calculated normalized price
         if (item.priceInUSD) return item.priceInUSD;
@@ -552,8 +604,12 @@ class App {
         if (!price) return 0;
 
         // Fallback if backend did not compute normalized value.
-        const rate = this.exchangeRates[currency];
-        return rate ? (price / rate) : price;
+        return this.convertToUSD(price, currency);
+    }
+
+    convertToUSD(amount, currency) {
+        const rate = this.exchangeRates[String(currency || 'USD').toUpperCase()];
+        return rate ? (amount / rate) : amount;
     }
 
     formatPrice(price, currency) {
@@ -587,6 +643,12 @@ class App {
         return `${clamped}%`;
     }
 
+    formatFetchDuration(ms) {
+        const n = Number(ms);
+        if (!Number.isFinite(n) || n < 0) return 'n/a';
+        return n < 1000 ? `${Math.round(n)} ms` : `${(n / 1000).toFixed(1)} s`;
+    }
+
     normalizeTrackedUrl(rawUrl) {
         try {
             const u = new URL(String(rawUrl || '').trim());
@@ -609,7 +671,7 @@ class App {
 
     async logAction(action, details = {}) {
         try {
-            const res = await fetch(`${this.SERVER_URL}/audit`, {
+            const res = await this.apiFetch(`${this.SERVER_URL}/audit`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ action, details, source: 'ui' })
@@ -631,7 +693,7 @@ class App {
     async loadAuditLog(options = {}) {
         const silent = Boolean(options.silent);
         try {
-            const res = await fetch(`${this.SERVER_URL}/audit?limit=400`);
+            const res = await this.apiFetch(`${this.SERVER_URL}/audit?limit=400`);
             if (!res.ok) throw new Error('Failed to load audit log');
             const data = await res.json();
             this.auditEntries = Array.isArray(data.entries) ? data.entries : [];
@@ -652,13 +714,14 @@ class App {
         list.innerHTML = this.auditEntries.map((e) => {
             const action = this.escapeHtml(String(e.action || 'unknown'));
             const when = e.time ? new Date(e.time).toLocaleString() : 'n/a';
+            const actor = e.actor ? ` | by ${this.escapeHtml(String(e.actor))}` : '';
             const details = e.details && typeof e.details === 'object'
                 ? this.escapeHtml(Object.entries(e.details).slice(0, 5).map(([k, v]) => `${k}: ${String(v)}`).join(' | '))
                 : '';
             return `
                 <div class="audit-row">
                     <div class="audit-title">${action}</div>
-                    <div class="audit-meta">${when}${details ? ` | ${details}` : ''}</div>
+                    <div class="audit-meta">${when}${actor}${details ? ` | ${details}` : ''}</div>
                 </div>
             `;
         }).join('');
@@ -666,7 +729,7 @@ class App {
 
     async clearAuditLog() {
         try {
-            const res = await fetch(`${this.SERVER_URL}/audit`, { method: 'DELETE' });
+            const res = await this.apiFetch(`${this.SERVER_URL}/audit`, { method: 'DELETE' });
             if (!res.ok) throw new Error('Failed to clear audit log');
             this.auditEntries = [];
             this.renderAuditPanel();
@@ -676,6 +739,751 @@ class App {
         }
     }
 
+    // --- Authentication ---
+    async apiFetch(url, init = {}) {
+        // Same-origin cookies carry the session; mutating requests also need the CSRF token.
+        const method = String(init.method || 'GET').toUpperCase();
+        const headers = new Headers(init.headers || {});
+        if (this.auth.csrfToken && !['GET', 'HEAD', 'OPTIONS'].includes(method)) {
+            headers.set('X-CSRF-Token', this.auth.csrfToken);
+        }
+        const res = await fetch(url, { ...init, headers, credentials: 'same-origin' });
+        if (res.status === 401 && this.auth.authenticated) {
+            const data = await res.clone().json().catch(() => ({}));
+            if (data.authRequired) this.handleSessionExpired();
+        }
+        return res;
+    }
+
+    applyAuthState(data = {}) {
+        this.auth = {
+            authConfigured: Boolean(data.authConfigured),
+            authenticated: Boolean(data.authenticated),
+            username: data.username || null,
+            role: data.role || null,
+            csrfToken: data.csrfToken || null,
+            setupCodeRequired: Boolean(data.setupCodeRequired)
+        };
+        this.renderAccessCard();
+    }
+
+    async loadAuthSession() {
+        try {
+            const res = await fetch(`${this.SERVER_URL}/auth/session`, { credentials: 'same-origin' });
+            if (!res.ok) throw new Error('Failed to load session');
+            this.applyAuthState(await res.json());
+        } catch (e) {
+            console.warn('Could not load auth session', e);
+        }
+        return this.auth;
+    }
+
+    isAuthBlocked() {
+        return this.auth.authConfigured && !this.auth.authenticated;
+    }
+
+    isHouseholdAdmin() {
+        return !this.auth.authConfigured || this.auth.role === 'admin';
+    }
+
+    getListAccess(listId) {
+        const list = this.lists.find(l => l.id === listId);
+        if (!list) return null;
+        // Lists without an access field come from an open (single-user) server.
+        return list.access || 'owner';
+    }
+
+    canWriteList(listId) {
+        return ['owner', 'write'].includes(this.getListAccess(listId));
+    }
+
+    canEditItem(item) {
+        if (!item || !this.auth.authConfigured) return true;
+        const ownerId = item.ownerId || null;
+        const isOwner = this.isHouseholdAdmin() ? !ownerId : ownerId === this.auth.username;
+        return isOwner || this.canWriteList(item.listId || 'default');
+    }
+
+    getFirstWritableListId() {
+        const writable = this.lists.find(l => this.getListAccess(l.id) === 'owner')
+            || this.lists.find(l => this.canWriteList(l.id));
+        return writable ? writable.id : ((this.lists[0] && this.lists[0].id) || 'default');
+    }
+
+    async ensureAuthenticated() {
+        await this.loadAuthSession();
+        if (!this.isAuthBlocked()) return;
+        this.showLoginScreen();
+        await new Promise(resolve => this.authWaiters.push(resolve));
+    }
+
+    showLoginScreen(message = '') {
+        const screen = document.getElementById('authScreen');
+        const error = document.getElementById('loginError');
+        if (error) error.textContent = message;
+        if (screen) screen.classList.add('active');
+        requestAnimationFrame(() => {
+            const username = document.getElementById('loginUsernameInput');
+            const password = document.getElementById('loginPasswordInput');
+            (username && !username.value ? username : password)?.focus();
+        });
+    }
+
+    hideLoginScreen() {
+        const screen = document.getElementById('authScreen');
+        if (screen) screen.classList.remove('active');
+        const password = document.getElementById('loginPasswordInput');
+        if (password) password.value = '';
+    }
+
+    handleSessionExpired() {
+        if (!this.auth.authenticated) return;
+        this.applyAuthState({ authConfigured: true, authenticated: false });
+        this.showLoginScreen('Your session expired. Sign in again to continue.');
+    }
+
+    async submitLogin() {
+        const username = document.getElementById('loginUsernameInput')?.value.trim() || '';
+        const password = document.getElementById('loginPasswordInput')?.value || '';
+        const error = document.getElementById('loginError');
+        const btn = document.getElementById('loginSubmitBtn');
+        if (!password) {
+            if (error) error.textContent = 'Password is required';
+            return;
+        }
+        if (btn) btn.disabled = true;
+        try {
+            const res = await fetch(`${this.SERVER_URL}/auth/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin',
+                body: JSON.stringify({ username, password })
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.success) throw new Error(data.error || 'Sign-in failed');
+            this.applyAuthState(data);
+            this.hideLoginScreen();
+            const waiters = this.authWaiters.splice(0);
+            waiters.forEach(resolve => resolve());
+            if (!waiters.length) await this.refreshConfigState({ includeItems: true });
+        } catch (e) {
+            if (error) error.textContent = e.message || 'Sign-in failed';
+        } finally {
+            if (btn) btn.disabled = false;
+        }
+    }
+
+    async logout() {
+        this.closeAllMenus();
+        try {
+            await this.apiFetch(`${this.SERVER_URL}/auth/logout`, { method: 'POST' });
+        } catch (e) {
+            console.warn('Sign-out request failed', e);
+        }
+        window.location.reload();
+    }
+
+    renderAccessCard() {
+        const { authConfigured, authenticated, username } = this.auth;
+        const status = document.getElementById('accessStatus');
+        const summary = document.getElementById('accessSummary');
+        const usernameField = document.getElementById('accessUsernameField');
+        const setupCodeField = document.getElementById('accessSetupCodeField');
+        const currentField = document.getElementById('accessCurrentPasswordField');
+        const saveBtn = document.getElementById('accessSaveBtn');
+        const signOutBtn = document.getElementById('accessSignOutBtn');
+        const signOutMenuItem = document.getElementById('signOutMenuItem');
+        const isMember = authConfigured && !this.isHouseholdAdmin();
+        if (status) {
+            status.textContent = authConfigured ? `Signed in as ${username || 'admin'}${isMember ? ' (member)' : ''}` : 'Open access';
+            status.classList.toggle('configured', authConfigured);
+            status.classList.toggle('missing', !authConfigured);
+        }
+        if (summary) {
+            summary.textContent = authConfigured
+                ? 'Sign-in is required for every browser. Changing the password signs out all other sessions.'
+                : 'Set an admin password to require sign-in before anyone can use this Centsible server.';
+        }
+        // Members manage only their own password, lists, and tokens; household-wide settings stay with the admin.
+        ['settingsIntervalCard', 'settingsBackupsCard', 'settingsNotificationsCard', 'settingsAlertRulesCard', 'settingsAdaptersCard', 'settingsProxiesCard', 'settingsProfilesCard'].forEach((id) => {
+            const card = document.getElementById(id);
+            if (card) card.style.display = isMember ? 'none' : '';
+        });
+        const householdCard = document.getElementById('settingsHouseholdCard');
+        if (householdCard) householdCard.style.display = authConfigured && !isMember ? '' : 'none';
+        if (usernameField) usernameField.style.display = authConfigured ? 'none' : '';
+        if (setupCodeField) setupCodeField.style.display = !authConfigured && this.auth.setupCodeRequired ? '' : 'none';
+        if (currentField) currentField.style.display = authConfigured ? '' : 'none';
+        if (saveBtn) saveBtn.textContent = authConfigured ? 'Change Password' : 'Enable Sign-in';
+        if (signOutBtn) signOutBtn.style.display = authConfigured && authenticated ? '' : 'none';
+        if (signOutMenuItem) signOutMenuItem.style.display = authConfigured && authenticated ? '' : 'none';
+    }
+
+    async saveAdminPassword() {
+        const username = document.getElementById('accessUsernameInput')?.value.trim() || 'admin';
+        const setupCode = document.getElementById('accessSetupCodeInput')?.value.trim() || '';
+        const currentPassword = document.getElementById('accessCurrentPasswordInput')?.value || '';
+        const password = document.getElementById('accessPasswordInput')?.value || '';
+        const confirmPassword = document.getElementById('accessPasswordConfirmInput')?.value || '';
+        if (password.length < 8) {
+            this.showToast('Password must be at least 8 characters', 'error');
+            return;
+        }
+        if (password !== confirmPassword) {
+            this.showToast('Password confirmation does not match', 'error');
+            return;
+        }
+        const isChange = this.auth.authConfigured;
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/auth/${isChange ? 'password' : 'setup'}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(isChange ? { currentPassword, newPassword: password } : { username, password, setupCode })
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.success) throw new Error(data.error || 'Failed to save password');
+            this.applyAuthState(data);
+            ['accessSetupCodeInput', 'accessCurrentPasswordInput', 'accessPasswordInput', 'accessPasswordConfirmInput'].forEach((id) => {
+                const input = document.getElementById(id);
+                if (input) input.value = '';
+            });
+            await this.loadSettings();
+            this.showToast(isChange ? 'Password changed' : 'Sign-in enabled', 'success');
+        } catch (e) {
+            this.showToast(e.message || 'Failed to save password', 'error');
+        }
+    }
+
+    async renderHouseholdMembers() {
+        const list = document.getElementById('householdMembersList');
+        if (!list || !this.auth.authConfigured || !this.isHouseholdAdmin()) return;
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/users`);
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(data.error || 'Failed to load household members');
+            const users = Array.isArray(data.users) ? data.users : [];
+            list.innerHTML = users.map((user) => `
+                <div class="api-token-row">
+                    <div>
+                        <div class="api-token-title">${this.escapeHtml(user.username)}</div>
+                        <div class="api-token-meta">${user.role === 'admin' ? 'Admin' : 'Member'}${user.createdAt ? ` | Added ${this.escapeHtml(this.formatDate(user.createdAt))}` : ''}</div>
+                    </div>
+                    ${user.role === 'admin' ? '' : `<button class="api-token-revoke-btn" onclick="app.removeHouseholdMember('${this.escapeJsString(user.username)}')">Remove</button>`}
+                </div>
+            `).join('');
+        } catch (e) {
+            list.innerHTML = `<div class="api-token-meta">${this.escapeHtml(e.message || 'Failed to load household members')}</div>`;
+        }
+    }
+
+    async addHouseholdMember() {
+        const usernameInput = document.getElementById('householdUsernameInput');
+        const passwordInput = document.getElementById('householdPasswordInput');
+        const username = usernameInput?.value.trim().toLowerCase() || '';
+        const password = passwordInput?.value || '';
+        if (!username) {
+            this.showToast('Username is required', 'error');
+            return;
+        }
+        if (password.length < 8) {
+            this.showToast('Password must be at least 8 characters', 'error');
+            return;
+        }
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/users`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password })
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.success) throw new Error(data.error || 'Failed to add household member');
+            if (usernameInput) usernameInput.value = '';
+            if (passwordInput) passwordInput.value = '';
+            this.showToast(`Added ${username}`, 'success');
+            await this.renderHouseholdMembers();
+        } catch (e) {
+            this.showToast(e.message || 'Failed to add household member', 'error');
+        }
+    }
+
+    async removeHouseholdMember(username) {
+        if (!confirm(`Remove ${username}? Their lists and items move to you and their sessions and API tokens stop working.`)) return;
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/users/${encodeURIComponent(username)}`, { method: 'DELETE' });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.success) throw new Error(data.error || 'Failed to remove household member');
+            const dropped = Number(data.droppedDuplicates || 0);
+            this.showToast(dropped ? `Removed ${username} (${dropped} duplicate item${dropped === 1 ? '' : 's'} skipped)` : `Removed ${username}`, 'success');
+            await this.renderHouseholdMembers();
+            await this.refreshConfigState({ includeItems: true });
+        } catch (e) {
+            this.showToast(e.message || 'Failed to remove household member', 'error');
+        }
+    }
+
+    renderSiteAdaptersPayload(data) {
+        const list = document.getElementById('siteAdaptersList');
+        const directoryLabel = document.getElementById('adaptersDirectoryLabel');
+        if (directoryLabel && data.directory) directoryLabel.textContent = data.directory;
+        const revision = Number(data.revision);
+        if (Number.isFinite(revision)) this.settingsRevision = revision;
+        if (!list) return;
+        const adapters = Array.isArray(data.adapters) ? data.adapters : [];
+        list.innerHTML = adapters.map((adapter) => {
+            const origin = adapter.builtIn ? 'Built-in' : adapter.file;
+            const status = adapter.error
+                ? `Failed to load: ${adapter.error}`
+                : (adapter.overridden ? 'Replaced by a file adapter' : `${adapter.hosts.join(', ')}${adapter.currency ? ` | ${adapter.currency}` : ''}`);
+            const canToggle = !adapter.error && !adapter.overridden;
+            return `
+                <div class="api-token-row">
+                    <div>
+                        <div class="api-token-title">${this.escapeHtml(adapter.name)}${adapter.enabled || !canToggle ? '' : ' (disabled)'}</div>
+                        <div class="api-token-meta">${this.escapeHtml(`${origin} | ${status}`)}</div>
+                    </div>
+                    ${canToggle ? `<button class="api-token-revoke-btn" onclick="app.toggleSiteAdapter('${this.escapeJsString(adapter.id)}', ${adapter.enabled ? 'false' : 'true'})">${adapter.enabled ? 'Disable' : 'Enable'}</button>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    async renderSiteAdapters() {
+        const list = document.getElementById('siteAdaptersList');
+        if (!list || !this.isHouseholdAdmin()) return;
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/adapters`);
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(data.error || 'Failed to load site adapters');
+            this.renderSiteAdaptersPayload(data);
+        } catch (e) {
+            list.innerHTML = `<div class="api-token-meta">${this.escapeHtml(e.message || 'Failed to load site adapters')}</div>`;
+        }
+    }
+
+    async reloadSiteAdapters() {
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/adapters/reload`, { method: 'POST' });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.success) throw new Error(data.error || 'Failed to reload site adapters');
+            this.renderSiteAdaptersPayload(data);
+            const failed = (data.adapters || []).filter(adapter => adapter.error).length;
+            this.showToast(failed ? `Adapters reloaded (${failed} failed to load)` : 'Adapters reloaded', failed ? 'error' : 'success');
+        } catch (e) {
+            this.showToast(e.message || 'Failed to reload site adapters', 'error');
+        }
+    }
+
+    async toggleSiteAdapter(adapterId, enabled) {
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/adapters/${encodeURIComponent(adapterId)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ enabled, revision: this.settingsRevision })
+            });
+            const data = await res.json().catch(() => ({}));
+            if (res.status === 409) {
+                await this.handleConfigConflict(data, { fallbackMessage: 'Settings changed in another tab. Reloaded the latest values.' });
+                await this.renderSiteAdapters();
+            }
+            if (!res.ok || !data.success) throw new Error(data.error || 'Failed to update adapter');
+            this.renderSiteAdaptersPayload(data);
+            this.showToast(`Adapter ${enabled ? 'enabled' : 'disabled'}`, 'success');
+        } catch (e) {
+            this.showToast(e.message || 'Failed to update adapter', 'error');
+        }
+    }
+
+    renderProxyPoolPayload(data) {
+        const revision = Number(data.revision);
+        if (Number.isFinite(revision)) this.settingsRevision = revision;
+        const proxies = Array.isArray(data.proxies) ? data.proxies : [];
+        this.proxyPool = { proxies, rules: Array.isArray(data.rules) ? data.rules : [], defaultMode: data.defaultMode || 'direct' };
+        const list = document.getElementById('proxiesList');
+        if (list) {
+            list.innerHTML = proxies.length ? proxies.map((proxy) => {
+                const health = proxy.health || {};
+                const status = health.coolingDownUntil
+                    ? `resting until ${new Date(health.coolingDownUntil).toLocaleTimeString()}`
+                    : `${health.successes || 0} ok / ${health.failures || 0} failed`;
+                const meta = [
+                    proxy.url,
+                    proxy.httpOnly ? 'HTTP fetches only; headless Chrome cannot sign in to SOCKS' : '',
+                    status,
+                    proxy.hosts && proxy.hosts.length ? `sites: ${proxy.hosts.join(', ')}` : '',
+                    health.lastError ? `last error: ${health.lastError}` : ''
+                ].filter(Boolean).join(' | ');
+                const proxyId = this.escapeJsString(proxy.id);
+                return `
+                    <div class="api-token-row">
+                        <div>
+                            <div class="api-token-title">${this.escapeHtml(proxy.label)}${proxy.enabled ? '' : ' (disabled)'}</div>
+                            <div class="api-token-meta">${this.escapeHtml(meta)}</div>
+                        </div>
+                        <div class="api-token-actions">
+                            <button class="api-token-revoke-btn" onclick="app.toggleProxy('${proxyId}', ${proxy.enabled ? 'false' : 'true'})">${proxy.enabled ? 'Disable' : 'Enable'}</button>
+                            <button class="api-token-revoke-btn" onclick="app.removeProxy('${proxyId}')">Remove</button>
+                        </div>
+                    </div>
+                `;
+            }).join('') : '<div class="api-token-meta">No proxies configured. Checks connect directly.</div>';
+        }
+        const modeInput = document.getElementById('proxyDefaultModeInput');
+        if (modeInput) modeInput.value = this.proxyPool.defaultMode;
+        const rulesInput = document.getElementById('proxyRulesInput');
+        if (rulesInput) {
+            const labelsById = new Map(proxies.map(proxy => [proxy.id, proxy.label]));
+            rulesInput.value = this.proxyPool.rules
+                .map(rule => `${rule.host} = ${rule.proxyIds.length ? rule.proxyIds.map(id => labelsById.get(id) || id).join(', ') : 'direct'}`)
+                .join('\n');
+        }
+    }
+
+    async renderProxyPool() {
+        const list = document.getElementById('proxiesList');
+        if (!list || !this.isHouseholdAdmin()) return;
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/proxies`);
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(data.error || 'Failed to load proxies');
+            this.renderProxyPoolPayload(data);
+        } catch (e) {
+            list.innerHTML = `<div class="api-token-meta">${this.escapeHtml(e.message || 'Failed to load proxies')}</div>`;
+        }
+    }
+
+    async sendProxyMutation(url, method, body, fallbackMessage) {
+        const res = await this.apiFetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...body, revision: this.settingsRevision })
+        });
+        const data = await res.json().catch(() => ({}));
+        if (res.status === 409) {
+            await this.handleConfigConflict(data, { fallbackMessage: 'Settings changed in another tab. Reloaded the latest values.' });
+            await this.renderProxyPool();
+        }
+        if (!res.ok || !data.success) throw new Error(data.error || fallbackMessage);
+        this.renderProxyPoolPayload(data);
+        return data;
+    }
+
+    async addProxy() {
+        const labelInput = document.getElementById('proxyLabelInput');
+        const urlInput = document.getElementById('proxyUrlInput');
+        const url = String(urlInput?.value || '').trim();
+        if (!url) {
+            this.showToast('Enter a proxy URL', 'error');
+            return;
+        }
+        try {
+            await this.sendProxyMutation(`${this.SERVER_URL}/proxies`, 'POST', { label: String(labelInput?.value || '').trim(), url }, 'Failed to add proxy');
+            if (labelInput) labelInput.value = '';
+            if (urlInput) urlInput.value = '';
+            this.showToast('Proxy added', 'success');
+        } catch (e) {
+            this.showToast(e.message || 'Failed to add proxy', 'error');
+        }
+    }
+
+    async toggleProxy(proxyId, enabled) {
+        try {
+            await this.sendProxyMutation(`${this.SERVER_URL}/proxies/${encodeURIComponent(proxyId)}`, 'PATCH', { enabled }, 'Failed to update proxy');
+            this.showToast(`Proxy ${enabled ? 'enabled' : 'disabled'}`, 'success');
+        } catch (e) {
+            this.showToast(e.message || 'Failed to update proxy', 'error');
+        }
+    }
+
+    async removeProxy(proxyId) {
+        const proxy = (this.proxyPool?.proxies || []).find(entry => entry.id === proxyId);
+        if (!confirm(`Remove proxy ${proxy ? proxy.label : ''}? Sites with a rule for it connect directly unless the rule lists other proxies.`)) return;
+        try {
+            await this.sendProxyMutation(`${this.SERVER_URL}/proxies/${encodeURIComponent(proxyId)}/delete`, 'POST', {}, 'Failed to remove proxy');
+            this.showToast('Proxy removed', 'success');
+        } catch (e) {
+            this.showToast(e.message || 'Failed to remove proxy', 'error');
+        }
+    }
+
+    // Rules are edited as "host = Label A, Label B" lines; "direct" (or nothing) pins a host to no proxy.
+    async saveProxyRouting() {
+        const proxies = this.proxyPool?.proxies || [];
+        const idsByLabel = new Map(proxies.map(proxy => [proxy.label.toLowerCase(), proxy.id]));
+        const rules = [];
+        const lines = String(document.getElementById('proxyRulesInput')?.value || '').split('\n').map(line => line.trim()).filter(Boolean);
+        for (const line of lines) {
+            const [host, targets = ''] = line.split('=').map(part => part.trim());
+            const labels = targets.split(',').map(label => label.trim()).filter(label => label && label.toLowerCase() !== 'direct');
+            const unknown = labels.find(label => !idsByLabel.has(label.toLowerCase()));
+            if (!host || unknown) {
+                this.showToast(unknown ? `No proxy is labelled "${unknown}"` : `Rule is missing a site: ${line}`, 'error');
+                return;
+            }
+            rules.push({ host, proxyIds: labels.map(label => idsByLabel.get(label.toLowerCase())) });
+        }
+        try {
+            await this.sendProxyMutation(`${this.SERVER_URL}/proxy-routing`, 'POST', {
+                defaultMode: document.getElementById('proxyDefaultModeInput')?.value || 'direct',
+                rules
+            }, 'Failed to save proxy routing');
+            this.showToast('Proxy routing saved', 'success');
+        } catch (e) {
+            this.showToast(e.message || 'Failed to save proxy routing', 'error');
+        }
+    }
+
+    renderBrowserProfilesPayload(data) {
+        this.browserProfiles = Array.isArray(data.profiles) ? data.profiles : [];
+        const list = document.getElementById('browserProfilesList');
+        if (!list) return;
+        list.innerHTML = this.browserProfiles.length ? this.browserProfiles.map((profile) => {
+            const meta = [
+                profile.hosts.length ? profile.hosts.join(', ') : 'no sites (attach to items)',
+                `${profile.cookieCount} cookie${profile.cookieCount === 1 ? '' : 's'}`,
+                profile.acceptLanguage ? `lang: ${profile.acceptLanguage}` : '',
+                profile.zipCode ? `zip: ${profile.zipCode}${profile.zipCodeCookie ? '' : ' (no cookie name)'}` : '',
+                profile.geolocation ? `at ${profile.geolocation.latitude}, ${profile.geolocation.longitude}` : ''
+            ].filter(Boolean).join(' | ');
+            const profileId = this.escapeJsString(profile.id);
+            return `
+                <div class="api-token-row">
+                    <div>
+                        <div class="api-token-title">${this.escapeHtml(profile.name)}</div>
+                        <div class="api-token-meta">${this.escapeHtml(meta)}</div>
+                    </div>
+                    <div class="api-token-actions">
+                        <button class="api-token-revoke-btn" onclick="app.editBrowserProfile('${profileId}')">Edit</button>
+                        <button class="api-token-revoke-btn" onclick="app.chooseProfileCookieFile('${profileId}')">Import Cookies</button>
+                        <button class="api-token-revoke-btn" onclick="app.removeBrowserProfile('${profileId}')">Remove</button>
+                    </div>
+                </div>
+            `;
+        }).join('') : '<div class="api-token-meta">No browser profiles yet.</div>';
+    }
+
+    async renderBrowserProfiles() {
+        const list = document.getElementById('browserProfilesList');
+        if (!list || !this.isHouseholdAdmin()) return;
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/browser-profiles`);
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(data.error || 'Failed to load browser profiles');
+            this.renderBrowserProfilesPayload(data);
+        } catch (e) {
+            list.innerHTML = `<div class="api-token-meta">${this.escapeHtml(e.message || 'Failed to load browser profiles')}</div>`;
+        }
+    }
+
+    async sendBrowserProfileMutation(url, method, body, fallbackMessage) {
+        const res = await this.apiFetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok || !data.success) throw new Error(data.error || fallbackMessage);
+        this.renderBrowserProfilesPayload(data);
+        return data;
+    }
+
+    resetBrowserProfileForm() {
+        this.editingBrowserProfileId = null;
+        ['profileNameInput', 'profileHostsInput', 'profileLanguageInput', 'profileGeolocationInput', 'profileZipInput', 'profileZipCookieInput', 'profileStorageInput'].forEach((id) => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+        const saveBtn = document.getElementById('profileSaveBtn');
+        if (saveBtn) saveBtn.textContent = 'Create Profile';
+    }
+
+    editBrowserProfile(profileId) {
+        const profile = this.browserProfiles.find(entry => entry.id === profileId);
+        if (!profile) return;
+        this.editingBrowserProfileId = profile.id;
+        const values = {
+            profileNameInput: profile.name,
+            profileHostsInput: profile.hosts.join(', '),
+            profileLanguageInput: profile.acceptLanguage || '',
+            profileGeolocationInput: profile.geolocation ? `${profile.geolocation.latitude}, ${profile.geolocation.longitude}` : '',
+            profileZipInput: profile.zipCode || '',
+            profileZipCookieInput: profile.zipCodeCookie || '',
+            profileStorageInput: Object.keys(profile.localStorage || {}).length ? JSON.stringify(profile.localStorage, null, 2) : ''
+        };
+        Object.entries(values).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        });
+        const saveBtn = document.getElementById('profileSaveBtn');
+        if (saveBtn) saveBtn.textContent = 'Save Profile';
+    }
+
+    async saveBrowserProfile() {
+        const read = id => String(document.getElementById(id)?.value || '').trim();
+        const name = read('profileNameInput');
+        if (!name) {
+            this.showToast('Profile name is required', 'error');
+            return;
+        }
+        let geolocation = null;
+        const geolocationText = read('profileGeolocationInput');
+        if (geolocationText) {
+            const [latitude, longitude] = geolocationText.split(',').map(part => Number(part.trim()));
+            if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+                this.showToast('Location must be "latitude, longitude"', 'error');
+                return;
+            }
+            geolocation = { latitude, longitude };
+        }
+        const payload = {
+            name,
+            hosts: read('profileHostsInput'),
+            acceptLanguage: read('profileLanguageInput') || null,
+            geolocation,
+            zipCode: read('profileZipInput') || null,
+            zipCodeCookie: read('profileZipCookieInput') || null,
+            localStorage: read('profileStorageInput')
+        };
+        const editing = this.editingBrowserProfileId;
+        try {
+            await this.sendBrowserProfileMutation(
+                editing ? `${this.SERVER_URL}/browser-profiles/${encodeURIComponent(editing)}` : `${this.SERVER_URL}/browser-profiles`,
+                editing ? 'PATCH' : 'POST',
+                payload,
+                'Failed to save browser profile'
+            );
+            this.resetBrowserProfileForm();
+            this.showToast(editing ? 'Browser profile saved' : 'Browser profile created', 'success');
+        } catch (e) {
+            this.showToast(e.message || 'Failed to save browser profile', 'error');
+        }
+    }
+
+    chooseProfileCookieFile(profileId) {
+        const input = document.getElementById('profileCookieFileInput');
+        if (!input) return;
+        this.cookieImportProfileId = profileId;
+        input.value = '';
+        input.click();
+    }
+
+    // Merges by default; cookies with the same domain, path, and name as stored ones replace them.
+    async importProfileCookies(input) {
+        const file = input?.files?.[0];
+        const profile = this.browserProfiles.find(entry => entry.id === this.cookieImportProfileId);
+        if (!file || !profile) return;
+        const replace = profile.cookieCount > 0
+            && confirm(`Replace the ${profile.cookieCount} stored cookie${profile.cookieCount === 1 ? '' : 's'} of ${profile.name}? Cancel adds the file's cookies to them instead.`);
+        try {
+            const content = await file.text();
+            const data = await this.sendBrowserProfileMutation(
+                `${this.SERVER_URL}/browser-profiles/${encodeURIComponent(profile.id)}/cookies`,
+                'POST',
+                { content, replace },
+                'Failed to import cookies'
+            );
+            this.showToast(`Imported ${data.imported} cookie${data.imported === 1 ? '' : 's'} into ${profile.name}`, 'success');
+        } catch (e) {
+            this.showToast(e.message || 'Failed to import cookies', 'error');
+        } finally {
+            input.value = '';
+        }
+    }
+
+    async removeBrowserProfile(profileId) {
+        const profile = this.browserProfiles.find(entry => entry.id === profileId);
+        if (!profile || !confirm(`Remove browser profile ${profile.name}? Its cookies are deleted and items using it fall back to the profile matching their site.`)) return;
+        try {
+            const data = await this.sendBrowserProfileMutation(`${this.SERVER_URL}/browser-profiles/${encodeURIComponent(profileId)}/delete`, 'POST', {}, 'Failed to remove browser profile');
+            if (Array.isArray(data.items)) {
+                this.applyServerItemsPayload(data, data.items);
+                this.render();
+            }
+            if (this.editingBrowserProfileId === profileId) this.resetBrowserProfileForm();
+            this.showToast('Browser profile removed', 'success');
+        } catch (e) {
+            this.showToast(e.message || 'Failed to remove browser profile', 'error');
+        }
+    }
+
+    async renderApiTokensList() {
+        const list = document.getElementById('apiTokensList');
+        if (!list) return;
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/api-tokens`);
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(data.error || 'Failed to load API tokens');
+            const tokens = Array.isArray(data.tokens) ? data.tokens : [];
+            if (!tokens.length) {
+                list.innerHTML = '<div class="api-token-meta">No API tokens yet.</div>';
+                return;
+            }
+            list.innerHTML = tokens.map((token) => {
+                const lastUsed = token.lastUsedAt ? this.getRelativeTime(token.lastUsedAt) : 'never';
+                const state = token.revokedAt ? `Revoked ${new Date(token.revokedAt).toLocaleString()}` : `Last used ${lastUsed}`;
+                return `
+                    <div class="api-token-row ${token.revokedAt ? 'revoked' : ''}">
+                        <div>
+                            <div class="api-token-title">${this.escapeHtml(token.label)}</div>
+                            <div class="api-token-meta">${this.escapeHtml(token.prefix || '')}... | ${this.escapeHtml((token.scopes || []).join(', '))}</div>
+                            <div class="api-token-meta">Created ${this.escapeHtml(this.formatDate(token.createdAt))} | ${this.escapeHtml(state)}</div>
+                        </div>
+                        ${token.revokedAt ? '' : `<button class="api-token-revoke-btn" onclick="app.revokeApiToken('${this.escapeJsString(token.id)}')">Revoke</button>`}
+                    </div>
+                `;
+            }).join('');
+        } catch (e) {
+            list.innerHTML = `<div class="api-token-meta">${this.escapeHtml(e.message || 'Failed to load API tokens')}</div>`;
+        }
+    }
+
+    async createApiToken() {
+        const labelInput = document.getElementById('apiTokenLabelInput');
+        const reveal = document.getElementById('apiTokenReveal');
+        const label = labelInput?.value.trim() || '';
+        const scopes = [...document.querySelectorAll('[data-api-token-scope]')]
+            .filter(input => input.checked)
+            .map(input => input.getAttribute('data-api-token-scope'));
+        if (!label) {
+            this.showToast('Token label is required', 'error');
+            return;
+        }
+        if (!scopes.length) {
+            this.showToast('Select at least one scope', 'error');
+            return;
+        }
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/api-tokens`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ label, scopes })
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.success) throw new Error(data.error || 'Failed to create API token');
+            if (labelInput) labelInput.value = '';
+            if (reveal) {
+                reveal.innerHTML = `Copy this token now. It will not be shown again.<code>${this.escapeHtml(data.token)}</code>`;
+                reveal.hidden = false;
+            }
+            this.showToast('API token created', 'success');
+            await this.renderApiTokensList();
+        } catch (e) {
+            this.showToast(e.message || 'Failed to create API token', 'error');
+        }
+    }
+
+    async revokeApiToken(tokenId) {
+        if (!confirm('Revoke this API token? Scripts using it will stop working immediately.')) return;
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/api-tokens/${encodeURIComponent(tokenId)}`, { method: 'DELETE' });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.success) throw new Error(data.error || 'Failed to revoke API token');
+            this.showToast('API token revoked', 'success');
+            await this.renderApiTokensList();
+        } catch (e) {
+            this.showToast(e.message || 'Failed to revoke API token', 'error');
+        }
+    }
+
     // --- Server Communications ---
 
     cloneData(value) {
@@ -782,9 +1590,11 @@ class App {
                 const price = this.normalizeNullableNumber(entry.price);
                 const date = entry.date ? new Date(entry.date) : null;
                 if (!Number.isFinite(price) || !date || Number.isNaN(date.getTime())) return null;
+                const unitPrice = this.normalizeNullableNumber(entry.unitPrice);
                 return {
                     price,
-                    date: date.toISOString()
+                    date: date.toISOString(),
+                    ...(unitPrice !== null ? { unitPrice } : {})
                 };
             })
             .filter(Boolean);
@@ -799,6 +1609,12 @@ class App {
         if (Number.isFinite(revision)) {
             this.itemsRevision = revision;
         }
+        if (data && data.schedule && typeof data.schedule === 'object') {
+            this.itemSchedules = data.schedule;
+        }
+        if (Array.isArray(data?.status?.circuits)) {
+            this.hostCircuits = data.status.circuits;
+        }
         return this.applyNormalizedItems(normalizedItems);
     }
 
@@ -817,6 +1633,7 @@ class App {
         const previousActiveListId = this.activeListId;
         const previousDefaultListId = this.newItemListId;
         await this.loadLists().catch(() => { });
+        await this.loadProductGroups();
         const nextListSignature = this.getListsSignature();
         const changed = previousListSignature !== nextListSignature
             || previousActiveListId !== this.activeListId
@@ -832,7 +1649,7 @@ class App {
 
     async sendItemMutation(url, options = {}, fallbackMessage = 'Failed to save changes') {
         try {
-            const res = await fetch(url, options);
+            const res = await this.apiFetch(url, options);
             const data = await res.json().catch(() => ({}));
             if (!res.ok) {
                 if (res.status === 409 && Array.isArray(data.items)) {
@@ -855,7 +1672,7 @@ class App {
     async loadFromServer(options = {}) {
         const silent = Boolean(options.silent);
         try {
-            const res = await fetch(`${this.SERVER_URL}/items`);
+            const res = await this.apiFetch(`${this.SERVER_URL}/items`);
             if (!res.ok) throw new Error('Server not reachable');
             const data = await res.json();
 
@@ -903,7 +1720,7 @@ class App {
 
     async updateServerStatus() {
         try {
-            const res = await fetch(`${this.SERVER_URL}/items`);
+            const res = await this.apiFetch(`${this.SERVER_URL}/items`);
             if (res.ok) {
                 const data = await res.json();
                 this.updateStatusUI(data.status);
@@ -917,7 +1734,7 @@ class App {
         if (this.refreshPollTimer) clearInterval(this.refreshPollTimer);
         this.refreshPollTimer = setInterval(async () => {
             try {
-                const res = await fetch(`${this.SERVER_URL}/items`);
+                const res = await this.apiFetch(`${this.SERVER_URL}/items`);
                 if (!res.ok) return;
                 const data = await res.json();
                 const previousSignature = this.getItemsSignature(this.items);
@@ -950,7 +1767,7 @@ class App {
     // --- Settings & Webhooks ---
     async loadSettings() {
         try {
-            const res = await fetch(`${this.SERVER_URL}/settings`);
+            const res = await this.apiFetch(`${this.SERVER_URL}/settings`);
             if (res.ok) {
                 const data = await res.json();
                 const revision = Number(data.revision);
@@ -1020,6 +1837,7 @@ class App {
             button.classList.toggle('active', isActive);
             button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
         });
+        this.syncCheckPoolUI();
     }
 
     getCustomIntervalModalValue(ms) {
@@ -1060,7 +1878,7 @@ class App {
         };
 
         try {
-            const res = await fetch(`${this.SERVER_URL}/settings`, {
+            const res = await this.apiFetch(`${this.SERVER_URL}/settings`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(payload)
@@ -1089,6 +1907,108 @@ class App {
         }
     }
 
+    syncCheckPoolUI() {
+        const concurrencyInput = document.getElementById('checkConcurrencyInput');
+        const hostDelayInput = document.getElementById('hostDelayInput');
+        const adaptiveInput = document.getElementById('adaptiveChecksInput');
+        if (adaptiveInput) adaptiveInput.checked = this.settings?.adaptiveChecksEnabled !== false;
+        if (concurrencyInput) concurrencyInput.value = String(Number(this.settings?.checkConcurrency) || 2);
+        const screenshotModeInput = document.getElementById('screenshotModeInput');
+        if (screenshotModeInput) screenshotModeInput.value = this.settings?.screenshotMode || 'off';
+        const screenshotRetentionInput = document.getElementById('screenshotRetentionInput');
+        if (screenshotRetentionInput) screenshotRetentionInput.value = String(Number(this.settings?.screenshotRetentionDays) || 30);
+        const pageWaitStrategyInput = document.getElementById('pageWaitStrategyInput');
+        if (pageWaitStrategyInput) pageWaitStrategyInput.value = this.settings?.pageWaitStrategy || 'auto';
+        const pageWaitTimeoutInput = document.getElementById('pageWaitTimeoutInput');
+        if (pageWaitTimeoutInput) pageWaitTimeoutInput.value = String((Number(this.settings?.pageWaitTimeoutMs) || 10000) / 1000);
+        const pageWaitRulesInput = document.getElementById('pageWaitRulesInput');
+        if (pageWaitRulesInput) {
+            pageWaitRulesInput.value = (this.settings?.pageWaitRules || [])
+                .map(rule => `${rule.host} = ${rule.strategy}${rule.timeoutMs ? ` ${rule.timeoutMs / 1000}` : ''}`)
+                .join('\n');
+        }
+        if (hostDelayInput) {
+            const delayMs = Number(this.settings?.hostDelayMs);
+            hostDelayInput.value = String(Number.isFinite(delayMs) ? delayMs / 1000 : 2);
+        }
+    }
+
+    async saveCheckPoolSettings() {
+        const concurrency = Math.round(Number(document.getElementById('checkConcurrencyInput')?.value));
+        const hostDelaySeconds = Number(document.getElementById('hostDelayInput')?.value);
+        if (!Number.isFinite(concurrency) || concurrency < 1 || concurrency > 8) {
+            this.showToast('Parallel checks must be between 1 and 8', 'error');
+            return;
+        }
+        if (!Number.isFinite(hostDelaySeconds) || hostDelaySeconds < 0 || hostDelaySeconds > 60) {
+            this.showToast('Per-site delay must be between 0 and 60 seconds', 'error');
+            return;
+        }
+        const screenshotRetentionDays = Math.round(Number(document.getElementById('screenshotRetentionInput')?.value));
+        if (!Number.isFinite(screenshotRetentionDays) || screenshotRetentionDays < 1 || screenshotRetentionDays > 365) {
+            this.showToast('Screenshots must be kept between 1 and 365 days', 'error');
+            return;
+        }
+        const pageWaitTimeoutSeconds = Number(document.getElementById('pageWaitTimeoutInput')?.value);
+        if (!Number.isFinite(pageWaitTimeoutSeconds) || pageWaitTimeoutSeconds < 1 || pageWaitTimeoutSeconds > 30) {
+            this.showToast('Wait timeout must be between 1 and 30 seconds', 'error');
+            return;
+        }
+        const waitStrategies = ['auto', 'fixed', 'selector', 'network-idle', 'content'];
+        const pageWaitRules = [];
+        const ruleLines = String(document.getElementById('pageWaitRulesInput')?.value || '').split('\n').map(line => line.trim()).filter(Boolean);
+        for (const line of ruleLines) {
+            const [host, target = ''] = line.split('=').map(part => part.trim());
+            const [strategy = '', seconds] = target.split(/\s+/);
+            const timeoutSeconds = seconds === undefined ? null : Number(seconds);
+            if (!host || !waitStrategies.includes(strategy.toLowerCase()) || (timeoutSeconds !== null && !(timeoutSeconds > 0 && timeoutSeconds <= 30))) {
+                this.showToast(`Wait rules need "site = strategy [seconds up to 30]": ${line}`, 'error');
+                return;
+            }
+            pageWaitRules.push({ host, strategy: strategy.toLowerCase(), timeoutMs: timeoutSeconds ? Math.round(timeoutSeconds * 1000) : null });
+        }
+        const payload = {
+            revision: this.settingsRevision,
+            checkConcurrency: concurrency,
+            hostDelayMs: Math.round(hostDelaySeconds * 1000),
+            adaptiveChecksEnabled: document.getElementById('adaptiveChecksInput')?.checked !== false,
+            screenshotMode: document.getElementById('screenshotModeInput')?.value || 'off',
+            screenshotRetentionDays,
+            pageWaitStrategy: document.getElementById('pageWaitStrategyInput')?.value || 'auto',
+            pageWaitTimeoutMs: Math.round(pageWaitTimeoutSeconds * 1000),
+            pageWaitRules
+        };
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/settings`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            const data = await res.json().catch(() => ({}));
+            if (res.status === 409) {
+                await this.handleConfigConflict(data, { fallbackMessage: 'Settings changed in another tab. Reloaded the latest values.' });
+            }
+            if (!res.ok) throw new Error(data.error || 'Request failed');
+            this.settings = { ...this.settings, ...payload, ...data };
+            const revision = Number(data.revision);
+            if (Number.isFinite(revision)) this.settingsRevision = revision;
+            this.syncCheckPoolUI();
+            this.showToast('Background check workers updated', 'success');
+            this.logAction('settings.check_pool_changed', {
+                checkConcurrency: payload.checkConcurrency,
+                hostDelayMs: payload.hostDelayMs,
+                adaptiveChecksEnabled: payload.adaptiveChecksEnabled,
+                screenshotMode: payload.screenshotMode,
+                screenshotRetentionDays: payload.screenshotRetentionDays,
+                pageWaitStrategy: payload.pageWaitStrategy,
+                pageWaitRules: payload.pageWaitRules.length
+            });
+        } catch (e) {
+            this.showToast(e.message || 'Failed to save worker settings', 'error');
+            this.syncCheckPoolUI();
+        }
+    }
+
     showCustomIntervalModal() {
         const header = document.getElementById('mainHeader');
         if (header) header.classList.remove('menu-open');
@@ -1167,7 +2087,7 @@ class App {
     }
 
     selectAddItemList(listId) {
-        const selected = this.lists.some(l => l.id === listId) ? listId : 'default';
+        const selected = this.canWriteList(listId) ? listId : this.getFirstWritableListId();
         this.pendingAddItemListId = selected;
         this.renderAddItemListSelect();
         this.logAction('list.add_item_target_changed', { listId: selected });
@@ -1273,6 +2193,7 @@ class App {
         const tasks = [
             this.loadSettings(),
             this.loadLists(),
+            this.loadProductGroups(),
             this.loadAlertRules()
         ];
         if (includeItems) {
@@ -1324,7 +2245,7 @@ class App {
         if (backupPassword) payload.backupPassword = backupPassword;
 
         try {
-            const res = await fetch(`${this.SERVER_URL}/settings`, {
+            const res = await this.apiFetch(`${this.SERVER_URL}/settings`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(payload)
@@ -1394,7 +2315,7 @@ class App {
         const tgBot = document.getElementById('telegramWebhookInput')?.value.trim() || '';
         const tgChat = document.getElementById('telegramChatIdInput')?.value.trim() || '';
         try {
-            const res = await fetch(`${this.SERVER_URL}/test-notification`, {
+            const res = await this.apiFetch(`${this.SERVER_URL}/test-notification`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -1423,7 +2344,7 @@ class App {
 
     async loadLists() {
         try {
-            const res = await fetch(`${this.SERVER_URL}/lists`);
+            const res = await this.apiFetch(`${this.SERVER_URL}/lists`);
             if (!res.ok) return;
             const data = await res.json();
             const revision = Number(data.revision);
@@ -1431,7 +2352,7 @@ class App {
             if (typeof data.listsStateToken === 'string') this.listsStateToken = data.listsStateToken;
             const incoming = Array.isArray(data.lists) && data.lists.length ? data.lists : [{ id: 'default', name: 'Default' }];
             this.lists = incoming;
-            if (!this.lists.some(l => l.id === this.newItemListId)) this.newItemListId = 'default';
+            if (!this.canWriteList(this.newItemListId)) this.newItemListId = this.getFirstWritableListId();
             if (this.pendingAddItemListId && !this.lists.some(l => l.id === this.pendingAddItemListId)) this.pendingAddItemListId = null;
             if (this.activeListId !== 'all' && !this.lists.some(l => l.id === this.activeListId)) this.activeListId = 'all';
         } catch (e) {
@@ -1439,6 +2360,28 @@ class App {
         }
     }
 
+    async loadBrowserProfiles() {
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/browser-profiles`);
+            if (!res.ok) return;
+            const data = await res.json();
+            this.browserProfiles = Array.isArray(data.profiles) ? data.profiles : [];
+        } catch (e) {
+            console.warn('Could not load browser profiles', e);
+        }
+    }
+
+    async loadProductGroups() {
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/groups`);
+            if (!res.ok) return;
+            const data = await res.json();
+            this.productGroups = Array.isArray(data.groups) ? data.groups : [];
+        } catch (e) {
+            console.warn('Could not load product groups', e);
+        }
+    }
+
     renderListControls() {
         const activeFilter = document.getElementById('activeListFilter');
         const optionLabel = (l) => `${l.name}${Number(l.itemCount || 0) ? ` (${l.itemCount})` : ''}`;
@@ -1468,7 +2411,7 @@ class App {
         const name = prompt('List name');
         if (!name || !name.trim()) return;
         try {
-            const res = await fetch(`${this.SERVER_URL}/lists`, {
+            const res = await this.apiFetch(`${this.SERVER_URL}/lists`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ name: name.trim(), revision: this.settingsRevision })
@@ -1504,7 +2447,7 @@ class App {
         const name = input ? input.value.trim() : '';
         if (!name) return;
         try {
-            const res = await fetch(`${this.SERVER_URL}/lists`, {
+            const res = await this.apiFetch(`${this.SERVER_URL}/lists`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ name, revision: this.settingsRevision })
@@ -1534,7 +2477,7 @@ class App {
         const name = prompt('Rename list', list.name);
         if (!name || !name.trim()) return;
         try {
-            const res = await fetch(`${this.SERVER_URL}/lists/${encodeURIComponent(listId)}`, {
+            const res = await this.apiFetch(`${this.SERVER_URL}/lists/${encodeURIComponent(listId)}`, {
                 method: 'PATCH',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ name: name.trim(), revision: this.settingsRevision })
@@ -1557,6 +2500,41 @@ class App {
         }
     }
 
+    async setListCheckInterval(listId) {
+        const list = this.lists.find(l => l.id === listId);
+        if (!list) return;
+        const currentMinutes = Number(list.checkIntervalMs) > 0 ? String(Math.round(Number(list.checkIntervalMs) / 60000)) : '';
+        const input = prompt(`Check items in "${list.name}" every how many minutes? Leave empty to use the global interval (${this.formatCheckInterval(this.getCheckIntervalMs())}).`, currentMinutes);
+        if (input === null) return;
+        const minutes = Number(input.trim());
+        if (input.trim() && (!Number.isFinite(minutes) || minutes < 1 || minutes > 43200)) {
+            this.showToast('Check interval must be between 1 minute and 30 days', 'error');
+            return;
+        }
+        const checkIntervalMs = input.trim() ? Math.round(minutes * 60000) : null;
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/lists/${encodeURIComponent(listId)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ checkIntervalMs, revision: this.settingsRevision })
+            });
+            const data = await res.json();
+            if (res.status === 409) {
+                await this.handleConfigConflict(data, { includeItems: true, fallbackMessage: 'Lists changed in another tab. Reloaded the latest lists.' });
+            }
+            if (!res.ok) throw new Error(data.error || 'Schedule update failed');
+            const revision = Number(data.revision);
+            if (Number.isFinite(revision)) this.settingsRevision = revision;
+            this.lists = data.lists || this.lists;
+            this.renderListsManager();
+            this.render();
+            this.showToast(checkIntervalMs ? `List checked every ${this.formatCheckInterval(checkIntervalMs)}` : 'List uses the global interval', 'success');
+            this.logAction('list.schedule_changed', { listId, checkIntervalMs });
+        } catch (e) {
+            this.showToast(e.message, 'error');
+        }
+    }
+
     async deleteList(listId) {
         const list = this.lists.find(l => l.id === listId);
         if (!list) return;
@@ -1568,10 +2546,11 @@ class App {
             this.showToast('Default list cannot be deleted', 'error');
             return;
         }
-        if (!confirm(`Delete list "${list.name}"? Its items will be moved to "Default". This action cannot be undone.`)) return;
+        const moveTarget = list.ownerId && this.auth.authConfigured && !this.isHouseholdAdmin() ? 'another of your lists' : '"Default"';
+        if (!confirm(`Delete list "${list.name}"? Its items will be moved to ${moveTarget}. This action cannot be undone.`)) return;
 
         try {
-            const res = await fetch(`${this.SERVER_URL}/lists/${encodeURIComponent(listId)}/delete`, {
+            const res = await this.apiFetch(`${this.SERVER_URL}/lists/${encodeURIComponent(listId)}/delete`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ revision: this.settingsRevision })
@@ -1587,9 +2566,10 @@ class App {
             if (Array.isArray(data.items)) {
                 this.applyServerItemsPayload(data, data.items);
             } else {
+                const movedTo = data.movedTo || 'default';
                 this.items = this.items.map(item => ({
                     ...item,
-                    listId: (item.listId || 'default') === listId ? 'default' : (item.listId || 'default')
+                    listId: (item.listId || 'default') === listId ? movedTo : (item.listId || 'default')
                 }));
                 const revision = Number(data.revision);
                 if (Number.isFinite(revision)) this.itemsRevision = revision;
@@ -1606,6 +2586,34 @@ class App {
         }
     }
 
+    async shareList(listId) {
+        const list = this.lists.find(l => l.id === listId);
+        if (!list) return;
+        const userId = prompt(`Share "${list.name}" with which household member?`);
+        if (!userId || !userId.trim()) return;
+        const access = prompt('Access level: read, write, or none (to stop sharing)', 'read');
+        if (!access || !access.trim()) return;
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/lists/${encodeURIComponent(listId)}/shares`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ userId: userId.trim(), access: access.trim().toLowerCase(), revision: this.settingsRevision })
+            });
+            const data = await res.json();
+            if (res.status === 409) {
+                await this.handleConfigConflict(data, { includeItems: true, fallbackMessage: 'Lists changed in another tab. Reloaded the latest lists.' });
+            }
+            if (!res.ok) throw new Error(data.error || 'Sharing failed');
+            const revision = Number(data.revision);
+            if (Number.isFinite(revision)) this.settingsRevision = revision;
+            this.lists = data.lists || this.lists;
+            this.renderListsManager();
+            this.showToast('List sharing updated', 'success');
+        } catch (e) {
+            this.showToast(e.message, 'error');
+        }
+    }
+
     setActiveFilterList(listId) {
         this.activeListId = listId;
         localStorage.setItem('pt_active_list', this.activeListId);
@@ -1636,9 +2644,15 @@ class App {
         body.innerHTML = this.lists.map((l) => {
             const safeListId = this.escapeJsString(l.id);
             const safeListName = this.escapeHtml(l.name);
+            const access = this.getListAccess(l.id);
+            const isOwner = access === 'owner';
+            const shares = Array.isArray(l.shares) ? l.shares : [];
             const meta = [
                 `ID: ${l.id}`,
                 `Items: ${listCounts[l.id] || 0}`,
+                isOwner ? '' : `Shared by ${l.ownerId} (${access === 'write' ? 'can edit' : 'read-only'})`,
+                Number(l.checkIntervalMs) > 0 ? `Checks every ${this.formatCheckInterval(Number(l.checkIntervalMs))}` : '',
+                isOwner && shares.length ? `Shared with ${shares.map(share => `${share.userId} (${share.access})`).join(', ')}` : '',
                 this.activeListId === l.id ? 'Active filter' : '',
                 this.newItemListId === l.id ? 'Default for new items' : ''
             ].filter(Boolean).join(' | ');
@@ -1650,9 +2664,11 @@ class App {
                     </div>
                     <div class="list-manager-actions">
                         <button onclick="app.setActiveFilterList('${safeListId}')">View</button>
-                        <button onclick="app.setDefaultNewItemList('${safeListId}')">Make Default</button>
-                        <button onclick="app.renameList('${safeListId}')">Rename</button>
-                        ${l.id === 'default' ? '' : `<button onclick="app.deleteList('${safeListId}')">Delete</button>`}
+                        ${this.canWriteList(l.id) ? `<button onclick="app.setDefaultNewItemList('${safeListId}')">Make Default</button>` : ''}
+                        ${isOwner ? `<button onclick="app.renameList('${safeListId}')">Rename</button>` : ''}
+                        ${isOwner ? `<button onclick="app.setListCheckInterval('${safeListId}')">Schedule</button>` : ''}
+                        ${isOwner && this.auth.authConfigured ? `<button onclick="app.shareList('${safeListId}')">Share</button>` : ''}
+                        ${l.id === 'default' || !isOwner ? '' : `<button onclick="app.deleteList('${safeListId}')">Delete</button>`}
                     </div>
                 </div>
             `;
@@ -1665,7 +2681,7 @@ class App {
 
     async loadAlertRules() {
         try {
-            const res = await fetch(`${this.SERVER_URL}/alert-rules`);
+            const res = await this.apiFetch(`${this.SERVER_URL}/alert-rules`);
             if (!res.ok) return;
             const data = await res.json();
             const revision = Number(data.revision);
@@ -1684,6 +2700,9 @@ class App {
             else el.value = this.alertRules[key] ?? '';
         };
         bind('ruleTargetHit', 'targetHitEnabled');
+        bind('ruleTargetEffective', 'targetUseEffectivePrice');
+        bind('ruleUnitTarget', 'unitTargetHitEnabled');
+        bind('ruleGroupTarget', 'groupTargetHitEnabled');
         bind('rulePriceDrop', 'priceDropEnabled');
         bind('ruleDrop24h', 'priceDrop24hEnabled');
         bind('ruleDrop24hPct', 'priceDrop24hPercent', 'number');
@@ -1700,6 +2719,9 @@ class App {
         const payload = {
             revision: this.settingsRevision,
             targetHitEnabled: Boolean(get('ruleTargetHit')?.checked),
+            targetUseEffectivePrice: Boolean(get('ruleTargetEffective')?.checked),
+            unitTargetHitEnabled: Boolean(get('ruleUnitTarget')?.checked),
+            groupTargetHitEnabled: Boolean(get('ruleGroupTarget')?.checked),
             priceDropEnabled: Boolean(get('rulePriceDrop')?.checked),
             priceDrop24hEnabled: Boolean(get('ruleDrop24h')?.checked),
             priceDrop24hPercent: Number(get('ruleDrop24hPct')?.value || 0),
@@ -1711,7 +2733,7 @@ class App {
             notifyCooldownMinutes: Number(get('ruleCooldownMinutes')?.value || 240)
         };
         try {
-            const res = await fetch(`${this.SERVER_URL}/alert-rules`, {
+            const res = await this.apiFetch(`${this.SERVER_URL}/alert-rules`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(payload)
@@ -1741,17 +2763,30 @@ class App {
         if (!container) return;
         try {
             const query = this.activeListId && this.activeListId !== 'all' ? `?limit=60&listId=${encodeURIComponent(this.activeListId)}` : '?limit=60';
-            const res = await fetch(`${this.SERVER_URL}/diagnostics${query}`);
+            const res = await this.apiFetch(`${this.SERVER_URL}/diagnostics${query}`);
             const data = await res.json().catch(() => ({}));
             if (!res.ok) throw new Error(data.error || 'Failed to load diagnostics');
             const entries = Array.isArray(data.entries) ? data.entries : [];
-            if (!entries.length) {
+            const circuits = (Array.isArray(data.circuits) ? data.circuits : []).filter(circuit => circuit.state !== 'closed');
+            if (!entries.length && !circuits.length) {
                 container.innerHTML = '<div class="diag-row">No diagnostics yet.</div>';
                 return;
             }
-            container.innerHTML = entries.slice(0, 40).map((e) => {
+            const circuitRows = circuits.map((circuit) => {
+                const primaryText = `${circuit.host} | Circuit ${circuit.state}`;
+                const metaText = `${circuit.state === 'open' ? `skipping until ${new Date(circuit.openUntil).toLocaleString()}` : 'next check is a trial'} | ${circuit.consecutiveFailures} failures in a row${circuit.lastError ? ` | err: ${circuit.lastError}` : ''}`;
+                return `
+                    <div class="diag-row fail">
+                        <div>${this.escapeHtml(primaryText)}</div>
+                        <div class="diag-meta">${this.escapeHtml(metaText)}</div>
+                    </div>
+                `;
+            }).join('');
+            container.innerHTML = circuitRows + entries.slice(0, 40).map((e) => {
                 const primaryText = `${e.itemName || e.itemId} ${e.ok ? `${e.outOfStock ? '| Out of stock' : `| ${e.price ?? '-'} ${e.currency || ''}`}` : '| Check failed'}`;
-                const metaText = `${new Date(e.time).toLocaleString()} | conf: ${this.formatConfidence(e.confidence)} | src: ${e.source || 'n/a'} | sel: ${e.selectorUsed || 'n/a'}${e.stockReason ? ` | stock: ${e.stockReason}` : ''}${e.error ? ` | err: ${e.error}` : ''}`;
+                const failureText = e.ok ? '' : `${e.consecutiveFailures ? ` | fails: ${e.consecutiveFailures}` : ''}${e.backoffUntil ? ` | retry: ${new Date(e.backoffUntil).toLocaleString()}` : ''}${e.circuitState && e.circuitState !== 'closed' ? ` | circuit: ${e.circuitState}` : ''}`;
+                const timingText = `${e.fetchMs !== null && e.fetchMs !== undefined ? ` | took: ${this.formatFetchDuration(e.fetchMs)}` : ''}${e.waitStrategy ? ` | wait: ${e.waitStrategy} ${this.formatFetchDuration(e.waitMs)}${e.waitTimedOut ? ' (timed out)' : ''}` : ''}`;
+                const metaText = `${new Date(e.time).toLocaleString()} | conf: ${this.formatConfidence(e.confidence)} | src: ${e.source || 'n/a'} | sel: ${e.selectorUsed || 'n/a'}${e.fetchStrategy ? ` | via: ${e.fetchStrategy}` : ''}${e.proxy ? ` | proxy: ${e.proxy}` : ''}${timingText}${e.stockReason ? ` | stock: ${e.stockReason}` : ''}${e.error ? ` | err: ${e.error}` : ''}${failureText}`;
                 return `
                     <div class="diag-row ${e.ok ? 'ok' : 'fail'}">
                         <div>${this.escapeHtml(primaryText)}</div>
@@ -1767,7 +2802,7 @@ class App {
     async clearDiagnostics() {
         if (!confirm('Delete all diagnostics history? This cannot be undone.')) return;
         try {
-            const res = await fetch(`${this.SERVER_URL}/diagnostics`, { method: 'DELETE' });
+            const res = await this.apiFetch(`${this.SERVER_URL}/diagnostics`, { method: 'DELETE' });
             const data = await res.json().catch(() => ({}));
             if (!res.ok) throw new Error(data.error || 'Failed to clear diagnostics');
             await this.renderDiagnosticsPanel();
@@ -1797,6 +2832,7 @@ class App {
         }
 
         this.remoteCheckingItemId = status && status.checkingItemId ? status.checkingItemId : null;
+        this.remoteCheckingItemIds = status && Array.isArray(status.checkingItemIds) ? status.checkingItemIds : [];
         this.applyCheckingHighlights({ scrollToRemote: true });
     }
 
@@ -1816,6 +2852,7 @@ class App {
         const { scrollToRemote = false } = options;
         const activeIds = new Set(this.localCheckingItemIds);
         if (this.remoteCheckingItemId) activeIds.add(this.remoteCheckingItemId);
+        this.remoteCheckingItemIds.forEach(id => activeIds.add(id));
 
         document.querySelectorAll('.currently-checking').forEach(el => el.classList.remove('currently-checking'));
         document.querySelectorAll('button[id^="refresh-"] svg.spin').forEach(el => el.classList.remove('spin'));
@@ -1833,12 +2870,12 @@ class App {
         });
     }
 
-    async scrapePrice(url, selector) {
+    async scrapePrice(url, selector, variantId = null, offers = false) {
         try {
-            const response = await fetch(`${this.SERVER_URL}/extract`, {
+            const response = await this.apiFetch(`${this.SERVER_URL}/extract`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ url, selector: selector || null })
+                body: JSON.stringify({ url, selector: selector || null, variantId: variantId || null, offers: Boolean(offers) })
             });
             if (!response.ok) throw new Error("Extraction failed");
             const data = await response.json();
@@ -1853,8 +2890,21 @@ class App {
                     confidence: data.confidence || 0,
                     source: data.source || null,
                     selectorUsed: data.selectorUsed || null,
+                    customSelectorMatched: typeof data.customSelectorMatched === 'boolean' ? data.customSelectorMatched : null,
                     suggestions: data.suggestions || [],
-                    availability
+                    availability,
+                    platform: data.platform || null,
+                    compareAtPrice: data.compareAtPrice ?? null,
+                    variants: Array.isArray(data.variants) ? data.variants : [],
+                    variantTitle: data.variantTitle || null,
+                    offers: Array.isArray(data.offers) ? data.offers : [],
+                    costs: data.costs || null,
+                    shippingPrice: data.shippingPrice ?? null,
+                    couponDiscount: data.couponDiscount ?? null,
+                    effectivePrice: data.effectivePrice ?? null,
+                    packSize: data.packSize || null,
+                    identifiers: data.identifiers || null,
+                    metadata: data.metadata || null
                 };
             }
         } catch (e) {
@@ -1997,6 +3047,7 @@ class App {
             { label: 'Go to Settings', meta: 'View', action: () => this.switchView('alerts') },
             { label: 'Go to System Activity', meta: 'View', action: () => this.switchView('audit') },
             { label: 'Go to Purchased', meta: 'View', action: () => this.switchView('purchased') },
+            { label: 'Go to Product Groups', meta: 'View', action: () => this.switchView('groups') },
             { label: 'Go to Extractor Lab', meta: 'View', action: () => this.switchView('extractor') },
             {
                 label: 'Show All Items',
@@ -2140,9 +3191,10 @@ class App {
         const menu = document.getElementById('addItemListMenu');
         const label = document.getElementById('addItemListTriggerLabel');
         if (!menu) return;
-        const fallbackId = (this.lists[0] && this.lists[0].id) || 'default';
-        const defaultListId = this.lists.some(l => l.id === this.newItemListId) ? this.newItemListId : fallbackId;
-        const pendingListId = this.lists.some(l => l.id === this.pendingAddItemListId) ? this.pendingAddItemListId : null;
+        const writableLists = this.lists.filter(l => this.canWriteList(l.id));
+        const fallbackId = this.getFirstWritableListId();
+        const defaultListId = writableLists.some(l => l.id === this.newItemListId) ? this.newItemListId : fallbackId;
+        const pendingListId = writableLists.some(l => l.id === this.pendingAddItemListId) ? this.pendingAddItemListId : null;
         this.newItemListId = defaultListId;
         this.pendingAddItemListId = pendingListId;
         localStorage.setItem('pt_new_item_list', this.newItemListId);
@@ -2150,12 +3202,29 @@ class App {
             const pendingList = pendingListId ? this.lists.find(l => l.id === pendingListId) : null;
             label.textContent = pendingList ? pendingList.name : 'Add to';
         }
-        menu.innerHTML = this.lists.map(l => `
+        menu.innerHTML = writableLists.map(l => `
             <button type="button" class="custom-select-option ${pendingListId === l.id ? 'is-selected' : ''}" onclick="app.selectAddItemList('${this.escapeJsString(l.id)}')">${this.escapeHtml(l.name)}</button>
         `).join('');
     }
 
     // --- Core Functionality ---
+
+    // Returns the chosen variant, null when the page has a single variant, or undefined when the user cancels.
+    promptForVariant(variants, currency) {
+        if (!Array.isArray(variants) || variants.length < 2) return null;
+        const defaultIndex = Math.max(0, variants.findIndex(variant => variant.available));
+        const lines = variants.map((variant, index) => {
+            const price = variant.price != null ? this.formatPrice(variant.price, currency) : '-';
+            return `${index + 1}. ${variant.title} | ${price}${variant.available ? '' : ' | sold out'}`;
+        });
+        const answer = prompt(`This page lists ${variants.length} variants. Which one should be tracked?\n\n${lines.join('\n')}`, String(defaultIndex + 1));
+        if (answer === null) return undefined;
+        const choice = parseInt(answer, 10);
+        if (!Number.isFinite(choice) || choice < 1 || choice > variants.length) {
+            throw new Error('Pick a variant number from the list');
+        }
+        return variants[choice - 1];
+    }
 
     async addItem() {
         const urlInp = document.getElementById('urlInput');
@@ -2178,24 +3247,51 @@ class App {
         btn.innerHTML = `<svg class="spin" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><path d="M12 4v16m8-8H4"/></svg> Adding...`;
 
         try {
-            // Check if already exists
-            if (this.items.some(i => this.normalizeTrackedUrl(i.canonicalUrl || i.url) === canonicalUrl)) {
-                throw new Error("Item already tracked!");
-            }
+            // Check if already exists (other members' shared items don't count against ours)
+            const ownItems = this.auth.authConfigured
+                ? this.items.filter(i => (i.ownerId || null) === (this.isHouseholdAdmin() ? null : this.auth.username))
+                : this.items;
+            const isTrackedVariant = variantId => ownItems.some(i => this.normalizeTrackedUrl(i.canonicalUrl || i.url) === canonicalUrl
+                && (i.variantId || null) === variantId);
 
             // Initial Scrape
             const initialData = await this.scrapePrice(url, null);
-            const initialAvailability = initialData?.availability || { status: 'unknown', confidence: 0, reason: '', source: null };
+            const variant = this.promptForVariant(initialData?.variants, initialData?.currency);
+            if (variant === undefined) return;
+            if (isTrackedVariant(variant ? variant.id : null)) {
+                throw new Error("Item already tracked!");
+            }
+            const initialAvailability = variant
+                ? { status: variant.available ? 'in_stock' : 'out_of_stock', confidence: 95, reason: `variant ${variant.title} ${variant.available ? 'available' : 'sold out'}`, source: 'variant' }
+                : (initialData?.availability || { status: 'unknown', confidence: 0, reason: '', source: null });
             const isInitialOutOfStock = initialAvailability.status === 'out_of_stock';
-            if (!initialData || (initialData.price === null && !isInitialOutOfStock)) {
+            const scrapedPrice = variant ? variant.price : initialData?.price;
+            if (!initialData || ((scrapedPrice === null || scrapedPrice === undefined) && !isInitialOutOfStock)) {
                 throw new Error("Could not scrape price. Try this URL in Extractor Lab.");
             }
-            const initialPrice = initialData.price !== null ? Number(initialData.price) : null;
+            const initialPrice = scrapedPrice !== null && scrapedPrice !== undefined ? Number(scrapedPrice) : null;
 
             const newItem = {
                 url,
                 canonicalUrl,
-                selector: initialData.selectorUsed || null,
+                selector: variant ? null : (initialData.selectorUsed || null),
+                variantId: variant ? variant.id : null,
+                variantTitle: variant ? variant.title : null,
+                variants: initialData.variants || [],
+                shippingPrice: variant ? null : initialData.shippingPrice,
+                couponDiscount: variant ? null : initialData.couponDiscount,
+                couponLabel: !variant && initialData.couponDiscount ? (initialData.costs?.couponLabel || null) : null,
+                freeShippingThreshold: initialData.costs?.freeShippingThreshold ?? null,
+                effectivePrice: variant ? null : initialData.effectivePrice,
+                unitQuantity: initialData.packSize?.quantity ?? null,
+                unitOfMeasure: initialData.packSize?.unit ?? null,
+                unitSource: initialData.packSize?.source ?? null,
+                unitPrice: initialData.packSize && initialPrice !== null ? Number((initialPrice / initialData.packSize.quantity).toFixed(4)) : null,
+                ...(initialData.identifiers || {}),
+                pageTitle: initialData.metadata?.title || null,
+                imageUrl: initialData.metadata?.imageUrl || null,
+                category: initialData.metadata?.category || null,
+                ...(variant ? { gtin: null, sku: variant.sku || null } : {}),
                 name: name || initialData.title || new URL(url).hostname,
                 listId: selectedListId || this.newItemListId || (this.lists[0] && this.lists[0].id) || 'default',
                 purchased: false,
@@ -2232,7 +3328,15 @@ class App {
             this.renderListControls();
             this.logAction('item.added', { itemId: createdItem.id, name: createdItem.name, listId: createdItem.listId });
             this.render();
-            this.showToast(isInitialOutOfStock ? "Item Added (currently out of stock)" : "Item Added!", "success");
+            const match = Array.isArray(data.matches) ? data.matches[0] : null;
+            if (match) {
+                this.productMatches = [...this.productMatches.filter(entry => entry.id !== match.id), match];
+                const other = this.items.find(item => item.id !== createdItem.id && match.itemIds.includes(item.id));
+                const hint = match.kind === 'duplicate' ? 'Possible duplicate of' : 'Same product as';
+                this.showToast(`Item Added. ${hint} "${other ? other.name : 'another item'}"; see Product Groups.`, "success");
+            } else {
+                this.showToast(isInitialOutOfStock ? "Item Added (currently out of stock)" : "Item Added!", "success");
+            }
 
             // Clear inputs
             urlInp.value = '';
@@ -2344,7 +3448,7 @@ class App {
             const previousStockStatus = String(item.stockStatus || 'unknown');
 
             try {
-                extracted = await this.scrapePrice(item.url, item.selector);
+                extracted = await this.scrapePrice(item.url, item.selector, item.variantId || null, item.offerMode);
                 const availability = extracted?.availability || { status: 'unknown', confidence: 0, reason: '', source: null };
                 price = extracted ? extracted.price : null;
                 stockStatus = availability.status || (price !== null ? 'in_stock' : 'unknown');
@@ -2362,6 +3466,7 @@ class App {
                             revision: this.itemsRevision,
                             expectedUrl: item.url,
                             expectedSelector: item.selector || null,
+                            expectedVariantId: item.variantId || null,
                             error: scrapeError.message || 'Check failed'
                         })
                     }, 'Failed to persist failed check result');
@@ -2383,7 +3488,8 @@ class App {
                         revision: this.itemsRevision,
                         expectedUrl: item.url,
                         expectedSelector: item.selector || null,
-                        extraction
+                        expectedVariantId: item.variantId || null,
+                        extraction: extracted
                     })
                 }, 'Failed to persist refresh result');
             } catch (persistError) {
@@ -2430,7 +3536,7 @@ class App {
         // OR trigger backend endpoint
         // Let's use backend endpoint for efficiency
         try {
-            const res = await fetch(`${this.SERVER_URL}/check-now`, { method: 'POST' });
+            const res = await this.apiFetch(`${this.SERVER_URL}/check-now`, { method: 'POST' });
             const data = await res.json().catch(() => ({}));
             if (!res.ok) throw new Error(data.error || 'Failed to trigger background check');
             this.showToast('Background check started...', 'success');
@@ -2490,6 +3596,15 @@ class App {
 
             if (m === 'price_asc') return aPriceInUSD - bPriceInUSD;
             if (m === 'price_desc') return bPriceInUSD - aPriceInUSD;
+            if (m === 'effective_asc') return this.getNormalizedEffectivePrice(a) - this.getNormalizedEffectivePrice(b);
+            if (m === 'effective_desc') return this.getNormalizedEffectivePrice(b) - this.getNormalizedEffectivePrice(a);
+            if (m === 'unit_asc' || m === 'unit_desc') {
+                // Items without a pack size sort last either way.
+                const aUnit = this.getNormalizedUnitPrice(a);
+                const bUnit = this.getNormalizedUnitPrice(b);
+                if (aUnit === null || bUnit === null) return (aUnit === null) - (bUnit === null);
+                return m === 'unit_asc' ? aUnit - bUnit : bUnit - aUnit;
+            }
             if (m === 'name_asc') return a.name.localeCompare(b.name);
             if (m === 'name_desc') return b.name.localeCompare(a.name);
             if (m === 'list_asc') return this.getListName(a.listId || 'default').localeCompare(this.getListName(b.listId || 'default'));
@@ -2521,6 +3636,14 @@ class App {
     }
 
     handleHeaderClick(field) {
+        // Price cycles through the headline price, the total after coupons and shipping, and the unit price.
+        if (field === 'price') {
+            const cycle = ['price_asc', 'price_desc', 'effective_asc', 'effective_desc', 'unit_asc', 'unit_desc'];
+            this.sortMethod = cycle[(cycle.indexOf(this.sortMethod) + 1) % cycle.length];
+            localStorage.setItem('pt_sort_method', this.sortMethod);
+            this.render();
+            return;
+        }
         // cycle asc -> desc -> asc
         if (this.sortMethod === `${field}_asc`) {
             this.sortMethod = `${field}_desc`;
@@ -2578,6 +3701,18 @@ class App {
         }
     }
 
+    // Thumbnails come from the server's cache; the shop's own image URL is never hotlinked.
+    getThumbnailHtml(item) {
+        if (!item.thumbnailFile) return '';
+        const version = [...String(item.thumbnailSourceUrl || '')].reduce((hash, char) => ((hash * 31) + char.charCodeAt(0)) | 0, 0).toString(36);
+        const src = `${this.SERVER_URL}/items/${encodeURIComponent(item.id)}/thumbnail?v=${version}`;
+        return `<img class="item-thumb" src="${this.escapeHtml(src)}" alt="" loading="lazy" onerror="this.remove()">`;
+    }
+
+    getScreenshotUrl(item, file) {
+        return `${this.SERVER_URL}/items/${encodeURIComponent(item.id)}/screenshots/${encodeURIComponent(file)}`;
+    }
+
     getDomSafeId(value, prefix = '') {
         const normalized = String(value || '')
             .split('')
@@ -2650,12 +3785,65 @@ class App {
                 clickable: false
             };
         }
-        return {
-            text: this.getRelativeTime(item.lastChecked),
-            title: item.lastChecked ? new Date(item.lastChecked).toLocaleString() : '',
-            className: '',
-            clickable: false
-        };
+        return {
+            text: this.getRelativeTime(item.lastChecked),
+            title: item.lastChecked ? new Date(item.lastChecked).toLocaleString() : '',
+            className: '',
+            clickable: false
+        };
+    }
+
+    // Mirrors the server scheduler: item override, then list override, then the global interval.
+    getEffectiveCheckIntervalMs(item) {
+        const itemInterval = Number(item && item.checkIntervalMs);
+        if (Number.isFinite(itemInterval) && itemInterval > 0) return itemInterval;
+        const list = this.lists.find(l => l.id === ((item && item.listId) || 'default'));
+        const listInterval = Number(list && list.checkIntervalMs);
+        if (Number.isFinite(listInterval) && listInterval > 0) return listInterval;
+        return this.getCheckIntervalMs();
+    }
+
+    // The server's schedule includes adaptive cadence; the local mirror only covers fixed intervals.
+    getItemCadence(item) {
+        const schedule = this.itemSchedules[item.id];
+        if (schedule && Number(schedule.intervalMs) > 0) return schedule;
+        return { intervalMs: this.getEffectiveCheckIntervalMs(item), reason: '', nextCheckAt: null };
+    }
+
+    // Mirrors the server's host key so circuit state can be matched to items.
+    getItemHostKey(url) {
+        try {
+            return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+        } catch (_) {
+            return String(url || '');
+        }
+    }
+
+    getItemHostCircuit(item) {
+        const hostKey = this.getItemHostKey(item.url);
+        return this.hostCircuits.find(circuit => circuit.host === hostKey && circuit.state !== 'closed') || null;
+    }
+
+    getNextCheckText(item) {
+        if (item.purchased) return '';
+        const cadence = this.getItemCadence(item);
+        const lastAttempt = new Date(item.lastCheckAttempt || item.lastChecked || '').getTime();
+        const nextCheckAt = cadence.nextCheckAt
+            ? new Date(cadence.nextCheckAt).getTime()
+            : lastAttempt + cadence.intervalMs;
+        if (!Number.isFinite(nextCheckAt)) return 'Next: due now';
+        const remainingMins = Math.ceil((nextCheckAt - Date.now()) / 60000);
+        if (remainingMins <= 0) return 'Next: due now';
+        if (remainingMins < 60) return `Next: in ${remainingMins}m`;
+        const hours = Math.round(remainingMins / 60);
+        return hours < 24 ? `Next: in ${hours}h` : `Next: in ${Math.round(hours / 24)}d`;
+    }
+
+    getCheckedCellHtml(item, meta) {
+        const nextText = this.getNextCheckText(item);
+        const cadence = this.getItemCadence(item);
+        const intervalTitle = `Checked every ${this.formatCheckInterval(cadence.intervalMs)}${cadence.reason ? ` (${cadence.reason})` : ''}`;
+        return `${this.escapeHtml(meta.text)}${nextText ? `<div class="next-check-meta" title="${this.escapeHtml(intervalTitle)}">${this.escapeHtml(nextText)}</div>` : ''}`;
     }
 
     updateRelativeTimes() {
@@ -2663,7 +3851,7 @@ class App {
             const cell = document.querySelector(`.checked-cell[data-item-dom-id="${this.getDomSafeId(item.id, 'item-')}"]`);
             if (!cell) return;
             const meta = this.getLastCheckMeta(item);
-            cell.textContent = meta.text;
+            cell.innerHTML = this.getCheckedCellHtml(item, meta);
             cell.title = meta.title;
             cell.classList.toggle('checked-failed', meta.className === 'checked-failed');
             cell.classList.toggle('checked-oos', meta.className === 'checked-oos');
@@ -2713,7 +3901,7 @@ class App {
         if (item.stockStatus === 'out_of_stock' || !(item.targetPrice && item.targetPrice > 0)) {
             return { isTargetHit: false, targetHtml: '' };
         }
-        const isTargetHit = item.currentPrice <= item.targetPrice;
+        const isTargetHit = this.getTargetComparablePrice(item) <= item.targetPrice;
         const targetHtml = `
             <div class="target-price-container" style="font-size: 0.7rem; color: var(--text-muted); margin-top: 2px;">
                 ${isTargetHit ? '<span style="color: var(--accent); font-weight: bold;">HIT</span>' : `Target: ${this.formatPrice(item.targetPrice, currency)}`}
@@ -2778,7 +3966,8 @@ class App {
             alerts: document.getElementById('alertsPanel'),
             extractor: document.getElementById('extractorPanel'),
             audit: document.getElementById('auditPanel'),
-            purchased: document.getElementById('purchasedPanel')
+            purchased: document.getElementById('purchasedPanel'),
+            groups: document.getElementById('groupsPanel')
         };
         Object.entries(map).forEach(([k, el]) => {
             if (!el) return;
@@ -2789,6 +3978,11 @@ class App {
             this.fillSettingsForm();
             this.renderListsManager();
             void this.renderBackupsList();
+            void this.renderApiTokensList();
+            void this.renderHouseholdMembers();
+            void this.renderSiteAdapters();
+            void this.renderProxyPool();
+            void this.renderBrowserProfiles();
             return;
         }
         if (view === 'audit') {
@@ -2801,6 +3995,10 @@ class App {
         if (view === 'purchased') {
             this.renderPurchasedPanel();
         }
+        if (view === 'groups') {
+            this.renderGroupsPanel();
+            void this.loadProductMatches().then(() => this.renderMatchesList());
+        }
     }
 
     switchViewFromMenu(view) {
@@ -2868,11 +4066,76 @@ class App {
                     time: item.stockChangedAt || alertTime
                 });
             }
-            if (rules.targetHitEnabled && item.stockStatus !== 'out_of_stock' && item.targetPrice && item.currentPrice <= item.targetPrice) {
+            const circuit = item.purchased ? null : this.getItemHostCircuit(item);
+            if (circuit) {
+                pushAlert({
+                    severity: 'warning',
+                    title: `${item.name}: site paused after repeated failures`,
+                    meta: `${circuit.state === 'open' ? `Circuit open until ${new Date(circuit.openUntil).toLocaleString()}` : 'Circuit half-open, next check is a trial'} | ${circuit.host} | ${circuit.consecutiveFailures} failures in a row${circuit.lastError ? ` | ${circuit.lastError}` : ''}`,
+                    id: item.id,
+                    time: item.lastCheckAttempt || alertTime
+                });
+            } else if (!item.purchased && Number(item.consecutiveFailures) >= 2) {
+                pushAlert({
+                    severity: 'warning',
+                    title: `${item.name}: failing checks`,
+                    meta: `${item.consecutiveFailures} failures in a row | ${listName}${item.backoffUntil ? ` | retry after ${new Date(item.backoffUntil).toLocaleString()}` : ''}${item.lastCheckError ? ` | ${item.lastCheckError}` : ''}`,
+                    id: item.id,
+                    time: item.lastCheckAttempt || alertTime
+                });
+            }
+            if (!item.purchased && item.pendingPrice) {
+                const pending = item.pendingPrice;
+                const safeItemId = this.escapeJsString(item.id);
+                pushAlert({
+                    severity: 'warning',
+                    title: `${item.name}: price reading on hold`,
+                    meta: `Read ${this.formatPrice(pending.price, pending.currency || item.currency || 'USD')} | keeping ${this.formatPrice(item.currentPrice, item.currency || 'USD')} | ${pending.reason} | re-checking soon`,
+                    id: item.id,
+                    time: pending.detectedAt || alertTime,
+                    actions: [
+                        { label: 'Accept reading', onclick: `app.resolvePendingPrice('${safeItemId}', 'accept')` },
+                        { label: 'Reject', onclick: `app.resolvePendingPrice('${safeItemId}', 'reject')` }
+                    ]
+                });
+            }
+            if (!item.purchased && item.selectorProposal) {
+                const proposal = item.selectorProposal;
+                const safeItemId = this.escapeJsString(item.id);
+                pushAlert({
+                    severity: 'warning',
+                    title: `${item.name}: custom selector stopped matching`,
+                    meta: `Suggested ${proposal.selector} reads ${this.formatPrice(proposal.price, proposal.currency || item.currency || 'USD')} | last known ${this.formatPrice(proposal.lastKnownPrice, item.currency || 'USD')} | was ${proposal.previousSelector}`,
+                    id: item.id,
+                    time: proposal.proposedAt || alertTime,
+                    actions: [
+                        { label: 'Accept selector', onclick: `app.resolveSelectorProposal('${safeItemId}', 'accept')` },
+                        { label: 'Dismiss', onclick: `app.resolveSelectorProposal('${safeItemId}', 'dismiss')` }
+                    ]
+                });
+            } else if (!item.purchased && item.selector && Number(item.selectorHealth?.consecutiveMisses) >= 2) {
+                pushAlert({
+                    severity: 'warning',
+                    title: `${item.name}: custom selector stopped matching`,
+                    meta: `${item.selector} missed ${item.selectorHealth.consecutiveMisses} checks in a row | no candidate near the last known price`,
+                    id: item.id,
+                    time: item.selectorHealth.lastMissAt || alertTime
+                });
+            }
+            if (rules.targetHitEnabled && item.stockStatus !== 'out_of_stock' && item.targetPrice && this.getTargetComparablePrice(item) <= item.targetPrice) {
                 pushAlert({
                     severity: 'critical',
                     title: `${item.name}: target hit`,
-                    meta: `${alertTime ? new Date(alertTime).toLocaleString() : 'n/a'} | ${listName} | ${this.formatPrice(item.currentPrice, item.currency || 'USD')}`,
+                    meta: `${alertTime ? new Date(alertTime).toLocaleString() : 'n/a'} | ${listName} | ${this.formatPrice(this.getTargetComparablePrice(item), item.currency || 'USD')}${rules.targetUseEffectivePrice ? ' total' : ''}`,
+                    id: item.id,
+                    time: alertTime
+                });
+            }
+            if (rules.unitTargetHitEnabled && item.stockStatus !== 'out_of_stock' && item.unitTargetPrice && item.unitPrice != null && item.unitPrice <= item.unitTargetPrice) {
+                pushAlert({
+                    severity: 'critical',
+                    title: `${item.name}: unit price target hit`,
+                    meta: `${alertTime ? new Date(alertTime).toLocaleString() : 'n/a'} | ${listName} | ${this.formatUnitPrice(item.unitPrice, item.unitOfMeasure, item.currency || 'USD')}`,
                     id: item.id,
                     time: alertTime
                 });
@@ -2934,10 +4197,56 @@ class App {
             <div class="alert-row ${a.severity}" onclick="app.showHistoryModal('${this.escapeJsString(a.id)}')">
                 <div class="alert-title">${this.escapeHtml(a.title)}</div>
                 <div class="alert-meta">${this.escapeHtml(a.meta || '')}</div>
+                ${a.actions ? `<div class="alert-actions">${a.actions.map(action => `<button class="icon-btn purchased-action-btn" onclick="event.stopPropagation(); ${this.escapeHtml(action.onclick)}">${this.escapeHtml(action.label)}</button>`).join('')}</div>` : ''}
             </div>
         `).join('');
     }
 
+    async resolvePendingPrice(id, action) {
+        const item = this.items.find(i => i.id === id);
+        if (!item || !item.pendingPrice) return;
+        const pendingPrice = item.pendingPrice;
+        try {
+            await this.sendItemMutation(`${this.SERVER_URL}/items/${encodeURIComponent(id)}/pending-price/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ revision: this.itemsRevision })
+            }, 'Failed to update pending price');
+            this.logAction(action === 'accept' ? 'item.pending_price_accepted' : 'item.pending_price_rejected', {
+                itemId: item.id,
+                name: item.name,
+                price: pendingPrice.price
+            });
+            this.render();
+            const reading = this.formatPrice(pendingPrice.price, pendingPrice.currency || item.currency || 'USD');
+            this.showToast(action === 'accept' ? `${item.name} is now ${reading}` : `Rejected ${reading} for ${item.name}`, 'success');
+        } catch (e) {
+            this.showToast(e.message || 'Failed to update pending price', 'error');
+        }
+    }
+
+    async resolveSelectorProposal(id, action) {
+        const item = this.items.find(i => i.id === id);
+        if (!item || !item.selectorProposal) return;
+        const proposedSelector = item.selectorProposal.selector;
+        try {
+            await this.sendItemMutation(`${this.SERVER_URL}/items/${encodeURIComponent(id)}/selector-proposal/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ revision: this.itemsRevision })
+            }, 'Failed to update selector proposal');
+            this.logAction(action === 'accept' ? 'item.selector_repaired' : 'item.selector_proposal_dismissed', {
+                itemId: item.id,
+                name: item.name,
+                selector: proposedSelector
+            });
+            this.render();
+            this.showToast(action === 'accept' ? `${item.name} now uses ${proposedSelector}` : 'Selector proposal dismissed', 'success');
+        } catch (e) {
+            this.showToast(e.message || 'Failed to update selector proposal', 'error');
+        }
+    }
+
     renderPurchasedPanel() {
         const list = document.getElementById('purchasedList');
         if (!list) return;
@@ -2952,10 +4261,11 @@ class App {
             const safeUrl = this.escapeHtml(this.getSafeExternalUrl(item.url));
             return `
                 <div class="purchased-row">
+                    ${this.getThumbnailHtml(item)}
                     <div class="purchased-main">
                         <div class="purchased-title">${this.escapeHtml(item.name)}</div>
                         <div class="purchased-meta">
-                            ${item.purchasedAt ? new Date(item.purchasedAt).toLocaleString() : 'n/a'} | ${this.escapeHtml(this.getListName(item.listId || 'default'))}
+                            ${item.brand ? `${this.escapeHtml(item.brand)} | ` : ''}${item.purchasedAt ? new Date(item.purchasedAt).toLocaleString() : 'n/a'} | ${this.escapeHtml(this.getListName(item.listId || 'default'))}
                             ${item.currentPrice ? ` | ${this.formatPrice(item.currentPrice, this.getCurrency(item))}` : ''}
                         </div>
                     </div>
@@ -2974,6 +4284,289 @@ class App {
         }).join('');
     }
 
+    // --- Product Groups ---
+    getGroupMembers(groupId) {
+        return this.items.filter(item => item.groupId === groupId && !item.purchased);
+    }
+
+    // Cheapest in-stock member by USD price, so stores in different currencies compare directly.
+    getGroupCheapestMember(members) {
+        return members
+            .filter(item => Number.isFinite(item.currentPrice) && item.currentPrice > 0 && item.stockStatus !== 'out_of_stock')
+            .reduce((best, item) => (!best || this.getNormalizedPrice(item) < this.getNormalizedPrice(best) ? item : best), null);
+    }
+
+    buildGroupChart(members, colors) {
+        const series = members
+            .map((item, index) => ({
+                color: colors[index % colors.length],
+                points: (Array.isArray(item.history) ? item.history : [])
+                    .map(entry => ({ time: new Date(entry.date).getTime(), price: this.convertToUSD(entry.price, this.getCurrency(item)) }))
+                    .filter(point => Number.isFinite(point.time) && Number.isFinite(point.price))
+                    .sort((a, b) => a.time - b.time)
+            }))
+            .filter(entry => entry.points.length);
+        const allPoints = series.flatMap(entry => entry.points);
+        if (allPoints.length < 2) return '<div class="group-best">Not enough history for a chart yet.</div>';
+
+        const width = 600;
+        const height = 140;
+        const minTime = Math.min(...allPoints.map(point => point.time));
+        const timeRange = Math.max(...allPoints.map(point => point.time)) - minTime || 1;
+        const minPrice = Math.min(...allPoints.map(point => point.price));
+        const priceRange = Math.max(...allPoints.map(point => point.price)) - minPrice || 1;
+        const lines = series.map((entry) => {
+            // A single reading is drawn flat to "now" so a newly added store still shows up.
+            const points = entry.points.length === 1 ? [entry.points[0], { ...entry.points[0], time: minTime + timeRange }] : entry.points;
+            const coords = points
+                .map(point => `${((point.time - minTime) / timeRange) * width},${height - ((point.price - minPrice) / priceRange) * (height - 10) - 5}`)
+                .join(' ');
+            return `<polyline fill="none" stroke="${entry.color}" stroke-width="2" points="${coords}" vector-effect="non-scaling-stroke"/>`;
+        }).join('');
+        return `<svg width="100%" height="100%" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" style="overflow: visible;">${lines}</svg>`;
+    }
+
+    renderGroupsPanel() {
+        const list = document.getElementById('groupsList');
+        if (!list) return;
+        if (!this.productGroups.length) {
+            list.innerHTML = '<div class="purchased-row"><div class="purchased-title">No product groups yet.</div><div class="purchased-meta">Create a group, then pick it under Product Group when editing each store\'s item.</div></div>';
+            return;
+        }
+        const colors = ['#e2b340', '#34d399', '#60a5fa', '#f472b6', '#a78bfa', '#f87171'];
+        list.innerHTML = this.productGroups.map((group) => {
+            const safeGroupId = this.escapeJsString(group.id);
+            const members = this.getGroupMembers(group.id);
+            const cheapest = this.getGroupCheapestMember(members);
+            const cheapestUSD = cheapest ? this.getNormalizedPrice(cheapest) : null;
+            const targetUSD = group.targetPrice ? this.convertToUSD(group.targetPrice, group.targetCurrency) : null;
+            const isTargetHit = cheapestUSD !== null && targetUSD !== null && cheapestUSD <= targetUSD;
+            const bestText = cheapest
+                ? `Cheapest: <strong>${this.formatPrice(cheapest.currentPrice, this.getCurrency(cheapest))}</strong> at ${this.escapeHtml(this.getDisplayHostname(cheapest.url))} (${this.formatPrice(cheapestUSD, 'USD')})`
+                : 'No in-stock prices yet';
+            const targetText = group.targetPrice
+                ? ` | ${isTargetHit ? '<span style="color: var(--accent); font-weight: bold;">HIT</span>' : 'Target'}: ${this.formatPrice(group.targetPrice, group.targetCurrency)}`
+                : '';
+            const rows = members.map((item, index) => `
+                <div class="group-member-row ${cheapest && cheapest.id === item.id ? 'is-cheapest' : ''}">
+                    <span class="group-swatch" style="background: ${colors[index % colors.length]};"></span>
+                    <span class="group-member-name">${this.escapeHtml(this.getDisplayHostname(item.url))} - ${this.escapeHtml(item.name)}</span>
+                    <span>${item.stockStatus === 'out_of_stock' ? 'Out of stock' : this.formatPrice(item.currentPrice, this.getCurrency(item))}</span>
+                    <span>${item.currentPrice ? this.formatPrice(this.getNormalizedPrice(item), 'USD') : '-'}</span>
+                </div>
+            `).join('');
+            return `
+                <div class="group-card ${isTargetHit ? 'is-target-hit' : ''}">
+                    <div class="group-head">
+                        <div class="purchased-main">
+                            <div class="purchased-title">${this.escapeHtml(group.name)}</div>
+                            <div class="group-best">${bestText}${targetText} | ${members.length} store${members.length === 1 ? '' : 's'}</div>
+                        </div>
+                        <div class="purchased-actions">
+                            <button class="icon-btn purchased-action-btn" onclick="app.setProductGroupTarget('${safeGroupId}')">Target</button>
+                            <button class="icon-btn purchased-action-btn" onclick="app.renameProductGroup('${safeGroupId}')">Rename</button>
+                            <button class="icon-btn purchased-action-btn danger" onclick="app.deleteProductGroup('${safeGroupId}')">Delete</button>
+                        </div>
+                    </div>
+                    ${members.length ? `<div class="group-chart">${this.buildGroupChart(members, colors)}</div>` : ''}
+                    <div class="group-members">${rows || '<div class="group-best">No items in this group yet. Edit an item and choose this group.</div>'}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async sendProductGroupMutation(url, method, body, fallbackMessage) {
+        const res = await this.apiFetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...body, revision: this.settingsRevision })
+        });
+        const data = await res.json().catch(() => ({}));
+        if (res.status === 409) {
+            await this.handleConfigConflict(data, { includeItems: true, fallbackMessage: 'Groups changed in another tab. Reloaded the latest groups.' });
+            await this.loadProductGroups();
+        }
+        if (!res.ok) throw new Error(data.error || fallbackMessage);
+        const revision = Number(data.settingsRevision ?? data.revision);
+        if (Number.isFinite(revision)) this.settingsRevision = revision;
+        if (Array.isArray(data.groups)) this.productGroups = data.groups;
+        return data;
+    }
+
+    async createProductGroup() {
+        const name = prompt('Group name (e.g. the product model)');
+        if (!name || !name.trim()) return;
+        try {
+            await this.sendProductGroupMutation(`${this.SERVER_URL}/groups`, 'POST', { name: name.trim() }, 'Failed to create group');
+            this.renderGroupsPanel();
+            this.showToast('Group created. Pick it under Product Group when editing an item.', 'success');
+            this.logAction('group.created', { name: name.trim() });
+        } catch (e) {
+            this.showToast(e.message, 'error');
+        }
+    }
+
+    async renameProductGroup(groupId) {
+        const group = this.productGroups.find(g => g.id === groupId);
+        if (!group) return;
+        const name = prompt('Rename group', group.name);
+        if (!name || !name.trim() || name.trim() === group.name) return;
+        try {
+            await this.sendProductGroupMutation(`${this.SERVER_URL}/groups/${encodeURIComponent(groupId)}`, 'PATCH', { name: name.trim() }, 'Failed to rename group');
+            this.renderGroupsPanel();
+            this.showToast('Group renamed', 'success');
+            this.logAction('group.renamed', { groupId, name: name.trim() });
+        } catch (e) {
+            this.showToast(e.message, 'error');
+        }
+    }
+
+    async setProductGroupTarget(groupId) {
+        const group = this.productGroups.find(g => g.id === groupId);
+        if (!group) return;
+        const current = group.targetPrice ? `${group.targetPrice} ${group.targetCurrency}` : '';
+        const input = prompt('Group target price with currency (e.g. 499 USD). Leave empty to clear.', current);
+        if (input === null) return;
+        const match = input.trim().match(/^([\d.,]+)\s*([A-Za-z]{3})?$/);
+        if (input.trim() && !match) {
+            this.showToast('Enter an amount and an optional currency code, e.g. 499 USD', 'error');
+            return;
+        }
+        const targetPrice = match ? Number(match[1].replace(',', '.')) : null;
+        const targetCurrency = match && match[2] ? match[2].toUpperCase() : (group.targetCurrency || 'USD');
+        try {
+            await this.sendProductGroupMutation(`${this.SERVER_URL}/groups/${encodeURIComponent(groupId)}`, 'PATCH', { targetPrice, targetCurrency }, 'Failed to set group target');
+            this.renderGroupsPanel();
+            this.showToast(targetPrice ? 'Group target saved' : 'Group target cleared', 'success');
+            this.logAction('group.target_changed', { groupId, targetPrice, targetCurrency });
+        } catch (e) {
+            this.showToast(e.message, 'error');
+        }
+    }
+
+    async deleteProductGroup(groupId) {
+        const group = this.productGroups.find(g => g.id === groupId);
+        if (!group) return;
+        if (!confirm(`Delete group "${group.name}"? Its items stay tracked on their own.`)) return;
+        try {
+            const data = await this.sendProductGroupMutation(`${this.SERVER_URL}/groups/${encodeURIComponent(groupId)}/delete`, 'POST', {}, 'Failed to delete group');
+            if (Array.isArray(data.items)) this.applyServerItemsPayload(data, data.items);
+            this.render();
+            this.showToast('Group deleted', 'success');
+            this.logAction('group.deleted', { groupId, name: group.name });
+        } catch (e) {
+            this.showToast(e.message, 'error');
+        }
+    }
+
+    async loadProductMatches() {
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/matches`);
+            if (!res.ok) return;
+            const data = await res.json();
+            this.productMatches = Array.isArray(data.matches) ? data.matches : [];
+        } catch (e) {
+            console.warn('Could not load product matches', e);
+        }
+    }
+
+    renderMatchesList() {
+        const list = document.getElementById('matchesList');
+        if (!list) return;
+        const reasonLabels = { gtin: 'Same GTIN', mpn: 'Same brand and MPN', sku: 'Same store SKU' };
+        // Cached matches can outlive an item deleted since the last load.
+        const matches = this.productMatches
+            .map(match => ({ ...match, members: match.itemIds.map(id => this.items.find(item => item.id === id)).filter(Boolean) }))
+            .filter(match => match.members.length > 1);
+        if (!matches.length) {
+            list.innerHTML = '<div class="purchased-row"><div class="purchased-title">No suggestions right now.</div><div class="purchased-meta">Matches appear once checks have read product identifiers from the pages.</div></div>';
+            return;
+        }
+        list.innerHTML = matches.map((match) => {
+            const safeMatchId = this.escapeJsString(match.id);
+            const title = match.kind === 'duplicate'
+                ? `Possible duplicate on ${this.escapeHtml(this.getDisplayHostname(match.members[0].url))}`
+                : `Same product at ${new Set(match.members.map(item => this.getDisplayHostname(item.url))).size} stores`;
+            const rows = match.members.map(item => `
+                <div class="group-member-row">
+                    <span class="group-member-name">${this.escapeHtml(this.getDisplayHostname(item.url))} - ${this.escapeHtml(item.name)}</span>
+                    <span>${item.currentPrice ? this.formatPrice(item.currentPrice, this.getCurrency(item)) : '-'}</span>
+                </div>
+            `).join('');
+            return `
+                <div class="group-card">
+                    <div class="group-head">
+                        <div class="purchased-main">
+                            <div class="purchased-title">${title}</div>
+                            <div class="group-best">${reasonLabels[match.reason] || 'Same identifiers'}</div>
+                        </div>
+                        <div class="purchased-actions">
+                            ${match.kind === 'same-product' ? `<button class="icon-btn purchased-action-btn" onclick="app.groupProductMatch('${safeMatchId}')">Group</button>` : ''}
+                            <button class="icon-btn purchased-action-btn" onclick="app.dismissProductMatch('${safeMatchId}')">Dismiss</button>
+                        </div>
+                    </div>
+                    <div class="group-members">${rows}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Joins the group one of the items already has, or creates one; then links the rest one PATCH at a time.
+    async groupProductMatch(matchId) {
+        const match = this.productMatches.find(entry => entry.id === matchId);
+        if (!match) return;
+        const members = match.itemIds.map(id => this.items.find(item => item.id === id)).filter(Boolean);
+        try {
+            let groupId = this.productGroups.some(group => group.id === match.groupId) ? match.groupId : null;
+            if (!groupId) {
+                const suggestedName = members.map(item => item.name).sort((a, b) => a.length - b.length)[0] || 'Product';
+                const name = prompt('Name for the new product group', suggestedName);
+                if (!name || !name.trim()) return;
+                const data = await this.sendProductGroupMutation(`${this.SERVER_URL}/groups`, 'POST', { name: name.trim() }, 'Failed to create group');
+                groupId = data.group.id;
+                this.logAction('group.created', { name: name.trim() });
+            }
+            for (const item of members.filter(entry => entry.groupId !== groupId && this.canEditItem(entry))) {
+                const data = await this.sendItemMutation(`${this.SERVER_URL}/items/${encodeURIComponent(item.id)}`, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ groupId, revision: this.itemsRevision })
+                }, 'Failed to group item');
+                const idx = this.items.findIndex(entry => entry.id === item.id);
+                if (idx !== -1) this.items[idx] = this.normalizeServerItems([data.item])[0] || data.item;
+                const revision = Number(data.revision);
+                if (Number.isFinite(revision)) this.itemsRevision = revision;
+            }
+            await Promise.all([this.loadProductGroups(), this.loadProductMatches()]);
+            this.render();
+            this.showToast('Items grouped', 'success');
+            this.logAction('group.matched', { groupId, itemIds: match.itemIds, reason: match.reason });
+        } catch (e) {
+            this.showToast(e.message, 'error');
+        }
+    }
+
+    async dismissProductMatch(matchId) {
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/matches/${encodeURIComponent(matchId)}/dismiss`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ revision: this.settingsRevision })
+            });
+            const data = await res.json().catch(() => ({}));
+            if (res.status === 409) {
+                await this.handleConfigConflict(data, { fallbackMessage: 'Settings changed in another tab. Reloaded the latest settings.' });
+            }
+            if (!res.ok) throw new Error(data.error || 'Failed to dismiss match');
+            const revision = Number(data.revision);
+            if (Number.isFinite(revision)) this.settingsRevision = revision;
+            this.productMatches = Array.isArray(data.matches) ? data.matches : this.productMatches.filter(entry => entry.id !== matchId);
+            this.renderMatchesList();
+        } catch (e) {
+            this.showToast(e.message, 'error');
+        }
+    }
+
     async runExtractorLab() {
         const urlInput = document.getElementById('labUrlInput');
         const selectorInput = document.getElementById('labSelectorInput');
@@ -2981,6 +4574,7 @@ class App {
         const runBtn = document.getElementById('labRunBtn');
         const url = urlInput ? urlInput.value.trim() : '';
         const selector = selectorInput ? selectorInput.value.trim() : '';
+        const pageActions = document.getElementById('labActionsInput')?.value || '';
         if (!url) {
             this.showToast('Enter a URL for extractor lab', 'error');
             return;
@@ -2988,10 +4582,10 @@ class App {
         if (runBtn) runBtn.classList.add('state-loading');
         if (resultEl) resultEl.innerHTML = 'Running extraction...';
         try {
-            const res = await fetch(`${this.SERVER_URL}/extract`, {
+            const res = await this.apiFetch(`${this.SERVER_URL}/extract`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ url, selector: selector || null })
+                body: JSON.stringify({ url, selector: selector || null, pageActions })
             });
             const data = await res.json();
             if (!res.ok || !data.success) throw new Error(data.error || 'Extraction failed');
@@ -3013,6 +4607,8 @@ class App {
                         <div><span class="lab-label">Stock:</span> ${this.escapeHtml(data.availability?.status || 'unknown')}</div>
                         <div><span class="lab-label">Stock Confidence:</span> ${this.formatConfidence(data.availability?.confidence)}</div>
                         <div><span class="lab-label">Selector Used:</span> ${this.escapeHtml(data.selectorUsed || 'none')}</div>
+                        <div><span class="lab-label">Fetched Via:</span> ${this.escapeHtml(data.fetchStrategy || 'n/a')} in ${this.formatFetchDuration(data.fetchMs)}</div>
+                        <div><span class="lab-label">Page Wait:</span> ${data.wait ? `${this.escapeHtml(data.wait.strategy)} ${this.formatFetchDuration(data.wait.waitedMs)}${data.wait.timedOut ? ' (timed out)' : ''}` : 'n/a'}</div>
                         <div class="lab-title"><span class="lab-label">Title:</span> ${this.escapeHtml(data.title || 'n/a')}</div>
                         <div class="lab-title"><span class="lab-label">Stock Reason:</span> ${this.escapeHtml(data.availability?.reason || 'n/a')}</div>
                         <div class="lab-title"><span class="lab-label">Stock Source:</span> ${this.escapeHtml(data.availability?.source || 'n/a')}</div>
@@ -3031,6 +4627,63 @@ class App {
         }
     }
 
+    // Turns stored steps back into the one-per-line script the server parses.
+    formatPageActions(actions) {
+        return (Array.isArray(actions) ? actions : []).map((action) => {
+            const prefix = action.optional ? 'try ' : '';
+            if (action.type === 'wait') return `${prefix}wait ${action.ms}`;
+            if (action.type === 'type') return `${prefix}type ${action.selector} | ${action.text}`;
+            return `${prefix}${action.type}${action.selector ? ` ${action.selector}` : ''}`;
+        }).join('\n');
+    }
+
+    async runPageActionSteps() {
+        const url = document.getElementById('labUrlInput')?.value.trim() || '';
+        const selector = document.getElementById('labSelectorInput')?.value.trim() || '';
+        const actions = document.getElementById('labActionsInput')?.value || '';
+        const resultEl = document.getElementById('labResult');
+        const stepsBtn = document.getElementById('labStepsBtn');
+        if (!url || !actions.trim()) {
+            this.showToast('Enter a URL and at least one page action', 'error');
+            return;
+        }
+        if (stepsBtn) stepsBtn.classList.add('state-loading');
+        if (resultEl) resultEl.innerHTML = 'Running page actions...';
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/page-actions/test`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ url, selector: selector || null, actions })
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.success) throw new Error(data.error || 'Page actions failed');
+            const steps = (data.steps || []).map(step => `
+                <div class="lab-step${step.ok ? '' : ' failed'}">
+                    <div><span class="lab-label">Step ${Number(step.step)}:</span> <code>${this.escapeHtml(step.action)}</code>${step.error ? `<div>${this.escapeHtml(step.optional ? `Skipped: ${step.error}` : step.error)}</div>` : ''}</div>
+                    <div>${step.ok ? 'OK' : (step.optional ? 'Skipped' : 'Failed')} · ${Number(step.durationMs) || 0} ms</div>
+                    ${step.screenshot ? `<img src="${this.escapeHtml(step.screenshot)}" alt="After step ${Number(step.step)}">` : ''}
+                </div>
+            `).join('');
+            if (resultEl) {
+                resultEl.innerHTML = `
+                    <div class="lab-steps">${steps}</div>
+                    <div class="lab-grid">
+                        <div class="lab-title"><span class="lab-label">Script:</span> ${data.completed ? 'Completed' : this.escapeHtml(data.failure || 'Stopped')}</div>
+                        <div><span class="lab-label">Price:</span> ${data.price !== null && data.price !== undefined ? this.formatPrice(Number(data.price), data.currency || 'USD') : 'Not found'}</div>
+                        <div><span class="lab-label">Confidence:</span> ${this.formatConfidence(data.confidence)}</div>
+                        <div><span class="lab-label">Source:</span> ${this.escapeHtml(data.source || 'n/a')}</div>
+                        <div><span class="lab-label">Stock:</span> ${this.escapeHtml(data.availability?.status || 'unknown')}</div>
+                        <div class="lab-title"><span class="lab-label">Selector Used:</span> ${this.escapeHtml(data.selectorUsed || 'none')}</div>
+                    </div>
+                `;
+            }
+        } catch (e) {
+            if (resultEl) resultEl.textContent = `Error: ${e.message}`;
+        } finally {
+            if (stepsBtn) stepsBtn.classList.remove('state-loading');
+        }
+    }
+
     render() {
         const grid = document.getElementById('productGrid');
         grid.innerHTML = '';
@@ -3044,7 +4697,7 @@ class App {
         header.innerHTML = `
             <div onclick="app.handleHeaderClick('name')">Product Name ${this.getSortIcon('name')}</div>
             <div onclick="app.handleHeaderClick('list')">List ${this.getSortIcon('list')}</div>
-            <div onclick="app.handleHeaderClick('price')">Price ${this.getSortIcon('price')}</div>
+            <div onclick="app.handleHeaderClick('price')" title="Click again to sort by total price after coupons and shipping, then by unit price">${String(this.sortMethod).startsWith('effective_') ? `Total Price ${this.getSortIcon('effective')}` : (String(this.sortMethod).startsWith('unit_') ? `Unit Price ${this.getSortIcon('unit')}` : `Price ${this.getSortIcon('price')}`)}</div>
             <div style="cursor: default;">History</div>
             <div onclick="app.handleHeaderClick('discount')">Trend ${this.getSortIcon('discount')}</div>
             <div onclick="app.handleHeaderClick('confidence')">Confidence ${this.getSortIcon('confidence')}</div>
@@ -3076,15 +4729,27 @@ class App {
             const safeItemDomId = this.getDomSafeId(item.id, 'item-');
             const safeRefreshDomId = this.getDomSafeId(item.id, 'refresh-');
             const safeMenuDomId = this.getDomSafeId(item.id, 'menu-');
+            const canEdit = this.canEditItem(item);
+            const itemList = this.lists.find(l => l.id === (item.listId || 'default'));
+            const listOwnerTitle = itemList && itemList.access && itemList.access !== 'owner'
+                ? `Shared by ${itemList.ownerId} (${itemList.access === 'write' ? 'can edit' : 'read-only'})`
+                : '';
             const moveToOptions = this.lists
-                .filter(l => l.id !== (item.listId || 'default'))
+                .filter(l => l.id !== (item.listId || 'default') && this.canWriteList(l.id))
                 .map(l => `<button class="actions-menu-item" onclick="event.stopPropagation(); app.moveItemToList('${safeItemId}','${this.escapeJsString(l.id)}')">${this.escapeHtml(l.name)}</button>`)
                 .join('');
             const purchaseActionLabel = item.purchased ? 'Mark as Not Purchased' : 'Mark as Purchased';
             const lastCheckMeta = this.getLastCheckMeta(item);
+            const offerSeriesHtml = this.getOfferSeriesLine(item);
+            const unitPriceHtml = item.unitPrice != null && !stockMeta.isOut
+                ? `<div class="stock-last-price" title="Pack size ${this.escapeHtml(this.formatPackSize(item))}">${this.formatUnitPrice(item.unitPrice, item.unitOfMeasure, currency)}</div>`
+                : '';
+            const effectiveHtml = item.effectivePrice != null && item.effectivePrice !== item.currentPrice && !stockMeta.isOut
+                ? `<div class="stock-last-price" title="${this.escapeHtml(this.getCostBreakdown(item, currency))}">Total: ${this.formatPrice(item.effectivePrice, currency)}</div>`
+                : '';
             const priceCellHtml = stockMeta.isOut
-                ? `<div class="stock-warning" title="${this.escapeHtml(stockMeta.title)}">Out of Stock</div>${item.currentPrice ? `<div class="stock-last-price">Last seen: ${priceStr}</div>` : ''}`
-                : `<div>${priceStr}</div>${targetHtml}`;
+                ? `<div class="stock-warning" title="${this.escapeHtml(stockMeta.title)}">Out of Stock</div>${item.currentPrice ? `<div class="stock-last-price">Last seen: ${priceStr}</div>` : ''}${offerSeriesHtml}`
+                : `<div>${priceStr}</div>${effectiveHtml}${unitPriceHtml}${targetHtml}${offerSeriesHtml}`;
 
             const div = document.createElement('div');
             div.className = `list-item ${hitClass} ${checkClass}`;
@@ -3092,11 +4757,16 @@ class App {
             div.setAttribute('data-dom-id', safeItemDomId);
             div.innerHTML = `
                 <div class="item-main" onclick="app.showHistoryModal('${safeItemId}')">
-                    <div class="item-title" title="${safeItemName}">${safeItemName}</div>
+                    <div class="item-title-row">
+                        ${this.getThumbnailHtml(item)}
+                        <div class="item-title" title="${safeItemName}">${safeItemName}</div>
+                    </div>
+                    ${item.brand ? `<div class="item-variant item-brand">${this.escapeHtml(item.brand)}</div>` : ''}
+                    ${item.variantTitle ? `<div class="item-variant">${this.escapeHtml(item.variantTitle)}</div>` : ''}
                     <a href="${safeItemUrl}" target="_blank" rel="noopener" class="item-link" onclick="event.stopPropagation()">${safeItemHost}</a>
                 </div>
                 <div class="list-cell">
-                    <span class="status-badge status-ok">${safeListName}</span>
+                    <span class="status-badge status-ok" title="${this.escapeHtml(listOwnerTitle)}">${safeListName}</span>
                 </div>
                 <div class="price-cell">
                     ${priceCellHtml}
@@ -3115,8 +4785,9 @@ class App {
                 <div class="status-cell">
                     <span class="status-badge ${status.className}" title="${this.escapeHtml(stockMeta.title)}">${status.text}</span>
                 </div>
-                <div class="checked-cell ${lastCheckMeta.className}" data-item-dom-id="${safeItemDomId}" title="${this.escapeHtml(lastCheckMeta.title)}">${this.escapeHtml(lastCheckMeta.text)}</div>
+                <div class="checked-cell ${lastCheckMeta.className}" data-item-dom-id="${safeItemDomId}" title="${this.escapeHtml(lastCheckMeta.title)}">${this.getCheckedCellHtml(item, lastCheckMeta)}</div>
                 <div class="actions-cell">
+                    ${canEdit ? `
                     <button class="icon-btn" onclick="app.refreshItem('${safeItemId}')" id="${safeRefreshDomId}" title="Refresh">
                         <svg width="14" height="14" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><path d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"/></svg>
                     </button>
@@ -3155,6 +4826,7 @@ class App {
                             <span class="actions-menu-label">Remove Item</span>
                         </button>
                     </div>
+                    ` : '<span class="status-badge read-only-badge" title="Shared with you read-only">Read-only</span>'}
                 </div>
             `;
 
@@ -3189,6 +4861,9 @@ class App {
             this.renderDiagnosticsPanel();
         } else if (this.activeView === 'purchased') {
             this.renderPurchasedPanel();
+        } else if (this.activeView === 'groups') {
+            this.renderGroupsPanel();
+            this.renderMatchesList();
         }
         this.applyCheckingHighlights();
     }
@@ -3205,6 +4880,95 @@ class App {
         const currency = this.getCurrency(item);
         const safeItemUrl = this.escapeHtml(this.getSafeExternalUrl(item.url));
         const safeItemUrlLabel = this.escapeHtml(String(item.url || ''));
+        const cadence = this.getItemCadence(item);
+        const cadenceBase = cadence.factor && cadence.factor !== 1 && cadence.baseIntervalMs
+            ? ` · base ${this.formatCheckInterval(cadence.baseIntervalMs)} (${this.escapeHtml(cadence.source || 'global')})`
+            : '';
+        const platformNames = { shopify: 'Shopify', woocommerce: 'WooCommerce', magento: 'Magento' };
+        const variants = Array.isArray(item.variants) ? item.variants : [];
+        const platformHtml = item.platform ? `
+                <div class="info-item">
+                    <div class="info-label">Platform</div>
+                    <div class="info-value info-value-compact">${this.escapeHtml(platformNames[item.platform] || item.platform)}</div>
+                    ${item.compareAtPrice ? `<div class="info-note">Compare at ${this.formatPrice(item.compareAtPrice, currency)}</div>` : ''}
+                </div>` : '';
+        const variantsHtml = variants.length > 1 ? `
+                <div class="info-item info-item-wide">
+                    <div class="info-label">Variants</div>
+                    ${variants.map(variant => {
+                        const isTracked = item.variantId === variant.id;
+                        const trackButton = !isTracked && this.canEditItem(item)
+                            ? ` <button class="api-token-revoke-btn" onclick="app.trackVariant('${this.escapeJsString(item.id)}','${this.escapeJsString(variant.id)}')">Track</button>`
+                            : '';
+                        return `<div class="info-note">${isTracked ? '<strong>Tracked:</strong> ' : ''}${this.escapeHtml(variant.title)}: ${variant.price != null ? this.formatPrice(variant.price, currency) : '-'} | ${variant.available ? 'In stock' : 'Sold out'}${trackButton}</div>`;
+                    }).join('')}
+                </div>` : '';
+        const hasCosts = item.effectivePrice != null && (item.shippingPrice != null || item.couponDiscount);
+        const costsHtml = hasCosts ? `
+                <div class="info-item">
+                    <div class="info-label">Total Cost</div>
+                    <div class="info-value info-value-compact">${this.formatPrice(item.effectivePrice, currency)}</div>
+                    <div class="info-note">${this.escapeHtml(this.getCostBreakdown(item, currency))}</div>
+                </div>` : '';
+        const unitPrices = history.map(entry => entry.unitPrice).filter(value => value != null);
+        const unitSourceLabels = { title: 'from the title', structured: 'from product data', manual: 'set manually' };
+        const unitHtml = item.unitPrice != null ? `
+                <div class="info-item">
+                    <div class="info-label">Unit Price</div>
+                    <div class="info-value info-value-compact">${this.formatUnitPrice(item.unitPrice, item.unitOfMeasure, currency)}</div>
+                    <div class="info-note">${this.escapeHtml(this.formatPackSize(item))} ${unitSourceLabels[item.unitSource] || ''}${unitPrices.length ? ` | low ${this.formatUnitPrice(Math.min(...unitPrices), item.unitOfMeasure, currency)}` : ''}${item.unitTargetPrice ? ` | target ${this.formatUnitPrice(item.unitTargetPrice, item.unitOfMeasure, currency)}` : ''}</div>
+                </div>` : '';
+        const identifierParts = [
+            item.brand ? `Brand ${item.brand}` : '',
+            item.category ? `Category ${item.category}` : '',
+            item.gtin ? `GTIN ${item.gtin}` : '',
+            item.mpn ? `MPN ${item.mpn}` : '',
+            item.sku ? `SKU ${item.sku}` : ''
+        ].filter(Boolean);
+        const identifiersHtml = identifierParts.length ? `
+                <div class="info-item">
+                    <div class="info-label">Identifiers</div>
+                    <div class="info-note">${this.escapeHtml(identifierParts.join(' | '))}</div>
+                </div>` : '';
+        const selectorHealth = item.selector && item.selectorHealth ? item.selectorHealth : null;
+        const selectorHealthHtml = selectorHealth ? `
+                <div class="info-item">
+                    <div class="info-label">Selector Health</div>
+                    <div class="info-value info-value-compact">${selectorHealth.hits} hits | ${selectorHealth.misses} misses</div>
+                    <div class="info-note">Recent: ${(selectorHealth.recent || []).map(entry => (entry.hit ? 'hit' : 'miss')).slice(-8).join(', ') || 'n/a'}</div>
+                </div>` : '';
+        const screenshots = (Array.isArray(item.screenshots) ? item.screenshots : []).slice().reverse();
+        const stockLabels = { in_stock: 'In stock', out_of_stock: 'Out of stock', unknown: 'Stock unknown' };
+        const screenshotsHtml = screenshots.length ? `
+                <div class="info-item info-item-wide">
+                    <div class="info-label">Change Screenshots</div>
+                    <div class="history-shots">
+                        ${screenshots.map(shot => `
+                        <a class="history-shot" href="${this.escapeHtml(this.getScreenshotUrl(item, shot.file))}" target="_blank" rel="noopener">
+                            <img src="${this.escapeHtml(this.getScreenshotUrl(item, shot.file))}" alt="" loading="lazy">
+                            <span>${this.escapeHtml(this.formatDate(shot.date))} | ${shot.price != null ? this.formatPrice(shot.price, shot.currency || currency) : '-'} | ${stockLabels[shot.stockStatus] || stockLabels.unknown}</span>
+                        </a>`).join('')}
+                    </div>
+                </div>` : '';
+        const offerSummary = item.offerMode && item.offerSummary ? item.offerSummary : null;
+        const offerSeriesLabels = { price: 'price', lowestNew: 'lowest new', lowestUsed: 'lowest used', buyBox: 'buy box' };
+        const offerLowest = (key) => {
+            const values = (Array.isArray(item.offerHistory) ? item.offerHistory : []).map(entry => entry[key]).filter(value => value != null);
+            return values.length ? ` (low ${this.formatPrice(Math.min(...values), currency)})` : '';
+        };
+        const offersHtml = offerSummary ? `
+                <div class="info-item info-item-wide">
+                    <div class="info-label">Seller Offers (${offerSummary.offerCount})</div>
+                    <div class="info-value info-value-compact">New ${offerSummary.lowestNew != null ? this.formatPrice(offerSummary.lowestNew, currency) : '-'}${offerLowest('lowestNew')} | Used ${offerSummary.lowestUsed != null ? this.formatPrice(offerSummary.lowestUsed, currency) : '-'}${offerLowest('lowestUsed')} | Buy box ${offerSummary.buyBox != null ? this.formatPrice(offerSummary.buyBox, currency) : '-'}${offerLowest('buyBox')}</div>
+                    <div class="info-note">Drop and target alerts follow the ${offerSeriesLabels[item.alertSeries] || 'price'}.</div>
+                    ${(item.offers || []).map(offer => `<div class="info-note">${offer.buyBox ? '<strong>Buy box:</strong> ' : ''}${this.escapeHtml(offer.seller || 'Unknown seller')} | ${this.escapeHtml(offer.condition)} | ${this.formatPrice(offer.price, currency)}${offer.shipping ? ` + ${this.formatPrice(offer.shipping, currency)} shipping` : (offer.shipping === 0 ? ' | free shipping' : '')}</div>`).join('')}
+                </div>` : '';
+        const cadenceHtml = item.purchased ? '' : `
+                <div class="info-item">
+                    <div class="info-label">Check Cadence</div>
+                    <div class="info-value info-value-compact">Every ${this.formatCheckInterval(cadence.intervalMs)}</div>
+                    ${cadence.reason ? `<div class="info-note">${this.escapeHtml(cadence.reason)}${cadenceBase}</div>` : ''}
+                </div>`;
 
         // Get trend info for display
         let trendIcon = '';
@@ -3262,6 +5026,15 @@ class App {
                     <div class="info-label">Last Checked</div>
                     <div class="info-value info-value-compact">${app.getRelativeTime(item.lastChecked)}</div>
                 </div>
+                ${cadenceHtml}
+                ${platformHtml}
+                ${costsHtml}
+                ${unitHtml}
+                ${identifiersHtml}
+                ${selectorHealthHtml}
+                ${variantsHtml}
+                ${offersHtml}
+                ${screenshotsHtml}
             </div>
         `;
 
@@ -3295,7 +5068,9 @@ class App {
             if (!this.sparklineData) this.sparklineData = {};
             this.sparklineData[modalChartKey] = {
                 points: sl.data,
-                currency
+                currency,
+                // History points recorded by the same check as a screenshot share its timestamp.
+                screenshots: Object.fromEntries(screenshots.map(shot => [shot.date, this.getScreenshotUrl(item, shot.file)]))
             };
         }
 
@@ -3384,7 +5159,8 @@ class App {
 
             const tooltip = svg.parentNode.querySelector('.chart-tooltip');
             if (tooltip) {
-                tooltip.innerHTML = `<strong>${this.escapeHtml(this.formatPrice(nearest.price, currency || 'USD'))}</strong><br>${this.escapeHtml(this.formatDate(nearest.date))}`;
+                const screenshotUrl = chartEntry && chartEntry.screenshots ? chartEntry.screenshots[nearest.date] : null;
+                tooltip.innerHTML = `<strong>${this.escapeHtml(this.formatPrice(nearest.price, currency || 'USD'))}</strong><br>${this.escapeHtml(this.formatDate(nearest.date))}${screenshotUrl ? `<img class="chart-tooltip-shot" src="${this.escapeHtml(screenshotUrl)}" alt="">` : ''}`;
                 tooltip.style.display = 'block';
 
                 // Calculate offset relative to the container (accounting for padding)
@@ -3467,7 +5243,7 @@ class App {
 
     async exportBackup() {
         try {
-            const res = await fetch(`${this.SERVER_URL}/backups/export`, {
+            const res = await this.apiFetch(`${this.SERVER_URL}/backups/export`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' }
             });
@@ -3491,6 +5267,7 @@ class App {
         await Promise.all([
             this.loadSettings(),
             this.loadLists(),
+            this.loadProductGroups(),
             this.loadAlertRules(),
             this.loadAuditLog({ silent: true })
         ]);
@@ -3573,7 +5350,7 @@ class App {
             password = prompt(`Enter the backup password for ${file.name}:`) || '';
             if (!password) throw new Error('Backup password is required');
 
-            const res = await fetch(`${this.SERVER_URL}/backups/import`, {
+            const res = await this.apiFetch(`${this.SERVER_URL}/backups/import`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ backup: parsed, password })
@@ -3600,7 +5377,7 @@ class App {
         this.updateBackupPasswordStatus();
 
         try {
-            const response = await fetch(`${this.SERVER_URL}/backups`);
+            const response = await this.apiFetch(`${this.SERVER_URL}/backups`);
             const backups = await response.json().catch(() => ([]));
             if (!response.ok) {
                 throw new Error(backups && backups.error ? backups.error : 'Failed to load backups');
@@ -3656,6 +5433,24 @@ class App {
         return;
     }
 
+    getCostBreakdown(item, currency) {
+        const parts = [`Price ${this.formatPrice(item.currentPrice, currency)}`];
+        if (item.couponDiscount) parts.push(`- ${this.formatPrice(item.couponDiscount, currency)} coupon${item.couponLabel ? ` (${item.couponLabel})` : ''}`);
+        if (item.shippingPrice != null) parts.push(item.shippingPrice ? `+ ${this.formatPrice(item.shippingPrice, currency)} shipping` : 'free shipping');
+        if (item.freeShippingThreshold) parts.push(`free shipping from ${this.formatPrice(item.freeShippingThreshold, currency)}`);
+        return parts.join(' ');
+    }
+
+    // Shows the series alerts follow when it is not the headline price, else the cheapest used offer.
+    getOfferSeriesLine(item) {
+        if (!item.offerMode || !item.offerSummary) return '';
+        const labels = { lowestNew: 'Lowest new', lowestUsed: 'Lowest used', buyBox: 'Buy box' };
+        const series = item.alertSeries && item.alertSeries !== 'price' ? item.alertSeries : 'lowestUsed';
+        const value = item.offerSummary[series];
+        if (value == null) return '';
+        return `<div class="stock-last-price">${labels[series]}: ${this.formatPrice(value, this.getCurrency(item))}</div>`;
+    }
+
     // --- Scraper Doctor ---
     showDoctorModal(id) {
         this.closeAllMenus();
@@ -3676,6 +5471,49 @@ class App {
         if (nameInput) nameInput.value = item.name || '';
         if (urlInput) urlInput.value = item.url || '';
         if (input) input.value = item.selector || '';
+        const intervalInput = document.getElementById('doctorIntervalInput');
+        if (intervalInput) {
+            const overrideMs = Number(item.checkIntervalMs);
+            intervalInput.value = Number.isFinite(overrideMs) && overrideMs > 0 ? String(Math.round(overrideMs / 60000)) : '';
+            intervalInput.placeholder = `Default (${this.formatCheckInterval(this.getEffectiveCheckIntervalMs({ ...item, checkIntervalMs: null }))})`;
+        }
+        const packSizeInput = document.getElementById('doctorPackSizeInput');
+        if (packSizeInput) {
+            packSizeInput.value = item.unitSource === 'manual' ? this.formatPackSize(item) : '';
+            packSizeInput.placeholder = item.unitQuantity ? `Auto (${this.formatPackSize(item)})` : 'Auto, e.g. 24 x 330 ml';
+        }
+        const unitTargetInput = document.getElementById('doctorUnitTargetInput');
+        if (unitTargetInput) unitTargetInput.value = item.unitTargetPrice != null ? String(item.unitTargetPrice) : '';
+        const groupInput = document.getElementById('doctorGroupInput');
+        if (groupInput) {
+            groupInput.innerHTML = '';
+            [{ id: '', name: 'None' }, ...this.productGroups].forEach((group) => {
+                const option = document.createElement('option');
+                option.value = group.id;
+                option.textContent = group.name;
+                groupInput.appendChild(option);
+            });
+            groupInput.value = this.productGroups.some(group => group.id === item.groupId) ? item.groupId : '';
+        }
+        const offerModeInput = document.getElementById('doctorOfferModeInput');
+        if (offerModeInput) offerModeInput.checked = Boolean(item.offerMode);
+        const recordFixtureInput = document.getElementById('doctorRecordFixtureInput');
+        if (recordFixtureInput) recordFixtureInput.checked = Boolean(item.recordFixture);
+        const profileInput = document.getElementById('doctorProfileInput');
+        if (profileInput) {
+            profileInput.innerHTML = '';
+            [{ id: '', name: 'Auto (by site)' }, ...this.browserProfiles].forEach((profile) => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.name;
+                profileInput.appendChild(option);
+            });
+            profileInput.value = this.browserProfiles.some(profile => profile.id === item.browserProfileId) ? item.browserProfileId : '';
+        }
+        const actionsInput = document.getElementById('doctorActionsInput');
+        if (actionsInput) actionsInput.value = this.formatPageActions(item.pageActions);
+        this.selectDoctorAlertSeries(item.alertSeries || 'price');
+        this.syncDoctorOfferMode();
         if (results) results.style.display = 'none';
         if (metaVal) metaVal.textContent = '';
         if (suggestions) suggestions.innerHTML = '';
@@ -3684,6 +5522,19 @@ class App {
             modal.classList.add('active');
             modal.style.pointerEvents = 'auto';
         }
+    }
+
+    syncDoctorOfferMode() {
+        const enabled = Boolean(document.getElementById('doctorOfferModeInput')?.checked);
+        const group = document.getElementById('doctorAlertSeriesGroup');
+        if (group) group.style.display = enabled ? '' : 'none';
+    }
+
+    selectDoctorAlertSeries(series) {
+        this.doctorAlertSeries = series;
+        document.querySelectorAll('[data-alert-series]').forEach((btn) => {
+            btn.classList.toggle('active', btn.getAttribute('data-alert-series') === series);
+        });
     }
 
     closeDoctorModal() {
@@ -3710,10 +5561,15 @@ class App {
         btn.textContent = 'Checking...';
 
         try {
-            const res = await fetch(`${this.SERVER_URL}/test-selector`, {
+            const res = await this.apiFetch(`${this.SERVER_URL}/test-selector`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ url, selector })
+                body: JSON.stringify({
+                    url,
+                    selector,
+                    browserProfileId: document.getElementById('doctorProfileInput')?.value || null,
+                    pageActions: document.getElementById('doctorActionsInput')?.value || ''
+                })
             });
             const data = await res.json().catch(() => ({}));
             if (!res.ok) throw new Error(data.error || 'Test failed');
@@ -3772,6 +5628,8 @@ class App {
         const name = document.getElementById('doctorNameInput')?.value.trim() || item.name;
         const url = document.getElementById('doctorUrlInput')?.value.trim() || item.url;
         const selector = document.getElementById('doctorSelectorInput').value.trim();
+        const intervalValue = document.getElementById('doctorIntervalInput')?.value.trim() || '';
+        const intervalMinutes = Number(intervalValue);
         if (!url) {
             this.showToast('URL is required', 'error');
             return;
@@ -3780,12 +5638,36 @@ class App {
             this.showToast('Name is required', 'error');
             return;
         }
+        if (intervalValue && (!Number.isFinite(intervalMinutes) || intervalMinutes < 1 || intervalMinutes > 43200)) {
+            this.showToast('Check interval must be between 1 minute and 30 days', 'error');
+            return;
+        }
+        const checkIntervalMs = intervalValue ? Math.round(intervalMinutes * 60000) : null;
+        const offerMode = Boolean(document.getElementById('doctorOfferModeInput')?.checked);
+        const alertSeries = offerMode ? (this.doctorAlertSeries || 'price') : 'price';
+        const recordFixture = Boolean(document.getElementById('doctorRecordFixtureInput')?.checked);
+        const browserProfileId = document.getElementById('doctorProfileInput')?.value || null;
+        const pageActions = document.getElementById('doctorActionsInput')?.value || '';
+        const packSize = document.getElementById('doctorPackSizeInput')?.value.trim() || '';
+        const unitTargetValue = document.getElementById('doctorUnitTargetInput')?.value.trim() || '';
+        const unitTargetPrice = unitTargetValue ? Number(unitTargetValue) : null;
+        if (unitTargetValue && !(unitTargetPrice > 0)) {
+            this.showToast('Unit price target must be a positive number', 'error');
+            return;
+        }
+        // Only send the group when it changed; another member's group on a shared item isn't in our list.
+        const groupValue = document.getElementById('doctorGroupInput')?.value || '';
+        const groupChanged = groupValue !== (this.productGroups.some(group => group.id === item.groupId) ? item.groupId : '');
 
         try {
-            const res = await fetch(`${this.SERVER_URL}/items/${item.id}`, {
+            const res = await this.apiFetch(`${this.SERVER_URL}/items/${item.id}`, {
                 method: 'PATCH',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ name, url, selector, revision: this.itemsRevision })
+                body: JSON.stringify({
+                    name, url, selector, checkIntervalMs, offerMode, alertSeries, recordFixture, browserProfileId, pageActions, packSize, unitTargetPrice,
+                    ...(groupChanged ? { groupId: groupValue || null } : {}),
+                    revision: this.itemsRevision
+                })
             });
             const data = await res.json().catch(() => ({}));
 
@@ -3796,7 +5678,7 @@ class App {
                 if (Number.isFinite(revision)) this.itemsRevision = revision;
 
                 this.showToast('Selector updated!', 'success');
-                this.logAction('item.edited', { itemId: item.id, name, url });
+                this.logAction('item.edited', { itemId: item.id, name, url, checkIntervalMs });
                 this.closeDoctorModal();
                 this.render();
                 return;
@@ -3811,13 +5693,44 @@ class App {
         }
     }
 
+    async trackVariant(itemId, variantId) {
+        const item = this.items.find(i => i.id === itemId);
+        if (!item) return;
+        try {
+            const res = await this.apiFetch(`${this.SERVER_URL}/items/${encodeURIComponent(itemId)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ variantId, revision: this.itemsRevision })
+            });
+            const data = await res.json().catch(() => ({}));
+            if (res.ok) {
+                const idx = this.items.findIndex(i => i.id === itemId);
+                this.items[idx] = this.normalizeServerItems([data.item])[0] || data.item;
+                const revision = Number(data.revision);
+                if (Number.isFinite(revision)) this.itemsRevision = revision;
+                this.logAction('item.variant_changed', { itemId, name: item.name, variantId });
+                this.render();
+                this.showHistoryModal(itemId);
+                this.showToast(`Tracking ${this.items[idx].variantTitle || 'selected variant'}; price updates on the next check`, 'success');
+                return;
+            }
+            if (res.status === 409 && Array.isArray(data.items)) {
+                this.applyServerItemsPayload(data, data.items);
+                this.render();
+            }
+            throw new Error(data.error || 'Failed to change variant');
+        } catch (e) {
+            this.showToast(e.message || 'Failed to change variant', 'error');
+        }
+    }
+
     async restoreFromBackup(filename) {
         let previewText = '';
         let requiresPassword = false;
         let unsupported = false;
         let corrupt = false;
         try {
-            const previewRes = await fetch(`${this.SERVER_URL}/backups/preview?filename=${encodeURIComponent(filename)}`);
+            const previewRes = await this.apiFetch(`${this.SERVER_URL}/backups/preview?filename=${encodeURIComponent(filename)}`);
             const previewData = await previewRes.json().catch(() => ({}));
             if (!previewRes.ok) {
                 throw new Error(previewData.error || 'Backup preview failed');
@@ -3851,7 +5764,7 @@ class App {
         }
 
         try {
-            const response = await fetch(`${this.SERVER_URL}/backups/restore`, {
+            const response = await this.apiFetch(`${this.SERVER_URL}/backups/restore`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ filename, password })
@@ -7,9 +7,13 @@ const path = require('path');
 const dns = require('dns').promises;
 const net = require('net');
 const crypto = require('crypto');
+const zlib = require('zlib');
 const cheerio = require('cheerio');
 const puppeteer = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
 const notifier = require('node-notifier'); // Notifications
 
 require('dotenv').config({ path: path.join(__dirname, '../.env') });
@@ -29,18 +33,119 @@ const DATA_FILE = path.join(DATA_ROOT, 'prices.json');
 const SETTINGS_FILE = path.join(DATA_ROOT, 'settings.json');
 const DIAGNOSTICS_FILE = path.join(DATA_ROOT, 'diagnostics.json');
 const AUDIT_FILE = path.join(DATA_ROOT, 'audit.json');
+const BROWSER_PROFILES_FILE = path.join(DATA_ROOT, 'browser-profiles.json');
+const ADAPTERS_DIR = path.join(DATA_ROOT, 'adapters');
 const BACKUP_DIR = path.join(DATA_ROOT, 'backups');
+const THUMBNAILS_DIR = path.join(DATA_ROOT, 'thumbnails');
+const FIXTURES_DIR = path.join(DATA_ROOT, 'fixtures');
+const SCREENSHOTS_DIR = path.join(DATA_ROOT, 'screenshots');
+const FIXTURE_VERSION = 1;
 const TRANSACTION_JOURNAL_FILE = path.join(DATA_ROOT, '.state-transaction.json');
 const LEGACY_TRANSACTION_JOURNAL_FILE = path.join(PROJECT_ROOT, '.state-transaction.json');
 const DEFAULT_CHECK_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
 const MIN_CHECK_INTERVAL_MS = 60 * 1000; // 1 minute
 const MAX_CHECK_INTERVAL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ADAPTIVE_TARGET_NEAR_PERCENT = 5;
+const ADAPTIVE_VOLATILE_24H_PERCENT = 5;
+const ADAPTIVE_VOLATILE_WEEKLY_CHANGES = 3;
+// The scheduler wakes at least once a minute so new items and interval edits are picked up promptly.
+const SCHEDULER_MIN_SLEEP_MS = 5 * 1000;
+const SCHEDULER_MAX_SLEEP_MS = 60 * 1000;
+const DEFAULT_CHECK_CONCURRENCY = 2;
+const MAX_CHECK_CONCURRENCY = 8;
+const DEFAULT_HOST_DELAY_MS = 2000;
+const MAX_HOST_DELAY_MS = 60 * 1000;
+// Failing items back off exponentially from their cadence; the ceiling never shortens a longer cadence.
+const CHECK_BACKOFF_MAX_MS = DAY_MS;
+const HOST_CIRCUIT_FAILURE_THRESHOLD = 5;
+const HOST_CIRCUIT_COOLDOWN_MS = 30 * 60 * 1000;
+// Static HTML is trusted only for confident prices; hosts that needed the browser retry plain HTTP daily.
+const HTTP_FETCH_MIN_CONFIDENCE = 70;
+const HTTP_FETCH_TIMEOUT_MS = 15000;
+const HTTP_FETCH_MAX_BYTES = 5 * 1024 * 1024;
+const FETCH_STRATEGY_RECHECK_MS = DAY_MS;
+// Product images are cached once per image URL; the browser tier keeps blocking images while rendering.
+const THUMBNAIL_MAX_BYTES = 2 * 1024 * 1024;
+const THUMBNAIL_MAX_REDIRECTS = 3;
+// Screenshots come from the browser page a check read its price from and are kept only when the price or stock status changed.
+const SCREENSHOT_MODES = ['off', 'element', 'page'];
+const MAX_SCREENSHOTS_PER_ITEM = 20;
+const DEFAULT_SCREENSHOT_RETENTION_DAYS = 30;
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'];
+const PROXY_DEFAULT_MODES = ['direct', 'pool'];
+const MAX_PROXIES = 50;
+const PROXY_FAILURE_THRESHOLD = 3;
+const PROXY_COOLDOWN_MS = 15 * 60 * 1000;
+const MAX_PROFILE_COOKIES = 500;
+const COOKIE_SAME_SITE_VALUES = { strict: 'Strict', lax: 'Lax', none: 'None', no_restriction: 'None' };
+const PAGE_ACTION_TYPES = ['click', 'wait-for', 'type', 'scroll', 'wait'];
+const MAX_PAGE_ACTIONS = 20;
+const PAGE_ACTION_TIMEOUT_MS = 10000;
+// How headless Chrome decides a page is ready to read. `fixed` is the old flat pause; the others stop as soon as
+// their signal shows up and give up after the timeout, reading the page as it is.
+const PAGE_WAIT_STRATEGIES = ['auto', 'fixed', 'selector', 'network-idle', 'content'];
+const FIXED_PAGE_WAIT_MS = 2000;
+const DEFAULT_PAGE_WAIT_TIMEOUT_MS = 10000;
+const MAX_PAGE_WAIT_TIMEOUT_MS = 30000;
+const THUMBNAIL_CONTENT_TYPES = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif', 'image/avif': 'avif' };
+// Offer-listing mode keeps every seller's offer; alerts can follow the headline price or any offer series.
+const OFFER_SERIES = ['price', 'lowestNew', 'lowestUsed', 'buyBox'];
+const OFFER_SERIES_LABELS = { price: 'price', lowestNew: 'lowest new offer', lowestUsed: 'lowest used offer', buyBox: 'buy-box price' };
+const MAX_TRACKED_OFFERS = 30;
+// A custom selector that misses on consecutive in-stock checks gets a replacement proposal from the ranked candidates.
+const SELECTOR_HEALTH_HISTORY_LIMIT = 20;
+const SELECTOR_REPAIR_MISS_THRESHOLD = 2;
+const SELECTOR_REPAIR_MAX_DEVIATION = 0.5;
+// Readings that jump 10x, or move 50%+ while sitting far outside recent history, wait for a re-check to repeat them.
+const PRICE_OUTLIER_RATIO = 10;
+const PRICE_OUTLIER_STD_DEVIATIONS = 4;
+const PRICE_OUTLIER_MIN_CHANGE = 0.5;
+const PRICE_OUTLIER_MIN_HISTORY = 5;
+const PRICE_OUTLIER_HISTORY_WINDOW = 30;
+const PRICE_QUARANTINE_CONFIRM_TOLERANCE = 0.02;
+const PRICE_QUARANTINE_RECHECK_MS = 10 * 60 * 1000;
+// Pack sizes are stored in a base unit so unit prices compare across pack sizes: per kg, per litre, or per piece.
+const PACK_MEASURE_UNITS = {
+    kg: ['kg', 1],
+    kilo: ['kg', 1],
+    g: ['kg', 0.001],
+    gr: ['kg', 0.001],
+    gram: ['kg', 0.001],
+    grams: ['kg', 0.001],
+    mg: ['kg', 0.000001],
+    lb: ['kg', 0.45359237],
+    lbs: ['kg', 0.45359237],
+    oz: ['kg', 0.028349523],
+    l: ['l', 1],
+    lt: ['l', 1],
+    ltr: ['l', 1],
+    litre: ['l', 1],
+    liter: ['l', 1],
+    ml: ['l', 0.001],
+    cl: ['l', 0.01],
+    'fl oz': ['l', 0.0295735]
+};
+const PACK_UNIT_CODES = { KGM: 'kg', GRM: 'g', MGM: 'mg', LBR: 'lb', ONZ: 'oz', LTR: 'l', MLT: 'ml', CLT: 'cl', OZA: 'fl oz' };
+const PACK_UNITS = ['kg', 'l', 'unit'];
 const BACKUP_PASSWORD_MIN_LENGTH = 8;
 const BACKUP_SCHEMA_PLAIN = 'centsible-backup-v3';
 const BACKUP_SCHEMA_ENCRYPTED = 'centsible-backup-v3-encrypted';
 const BACKUP_CIPHER = 'aes-256-gcm';
 const BACKUP_PREVIEW_AAD_MODE = 'preview-v1';
 const BACKUP_PASSWORD_ENV = String(process.env.BACKUP_PASSWORD || '').trim();
+const AUTH_PASSWORD_MIN_LENGTH = 8;
+const AUTH_SESSION_COOKIE = 'centsible_session';
+const AUTH_SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const AUTH_LOGIN_MAX_FAILURES = 5;
+const AUTH_LOGIN_LOCKOUT_MS = 15 * 60 * 1000; // 15 minutes
+const FORWARDING_HEADERS = ['forwarded', 'x-forwarded-for', 'x-forwarded-host', 'x-real-ip'];
+const HOUSEHOLD_USERNAME_PATTERN = /^[a-z0-9._-]{2,32}$/;
+const HOUSEHOLD_USER_LIMIT = 20;
+const API_TOKEN_PREFIX = 'cst_';
+const API_TOKEN_SCOPES = ['items:read', 'items:write', 'check:run', 'backups:admin'];
+const API_TOKEN_LIMIT = 100;
+const API_TOKEN_LAST_USED_PERSIST_MS = 60 * 1000; // 1 minute
 const DISABLE_STARTUP_NETWORK = process.env.CENTSIBLE_DISABLE_STARTUP_NETWORK === '1';
 const DISABLE_SCHEDULED_JOBS = process.env.CENTSIBLE_DISABLE_SCHEDULED_JOBS === '1';
 const DISCORD_PROXY_BASE = (process.env.DISCORD_PROXY_BASE || '').trim();
@@ -58,6 +163,14 @@ const TEST_PATCH_DELAY_MS = Math.max(0, Number(process.env.CENTSIBLE_TEST_PATCH_
 const TEST_FAKE_FETCH_HTML = typeof process.env.CENTSIBLE_TEST_FETCH_HTML === 'string'
     ? process.env.CENTSIBLE_TEST_FETCH_HTML
     : '';
+// When only the browser page is faked, the HTTP tier sees an empty page and escalates.
+const TEST_FAKE_HTTP_FETCH_HTML = typeof process.env.CENTSIBLE_TEST_HTTP_FETCH_HTML === 'string'
+    ? process.env.CENTSIBLE_TEST_HTTP_FETCH_HTML
+    : (TEST_FAKE_FETCH_HTML ? '' : null);
+// Base64 image bytes served in place of every product image download.
+const TEST_FAKE_IMAGE = typeof process.env.CENTSIBLE_TEST_FETCH_IMAGE === 'string'
+    ? Buffer.from(process.env.CENTSIBLE_TEST_FETCH_IMAGE, 'base64')
+    : null;
 
 function normalizeOrigin(origin) {
     if (!origin) return '';
@@ -160,15 +273,29 @@ let stateMutationQueue = Promise.resolve();
 let lastCheckTime = null;
 let isChecking = false;
 let checkingItemId = null;
+const checkingItemIds = new Set();
+const hostCircuits = new Map(); // hostKey -> { consecutiveFailures, openUntil, lastError }; reset on restart
+const hostFetchStrategies = new Map(); // hostKey -> { strategy: 'http' | 'browser', decidedAt }; reset on restart
+const hostProxyAssignments = new Map(); // hostKey -> proxyId currently used for that host; reset on restart
+const hostNextRequestAt = new Map(); // hostKey -> earliest ms timestamp the next request may start; reset on restart
+const proxyHealth = new Map(); // proxyId -> { successes, failures, consecutiveFailures, lastError, ... }; reset on restart
+const proxyAgents = new Map(); // proxy URL -> { httpAgent, httpsAgent }
+let customSiteAdapters = []; // loaded from ADAPTERS_DIR; entries with `error` failed to load and never match
+let siteAdaptersCache = null; // { disabledAdapters, adapters } built by getSiteAdaptersSnapshot
 let backgroundCheckRunCounter = 0;
 let activeBackgroundCheckToken = 0;
 let browserInstance = null; // Single persistent browser
-let checkIntervalHandle = null;
+let browserLaunchPromise = null;
+let checkSchedulerHandle = null;
 let diagnostics = [];
 let auditLog = [];
+let browserProfiles = [];
 const DEFAULT_LISTS = [{ id: 'default', name: 'Default' }];
 const DEFAULT_ALERT_RULES = {
     targetHitEnabled: true,
+    targetUseEffectivePrice: false,
+    unitTargetHitEnabled: true,
+    groupTargetHitEnabled: true,
     priceDropEnabled: true,
     priceDrop24hEnabled: true,
     priceDrop24hPercent: 5,
@@ -185,16 +312,35 @@ let settings = {
     telegramWebhook: process.env.TELEGRAM_BOT_TOKEN || '',
     telegramChatId: process.env.TELEGRAM_CHAT_ID || '',
     lists: [...DEFAULT_LISTS],
+    productGroups: [],
+    dismissedMatches: [],
     alertRules: { ...DEFAULT_ALERT_RULES },
     checkIntervalMs: DEFAULT_CHECK_INTERVAL_MS,
     checkIntervalPreset: '1h',
-    backupEncryption: null
+    checkConcurrency: DEFAULT_CHECK_CONCURRENCY,
+    hostDelayMs: DEFAULT_HOST_DELAY_MS,
+    adaptiveChecksEnabled: true,
+    screenshotMode: 'off',
+    screenshotRetentionDays: DEFAULT_SCREENSHOT_RETENTION_DAYS,
+    proxies: [],
+    proxyRules: [],
+    proxyDefaultMode: 'direct',
+    pageWaitStrategy: 'auto',
+    pageWaitTimeoutMs: DEFAULT_PAGE_WAIT_TIMEOUT_MS,
+    pageWaitRules: [],
+    backupEncryption: null,
+    auth: null,
+    apiTokens: [],
+    users: []
 };
 let backupSession = {
     keyBuffer: null,
     salt: null,
     unlockedAt: null
 };
+// Login sessions live in memory only; a restart signs everyone out.
+const authSessions = new Map();
+const authLoginFailuresByClient = new Map();
 
 // --- Settings Management ---
 function createBackupKeyVerifier(keyBuffer, saltBase64) {
@@ -275,6 +421,185 @@ function normalizeIsoDateStringOrNull(value) {
     return parsed.toISOString();
 }
 
+function normalizeDisabledAdapterIds(rawIds) {
+    if (!Array.isArray(rawIds)) return [];
+    return [...new Set(rawIds.map(id => normalizeOptionalString(id, '').toLowerCase()).filter(Boolean))];
+}
+
+// Returns the canonical proxy URL or throws with a message suitable for the API response.
+function parseProxyUrl(rawUrl) {
+    let parsed;
+    try {
+        parsed = new URL(normalizeOptionalString(rawUrl, ''));
+    } catch (_) {
+        throw new Error('Proxy URL is not valid');
+    }
+    if (!PROXY_PROTOCOLS.includes(parsed.protocol)) {
+        throw new Error('Proxy URL must start with http://, https://, socks4:// or socks5://');
+    }
+    if (!parsed.hostname) throw new Error('Proxy URL needs a host');
+    return `${parsed.protocol}//${parsed.username ? `${parsed.username}${parsed.password ? `:${parsed.password}` : ''}@` : ''}${parsed.host}`;
+}
+
+function normalizeProxyEntries(rawProxies) {
+    if (!Array.isArray(rawProxies)) return [];
+    const seenIds = new Set();
+    const normalized = [];
+    for (const proxy of rawProxies) {
+        if (!proxy || typeof proxy !== 'object') continue;
+        const id = normalizeOptionalString(proxy.id, '');
+        if (!id || seenIds.has(id)) continue;
+        let url;
+        try {
+            url = parseProxyUrl(proxy.url);
+        } catch (_) {
+            continue;
+        }
+        seenIds.add(id);
+        normalized.push({
+            id,
+            label: normalizeOptionalString(proxy.label, new URL(url).host).slice(0, 80),
+            url,
+            enabled: proxy.enabled !== false
+        });
+    }
+    return normalized.slice(0, MAX_PROXIES);
+}
+
+// A site host such as "example.com" also covers its subdomains.
+function siteHostMatches(hostKey, siteHost) {
+    return hostKey === siteHost || hostKey.endsWith(`.${siteHost}`);
+}
+
+function normalizeSiteHost(rawHost) {
+    return normalizeOptionalString(rawHost, '')
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/[/?#].*$/, '')
+        .replace(/:\d+$/, '')
+        .replace(/^\*\./, '')
+        .replace(/^www\./, '');
+}
+
+// A rule with no proxy ids pins its host to a direct connection.
+function normalizeProxyRules(rawRules, proxies = []) {
+    if (!Array.isArray(rawRules)) return [];
+    const proxyIds = new Set(proxies.map(proxy => proxy.id));
+    const seenHosts = new Set();
+    const normalized = [];
+    for (const rule of rawRules) {
+        if (!rule || typeof rule !== 'object') continue;
+        const host = normalizeSiteHost(rule.host);
+        if (!host || seenHosts.has(host)) continue;
+        seenHosts.add(host);
+        normalized.push({
+            host,
+            proxyIds: [...new Set((Array.isArray(rule.proxyIds) ? rule.proxyIds : [])
+                .map(id => normalizeOptionalString(id, ''))
+                .filter(id => proxyIds.has(id)))]
+        });
+    }
+    return normalized;
+}
+
+function normalizePageWaitTimeout(rawTimeout) {
+    const timeout = Math.round(Number(rawTimeout));
+    return Number.isFinite(timeout) && timeout > 0 ? Math.min(timeout, MAX_PAGE_WAIT_TIMEOUT_MS) : null;
+}
+
+// A rule without a timeout uses the default one; for `fixed` the timeout is the length of the pause.
+function normalizePageWaitRules(rawRules) {
+    if (!Array.isArray(rawRules)) return [];
+    const seenHosts = new Set();
+    const normalized = [];
+    for (const rule of rawRules) {
+        if (!isPlainObject(rule) || !PAGE_WAIT_STRATEGIES.includes(rule.strategy)) continue;
+        const host = normalizeSiteHost(rule.host);
+        if (!host || seenHosts.has(host)) continue;
+        seenHosts.add(host);
+        normalized.push({ host, strategy: rule.strategy, timeoutMs: normalizePageWaitTimeout(rule.timeoutMs) });
+    }
+    return normalized;
+}
+
+// Cookies use Puppeteer's shape. `expires` is in seconds, and -1 marks a session cookie, which the jar keeps anyway.
+function normalizeProfileCookies(rawCookies, nowMs = Date.now()) {
+    if (!Array.isArray(rawCookies)) return [];
+    const byKey = new Map();
+    for (const cookie of rawCookies) {
+        if (!isPlainObject(cookie)) continue;
+        const name = normalizeOptionalString(cookie.name, '');
+        const domain = normalizeOptionalString(cookie.domain, '').toLowerCase();
+        if (!name || !domain) continue;
+        const expires = Number(cookie.expires);
+        if (Number.isFinite(expires) && expires > 0 && expires * 1000 < nowMs) continue;
+        const sameSite = COOKIE_SAME_SITE_VALUES[String(cookie.sameSite || '').toLowerCase()];
+        const entry = {
+            name,
+            value: String(cookie.value ?? ''),
+            domain,
+            path: normalizeOptionalString(cookie.path, '/'),
+            expires: Number.isFinite(expires) && expires > 0 ? Math.round(expires) : -1,
+            httpOnly: Boolean(cookie.httpOnly),
+            secure: Boolean(cookie.secure),
+            ...(sameSite ? { sameSite } : {})
+        };
+        byKey.set(`${entry.domain}|${entry.path}|${entry.name}`, entry);
+    }
+    return [...byKey.values()].slice(-MAX_PROFILE_COOKIES);
+}
+
+// localStorage values are kept per origin, e.g. { "https://www.example.com": { "consent": "yes" } }.
+function normalizeProfileLocalStorage(rawStorage) {
+    if (!isPlainObject(rawStorage)) return {};
+    const normalized = {};
+    for (const [rawOrigin, values] of Object.entries(rawStorage)) {
+        let origin;
+        try {
+            origin = new URL(rawOrigin).origin;
+        } catch (_) {
+            continue;
+        }
+        if (!/^https?:/.test(origin) || !isPlainObject(values)) continue;
+        const entries = Object.entries(values).filter(([key]) => key).map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)]);
+        if (entries.length) normalized[origin] = Object.fromEntries(entries);
+    }
+    return normalized;
+}
+
+function normalizeBrowserProfiles(rawProfiles) {
+    if (!Array.isArray(rawProfiles)) return [];
+    const seenIds = new Set();
+    return rawProfiles
+        .filter(profile => isPlainObject(profile))
+        .map((profile) => {
+            const latitude = normalizeFiniteNumberOrNull(profile.geolocation && profile.geolocation.latitude);
+            const longitude = normalizeFiniteNumberOrNull(profile.geolocation && profile.geolocation.longitude);
+            const hasGeolocation = latitude !== null && longitude !== null
+                && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+            return {
+                id: normalizeOptionalString(profile.id, ''),
+                name: normalizeOptionalString(profile.name, '').slice(0, 80),
+                hosts: [...new Set((Array.isArray(profile.hosts) ? profile.hosts : []).map(normalizeSiteHost).filter(Boolean))],
+                acceptLanguage: normalizeOptionalStringOrNull(profile.acceptLanguage),
+                geolocation: hasGeolocation
+                    ? { latitude, longitude, accuracy: normalizeClampedNumber(profile.geolocation.accuracy, 1, 100000, 100) }
+                    : null,
+                zipCode: normalizeOptionalStringOrNull(profile.zipCode),
+                zipCodeCookie: normalizeOptionalStringOrNull(profile.zipCodeCookie),
+                localStorage: normalizeProfileLocalStorage(profile.localStorage),
+                cookies: normalizeProfileCookies(profile.cookies),
+                createdAt: normalizeIsoDateStringOrNull(profile.createdAt) || new Date().toISOString(),
+                updatedAt: normalizeIsoDateStringOrNull(profile.updatedAt) || new Date().toISOString()
+            };
+        })
+        .filter((profile) => {
+            if (!profile.id || !profile.name || seenIds.has(profile.id)) return false;
+            seenIds.add(profile.id);
+            return true;
+        });
+}
+
 function normalizeListEntries(rawLists) {
     const sourceLists = Array.isArray(rawLists) ? rawLists : [];
     const seenIds = new Set();
@@ -296,12 +621,13 @@ function normalizeListEntries(rawLists) {
         return `${nextId}_${suffix}`;
     };
 
-    const getUniqueListName = (baseName, id) => {
+    // Names only need to be unique per owner so each household member can have e.g. their own "Wishlist".
+    const getUniqueListName = (baseName, id, ownerKey) => {
         let nextName = normalizeOptionalString(baseName, id === 'default' ? 'Default' : `List ${normalized.length + 1}`);
-        const lower = nextName.toLowerCase();
+        const lower = `${ownerKey}:${nextName.toLowerCase()}`;
         if (!seenNames.has(lower)) return nextName;
         let suffix = 2;
-        while (seenNames.has(`${nextName} (${suffix})`.toLowerCase())) {
+        while (seenNames.has(`${ownerKey}:${`${nextName} (${suffix})`.toLowerCase()}`)) {
             suffix += 1;
         }
         return `${nextName} (${suffix})`;
@@ -310,10 +636,15 @@ function normalizeListEntries(rawLists) {
     sourceLists.forEach((entry) => {
         if (!entry || typeof entry !== 'object') return;
         const id = getUniqueListId(entry.id);
-        const name = getUniqueListName(entry.name, id);
+        const ownerId = id === 'default' ? null : normalizeOptionalStringOrNull(entry.ownerId)?.toLowerCase() || null;
+        const name = getUniqueListName(entry.name, id, ownerId || '');
         seenIds.add(id);
-        seenNames.add(name.toLowerCase());
-        normalized.push({ id, name });
+        seenNames.add(`${ownerId || ''}:${name.toLowerCase()}`);
+        const shares = normalizeListShares(entry.shares, ownerId);
+        const list = ownerId || shares.length ? { id, name, ownerId, shares } : { id, name };
+        const checkIntervalMs = normalizeCheckIntervalOverride(entry.checkIntervalMs);
+        if (checkIntervalMs) list.checkIntervalMs = checkIntervalMs;
+        normalized.push(list);
     });
 
     if (!normalized.length) {
@@ -325,6 +656,44 @@ function normalizeListEntries(rawLists) {
     return normalized;
 }
 
+function normalizeListShares(rawShares, ownerId = null) {
+    const seenUsers = new Set();
+    return (Array.isArray(rawShares) ? rawShares : [])
+        .filter(share => share && typeof share === 'object')
+        .map(share => ({
+            userId: normalizeOptionalString(share.userId, '').toLowerCase(),
+            access: share.access === 'write' ? 'write' : 'read'
+        }))
+        .filter((share) => {
+            if (!share.userId || share.userId === ownerId || seenUsers.has(share.userId)) return false;
+            seenUsers.add(share.userId);
+            return true;
+        });
+}
+
+// A product group links items that sell the same product in different stores; its target is compared in USD.
+function normalizeProductGroups(rawGroups) {
+    const seenIds = new Set();
+    return (Array.isArray(rawGroups) ? rawGroups : [])
+        .filter(isPlainObject)
+        .map((entry) => {
+            const targetPrice = normalizeFiniteNumberOrNull(entry.targetPrice);
+            const targetCurrency = normalizeOptionalString(entry.targetCurrency, 'USD').toUpperCase();
+            return {
+                id: normalizeOptionalString(entry.id, ''),
+                name: normalizeOptionalString(entry.name, '').slice(0, 120),
+                ownerId: normalizeOptionalStringOrNull(entry.ownerId)?.toLowerCase() || null,
+                targetPrice: targetPrice > 0 ? targetPrice : null,
+                targetCurrency: SUPPORTED_CURRENCIES.has(targetCurrency) ? targetCurrency : 'USD'
+            };
+        })
+        .filter((group) => {
+            if (!group.id || !group.name || seenIds.has(group.id)) return false;
+            seenIds.add(group.id);
+            return true;
+        });
+}
+
 function normalizeHistoryEntries(rawHistory) {
     if (!Array.isArray(rawHistory)) return [];
     return rawHistory
@@ -333,7 +702,35 @@ function normalizeHistoryEntries(rawHistory) {
             const price = normalizeFiniteNumberOrNull(entry.price);
             const date = normalizeIsoDateStringOrNull(entry.date);
             if (!Number.isFinite(price) || !date) return null;
-            return { price, date };
+            const unitPrice = normalizeFiniteNumberOrNull(entry.unitPrice);
+            return unitPrice !== null ? { price, date, unitPrice } : { price, date };
+        })
+        .filter(Boolean);
+}
+
+function normalizePackSize(rawPackSize) {
+    const quantity = normalizeFiniteNumberOrNull(rawPackSize.quantity);
+    if (!(quantity > 0) || !PACK_UNITS.includes(rawPackSize.unit)) return null;
+    return {
+        quantity,
+        unit: rawPackSize.unit,
+        source: ['title', 'structured', 'manual'].includes(rawPackSize.source) ? rawPackSize.source : null
+    };
+}
+
+function normalizeOfferHistoryEntries(rawHistory) {
+    if (!Array.isArray(rawHistory)) return [];
+    return rawHistory
+        .filter(entry => entry && typeof entry === 'object')
+        .map((entry) => {
+            const date = normalizeIsoDateStringOrNull(entry.date);
+            if (!date) return null;
+            return {
+                date,
+                lowestNew: normalizeFiniteNumberOrNull(entry.lowestNew),
+                lowestUsed: normalizeFiniteNumberOrNull(entry.lowestUsed),
+                buyBox: normalizeFiniteNumberOrNull(entry.buyBox)
+            };
         })
         .filter(Boolean);
 }
@@ -360,7 +757,17 @@ function normalizeDiagnosticsEntries(rawEntries) {
                 stockStatus: ['unknown', 'in_stock', 'out_of_stock'].includes(stockStatus) ? stockStatus : 'unknown',
                 outOfStock: Boolean(entry.outOfStock),
                 stockReason: normalizeOptionalString(entry.stockReason, ''),
-                error: normalizeOptionalStringOrNull(entry.error)
+                error: normalizeOptionalStringOrNull(entry.error),
+                fetchStrategy: ['http', 'browser'].includes(entry.fetchStrategy) ? entry.fetchStrategy : null,
+                consecutiveFailures: Math.round(normalizeClampedNumber(entry.consecutiveFailures, 0, 1000, 0)),
+                backoffUntil: normalizeIsoDateStringOrNull(entry.backoffUntil),
+                proxy: normalizeOptionalStringOrNull(entry.proxy),
+                fetchMs: normalizeFiniteNumberOrNull(entry.fetchMs),
+                waitStrategy: PAGE_WAIT_STRATEGIES.includes(entry.waitStrategy) ? entry.waitStrategy : null,
+                waitMs: normalizeFiniteNumberOrNull(entry.waitMs),
+                waitTimedOut: Boolean(entry.waitTimedOut),
+                circuitState: ['open', 'half-open'].includes(entry.circuitState) ? entry.circuitState : 'closed',
+                hostFailures: Math.round(normalizeClampedNumber(entry.hostFailures, 0, 1000, 0))
             };
         });
 }
@@ -374,6 +781,7 @@ function normalizeAuditEntries(rawEntries) {
             time: normalizeIsoDateStringOrNull(entry.time) || new Date().toISOString(),
             action: normalizeOptionalString(entry.action, 'unknown'),
             source: normalizeOptionalString(entry.source, 'system'),
+            actor: normalizeOptionalStringOrNull(entry.actor),
             details: entry.details && typeof entry.details === 'object' && !Array.isArray(entry.details)
                 ? cloneJsonState(entry.details)
                 : {}
@@ -383,10 +791,27 @@ function normalizeAuditEntries(rawEntries) {
 function normalizeSettingsShape(sourceSettings = {}) {
     const normalized = { ...(sourceSettings || {}) };
     normalized.lists = normalizeListEntries(normalized.lists);
+    normalized.productGroups = normalizeProductGroups(normalized.productGroups);
+    normalized.dismissedMatches = normalizeDismissedMatches(normalized.dismissedMatches);
     normalized.alertRules = { ...DEFAULT_ALERT_RULES, ...(normalized.alertRules || {}) };
     normalized.checkIntervalMs = sanitizeCheckIntervalMs(normalized.checkIntervalMs);
+    normalized.checkConcurrency = sanitizeCheckConcurrency(normalized.checkConcurrency);
+    normalized.hostDelayMs = sanitizeHostDelayMs(normalized.hostDelayMs);
+    normalized.adaptiveChecksEnabled = normalized.adaptiveChecksEnabled !== false;
+    normalized.screenshotMode = SCREENSHOT_MODES.includes(normalized.screenshotMode) ? normalized.screenshotMode : 'off';
+    normalized.screenshotRetentionDays = Math.round(normalizeClampedNumber(normalized.screenshotRetentionDays, 1, 365, DEFAULT_SCREENSHOT_RETENTION_DAYS));
+    normalized.proxies = normalizeProxyEntries(normalized.proxies);
+    normalized.proxyRules = normalizeProxyRules(normalized.proxyRules, normalized.proxies);
+    normalized.proxyDefaultMode = PROXY_DEFAULT_MODES.includes(normalized.proxyDefaultMode) ? normalized.proxyDefaultMode : 'direct';
+    normalized.pageWaitStrategy = PAGE_WAIT_STRATEGIES.includes(normalized.pageWaitStrategy) ? normalized.pageWaitStrategy : 'auto';
+    normalized.pageWaitTimeoutMs = normalizePageWaitTimeout(normalized.pageWaitTimeoutMs) || DEFAULT_PAGE_WAIT_TIMEOUT_MS;
+    normalized.pageWaitRules = normalizePageWaitRules(normalized.pageWaitRules);
     normalized.checkIntervalPreset = String(normalized.checkIntervalPreset || 'custom');
     normalized.backupEncryption = normalizeBackupEncryptionConfig(normalized.backupEncryption);
+    normalized.auth = normalizeAuthConfig(normalized.auth);
+    normalized.apiTokens = normalizeApiTokenEntries(normalized.apiTokens);
+    normalized.users = normalizeHouseholdUsers(normalized.users, normalized.auth);
+    normalized.disabledAdapters = normalizeDisabledAdapterIds(normalized.disabledAdapters);
     return normalized;
 }
 
@@ -402,15 +827,18 @@ function cloneJsonState(value) {
     return JSON.parse(JSON.stringify(value));
 }
 
+// Item and schedule edits can move the next due time, so every revision bump re-arms the scheduler.
 function bumpItemsRevision() {
     const now = Date.now();
     itemsRevision = now > itemsRevision ? now : itemsRevision + 1;
+    scheduleBackgroundChecks();
     return itemsRevision;
 }
 
 function bumpSettingsRevision() {
     const now = Date.now();
     settingsRevision = now > settingsRevision ? now : settingsRevision + 1;
+    scheduleBackgroundChecks();
     return settingsRevision;
 }
 
@@ -581,6 +1009,7 @@ function getPersistentSettingsSnapshot(sourceSettings = settings) {
     delete persistentSettings.discordWebhookConfigured;
     delete persistentSettings.telegramWebhookConfigured;
     delete persistentSettings.telegramChatIdConfigured;
+    delete persistentSettings.authConfigured;
     return persistentSettings;
 }
 
@@ -588,6 +1017,14 @@ function getBackupSettingsSnapshot(sourceSettings = settings) {
     // Backups should be fully restorable, including currently effective webhook settings.
     const backupSettings = { ...(sourceSettings || {}) };
     delete backupSettings.backupEncryption;
+    delete backupSettings.auth;
+    delete backupSettings.authConfigured;
+    delete backupSettings.apiTokens;
+    delete backupSettings.users;
+    // Proxy URLs carry credentials; the pool and its routing belong to this server like the sign-in does.
+    delete backupSettings.proxies;
+    delete backupSettings.proxyRules;
+    delete backupSettings.proxyDefaultMode;
     delete backupSettings.backupPasswordConfigured;
     delete backupSettings.backupPasswordUpdatedAt;
     return backupSettings;
@@ -597,9 +1034,14 @@ function getPublicSettingsSnapshot(sourceSettings = settings) {
     const publicSettings = { ...(sourceSettings || {}) };
     const backupEncryption = normalizeBackupEncryptionConfig(publicSettings.backupEncryption);
     delete publicSettings.backupEncryption;
+    delete publicSettings.auth;
+    delete publicSettings.apiTokens;
+    delete publicSettings.users;
     delete publicSettings.discordWebhook;
     delete publicSettings.telegramWebhook;
     delete publicSettings.telegramChatId;
+    delete publicSettings.proxies;
+    delete publicSettings.proxyRules;
     publicSettings.discordWebhook = '';
     publicSettings.telegramWebhook = '';
     publicSettings.telegramChatId = '';
@@ -609,6 +1051,7 @@ function getPublicSettingsSnapshot(sourceSettings = settings) {
     publicSettings.backupPasswordConfigured = Boolean(backupEncryption);
     publicSettings.backupPasswordUpdatedAt = backupEncryption ? backupEncryption.updatedAt || null : null;
     publicSettings.backupSessionUnlocked = hasUnlockedBackupEncryptionSession(sourceSettings);
+    publicSettings.authConfigured = hasAuthConfigured(sourceSettings);
     publicSettings.revision = settingsRevision;
     return publicSettings;
 }
@@ -623,8 +1066,8 @@ function getListsSnapshot() {
     return lists.map(list => ({ ...list, itemCount: counts[list.id] || 0 }));
 }
 
-function getListsStateToken() {
-    const lists = getListsSnapshot();
+function getListsStateToken(user = null) {
+    const lists = user ? scopeListsForUser(getListsSnapshot(), user) : getListsSnapshot();
     const countsSignature = lists
         .map(list => `${String(list.id || '')}:${Number(list.itemCount || 0)}`)
         .join('|');
@@ -665,12 +1108,162 @@ function sanitizeCheckIntervalMs(value) {
     return Math.max(MIN_CHECK_INTERVAL_MS, Math.min(MAX_CHECK_INTERVAL_MS, Math.round(numeric)));
 }
 
+function sanitizeCheckConcurrency(value) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) return DEFAULT_CHECK_CONCURRENCY;
+    return Math.max(1, Math.min(MAX_CHECK_CONCURRENCY, Math.round(numeric)));
+}
+
+function sanitizeHostDelayMs(value) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) return DEFAULT_HOST_DELAY_MS;
+    return Math.max(0, Math.min(MAX_HOST_DELAY_MS, Math.round(numeric)));
+}
+
+// Empty, zero, or invalid overrides mean "inherit from the list or the global interval".
+function normalizeCheckIntervalOverride(value) {
+    if (value == null || value === '') return null;
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric) || numeric <= 0) return null;
+    return sanitizeCheckIntervalMs(numeric);
+}
+
+// Parses an interval override from a request body; null clears it, anything else must be a valid duration.
+function parseCheckIntervalOverrideInput(value) {
+    if (value == null || value === '') return null;
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric) || numeric < MIN_CHECK_INTERVAL_MS || numeric > MAX_CHECK_INTERVAL_MS) {
+        const message = 'Check interval must be between 1 minute and 30 days';
+        throw createApiError(400, message, { error: message });
+    }
+    return Math.round(numeric);
+}
+
+function getBaseCheckInterval(item, sourceSettings = settings) {
+    const itemInterval = normalizeCheckIntervalOverride(item && item.checkIntervalMs);
+    if (itemInterval) return { intervalMs: itemInterval, source: 'item' };
+    const list = findListById((item && item.listId) || 'default', sourceSettings);
+    const listInterval = normalizeCheckIntervalOverride(list && list.checkIntervalMs);
+    if (listInterval) return { intervalMs: listInterval, source: 'list' };
+    return { intervalMs: sanitizeCheckIntervalMs(sourceSettings.checkIntervalMs), source: 'global' };
+}
+
+// Picks a multiplier for the base interval from the item's price history. Speed-ups win over back-offs.
+function getAdaptiveCadenceAdjustment(item, nowTs = Date.now()) {
+    const history = normalizeHistoryEntries(item.history);
+    const currentPrice = Number(item.currentPrice);
+    const targetPrice = Number(item.targetPrice);
+    if (Number.isFinite(currentPrice) && currentPrice > 0 && Number.isFinite(targetPrice) && targetPrice > 0 && currentPrice > targetPrice) {
+        const gapPercent = ((currentPrice - targetPrice) / targetPrice) * 100;
+        if (gapPercent <= ADAPTIVE_TARGET_NEAR_PERCENT) {
+            return { factor: 0.25, reason: `Within ${gapPercent.toFixed(1)}% of the target price` };
+        }
+    }
+
+    const reference = findPriceNear24h(history, nowTs);
+    const referenceTs = reference ? new Date(reference.date).getTime() : NaN;
+    if (reference && Number(reference.price) > 0 && Number.isFinite(currentPrice)
+        && Math.abs(referenceTs - (nowTs - 24 * 60 * 60 * 1000)) <= 12 * 60 * 60 * 1000) {
+        const movePercent = Math.abs((currentPrice - Number(reference.price)) / Number(reference.price)) * 100;
+        if (movePercent >= ADAPTIVE_VOLATILE_24H_PERCENT) {
+            return { factor: 0.5, reason: `Price moved ${movePercent.toFixed(1)}% in the last 24h` };
+        }
+    }
+
+    let lastChangeTs = history.length ? new Date(history[0].date).getTime() : NaN;
+    let recentChanges = 0;
+    for (let index = 1; index < history.length; index += 1) {
+        if (history[index].price === history[index - 1].price) continue;
+        const changeTs = new Date(history[index].date).getTime();
+        lastChangeTs = changeTs;
+        if (nowTs - changeTs <= 7 * DAY_MS) recentChanges += 1;
+    }
+    if (recentChanges >= ADAPTIVE_VOLATILE_WEEKLY_CHANGES) {
+        return { factor: 0.5, reason: `${recentChanges} price changes in the last 7 days` };
+    }
+
+    const quietDays = Number.isFinite(lastChangeTs) ? Math.floor((nowTs - lastChangeTs) / DAY_MS) : 0;
+    if (quietDays >= 30) return { factor: 4, reason: `No price change in ${quietDays} days` };
+    if (quietDays >= 14) return { factor: 2, reason: `No price change in ${quietDays} days` };
+    return { factor: 1, reason: '' };
+}
+
+// An item's own interval is taken literally; list and global intervals are adapted to price activity.
+function getItemCheckCadence(item, sourceSettings = settings, nowTs = Date.now()) {
+    const base = getBaseCheckInterval(item, sourceSettings);
+    const sourceLabel = { item: 'item interval', list: 'list interval', global: 'global interval' }[base.source];
+    if (base.source === 'item' || sourceSettings.adaptiveChecksEnabled === false) {
+        return { intervalMs: base.intervalMs, baseIntervalMs: base.intervalMs, source: base.source, factor: 1, reason: `Fixed ${sourceLabel}` };
+    }
+    const adjustment = getAdaptiveCadenceAdjustment(item, nowTs);
+    const intervalMs = Math.max(MIN_CHECK_INTERVAL_MS, Math.min(MAX_CHECK_INTERVAL_MS, Math.round(base.intervalMs * adjustment.factor)));
+    return {
+        intervalMs,
+        baseIntervalMs: base.intervalMs,
+        source: base.source,
+        factor: adjustment.factor,
+        reason: adjustment.reason || `Following the ${sourceLabel}`
+    };
+}
+
+function getEffectiveCheckIntervalMs(item, sourceSettings = settings) {
+    return getItemCheckCadence(item, sourceSettings).intervalMs;
+}
+
+function getItemsSchedulePayload(sourceItems = items) {
+    const nowTs = Date.now();
+    return sourceItems.reduce((acc, item) => {
+        if (Boolean(item.purchased)) return acc;
+        const cadence = getItemCheckCadence(item, settings, nowTs);
+        acc[item.id] = { ...cadence, nextCheckAt: new Date(Math.max(nowTs, getItemNextCheckAtMs(item))).toISOString() };
+        return acc;
+    }, {});
+}
+
+// Items that were never attempted are due immediately.
+function getItemNextCheckAtMs(item, sourceSettings = settings) {
+    const circuit = getHostCircuitState(getCheckHostKey(item.url));
+    const circuitUntilMs = circuit.state === 'open' ? Date.parse(circuit.openUntil) : 0;
+    const lastAttemptMs = Date.parse(item.lastCheckAttempt || item.lastChecked || '');
+    if (!Number.isFinite(lastAttemptMs)) return circuitUntilMs;
+    const backoffUntilMs = Date.parse(item.backoffUntil || '') || 0;
+    // A reading held in quarantine is re-checked soon instead of a full interval later.
+    const intervalMs = item.pendingPrice
+        ? Math.min(getEffectiveCheckIntervalMs(item, sourceSettings), PRICE_QUARANTINE_RECHECK_MS)
+        : getEffectiveCheckIntervalMs(item, sourceSettings);
+    return Math.max(lastAttemptMs + intervalMs, backoffUntilMs, circuitUntilMs);
+}
+
+function getDueCheckItemIds(nowMs = Date.now()) {
+    return items
+        .filter(item => !Boolean(item.purchased) && getItemNextCheckAtMs(item) <= nowMs)
+        .map(item => item.id);
+}
+
+async function runScheduledChecks() {
+    checkSchedulerHandle = null;
+    try {
+        const dueIds = getDueCheckItemIds();
+        if (dueIds.length && !isChecking) await checkPrices({ itemIds: dueIds });
+    } catch (e) {
+        console.error(`[Scheduler] Scheduled check failed: ${e.message}`);
+    } finally {
+        scheduleBackgroundChecks();
+    }
+}
+
 function scheduleBackgroundChecks() {
-    // Re-arm timer with latest interval (called on startup and interval updates).
+    // Re-arm the timer for the earliest item due (called on startup, after each run, and on schedule changes).
     const intervalMs = sanitizeCheckIntervalMs(settings.checkIntervalMs);
     settings.checkIntervalMs = intervalMs;
-    if (checkIntervalHandle) clearInterval(checkIntervalHandle);
-    checkIntervalHandle = setInterval(checkPrices, intervalMs);
+    if (checkSchedulerHandle) clearTimeout(checkSchedulerHandle);
+    checkSchedulerHandle = null;
+    if (DISABLE_SCHEDULED_JOBS) return intervalMs;
+    const nextDueMs = items
+        .filter(item => !Boolean(item.purchased))
+        .reduce((earliest, item) => Math.min(earliest, getItemNextCheckAtMs(item)), Number.POSITIVE_INFINITY);
+    const waitMs = Math.max(SCHEDULER_MIN_SLEEP_MS, Math.min(SCHEDULER_MAX_SLEEP_MS, nextDueMs - Date.now()));
+    checkSchedulerHandle = setTimeout(runScheduledChecks, waitMs);
     return intervalMs;
 }
 
@@ -710,6 +1303,27 @@ async function addDiagnostic(entry) {
     });
 }
 
+async function loadBrowserProfiles() {
+    try {
+        if (!fs.existsSync(BROWSER_PROFILES_FILE)) {
+            browserProfiles = [];
+            return;
+        }
+        const data = await fsPromises.readFile(BROWSER_PROFILES_FILE, 'utf8');
+        browserProfiles = normalizeBrowserProfiles(JSON.parse(data));
+    } catch (e) {
+        console.error('[Profiles] Load failed:', e.message);
+        browserProfiles = [];
+    }
+}
+
+async function saveBrowserProfiles(nextProfiles) {
+    const normalized = normalizeBrowserProfiles(nextProfiles);
+    await writeJsonFile(BROWSER_PROFILES_FILE, normalized);
+    browserProfiles = normalized;
+    return normalized;
+}
+
 async function loadAuditLog() {
     try {
         if (!fs.existsSync(AUDIT_FILE)) {
@@ -734,12 +1348,13 @@ async function saveAuditLog(nextAuditLog = auditLog) {
     }
 }
 
-async function addAuditEntry(action, details = {}, source = 'system') {
+async function addAuditEntry(action, details = {}, source = 'system', actor = null) {
     return runStateMutation(async () => {
         const nextAuditLog = [{
             time: new Date().toISOString(),
             action: String(action || 'unknown'),
             source: String(source || 'system'),
+            actor: actor ? String(actor) : null,
             details: details && typeof details === 'object' ? details : {}
         }, ...auditLog].slice(0, 5000);
         await saveAuditLog(nextAuditLog);
@@ -748,108 +1363,695 @@ async function addAuditEntry(action, details = {}, source = 'system') {
     });
 }
 
-// --- Backup Logic ---
-function hasBackupEncryptionConfigured(sourceSettings = settings) {
-    return Boolean(normalizeBackupEncryptionConfig(sourceSettings.backupEncryption));
+// --- Authentication ---
+function normalizeAuthUsername(value) {
+    return normalizeOptionalString(value, 'admin').toLowerCase().slice(0, 64);
 }
 
-function getBackupEncryptionConfig(sourceSettings = settings) {
-    const config = normalizeBackupEncryptionConfig(sourceSettings.backupEncryption);
-    if (!config) throw new Error('Backup password is not configured');
-    return config;
+function normalizeAuthConfig(config) {
+    if (!config || typeof config !== 'object') return null;
+    const salt = String(config.salt || '').trim();
+    const passwordHash = String(config.passwordHash || '').trim();
+    if (!salt || !passwordHash) return null;
+    return {
+        username: normalizeAuthUsername(config.username),
+        salt,
+        passwordHash,
+        updatedAt: normalizeIsoDateStringOrNull(config.updatedAt)
+    };
 }
 
-function backupVerifiersMatch(left, right) {
-    const leftBuffer = Buffer.from(String(left || ''), 'utf8');
-    const rightBuffer = Buffer.from(String(right || ''), 'utf8');
-    if (!leftBuffer.length || leftBuffer.length !== rightBuffer.length) return false;
-    return crypto.timingSafeEqual(leftBuffer, rightBuffer);
+function hasAuthConfigured(sourceSettings = settings) {
+    return Boolean(normalizeAuthConfig(sourceSettings && sourceSettings.auth));
 }
 
-function hasUnlockedBackupEncryptionSession(sourceSettings = settings) {
-    const config = normalizeBackupEncryptionConfig(sourceSettings.backupEncryption);
-    return Boolean(
-        config
-        && backupSession.keyBuffer
-        && Buffer.isBuffer(backupSession.keyBuffer)
-        && backupSession.keyBuffer.length === 32
-        && backupSession.salt === config.salt
-    );
+async function hashAuthPassword(password, saltBase64) {
+    const saltBuffer = Buffer.from(String(saltBase64 || '').trim(), 'base64');
+    if (!saltBuffer.length) throw new Error('Password salt is missing');
+    return await new Promise((resolve, reject) => {
+        crypto.scrypt(String(password || ''), saltBuffer, 64, (err, hashBuffer) => {
+            if (err) reject(err);
+            else resolve(hashBuffer.toString('base64'));
+        });
+    });
 }
 
-function getActiveBackupEncryptionKeyBuffer(sourceSettings = settings) {
-    if (!hasBackupEncryptionConfigured(sourceSettings)) {
-        throw new Error('Backup password is not configured');
-    }
-    if (!hasUnlockedBackupEncryptionSession(sourceSettings)) {
-        throw new Error('Backup password must be re-entered after restart before encrypted backup actions can run');
+async function createAuthConfigFromPassword(username, password) {
+    const normalizedPassword = String(password || '');
+    if (normalizedPassword.trim().length < AUTH_PASSWORD_MIN_LENGTH) {
+        throw createApiError(400, `Password must be at least ${AUTH_PASSWORD_MIN_LENGTH} characters`, {
+            error: `Password must be at least ${AUTH_PASSWORD_MIN_LENGTH} characters`
+        });
     }
-    return Buffer.from(backupSession.keyBuffer);
+    const salt = crypto.randomBytes(16).toString('base64');
+    return {
+        username: normalizeAuthUsername(username),
+        salt,
+        passwordHash: await hashAuthPassword(normalizedPassword, salt),
+        updatedAt: new Date().toISOString()
+    };
 }
 
-function createBackupEncryptionStateFromPassword(password) {
-    const normalizedPassword = String(password || '').trim();
-    if (normalizedPassword.length < BACKUP_PASSWORD_MIN_LENGTH) {
-        throw new Error(`Backup password must be at least ${BACKUP_PASSWORD_MIN_LENGTH} characters`);
-    }
-    const saltBuffer = crypto.randomBytes(16);
-    const salt = saltBuffer.toString('base64');
-    const keyBuffer = crypto.scryptSync(normalizedPassword, saltBuffer, 32);
-    return {
-        config: {
-            salt,
-            verifier: createBackupKeyVerifier(keyBuffer, salt),
-            updatedAt: new Date().toISOString()
-        },
-        keyBuffer
+function normalizeHouseholdUsers(rawUsers, authConfig = null) {
+    const adminConfig = normalizeAuthConfig(authConfig);
+    const seenUsernames = new Set(adminConfig ? [adminConfig.username] : []);
+    return (Array.isArray(rawUsers) ? rawUsers : [])
+        .map(entry => {
+            const config = normalizeAuthConfig(entry);
+            if (!config) return null;
+            return {
+                ...config,
+                createdAt: normalizeIsoDateStringOrNull(entry.createdAt) || config.updatedAt || new Date().toISOString()
+            };
+        })
+        .filter((entry) => {
+            if (!entry || seenUsernames.has(entry.username)) return false;
+            seenUsernames.add(entry.username);
+            return true;
+        });
+}
+
+function getHouseholdAdminUsername(sourceSettings = settings) {
+    const config = normalizeAuthConfig(sourceSettings.auth);
+    return config ? config.username : null;
+}
+
+function getAuthAccount(username, sourceSettings = settings) {
+    const normalizedUsername = normalizeAuthUsername(username);
+    const adminConfig = normalizeAuthConfig(sourceSettings.auth);
+    if (!adminConfig) return null;
+    if (adminConfig.username === normalizedUsername) return { ...adminConfig, role: 'admin' };
+    const member = (sourceSettings.users || []).find(user => user.username === normalizedUsername);
+    return member ? { ...member, role: 'member' } : null;
+}
+
+function getHouseholdUsersSnapshot(sourceSettings = settings) {
+    const adminConfig = normalizeAuthConfig(sourceSettings.auth);
+    if (!adminConfig) return [];
+    return [
+        { username: adminConfig.username, role: 'admin', createdAt: adminConfig.updatedAt },
+        ...(sourceSettings.users || []).map(user => ({ username: user.username, role: 'member', createdAt: user.createdAt }))
+    ];
+}
+
+async function verifyAuthCredentials(username, password, sourceSettings = settings) {
+    const account = getAuthAccount(username, sourceSettings);
+    if (!account || !password) return false;
+    const candidateHash = await hashAuthPassword(password, account.salt);
+    return backupVerifiersMatch(candidateHash, account.passwordHash);
+}
+
+function parseCookieHeader(header) {
+    return String(header || '')
+        .split(';')
+        .reduce((acc, part) => {
+            const separatorIndex = part.indexOf('=');
+            if (separatorIndex <= 0) return acc;
+            const key = part.slice(0, separatorIndex).trim();
+            const value = part.slice(separatorIndex + 1).trim();
+            try {
+                acc[key] = decodeURIComponent(value);
+            } catch (_) {
+                acc[key] = value;
+            }
+            return acc;
+        }, {});
+}
+
+function buildAuthSessionCookie(req, sessionId, maxAgeMs) {
+    const parts = [
+        `${AUTH_SESSION_COOKIE}=${encodeURIComponent(sessionId)}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Strict',
+        `Max-Age=${Math.max(0, Math.floor(maxAgeMs / 1000))}`
+    ];
+    if (req.secure) parts.push('Secure');
+    return parts.join('; ');
+}
+
+function createAuthSession(username) {
+    const nowMs = Date.now();
+    const session = {
+        id: crypto.randomBytes(32).toString('base64url'),
+        csrfToken: crypto.randomBytes(32).toString('base64url'),
+        username,
+        createdAt: new Date(nowMs).toISOString(),
+        expiresAtMs: nowMs + AUTH_SESSION_TTL_MS
     };
+    authSessions.set(session.id, session);
+    return session;
 }
 
-async function validateBackupPasswordWithoutSession(password, sourceSettings = settings) {
-    const config = getBackupEncryptionConfig(sourceSettings);
-    const keyBuffer = await deriveBackupKeyFromPassword(password, config.salt);
-    const verifier = createBackupKeyVerifier(keyBuffer, config.salt);
-    if (!backupVerifiersMatch(verifier, config.verifier)) {
-        throw new Error('Backup password is incorrect');
+function getAuthSessionFromRequest(req) {
+    const sessionId = parseCookieHeader(req.headers.cookie)[AUTH_SESSION_COOKIE];
+    if (!sessionId) return null;
+    const session = authSessions.get(sessionId);
+    if (!session) return null;
+    if (session.expiresAtMs <= Date.now() || !getAuthAccount(session.username)) {
+        authSessions.delete(sessionId);
+        return null;
     }
-    return { config, keyBuffer };
+    return session;
 }
 
-async function deriveBackupKeyFromPassword(password, saltBase64) {
-    const normalizedPassword = String(password || '').trim();
-    if (!normalizedPassword) throw new Error('Backup password is required');
-    const saltBuffer = Buffer.from(String(saltBase64 || '').trim(), 'base64');
-    if (!saltBuffer.length) throw new Error('Backup salt is missing');
-    return await new Promise((resolve, reject) => {
-        crypto.scrypt(normalizedPassword, saltBuffer, 32, (err, keyBuffer) => {
-            if (err) reject(err);
-            else resolve(keyBuffer);
-        });
-    });
+function clearAuthSessions(exceptSessionId = null, username = null) {
+    for (const [sessionId, session] of authSessions.entries()) {
+        if (sessionId === exceptSessionId) continue;
+        if (username && session.username !== username) continue;
+        authSessions.delete(sessionId);
+    }
 }
 
-async function unlockBackupEncryptionSession(password, sourceSettings = settings) {
-    const { config, keyBuffer } = await validateBackupPasswordWithoutSession(password, sourceSettings);
-    setBackupEncryptionSession(keyBuffer, config.salt);
-    return { config, keyBuffer };
+function getAuthClientKey(req) {
+    return String(req.ip || (req.socket && req.socket.remoteAddress) || 'unknown');
 }
 
-async function ensureBackupEncryptionSessionUnlocked(sourceSettings = settings) {
-    if (!hasBackupEncryptionConfigured(sourceSettings)) return false;
-    if (hasUnlockedBackupEncryptionSession(sourceSettings)) return true;
-    if (!BACKUP_PASSWORD_ENV) return false;
-    try {
-        await unlockBackupEncryptionSession(BACKUP_PASSWORD_ENV, sourceSettings);
-        console.log('[Backup] Session unlocked from BACKUP_PASSWORD environment variable.');
-        return true;
-    } catch (e) {
-        clearBackupEncryptionSession();
-        console.warn(`[Backup] Failed to unlock from BACKUP_PASSWORD: ${e.message}`);
-        return false;
+function isAuthLoginLocked(clientKey) {
+    const entry = authLoginFailuresByClient.get(clientKey);
+    if (!entry) return false;
+    if (entry.lockedUntilMs && entry.lockedUntilMs > Date.now()) return true;
+    if (entry.lockedUntilMs) authLoginFailuresByClient.delete(clientKey);
+    return false;
+}
+
+function recordAuthLoginFailure(clientKey) {
+    const entry = authLoginFailuresByClient.get(clientKey) || { count: 0, lockedUntilMs: 0 };
+    entry.count += 1;
+    if (entry.count >= AUTH_LOGIN_MAX_FAILURES) {
+        entry.count = 0;
+        entry.lockedUntilMs = Date.now() + AUTH_LOGIN_LOCKOUT_MS;
     }
+    authLoginFailuresByClient.set(clientKey, entry);
 }
 
-function buildBackupSnapshot() {
+// Until the first admin exists, only this machine can claim the account without the one-time code
+// printed to the server log, so another device on the network cannot take it over first.
+let authSetupCode = null;
+
+function getAuthSetupCode() {
+    if (!authSetupCode) authSetupCode = crypto.randomBytes(4).toString('hex').toUpperCase();
+    return authSetupCode;
+}
+
+// Behind a reverse proxy on the same machine every visitor connects from loopback, so proxied requests never count.
+function isLoopbackRequest(req) {
+    if (req.app.get('trust proxy') || FORWARDING_HEADERS.some(header => req.headers[header])) return false;
+    const address = String((req.socket && req.socket.remoteAddress) || '');
+    return address === '::1' || /^(?:::ffff:)?127\./.test(address);
+}
+
+function isAuthSetupAllowed(req, code) {
+    if (isLoopbackRequest(req)) return true;
+    const expected = Buffer.from(getAuthSetupCode());
+    const provided = Buffer.from(String(code || '').trim().toUpperCase());
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+function getAuthStatePayload(session = null) {
+    const config = normalizeAuthConfig(settings.auth);
+    const account = session ? getAuthAccount(session.username) : null;
+    return {
+        authConfigured: Boolean(config),
+        authenticated: Boolean(session),
+        username: session ? session.username : null,
+        role: account ? account.role : null,
+        csrfToken: session ? session.csrfToken : null
+    };
+}
+
+function getRequestActor(req) {
+    if (req && req.apiToken) return `token:${req.apiToken.label}`;
+    return req && req.authSession ? req.authSession.username : null;
+}
+
+// Returns null in open mode (no admin configured), where every request has full access.
+function getRequestUser(req) {
+    if (!hasAuthConfigured()) return null;
+    let username = null;
+    if (req && req.apiToken) username = req.apiToken.ownerId || getHouseholdAdminUsername();
+    else if (req && req.authSession) username = req.authSession.username;
+    const account = username ? getAuthAccount(username) : null;
+    if (!account) throw createApiError(401, 'Authentication required', { error: 'Authentication required', authRequired: true });
+    return { username: account.username, role: account.role };
+}
+
+function isHouseholdAdmin(user) {
+    return !user || user.role === 'admin';
+}
+
+function requireHouseholdAdmin(req, res, next) {
+    try {
+        if (isHouseholdAdmin(getRequestUser(req))) return next();
+        res.status(403).json({ error: 'Only the household admin can do this' });
+    } catch (e) {
+        res.status(e.status || 500).json(e.payload || { error: e.message });
+    }
+}
+
+// Lists and items without a known owner belong to the household admin.
+function getEffectiveOwnerId(entity, sourceSettings = settings) {
+    const ownerId = entity && entity.ownerId ? String(entity.ownerId) : null;
+    if (ownerId && getAuthAccount(ownerId, sourceSettings)) return ownerId;
+    return getHouseholdAdminUsername(sourceSettings);
+}
+
+function findListById(listId, sourceSettings = settings) {
+    return (sourceSettings.lists || DEFAULT_LISTS).find(list => list.id === listId) || null;
+}
+
+function getListAccess(list, user) {
+    if (!list) return null;
+    if (!user) return 'owner';
+    if (getEffectiveOwnerId(list) === user.username) return 'owner';
+    const share = (list.shares || []).find(entry => entry.userId === user.username);
+    return share ? share.access : null;
+}
+
+function canWriteList(list, user) {
+    return ['owner', 'write'].includes(getListAccess(list, user));
+}
+
+function getItemAccess(item, user) {
+    if (!item) return null;
+    if (!user) return 'write';
+    if (getEffectiveOwnerId(item) === user.username) return 'write';
+    const listAccess = getListAccess(findListById(item.listId || 'default'), user);
+    if (listAccess === 'owner' || listAccess === 'write') return 'write';
+    return listAccess === 'read' ? 'read' : null;
+}
+
+function getVisibleItems(user, sourceItems = items) {
+    return user ? sourceItems.filter(item => getItemAccess(item, user)) : sourceItems;
+}
+
+function getDefaultListIdForUser(user) {
+    const lists = settings.lists || DEFAULT_LISTS;
+    if (!user) return (lists[0] && lists[0].id) || 'default';
+    const owned = lists.find(list => getListAccess(list, user) === 'owner');
+    const writable = owned || lists.find(list => canWriteList(list, user));
+    return writable ? writable.id : null;
+}
+
+function getAccessibleItemOrThrow(itemId, user, requiredAccess = 'write') {
+    const currentItem = items.find(item => item.id === itemId);
+    const access = getItemAccess(currentItem, user);
+    if (!currentItem || !access) {
+        throw createApiError(404, 'Item not found', { error: 'Item not found' });
+    }
+    if (requiredAccess === 'write' && access !== 'write') {
+        throw createApiError(403, 'This item is shared with you read-only', { error: 'This item is shared with you read-only' });
+    }
+    return currentItem;
+}
+
+function assertListOwner(list, user) {
+    const access = getListAccess(list, user);
+    if (!access) throw createApiError(404, 'List not found', { error: 'List not found' });
+    if (access !== 'owner') {
+        throw createApiError(403, 'Only the list owner can change this list', { error: 'Only the list owner can change this list' });
+    }
+}
+
+function scopeListsForUser(lists, user) {
+    return lists
+        .map((list) => {
+            const access = getListAccess(list, user);
+            if (!access) return null;
+            const visibleCount = getVisibleItems(user).filter(item => (item.listId || 'default') === list.id).length;
+            const scoped = { ...list, ownerId: getEffectiveOwnerId(list), access, itemCount: visibleCount };
+            if (access !== 'owner') delete scoped.shares;
+            return scoped;
+        })
+        .filter(Boolean);
+}
+
+// Groups are private to their owner; linking items from a shared list doesn't share the group.
+function canAccessProductGroup(group, user) {
+    if (!group) return false;
+    return !user || getEffectiveOwnerId(group) === user.username;
+}
+
+function findAccessibleProductGroupOrThrow(groupId, user) {
+    const group = (settings.productGroups || []).find(entry => entry.id === groupId);
+    if (!canAccessProductGroup(group, user)) {
+        throw createApiError(404, 'Product group not found', { error: 'Product group not found' });
+    }
+    return group;
+}
+
+// Members are compared in USD so a group can mix stores that price in different currencies.
+function summarizeProductGroup(group, sourceItems) {
+    const members = sourceItems.filter(item => item.groupId === group.id && !item.purchased);
+    const priced = members
+        .filter(item => Number.isFinite(Number(item.currentPrice)) && item.stockStatus !== 'out_of_stock')
+        .map(item => ({ item, priceInUSD: convertToUSD(Number(item.currentPrice), item.currency) }))
+        .filter(entry => Number.isFinite(entry.priceInUSD));
+    const cheapest = priced.reduce((best, entry) => (!best || entry.priceInUSD < best.priceInUSD ? entry : best), null);
+    const targetPriceUSD = group.targetPrice ? convertToUSD(group.targetPrice, group.targetCurrency) : null;
+    return {
+        ...group,
+        memberIds: members.map(item => item.id),
+        cheapestItemId: cheapest ? cheapest.item.id : null,
+        cheapestPriceUSD: cheapest ? cheapest.priceInUSD : null,
+        targetPriceUSD,
+        targetHit: Boolean(cheapest && targetPriceUSD !== null && cheapest.priceInUSD <= targetPriceUSD)
+    };
+}
+
+function getProductGroupsSnapshot(user = null) {
+    const visibleItems = getVisibleItems(user);
+    return (settings.productGroups || [])
+        .filter(group => canAccessProductGroup(group, user))
+        .map(group => summarizeProductGroup(group, visibleItems));
+}
+
+const MAX_DISMISSED_MATCHES = 500;
+const PRODUCT_MATCH_STRENGTH = { gtin: 3, mpn: 2, sku: 1 };
+
+function normalizeDismissedMatches(rawIds) {
+    const ids = (Array.isArray(rawIds) ? rawIds : [])
+        .map(id => normalizeOptionalString(id, ''))
+        .filter(id => /^match_[a-f0-9]{16}$/.test(id));
+    return [...new Set(ids)].slice(-MAX_DISMISSED_MATCHES);
+}
+
+function getProductMatchKeys(item) {
+    const compact = value => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const keys = [];
+    if (item.gtin) keys.push({ reason: 'gtin', value: item.gtin.padStart(14, '0') });
+    // An MPN alone is too short to trust across brands.
+    if (item.mpn && item.brand && compact(item.mpn).length >= 3) keys.push({ reason: 'mpn', value: `${compact(item.brand)}|${compact(item.mpn)}` });
+    // SKUs are store-specific, so they only flag duplicates within one host.
+    if (item.sku && compact(item.sku).length >= 3) keys.push({ reason: 'sku', value: `${getCheckHostKey(item.url)}|${compact(item.sku)}` });
+    return keys;
+}
+
+// Items sharing a GTIN, brand + MPN, or same-store SKU are suggested as one product. One store means a
+// likely duplicate; several stores means a grouping suggestion unless they already share a group.
+function findProductMatches(sourceItems, dismissedIds = []) {
+    const dismissed = new Set(dismissedIds);
+    const buckets = new Map();
+    sourceItems.filter(item => !item.purchased).forEach((item) => {
+        getProductMatchKeys(item).forEach(({ reason, value }) => {
+            const bucketKey = `${reason}:${value}`;
+            if (!buckets.has(bucketKey)) buckets.set(bucketKey, { reason, value, items: [] });
+            buckets.get(bucketKey).items.push(item);
+        });
+    });
+    const matchesById = new Map();
+    buckets.forEach(({ reason, items: bucketItems }) => {
+        const canonicalUrls = new Set(bucketItems.map(item => normalizeTrackedUrl(item.canonicalUrl || item.url)));
+        if (bucketItems.length < 2 || canonicalUrls.size < 2) return;
+        const itemIds = bucketItems.map(item => item.id).sort();
+        const id = `match_${crypto.createHash('sha256').update(itemIds.join('\n')).digest('hex').slice(0, 16)}`;
+        const existing = matchesById.get(id);
+        if (dismissed.has(id) || (existing && PRODUCT_MATCH_STRENGTH[existing.reason] >= PRODUCT_MATCH_STRENGTH[reason])) return;
+        const hosts = new Set(bucketItems.map(item => getCheckHostKey(item.url)));
+        const groupIds = new Set(bucketItems.map(item => item.groupId || null));
+        const kind = hosts.size === 1 ? 'duplicate' : 'same-product';
+        if (kind === 'same-product' && groupIds.size === 1 && !groupIds.has(null)) return;
+        matchesById.set(id, {
+            id,
+            kind,
+            reason,
+            itemIds,
+            groupId: bucketItems.map(item => item.groupId).find(Boolean) || null
+        });
+    });
+    return [...matchesById.values()];
+}
+
+function scopePayloadForUser(payload, user) {
+    if (!user || !isPlainObject(payload)) return payload;
+    const scoped = { ...payload };
+    if (Array.isArray(payload.items)) scoped.items = getVisibleItems(user, payload.items);
+    if (isPlainObject(payload.schedule) && Array.isArray(scoped.items)) {
+        scoped.schedule = Object.fromEntries(scoped.items
+            .filter(item => payload.schedule[item.id])
+            .map(item => [item.id, payload.schedule[item.id]]));
+    }
+    if (Array.isArray(payload.lists)) scoped.lists = scopeListsForUser(payload.lists, user);
+    if (typeof payload.listsStateToken === 'string') scoped.listsStateToken = getListsStateToken(user);
+    if (isPlainObject(payload.settings) && Array.isArray(payload.settings.lists)) {
+        scoped.settings = { ...payload.settings, lists: scopeListsForUser(payload.settings.lists, user) };
+    }
+    if (isPlainObject(scoped.settings) && Array.isArray(scoped.settings.productGroups)) {
+        scoped.settings = {
+            ...scoped.settings,
+            productGroups: scoped.settings.productGroups.filter(group => canAccessProductGroup(group, user))
+        };
+    }
+    return scoped;
+}
+
+function scopeApiResponses(req, res, next) {
+    // Filters every items/lists payload down to what the signed-in household member may see.
+    const sendJson = res.json.bind(res);
+    res.json = (payload) => {
+        try {
+            return sendJson(scopePayloadForUser(payload, getRequestUser(req)));
+        } catch (_) {
+            return sendJson(scopePayloadForUser(payload, { username: '', role: 'member' }));
+        }
+    };
+    next();
+}
+
+function normalizeApiTokenScopes(rawScopes) {
+    const requested = new Set(Array.isArray(rawScopes) ? rawScopes.map(scope => String(scope || '').trim()) : []);
+    return API_TOKEN_SCOPES.filter(scope => requested.has(scope));
+}
+
+function normalizeApiTokenEntries(rawEntries) {
+    const sourceEntries = Array.isArray(rawEntries) ? rawEntries : [];
+    const seenIds = new Set();
+    return sourceEntries
+        .filter(entry => entry && typeof entry === 'object')
+        .map(entry => ({
+            id: normalizeOptionalString(entry.id, ''),
+            label: normalizeOptionalString(entry.label, 'Untitled token').slice(0, 80),
+            ownerId: normalizeOptionalStringOrNull(entry.ownerId)?.toLowerCase() || null,
+            scopes: normalizeApiTokenScopes(entry.scopes),
+            tokenHash: normalizeOptionalString(entry.tokenHash, ''),
+            prefix: normalizeOptionalString(entry.prefix, ''),
+            createdAt: normalizeIsoDateStringOrNull(entry.createdAt) || new Date().toISOString(),
+            lastUsedAt: normalizeIsoDateStringOrNull(entry.lastUsedAt),
+            revokedAt: normalizeIsoDateStringOrNull(entry.revokedAt)
+        }))
+        .filter((entry) => {
+            if (!entry.id || !entry.tokenHash || seenIds.has(entry.id)) return false;
+            seenIds.add(entry.id);
+            return true;
+        })
+        .slice(0, API_TOKEN_LIMIT);
+}
+
+function getApiTokensSnapshot(sourceSettings = settings, user = null) {
+    return normalizeApiTokenEntries(sourceSettings.apiTokens)
+        .filter(entry => isHouseholdAdmin(user) || entry.ownerId === user.username)
+        .map(({ tokenHash, ...entry }) => entry);
+}
+
+function hashApiToken(rawToken) {
+    return crypto.createHash('sha256').update(String(rawToken || ''), 'utf8').digest('hex');
+}
+
+function findApiTokenByValue(rawToken) {
+    const token = String(rawToken || '').trim();
+    if (!token.startsWith(API_TOKEN_PREFIX)) return null;
+    const tokenHash = hashApiToken(token);
+    return normalizeApiTokenEntries(settings.apiTokens)
+        .find(entry => backupVerifiersMatch(entry.tokenHash, tokenHash)) || null;
+}
+
+function getBearerToken(req) {
+    const header = String(req.get('authorization') || '');
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : '';
+}
+
+function getApiTokenScopeForRequest(req) {
+    const apiPath = req.path;
+    const isRead = ['GET', 'HEAD'].includes(req.method);
+    if (apiPath === '/backups' || apiPath.startsWith('/backups/')) return 'backups:admin';
+    if (['/check-now', '/extract', '/test-selector'].includes(apiPath)) return req.method === 'POST' ? 'check:run' : null;
+    if (apiPath === '/items' || apiPath.startsWith('/items/') || apiPath === '/lists' || apiPath.startsWith('/lists/')) {
+        return isRead ? 'items:read' : 'items:write';
+    }
+    if (['/alert-rules', '/diagnostics'].includes(apiPath) && isRead) return 'items:read';
+    return null;
+}
+
+async function recordApiTokenUse(tokenEntry, req) {
+    const requestMethod = req.method;
+    const requestPath = `${req.baseUrl}${req.path}`;
+    const nowMs = Date.now();
+    const lastUsedMs = Date.parse(tokenEntry.lastUsedAt || '') || 0;
+    if (nowMs - lastUsedMs >= API_TOKEN_LAST_USED_PERSIST_MS) {
+        // Last-used is bookkeeping, not config, so it does not bump the settings revision.
+        await runStateMutation(async () => {
+            const nextSettings = normalizeSettingsShape({
+                ...settings,
+                apiTokens: settings.apiTokens.map(entry => (
+                    entry.id === tokenEntry.id ? { ...entry, lastUsedAt: new Date(nowMs).toISOString() } : entry
+                ))
+            });
+            await saveSettings(nextSettings);
+            settings = nextSettings;
+        });
+    }
+    if (!['GET', 'HEAD', 'OPTIONS'].includes(requestMethod)) {
+        await addAuditEntry('api_token.used', {
+            tokenId: tokenEntry.id,
+            method: requestMethod,
+            path: requestPath
+        }, 'api_token', `token:${tokenEntry.label}`);
+    }
+}
+
+function isCsrfTokenValid(req, session) {
+    const headerToken = String(req.get('x-csrf-token') || '');
+    return backupVerifiersMatch(headerToken, session.csrfToken);
+}
+
+const AUTH_PUBLIC_API_PATHS = new Set(['/auth/session', '/auth/setup', '/auth/login', '/auth/logout']);
+
+function requireApiAuth(req, res, next) {
+    const bearerToken = getBearerToken(req);
+    if (bearerToken) {
+        const tokenEntry = findApiTokenByValue(bearerToken);
+        if (!tokenEntry || tokenEntry.revokedAt) {
+            return res.status(401).json({ error: 'Invalid or revoked API token' });
+        }
+        const requiredScope = getApiTokenScopeForRequest(req);
+        if (!requiredScope || !tokenEntry.scopes.includes(requiredScope)) {
+            return res.status(403).json({ error: requiredScope ? `API token is missing the ${requiredScope} scope` : 'This endpoint is not available to API tokens' });
+        }
+        if (hasAuthConfigured() && tokenEntry.ownerId && !getAuthAccount(tokenEntry.ownerId)) {
+            return res.status(401).json({ error: 'Invalid or revoked API token' });
+        }
+        req.apiToken = tokenEntry;
+        recordApiTokenUse(tokenEntry, req).catch((e) => {
+            console.error('[Auth] Failed to record API token use:', e.message);
+        });
+        return next();
+    }
+    // Until an admin password is configured the API stays open, matching single-user local installs.
+    if (AUTH_PUBLIC_API_PATHS.has(req.path) || !hasAuthConfigured()) return next();
+    const session = getAuthSessionFromRequest(req);
+    if (!session) {
+        return res.status(401).json({ error: 'Authentication required', authRequired: true });
+    }
+    if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) && !isCsrfTokenValid(req, session)) {
+        return res.status(403).json({ error: 'Invalid or missing CSRF token', csrfRequired: true });
+    }
+    req.authSession = session;
+    next();
+}
+
+// --- Backup Logic ---
+function hasBackupEncryptionConfigured(sourceSettings = settings) {
+    return Boolean(normalizeBackupEncryptionConfig(sourceSettings.backupEncryption));
+}
+
+function getBackupEncryptionConfig(sourceSettings = settings) {
+    const config = normalizeBackupEncryptionConfig(sourceSettings.backupEncryption);
+    if (!config) throw new Error('Backup password is not configured');
+    return config;
+}
+
+function backupVerifiersMatch(left, right) {
+    const leftBuffer = Buffer.from(String(left || ''), 'utf8');
+    const rightBuffer = Buffer.from(String(right || ''), 'utf8');
+    if (!leftBuffer.length || leftBuffer.length !== rightBuffer.length) return false;
+    return crypto.timingSafeEqual(leftBuffer, rightBuffer);
+}
+
+function hasUnlockedBackupEncryptionSession(sourceSettings = settings) {
+    const config = normalizeBackupEncryptionConfig(sourceSettings.backupEncryption);
+    return Boolean(
+        config
+        && backupSession.keyBuffer
+        && Buffer.isBuffer(backupSession.keyBuffer)
+        && backupSession.keyBuffer.length === 32
+        && backupSession.salt === config.salt
+    );
+}
+
+function getActiveBackupEncryptionKeyBuffer(sourceSettings = settings) {
+    if (!hasBackupEncryptionConfigured(sourceSettings)) {
+        throw new Error('Backup password is not configured');
+    }
+    if (!hasUnlockedBackupEncryptionSession(sourceSettings)) {
+        throw new Error('Backup password must be re-entered after restart before encrypted backup actions can run');
+    }
+    return Buffer.from(backupSession.keyBuffer);
+}
+
+function createBackupEncryptionStateFromPassword(password) {
+    const normalizedPassword = String(password || '').trim();
+    if (normalizedPassword.length < BACKUP_PASSWORD_MIN_LENGTH) {
+        throw new Error(`Backup password must be at least ${BACKUP_PASSWORD_MIN_LENGTH} characters`);
+    }
+    const saltBuffer = crypto.randomBytes(16);
+    const salt = saltBuffer.toString('base64');
+    const keyBuffer = crypto.scryptSync(normalizedPassword, saltBuffer, 32);
+    return {
+        config: {
+            salt,
+            verifier: createBackupKeyVerifier(keyBuffer, salt),
+            updatedAt: new Date().toISOString()
+        },
+        keyBuffer
+    };
+}
+
+async function validateBackupPasswordWithoutSession(password, sourceSettings = settings) {
+    const config = getBackupEncryptionConfig(sourceSettings);
+    const keyBuffer = await deriveBackupKeyFromPassword(password, config.salt);
+    const verifier = createBackupKeyVerifier(keyBuffer, config.salt);
+    if (!backupVerifiersMatch(verifier, config.verifier)) {
+        throw new Error('Backup password is incorrect');
+    }
+    return { config, keyBuffer };
+}
+
+async function deriveBackupKeyFromPassword(password, saltBase64) {
+    const normalizedPassword = String(password || '').trim();
+    if (!normalizedPassword) throw new Error('Backup password is required');
+    const saltBuffer = Buffer.from(String(saltBase64 || '').trim(), 'base64');
+    if (!saltBuffer.length) throw new Error('Backup salt is missing');
+    return await new Promise((resolve, reject) => {
+        crypto.scrypt(normalizedPassword, saltBuffer, 32, (err, keyBuffer) => {
+            if (err) reject(err);
+            else resolve(keyBuffer);
+        });
+    });
+}
+
+async function unlockBackupEncryptionSession(password, sourceSettings = settings) {
+    const { config, keyBuffer } = await validateBackupPasswordWithoutSession(password, sourceSettings);
+    setBackupEncryptionSession(keyBuffer, config.salt);
+    return { config, keyBuffer };
+}
+
+async function ensureBackupEncryptionSessionUnlocked(sourceSettings = settings) {
+    if (!hasBackupEncryptionConfigured(sourceSettings)) return false;
+    if (hasUnlockedBackupEncryptionSession(sourceSettings)) return true;
+    if (!BACKUP_PASSWORD_ENV) return false;
+    try {
+        await unlockBackupEncryptionSession(BACKUP_PASSWORD_ENV, sourceSettings);
+        console.log('[Backup] Session unlocked from BACKUP_PASSWORD environment variable.');
+        return true;
+    } catch (e) {
+        clearBackupEncryptionSession();
+        console.warn(`[Backup] Failed to unlock from BACKUP_PASSWORD: ${e.message}`);
+        return false;
+    }
+}
+
+function buildBackupSnapshot() {
     return normalizeBackupSnapshot({
         schema: BACKUP_SCHEMA_PLAIN,
         createdAt: new Date().toISOString(),
@@ -872,7 +2074,10 @@ function buildDefaultBackupSettingsState() {
         alertRules: { ...DEFAULT_ALERT_RULES },
         checkIntervalMs: DEFAULT_CHECK_INTERVAL_MS,
         checkIntervalPreset: '1h',
-        backupEncryption: null
+        backupEncryption: null,
+        auth: null,
+        apiTokens: [],
+        users: []
     }));
 }
 
@@ -1312,7 +2517,13 @@ async function restoreBackupSnapshot(snapshot) {
     const mergedSettings = normalizeSettingsShape({
         ...settings,
         ...restoredSettings,
-        backupEncryption: settings.backupEncryption
+        backupEncryption: settings.backupEncryption,
+        auth: settings.auth,
+        apiTokens: settings.apiTokens,
+        users: settings.users,
+        proxies: settings.proxies,
+        proxyRules: settings.proxyRules,
+        proxyDefaultMode: settings.proxyDefaultMode
     });
     const nextSettings = applyEnvironmentSettings(cloneJsonState(mergedSettings));
     const nextItems = normalizedSnapshot.items;
@@ -1437,6 +2648,9 @@ app.use(cors({
     }
 }));
 app.use(express.json({ limit: '20mb' }));
+app.use('/api', requireApiAuth);
+app.use('/api', scopeApiResponses);
+app.use('/api/backups', requireHouseholdAdmin);
 app.get(['/style.css', '/script.js', '/index.html'], (req, res) => {
     sendFrontendFile(res, path.basename(req.path));
 });
@@ -1515,6 +2729,11 @@ function generateUniqueItemId(seenIds) {
     return nextId;
 }
 
+// Household members may track the same product independently, and one page may be tracked once per variant.
+function getTrackedItemKey(ownerId, canonicalUrl, variantId) {
+    return `${ownerId || ''}|${canonicalUrl}|${normalizeOptionalString(variantId, '')}`;
+}
+
 function normalizeIncomingItems(rawItems, fallbackListId, options = {}) {
     const repairIds = Boolean(options.repairIds);
     const allowDuplicateCanonicalUrls = Boolean(options.allowDuplicateCanonicalUrls);
@@ -1569,8 +2788,10 @@ function normalizeIncomingItems(rawItems, fallbackListId, options = {}) {
             throw new Error(`Invalid item url at index ${index}`);
         }
         const canonicalUrl = normalizeTrackedUrl(normalizedUrl);
+        const ownerId = normalizeOptionalStringOrNull(item.ownerId)?.toLowerCase() || null;
+        const duplicateKey = getTrackedItemKey(ownerId, canonicalUrl, item.variantId);
         if (canonicalUrl) {
-            const duplicateAt = seenCanonicalUrls.get(canonicalUrl);
+            const duplicateAt = seenCanonicalUrls.get(duplicateKey);
             if (duplicateAt != null) {
                 if (dropDuplicateCanonicalUrls) {
                     changed = true;
@@ -1581,7 +2802,7 @@ function normalizeIncomingItems(rawItems, fallbackListId, options = {}) {
                 }
             }
             if (duplicateAt == null) {
-                seenCanonicalUrls.set(canonicalUrl, index);
+                seenCanonicalUrls.set(duplicateKey, index);
             }
         }
 
@@ -1614,6 +2835,54 @@ function normalizeIncomingItems(rawItems, fallbackListId, options = {}) {
                 ? normalizeOptionalString(item.lastCheckStatus, '').toLowerCase()
                 : '',
             lastCheckError: normalizeOptionalString(item.lastCheckError, ''),
+            consecutiveFailures: Math.round(normalizeClampedNumber(item.consecutiveFailures, 0, 1000, 0)),
+            backoffUntil: normalizeIsoDateStringOrNull(item.backoffUntil),
+            pendingPrice: normalizePendingPrice(item.pendingPrice),
+            screenshots: normalizeItemScreenshots(item.screenshots),
+            platform: Object.prototype.hasOwnProperty.call(COMMERCE_PLATFORM_PATTERNS, item.platform) ? item.platform : null,
+            compareAtPrice: normalizeFiniteNumberOrNull(item.compareAtPrice),
+            variants: Array.isArray(item.variants)
+                ? item.variants.filter(isPlainObject).slice(0, PLATFORM_MAX_VARIANTS).map(normalizePlatformVariant)
+                : [],
+            variantId: normalizeOptionalStringOrNull(item.variantId),
+            variantTitle: normalizeOptionalStringOrNull(item.variantId) ? normalizeOptionalStringOrNull(item.variantTitle) : null,
+            shippingPrice: normalizeFiniteNumberOrNull(item.shippingPrice),
+            couponDiscount: normalizeFiniteNumberOrNull(item.couponDiscount),
+            couponLabel: normalizeOptionalStringOrNull(item.couponLabel),
+            freeShippingThreshold: normalizeFiniteNumberOrNull(item.freeShippingThreshold),
+            effectivePrice: normalizeFiniteNumberOrNull(item.effectivePrice),
+            unitQuantity: normalizeFiniteNumberOrNull(item.unitQuantity) > 0 ? normalizeFiniteNumberOrNull(item.unitQuantity) : null,
+            unitOfMeasure: PACK_UNITS.includes(item.unitOfMeasure) ? item.unitOfMeasure : null,
+            unitSource: ['title', 'structured', 'manual'].includes(item.unitSource) ? item.unitSource : null,
+            unitPrice: normalizeFiniteNumberOrNull(item.unitPrice),
+            unitTargetPrice: normalizeFiniteNumberOrNull(item.unitTargetPrice) > 0 ? normalizeFiniteNumberOrNull(item.unitTargetPrice) : null,
+            offerMode: Boolean(item.offerMode),
+            recordFixture: Boolean(item.recordFixture),
+            browserProfileId: normalizeOptionalStringOrNull(item.browserProfileId),
+            pageActions: normalizePageActions(item.pageActions),
+            // Health and proposals belong to one selector; editing the selector drops both.
+            selectorHealth: normalizeSelectorHealth(item.selectorHealth, normalizeOptionalStringOrNull(item.selector)),
+            selectorProposal: normalizeSelectorProposal(item.selectorProposal, normalizeOptionalStringOrNull(item.selector)),
+            offers: Array.isArray(item.offers)
+                ? item.offers.filter(isPlainObject).slice(0, MAX_TRACKED_OFFERS).map(normalizeTrackedOffer)
+                : [],
+            offerSummary: isPlainObject(item.offerSummary)
+                ? {
+                    lowestNew: normalizeFiniteNumberOrNull(item.offerSummary.lowestNew),
+                    lowestUsed: normalizeFiniteNumberOrNull(item.offerSummary.lowestUsed),
+                    buyBox: normalizeFiniteNumberOrNull(item.offerSummary.buyBox),
+                    offerCount: Math.round(normalizeClampedNumber(item.offerSummary.offerCount, 0, MAX_TRACKED_OFFERS, 0))
+                }
+                : null,
+            offerHistory: normalizeOfferHistoryEntries(item.offerHistory),
+            alertSeries: OFFER_SERIES.includes(item.alertSeries) ? item.alertSeries : 'price',
+            ...normalizeProductIdentifiers(item),
+            pageTitle: normalizeOptionalStringOrNull(item.pageTitle),
+            imageUrl: resolvePageUrl(item.imageUrl) || null,
+            category: normalizeOptionalStringOrNull(item.category),
+            thumbnailFile: /^[A-Za-z0-9_-]+\.(jpg|png|webp|gif|avif)$/.test(String(item.thumbnailFile || '')) ? item.thumbnailFile : null,
+            thumbnailSourceUrl: normalizeOptionalStringOrNull(item.thumbnailSourceUrl),
+            groupId: normalizeOptionalStringOrNull(item.groupId),
             stockStatus: ['unknown', 'in_stock', 'out_of_stock'].includes(normalizeOptionalString(item.stockStatus, 'unknown').toLowerCase())
                 ? normalizeOptionalString(item.stockStatus, 'unknown').toLowerCase()
                 : 'unknown',
@@ -1625,6 +2894,11 @@ function normalizeIncomingItems(rawItems, fallbackListId, options = {}) {
                 ? normalizeOptionalString(item.stockTransition, '').toLowerCase()
                 : null
         };
+        if (ownerId) normalizedItem.ownerId = ownerId;
+        else delete normalizedItem.ownerId;
+        const checkIntervalMs = normalizeCheckIntervalOverride(item.checkIntervalMs);
+        if (checkIntervalMs) normalizedItem.checkIntervalMs = checkIntervalMs;
+        else delete normalizedItem.checkIntervalMs;
         if (JSON.stringify(normalizedItem) !== JSON.stringify(item)) changed = true;
         return normalizedItem;
     }).filter(Boolean);
@@ -1760,11 +3034,196 @@ function normalizeSelectorValue(value) {
     return normalizeOptionalStringOrNull(value);
 }
 
-function itemSourceChanged(currentItem, expectedUrl, expectedSelector) {
+function normalizeSelectorHealth(raw, selector) {
+    if (!selector || !isPlainObject(raw) || raw.selector !== selector) return null;
+    const toCount = value => Math.round(normalizeClampedNumber(value, 0, Number.MAX_SAFE_INTEGER, 0));
+    return {
+        selector,
+        hits: toCount(raw.hits),
+        misses: toCount(raw.misses),
+        consecutiveMisses: toCount(raw.consecutiveMisses),
+        lastHitAt: normalizeIsoDateStringOrNull(raw.lastHitAt),
+        lastMissAt: normalizeIsoDateStringOrNull(raw.lastMissAt),
+        recent: Array.isArray(raw.recent)
+            ? raw.recent.filter(isPlainObject)
+                .map(entry => ({ at: normalizeIsoDateStringOrNull(entry.at), hit: Boolean(entry.hit) }))
+                .filter(entry => entry.at)
+                .slice(-SELECTOR_HEALTH_HISTORY_LIMIT)
+            : []
+    };
+}
+
+function normalizeSelectorProposal(raw, selector) {
+    if (!selector || !isPlainObject(raw) || raw.previousSelector !== selector) return null;
+    const proposedSelector = normalizeOptionalStringOrNull(raw.selector);
+    const price = normalizeFiniteNumberOrNull(raw.price);
+    if (!proposedSelector || proposedSelector === selector || price === null) return null;
+    return {
+        selector: proposedSelector,
+        previousSelector: selector,
+        price,
+        currency: normalizeOptionalStringOrNull(raw.currency),
+        score: normalizeFiniteNumberOrNull(raw.score),
+        snippet: normalizeOptionalString(raw.snippet, '').slice(0, 140),
+        lastKnownPrice: normalizeFiniteNumberOrNull(raw.lastKnownPrice),
+        proposedAt: normalizeIsoDateStringOrNull(raw.proposedAt)
+    };
+}
+
+function recordSelectorHealth(currentItem, hit, nowIso) {
+    const previous = normalizeSelectorHealth(currentItem.selectorHealth, currentItem.selector) || {
+        selector: currentItem.selector,
+        hits: 0,
+        misses: 0,
+        consecutiveMisses: 0,
+        lastHitAt: null,
+        lastMissAt: null,
+        recent: []
+    };
+    return {
+        ...previous,
+        hits: previous.hits + (hit ? 1 : 0),
+        misses: previous.misses + (hit ? 0 : 1),
+        consecutiveMisses: hit ? 0 : previous.consecutiveMisses + 1,
+        lastHitAt: hit ? nowIso : previous.lastHitAt,
+        lastMissAt: hit ? previous.lastMissAt : nowIso,
+        recent: [...previous.recent, { at: nowIso, hit }].slice(-SELECTOR_HEALTH_HISTORY_LIMIT)
+    };
+}
+
+// Takes the best-ranked CSS suggestion whose price stays near the last known price, so a
+// redesign that leaves a wrong number winning the ranking does not become the new selector.
+// Substring selectors such as [class*="price"] match too much of a page to pin one price.
+function proposeReplacementSelector(currentItem, extraction, nowIso) {
+    const lastKnownPrice = normalizeFiniteNumberOrNull(currentItem.currentPrice);
+    if (!(lastKnownPrice > 0)) return null;
+    const currency = currentItem.currency || null;
+    const suggestion = (Array.isArray(extraction.suggestions) ? extraction.suggestions : []).find(entry => isPlainObject(entry)
+        && entry.source === 'selector'
+        && entry.selector
+        && entry.selector !== currentItem.selector
+        && !String(entry.selector).includes('*=')
+        && (!currency || !entry.currency || entry.currency === currency)
+        && Math.abs(Number(entry.price) - lastKnownPrice) / lastKnownPrice <= SELECTOR_REPAIR_MAX_DEVIATION);
+    if (!suggestion) return null;
+    return normalizeSelectorProposal({
+        ...suggestion,
+        previousSelector: currentItem.selector,
+        lastKnownPrice,
+        proposedAt: nowIso
+    }, currentItem.selector);
+}
+
+// expectedVariantId is only compared when the caller knows it (older clients omit it).
+function itemSourceChanged(currentItem, expectedUrl, expectedSelector, expectedVariantId) {
     const normalizedExpectedUrl = normalizeOptionalString(expectedUrl, currentItem.url);
     const normalizedExpectedSelector = normalizeSelectorValue(expectedSelector);
     return currentItem.url !== normalizedExpectedUrl
-        || normalizeSelectorValue(currentItem.selector) !== normalizedExpectedSelector;
+        || normalizeSelectorValue(currentItem.selector) !== normalizedExpectedSelector
+        || (expectedVariantId !== undefined
+            && normalizeOptionalStringOrNull(currentItem.variantId) !== normalizeOptionalStringOrNull(expectedVariantId));
+}
+
+function normalizePendingPrice(raw) {
+    if (!isPlainObject(raw)) return null;
+    const price = normalizeFiniteNumberOrNull(raw.price);
+    if (!(price > 0)) return null;
+    return {
+        price,
+        currency: normalizeOptionalStringOrNull(raw.currency)?.toUpperCase() || null,
+        referencePrice: normalizeFiniteNumberOrNull(raw.referencePrice),
+        reason: normalizeOptionalString(raw.reason, ''),
+        costs: normalizePurchaseCosts(raw.costs),
+        detectedAt: normalizeIsoDateStringOrNull(raw.detectedAt)
+    };
+}
+
+// Returns why a reading looks implausible next to the committed price and recent history, or null.
+function detectPriceOutlier(currentItem, price, currency) {
+    // The first successful check sets the baseline; the price typed in when adding an item is not evidence.
+    const reference = normalizeFiniteNumberOrNull(currentItem.currentPrice);
+    if (!currentItem.lastChecked || !(reference > 0) || !(price > 0)) return null;
+    const itemCurrency = currentItem.currency || 'USD';
+    const ratio = convertToUSD(price, currency) / convertToUSD(reference, itemCurrency);
+    if (ratio >= PRICE_OUTLIER_RATIO || ratio <= 1 / PRICE_OUTLIER_RATIO) {
+        return `${ratio >= 1 ? 'Jumped' : 'Fell'} about ${Math.round(ratio >= 1 ? ratio : 1 / ratio)}x from ${reference} ${itemCurrency}`;
+    }
+    if (currency !== itemCurrency) return null;
+
+    const recent = (Array.isArray(currentItem.history) ? currentItem.history : [])
+        .slice(-PRICE_OUTLIER_HISTORY_WINDOW)
+        .map(entry => Number(entry && entry.price))
+        .filter(value => Number.isFinite(value) && value > 0);
+    if (recent.length < PRICE_OUTLIER_MIN_HISTORY) return null;
+    const mean = recent.reduce((sum, value) => sum + value, 0) / recent.length;
+    const deviation = Math.sqrt(recent.reduce((sum, value) => sum + ((value - mean) ** 2), 0) / recent.length);
+    const change = Math.abs(price - reference) / reference;
+    if (deviation > 0 && Math.abs(price - mean) > PRICE_OUTLIER_STD_DEVIATIONS * deviation && change >= PRICE_OUTLIER_MIN_CHANGE) {
+        return `${Math.round(change * 100)}% ${price < reference ? 'below' : 'above'} ${reference} ${itemCurrency}, ${(Math.abs(price - mean) / deviation).toFixed(1)} standard deviations from recent prices`;
+    }
+    return null;
+}
+
+// A suspicious reading is committed only once a re-check repeats it; any plausible reading clears the hold.
+function evaluatePriceQuarantine(currentItem, price, currency, extraction, nowIso) {
+    const reason = detectPriceOutlier(currentItem, price, currency);
+    if (!reason) return { hold: false, pendingPrice: null };
+    const pending = normalizePendingPrice(currentItem.pendingPrice);
+    if (pending && pending.currency === currency
+        && Math.abs(price - pending.price) <= pending.price * PRICE_QUARANTINE_CONFIRM_TOLERANCE) {
+        return { hold: false, pendingPrice: null };
+    }
+    return {
+        hold: true,
+        pendingPrice: {
+            price,
+            currency,
+            referencePrice: normalizeFiniteNumberOrNull(currentItem.currentPrice),
+            reason,
+            costs: normalizePurchaseCosts(extraction && extraction.costs),
+            detectedAt: nowIso
+        }
+    };
+}
+
+function applyPurchaseCosts(nextItem, price, rawCosts) {
+    const costs = normalizePurchaseCosts(rawCosts);
+    const effective = computeEffectivePrice(price, costs);
+    nextItem.shippingPrice = effective.shippingPrice;
+    nextItem.couponDiscount = effective.couponDiscount;
+    nextItem.couponLabel = effective.couponDiscount ? costs.couponLabel : null;
+    nextItem.freeShippingThreshold = costs.freeShippingThreshold;
+    nextItem.effectivePrice = effective.effectivePrice;
+}
+
+function appendPriceHistory(nextItem, price, nowIso) {
+    const history = Array.isArray(nextItem.history) ? nextItem.history : [];
+    nextItem.history = history;
+    const last = history[history.length - 1];
+    const unitPrice = nextItem.unitPrice;
+    if (!last || last.price !== price || (unitPrice != null && last.unitPrice !== unitPrice)
+        || (Date.now() - new Date(last.date).getTime() > 86400000)) {
+        history.push({
+            date: nowIso,
+            price,
+            ...(unitPrice != null ? { unitPrice } : {})
+        });
+    }
+}
+
+// Accepting a quarantined reading from the UI commits it as-is, without alerts.
+function buildAcceptedPendingPriceItem(currentItem, nowIso = new Date().toISOString()) {
+    const pending = normalizePendingPrice(currentItem.pendingPrice);
+    const nextItem = cloneJsonState(currentItem);
+    nextItem.currency = pending.currency || nextItem.currency || 'USD';
+    nextItem.currentPrice = pending.price;
+    nextItem.lastSeenPrice = pending.price;
+    nextItem.priceInUSD = convertToUSD(pending.price, nextItem.currency);
+    applyPurchaseCosts(nextItem, pending.price, pending.costs);
+    nextItem.unitPrice = computeUnitPrice(pending.price, nextItem.unitQuantity);
+    appendPriceHistory(nextItem, pending.price, nowIso);
+    nextItem.pendingPrice = null;
+    return nextItem;
 }
 
 function buildSuccessfulCheckItem(currentItem, extraction, nowIso = new Date().toISOString()) {
@@ -1772,73 +3231,153 @@ function buildSuccessfulCheckItem(currentItem, extraction, nowIso = new Date().t
         ? (extraction.availability || { status: 'unknown', confidence: 0, reason: '', source: null })
         : { status: 'unknown', confidence: 0, reason: '', source: null };
     const nextItem = cloneJsonState(currentItem);
-    const price = extraction && extraction.price !== null && extraction.price !== undefined
+    const readPrice = extraction && extraction.price !== null && extraction.price !== undefined
         ? Number(extraction.price)
         : null;
     const previousStockStatus = String(currentItem.stockStatus || 'unknown');
-    const stockStatus = availability.status || (price !== null ? 'in_stock' : 'unknown');
+    const stockStatus = availability.status || (readPrice !== null ? 'in_stock' : 'unknown');
     const isOutOfStock = stockStatus === 'out_of_stock';
 
-    if (price === null && !isOutOfStock) {
+    if (readPrice === null && !isOutOfStock) {
         throw new Error('Could not find price');
     }
 
+    // A held reading leaves every price, offer, and stock field as it was; price is null below so nothing commits,
+    // and the check skips alerts, so whatever the reading carries is reported once a re-check confirms it.
+    const quarantine = !isOutOfStock && readPrice !== null
+        ? evaluatePriceQuarantine(currentItem, readPrice, (extraction && extraction.currency) || currentItem.currency || 'USD', extraction, nowIso)
+        : { hold: false, pendingPrice: normalizePendingPrice(currentItem.pendingPrice) };
+    nextItem.pendingPrice = quarantine.pendingPrice;
+    const price = quarantine.hold ? null : readPrice;
+
     if (!isOutOfStock && price !== null) {
         nextItem.currentPrice = price;
     }
-    if (extraction && extraction.currency) nextItem.currency = extraction.currency;
+    // Out-of-stock pages often hide the price block, so only in-stock checks count toward selector health.
+    if (currentItem.selector && !isOutOfStock && extraction && typeof extraction.customSelectorMatched === 'boolean') {
+        const hit = extraction.customSelectorMatched;
+        nextItem.selectorHealth = recordSelectorHealth(currentItem, hit, nowIso);
+        if (hit) {
+            nextItem.selectorProposal = null;
+        } else if (nextItem.selectorHealth.consecutiveMisses >= SELECTOR_REPAIR_MISS_THRESHOLD) {
+            nextItem.selectorProposal = proposeReplacementSelector(currentItem, extraction, nowIso)
+                || normalizeSelectorProposal(currentItem.selectorProposal, currentItem.selector);
+        }
+    }
+    if (extraction && extraction.currency && !quarantine.hold) nextItem.currency = extraction.currency;
+    nextItem.platform = (extraction && extraction.platform) || null;
+    nextItem.compareAtPrice = extraction && extraction.compareAtPrice != null ? extraction.compareAtPrice : null;
+    nextItem.variants = extraction && Array.isArray(extraction.variants) ? extraction.variants : [];
+    if (nextItem.variantId && extraction && extraction.variantTitle) nextItem.variantTitle = extraction.variantTitle;
     if (extraction && extraction.selectorUsed && !nextItem.selector) nextItem.selector = extraction.selectorUsed;
+    if (nextItem.offerMode && !quarantine.hold && extraction && Array.isArray(extraction.offers)) {
+        nextItem.offers = extraction.offers.filter(isPlainObject).slice(0, MAX_TRACKED_OFFERS).map(normalizeTrackedOffer);
+        nextItem.offerSummary = summarizeOffers(nextItem.offers, isOutOfStock ? null : price);
+        const offerHistory = Array.isArray(nextItem.offerHistory) ? nextItem.offerHistory : [];
+        nextItem.offerHistory = offerHistory;
+        const lastOffers = offerHistory[offerHistory.length - 1];
+        const { lowestNew, lowestUsed, buyBox } = nextItem.offerSummary;
+        const offersChanged = !lastOffers
+            || lastOffers.lowestNew !== lowestNew
+            || lastOffers.lowestUsed !== lowestUsed
+            || lastOffers.buyBox !== buyBox;
+        if ((lowestNew !== null || lowestUsed !== null || buyBox !== null)
+            && (offersChanged || (Date.now() - new Date(lastOffers.date).getTime() > 86400000))) {
+            offerHistory.push({ date: nowIso, lowestNew, lowestUsed, buyBox });
+        }
+    }
     nextItem.extractionConfidence = extraction && extraction.confidence ? extraction.confidence : (nextItem.extractionConfidence || 0);
-    nextItem.stockStatus = stockStatus;
-    nextItem.stockConfidence = Number(availability.confidence || 0);
-    nextItem.stockReason = availability.reason || '';
-    nextItem.stockSource = availability.source || null;
-    if (previousStockStatus !== 'out_of_stock' && stockStatus === 'out_of_stock') {
-        nextItem.stockChangedAt = nowIso;
-        nextItem.stockTransition = 'out_of_stock';
-    } else if (previousStockStatus === 'out_of_stock' && stockStatus === 'in_stock') {
-        nextItem.stockChangedAt = nowIso;
-        nextItem.stockTransition = 'back_in_stock';
-    } else {
-        nextItem.stockTransition = null;
+    if (!quarantine.hold) {
+        nextItem.stockStatus = stockStatus;
+        nextItem.stockConfidence = Number(availability.confidence || 0);
+        nextItem.stockReason = availability.reason || '';
+        nextItem.stockSource = availability.source || null;
+        if (previousStockStatus !== 'out_of_stock' && stockStatus === 'out_of_stock') {
+            nextItem.stockChangedAt = nowIso;
+            nextItem.stockTransition = 'out_of_stock';
+        } else if (previousStockStatus === 'out_of_stock' && stockStatus === 'in_stock') {
+            nextItem.stockChangedAt = nowIso;
+            nextItem.stockTransition = 'back_in_stock';
+        } else {
+            nextItem.stockTransition = null;
+        }
     }
     nextItem.lastChecked = nowIso;
     nextItem.lastCheckAttempt = nowIso;
     nextItem.lastCheckStatus = 'ok';
     nextItem.lastCheckError = '';
+    nextItem.consecutiveFailures = 0;
+    nextItem.backoffUntil = null;
     nextItem.currency = nextItem.currency || 'USD';
     if (Number.isFinite(price)) {
         nextItem.lastSeenPrice = Number(price);
         nextItem.priceInUSD = convertToUSD(price, nextItem.currency);
     }
+    if (!isOutOfStock && price !== null) {
+        applyPurchaseCosts(nextItem, price, extraction && extraction.costs);
+    }
+    // A manual pack size sticks; detected sizes refresh each check so shrinkflation shows up as a unit-price rise.
+    const packSize = extraction && isPlainObject(extraction.packSize) ? normalizePackSize(extraction.packSize) : null;
+    if (nextItem.unitSource !== 'manual' && packSize) {
+        nextItem.unitQuantity = packSize.quantity;
+        nextItem.unitOfMeasure = packSize.unit;
+        nextItem.unitSource = packSize.source || 'title';
+    }
+    if (!isOutOfStock && price !== null) {
+        nextItem.unitPrice = computeUnitPrice(price, nextItem.unitQuantity);
+    }
+    // Identifiers only fill in; a page that stops printing its GTIN shouldn't unlink a match.
+    const identifiers = normalizeProductIdentifiers(extraction && extraction.identifiers);
+    PRODUCT_IDENTIFIER_KEYS.forEach((key) => {
+        if (identifiers[key]) nextItem[key] = identifiers[key];
+    });
+    const metadata = normalizePageMetadata(extraction && extraction.metadata);
+    if (metadata.title) nextItem.pageTitle = metadata.title;
+    if (metadata.imageUrl) nextItem.imageUrl = metadata.imageUrl;
+    if (metadata.category) nextItem.category = metadata.category;
+    if (extraction && isPlainObject(extraction.thumbnail)) {
+        nextItem.thumbnailFile = extraction.thumbnail.file;
+        nextItem.thumbnailSourceUrl = extraction.thumbnail.sourceUrl;
+    }
 
     if (!isOutOfStock && price !== null) {
-        const history = Array.isArray(nextItem.history) ? nextItem.history : [];
-        nextItem.history = history;
-        const last = history[history.length - 1];
-        if (!last || last.price !== price || (Date.now() - new Date(last.date).getTime() > 86400000)) {
-            history.push({
-                date: nowIso,
-                price
-            });
-        }
+        appendPriceHistory(nextItem, price, nowIso);
     }
 
     return {
         nextItem,
         price,
         previousStockStatus,
-        stockStatus,
-        isOutOfStock
+        stockStatus: quarantine.hold ? previousStockStatus : stockStatus,
+        isOutOfStock,
+        quarantined: quarantine.hold
     };
 }
 
+function getItemAlertSeries(item) {
+    return item.offerMode && OFFER_SERIES.includes(item.alertSeries) ? item.alertSeries : 'price';
+}
+
+function getItemSeriesValue(item, series) {
+    if (series === 'price') return normalizeFiniteNumberOrNull(item.currentPrice);
+    return item.offerSummary ? normalizeFiniteNumberOrNull(item.offerSummary[series]) : null;
+}
+
+function getCheckBackoffMs(item, consecutiveFailures) {
+    const cadenceMs = getEffectiveCheckIntervalMs(item);
+    const backoffMs = cadenceMs * (2 ** Math.min(Math.max(0, consecutiveFailures - 1), 16));
+    return Math.min(backoffMs, Math.max(cadenceMs, CHECK_BACKOFF_MAX_MS));
+}
+
 function buildFailedCheckItem(currentItem, errorMessage, nowIso = new Date().toISOString()) {
+    const consecutiveFailures = (Number(currentItem.consecutiveFailures) || 0) + 1;
     return {
         ...cloneJsonState(currentItem),
         lastCheckAttempt: nowIso,
         lastCheckStatus: 'fail',
-        lastCheckError: normalizeOptionalString(errorMessage, 'Check failed')
+        lastCheckError: normalizeOptionalString(errorMessage, 'Check failed'),
+        consecutiveFailures,
+        backoffUntil: new Date(Date.parse(nowIso) + getCheckBackoffMs(currentItem, consecutiveFailures)).toISOString()
     };
 }
 
@@ -1879,10 +3418,12 @@ const BASE_PRICE_SELECTORS = [
     '#priceblock_dealprice'
 ];
 
-const SITE_ADAPTERS = [
+const BUILT_IN_SITE_ADAPTERS = [
     {
-        match: /amazon\./i,
-        selectors: [
+        id: 'amazon',
+        name: 'Amazon',
+        hosts: ['amazon.*'],
+        priceSelectors: [
             '#corePrice_feature_div .a-price .a-offscreen',
             '#corePriceDisplay_desktop_feature_div .a-price .a-offscreen',
             '#corePriceDisplay_mobile_feature_div .a-price .a-offscreen',
@@ -1892,49 +3433,234 @@ const SITE_ADAPTERS = [
             '#priceblock_saleprice',
             '#priceblock_ourprice',
             'input#twister-plus-price-data-price'
-        ]
+        ],
+        shippingSelectors: ['#mir-layout-DELIVERY_BLOCK [data-csa-c-delivery-price]', '#deliveryBlockMessage'],
+        couponSelectors: ['#couponBadgeRegularVpc', '#promoPriceBlockMessage_feature_div', '#vpcButton'],
+        offers: {
+            listingUrl: '/gp/product/ajax?asin={asin}&experienceId=aodAjaxMain',
+            rowSelector: '#aod-pinned-offer, #aod-offer',
+            buyBoxSelector: '#aod-pinned-offer',
+            priceSelector: '.a-price .a-offscreen',
+            sellerSelector: '#aod-offer-soldBy a, #aod-offer-soldBy .a-color-base',
+            conditionSelector: '#aod-offer-heading',
+            shippingSelector: '[data-csa-c-delivery-price]'
+        }
     },
     {
-        match: /trendyol\.com/i,
-        selectors: ['.prc-dsc', '.prc-slg', '[class*="prc"]', '[data-test-id*="price"]']
+        id: 'trendyol',
+        name: 'Trendyol',
+        hosts: ['trendyol.com'],
+        priceSelectors: ['.prc-dsc', '.prc-slg', '[class*="prc"]', '[data-test-id*="price"]'],
+        shippingSelectors: ['[class*="cargo"]', '[class*="shipping"]'],
+        couponSelectors: ['[class*="basket-discount"]', '[class*="campaign-price"]'],
+        currency: 'TRY',
+        offers: {
+            rowSelector: '[class*="other-merchants"] [class*="merchant-item"]',
+            priceSelector: '[class*="prc"]',
+            sellerSelector: '[class*="merchant-name"]'
+        }
     },
     {
-        match: /hepsiburada\.com/i,
-        selectors: ['[data-test-id="price-current-price"]', '[id*="offering-price"]', '[class*="price"]']
+        id: 'hepsiburada',
+        name: 'Hepsiburada',
+        hosts: ['hepsiburada.com'],
+        priceSelectors: ['[data-test-id="price-current-price"]', '[id*="offering-price"]', '[class*="price"]'],
+        shippingSelectors: ['[data-test-id*="shipping"]', '[class*="cargo"]'],
+        couponSelectors: ['[data-test-id="checkout-price"]', '[class*="basket-price"]'],
+        currency: 'TRY',
+        offers: {
+            rowSelector: '[data-test-id="other-merchants"] li',
+            priceSelector: '[data-test-id="price-current-price"], [class*="price"]',
+            sellerSelector: '[data-test-id="merchant-name"], [class*="merchant"] a',
+            shippingSelector: '[class*="shipping"]'
+        }
     },
     {
-        match: /n11\.com/i,
-        selectors: ['.newPrice ins', '.newPrice', '[class*="price"]']
+        id: 'n11',
+        name: 'n11',
+        hosts: ['n11.com'],
+        priceSelectors: ['.newPrice ins', '.newPrice', '[class*="price"]'],
+        currency: 'TRY'
     },
     {
-        match: /boyner\.com\.tr/i,
-        selectors: ['.m-productPrice__salePrice', '[class*="salePrice"]', '[class*="price"]']
-    }
+        id: 'boyner',
+        name: 'Boyner',
+        hosts: ['boyner.com.tr'],
+        priceSelectors: ['.m-productPrice__salePrice', '[class*="salePrice"]', '[class*="price"]'],
+        currency: 'TRY'
+    }
+].map(adapter => normalizeSiteAdapter(adapter, { builtIn: true }));
+
+// Fallback currency when no adapter, enabled or not, declares one; the first matching suffix wins.
+const TLD_CURRENCY_HINTS = [
+    ['.tr', 'TRY'],
+    ['.de', 'EUR'],
+    ['.co.uk', 'GBP'],
+    ['.jp', 'JPY'],
+    ['.ca', 'CAD'],
+    ['.com.au', 'AUD']
 ];
 
+function normalizeSelectorList(rawSelectors) {
+    const list = Array.isArray(rawSelectors) ? rawSelectors : (rawSelectors ? [rawSelectors] : []);
+    return list.map(selector => normalizeOptionalString(selector, '')).filter(Boolean).slice(0, 40);
+}
+
+// Offer rows are read from the product page, or from `listingUrl` (relative, with an optional {asin} placeholder).
+function normalizeOfferListingConfig(rawOffers) {
+    if (!isPlainObject(rawOffers)) return null;
+    const rowSelector = normalizeOptionalString(rawOffers.rowSelector, '');
+    const priceSelector = normalizeOptionalString(rawOffers.priceSelector, '');
+    if (!rowSelector || !priceSelector) throw new Error('Adapter offers need rowSelector and priceSelector');
+    const listingUrl = normalizeOptionalStringOrNull(rawOffers.listingUrl);
+    if (listingUrl && !listingUrl.startsWith('/')) throw new Error('Adapter offers listingUrl must be a path on the product host');
+    return {
+        listingUrl,
+        rowSelector,
+        buyBoxSelector: normalizeOptionalStringOrNull(rawOffers.buyBoxSelector),
+        priceSelector,
+        sellerSelector: normalizeOptionalStringOrNull(rawOffers.sellerSelector),
+        conditionSelector: normalizeOptionalStringOrNull(rawOffers.conditionSelector),
+        shippingSelector: normalizeOptionalStringOrNull(rawOffers.shippingSelector)
+    };
+}
+
+function normalizeSiteAdapter(rawAdapter, options = {}) {
+    if (!isPlainObject(rawAdapter)) throw new Error('Adapter must be an object');
+    const id = normalizeOptionalString(rawAdapter.id, options.fallbackId || '').toLowerCase();
+    if (!/^[a-z0-9._-]{1,64}$/.test(id)) throw new Error('Adapter id must use letters, numbers, dots, dashes, or underscores');
+    const hosts = (Array.isArray(rawAdapter.hosts) ? rawAdapter.hosts : [rawAdapter.hosts])
+        .map(host => normalizeOptionalString(host, '').toLowerCase().replace(/^www\./, ''))
+        .filter(host => /^[a-z0-9.*-]+$/.test(host));
+    if (!hosts.length) throw new Error('Adapter needs at least one host pattern');
+    const currency = normalizeOptionalString(rawAdapter.currency, '').toUpperCase();
+    if (currency && !/^[A-Z]{3}$/.test(currency)) throw new Error('Adapter currency must be a 3-letter code');
+    let actions;
+    try {
+        actions = parsePageActionScript(rawAdapter.actions);
+    } catch (e) {
+        throw new Error(`Adapter actions: ${e.message}`);
+    }
+    return {
+        id,
+        name: normalizeOptionalString(rawAdapter.name, id),
+        hosts,
+        priceSelectors: normalizeSelectorList(rawAdapter.priceSelectors),
+        availabilitySelectors: normalizeSelectorList(rawAdapter.availabilitySelectors),
+        shippingSelectors: normalizeSelectorList(rawAdapter.shippingSelectors),
+        couponSelectors: normalizeSelectorList(rawAdapter.couponSelectors),
+        currency: currency || null,
+        titleSelector: normalizeOptionalStringOrNull(rawAdapter.titleSelector),
+        offers: normalizeOfferListingConfig(rawAdapter.offers),
+        actions,
+        builtIn: Boolean(options.builtIn),
+        file: options.file || null
+    };
+}
+
+// `amazon.*` matches amazon.de and www.amazon.com.tr; a bare domain also matches its subdomains.
+function siteAdapterMatchesHost(adapter, hostname) {
+    const host = String(hostname || '').toLowerCase().replace(/^www\./, '');
+    return adapter.hosts.some((pattern) => {
+        const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^(?:.*\\.)?${source}$`).test(host);
+    });
+}
+
+async function loadSiteAdapters() {
+    const loaded = [];
+    let fileNames = [];
+    try {
+        await fsPromises.mkdir(ADAPTERS_DIR, { recursive: true });
+        fileNames = (await fsPromises.readdir(ADAPTERS_DIR)).filter(name => /\.(json|js)$/i.test(name)).sort();
+    } catch (e) {
+        console.error('[Adapters] Failed to read adapters directory:', e.message);
+    }
+    for (const fileName of fileNames) {
+        const filePath = path.join(ADAPTERS_DIR, fileName);
+        const fallbackId = path.basename(fileName, path.extname(fileName)).toLowerCase();
+        try {
+            let raw;
+            if (/\.json$/i.test(fileName)) {
+                raw = JSON.parse(await fsPromises.readFile(filePath, 'utf8'));
+            } else {
+                delete require.cache[require.resolve(filePath)];
+                raw = require(filePath);
+            }
+            const entries = Array.isArray(raw) ? raw : [raw];
+            entries.forEach((entry, index) => {
+                loaded.push(normalizeSiteAdapter(entry, {
+                    file: fileName,
+                    fallbackId: entries.length > 1 ? `${fallbackId}-${index + 1}` : fallbackId
+                }));
+            });
+        } catch (e) {
+            console.error(`[Adapters] Failed to load ${fileName}: ${e.message}`);
+            loaded.push({ id: fallbackId, name: fileName, hosts: [], builtIn: false, file: fileName, error: e.message });
+        }
+    }
+    customSiteAdapters = loaded;
+    siteAdaptersCache = null;
+    return loaded;
+}
+
+// Adapters from ADAPTERS_DIR come first and replace built-ins with the same id.
+// Every extraction looks adapters up, so the list is built once and rebuilt after loadSiteAdapters runs
+// or a settings save replaces the disabled list.
+function getSiteAdaptersSnapshot(sourceSettings = settings) {
+    const disabledAdapters = sourceSettings.disabledAdapters || [];
+    if (siteAdaptersCache && siteAdaptersCache.disabledAdapters === disabledAdapters) {
+        return siteAdaptersCache.adapters;
+    }
+    const disabledIds = new Set(disabledAdapters);
+    const customIds = new Set(customSiteAdapters.filter(adapter => !adapter.error).map(adapter => adapter.id));
+    const adapters = [
+        ...customSiteAdapters,
+        ...BUILT_IN_SITE_ADAPTERS.map(adapter => (customIds.has(adapter.id) ? { ...adapter, overridden: true } : adapter))
+    ].map(adapter => ({
+        ...adapter,
+        enabled: !adapter.error && !adapter.overridden && !disabledIds.has(adapter.id)
+    }));
+    siteAdaptersCache = { disabledAdapters, adapters };
+    return adapters;
+}
+
+function getSiteAdapter(hostname) {
+    return getSiteAdaptersSnapshot().find(adapter => adapter.enabled && siteAdapterMatchesHost(adapter, hostname)) || null;
+}
+
 function getDomainHints(targetUrl = '') {
     try {
         const host = new URL(targetUrl).hostname.toLowerCase();
-        if (host.endsWith('.tr') || /trendyol|hepsiburada|n11|boyner|amazon\.com\.tr/.test(host)) {
-            return { preferredCurrency: 'TRY', selectors: getSiteSelectors(host) };
-        }
-        if (/amazon\.de|\.de$/.test(host)) return { preferredCurrency: 'EUR', selectors: getSiteSelectors(host) };
-        if (/amazon\.co\.uk|\.co\.uk$/.test(host)) return { preferredCurrency: 'GBP', selectors: getSiteSelectors(host) };
-        if (/amazon\.jp|\.jp$/.test(host)) return { preferredCurrency: 'JPY', selectors: getSiteSelectors(host) };
-        if (/amazon\.ca|\.ca$/.test(host)) return { preferredCurrency: 'CAD', selectors: getSiteSelectors(host) };
-        if (/amazon\.com\.au|\.com\.au$/.test(host)) return { preferredCurrency: 'AUD', selectors: getSiteSelectors(host) };
-        if (/amazon\.com|\.com$/.test(host)) return { preferredCurrency: 'USD', selectors: getSiteSelectors(host) };
-        return { preferredCurrency: 'USD', selectors: getSiteSelectors(host) };
+        const adapter = getSiteAdapter(host);
+        // A disabled adapter stops reading the page, but the currency it names still belongs to the site.
+        const currencyAdapter = [adapter, ...getSiteAdaptersSnapshot()]
+            .find(entry => entry && entry.currency && siteAdapterMatchesHost(entry, host));
+        const tldHint = TLD_CURRENCY_HINTS.find(([suffix]) => host.endsWith(suffix));
+        return {
+            preferredCurrency: currencyAdapter ? currencyAdapter.currency : (tldHint ? tldHint[1] : 'USD'),
+            selectors: adapter ? adapter.priceSelectors : [],
+            availabilitySelectors: adapter ? adapter.availabilitySelectors : [],
+            shippingSelectors: adapter ? adapter.shippingSelectors : [],
+            couponSelectors: adapter ? adapter.couponSelectors : [],
+            titleSelector: adapter ? adapter.titleSelector : null,
+            offers: adapter ? adapter.offers : null,
+            adapterId: adapter ? adapter.id : null
+        };
     } catch {
-        return { preferredCurrency: 'USD', selectors: [] };
+        return {
+            preferredCurrency: 'USD',
+            selectors: [],
+            availabilitySelectors: [],
+            shippingSelectors: [],
+            couponSelectors: [],
+            titleSelector: null,
+            offers: null,
+            adapterId: null
+        };
     }
 }
 
-function getSiteSelectors(hostname) {
-    const adapter = SITE_ADAPTERS.find(a => a.match.test(hostname));
-    return adapter ? adapter.selectors : [];
-}
-
 function isAmazonTarget(targetUrl = '') {
     try {
         return /amazon\./i.test(new URL(targetUrl).hostname);
@@ -2034,11 +3760,21 @@ function scoreAvailabilityText(rawText) {
     return { outScore, inScore, outReason, inReason };
 }
 
+// Markup fingerprints for shop platforms whose structured product endpoints beat CSS selectors.
+const COMMERCE_PLATFORM_PATTERNS = {
+    shopify: /(myshopify\.com|Shopify\.shop|\/cdn\/shop\/|cdn\.shopify\.com|shopify-digital-wallet)/i,
+    woocommerce: /(\/wp-content\/plugins\/woocommerce\/|class="[^"]*\bwoocommerce\b|wc-block-components|wc-add-to-cart)/i,
+    magento: /(text\/x-magento-init|data-mage-init|Magento_Theme|mage\/cookies)/i
+};
+const PLATFORM_FETCH_TIMEOUT_MS = 10000;
+const PLATFORM_MAX_VARIANTS = 50;
+const WOOCOMMERCE_MAX_VARIATION_FETCHES = 10;
+
 function detectShopifyAvailabilityFromRawHtml(htmlString) {
     const raw = String(htmlString || '');
     if (!raw) return null;
 
-    const isShopifyLike = /(myshopify\.com|Shopify\.shop|\/cdn\/shop\/|shopify-digital-wallet)/i.test(raw);
+    const isShopifyLike = COMMERCE_PLATFORM_PATTERNS.shopify.test(raw);
     if (!isShopifyLike) return null;
 
     // Common Shopify product data surfaces used by many themes/apps.
@@ -2155,6 +3891,19 @@ function detectAvailability($, htmlString, targetUrl = '') {
         if (cls) setStructured(cls.status, cls.confidence, cls.reason, 'meta-availability');
     });
 
+    getDomainHints(targetUrl).availabilitySelectors.forEach((selector) => {
+        let elements;
+        try {
+            elements = $(selector);
+        } catch {
+            return;
+        }
+        elements.slice(0, 5).each((_, el) => {
+            if (isLikelyHidden(el)) return;
+            considerSignal($(el).attr('content') || $(el).text(), 30, 'adapter-availability');
+        });
+    });
+
     $('script[type*="ld+json"]').slice(0, 25).each((_, el) => {
         const raw = $(el).contents().text();
         if (!raw) return;
@@ -2486,6 +4235,215 @@ function normalizeConfidence(value) {
     return Math.max(0, Math.min(100, Math.round(n)));
 }
 
+const PACK_MEASURE_PATTERN = 'fl\\.? ?oz|kg|kilo|grams?|gr|g|mg|lbs?|oz|ml|cl|ltr|lt|litre|liter|l';
+// "5G" or "4G LTE" in a phone or watch title names a mobile network, not grams; "1.5g" and "10 x 5g" stay weights.
+const NETWORK_GENERATION_PATTERN = /(?<![\d.,]|x\s?)\b[2-5]g\b/g;
+const PACK_COUNT_PATTERN = /(?:pack of|set of|box of|paket)\s*(\d{1,4})|(\d{1,4})\s*(?:'?\s?li\b|'?\s?lu\b|-?pack\b|pk\b|adet\b|pcs\b|pieces\b|count\b|ct\b|tablets\b|capsules\b|rolls\b|x\s*$)/;
+
+// "24 x 330 ml" -> 7.92 l, "Pack of 6, 500 g" -> 3 kg, "12 adet" -> 12 unit; null when nothing looks like a pack size.
+function parsePackSize(rawText) {
+    const text = normalizeAvailabilityText(rawText).replace(/\u00d7/g, 'x').replace(NETWORK_GENERATION_PATTERN, ' ');
+    if (!text.trim()) return null;
+    const toNumber = value => Number(String(value).replace(',', '.'));
+    const toBase = (amount, unit) => {
+        const [base, factor] = PACK_MEASURE_UNITS[unit.replace(/\.\s?/, ' ').replace(/^fl\s?oz$/, 'fl oz')] || PACK_MEASURE_UNITS[unit] || [];
+        return base ? { unit: base, quantity: amount * factor } : null;
+    };
+    const multi = text.match(new RegExp(`(\\d{1,4})\\s*x\\s*(\\d+(?:[.,]\\d+)?)\\s*(${PACK_MEASURE_PATTERN})\\b`));
+    let result = null;
+    if (multi) {
+        const single = toBase(toNumber(multi[2]), multi[3]);
+        if (single) result = { unit: single.unit, quantity: single.quantity * toNumber(multi[1]) };
+    }
+    if (!result) {
+        const measure = text.match(new RegExp(`(\\d+(?:[.,]\\d+)?)\\s*(${PACK_MEASURE_PATTERN})\\b`));
+        const count = text.match(PACK_COUNT_PATTERN);
+        const packCount = count ? toNumber(count[1] || count[2]) : null;
+        const single = measure ? toBase(toNumber(measure[1]), measure[2]) : null;
+        if (single) result = { unit: single.unit, quantity: single.quantity * (packCount || 1) };
+        else if (packCount) result = { unit: 'unit', quantity: packCount };
+    }
+    if (!result || !Number.isFinite(result.quantity) || result.quantity <= 0) return null;
+    return { unit: result.unit, quantity: Number(result.quantity.toFixed(6)) };
+}
+
+// Every object node of every JSON-LD block, breadth-first per block so outer nodes such as the page's Product come first.
+function collectJsonLdNodes($) {
+    const nodes = [];
+    $('script[type*="ld+json"]').each((_, el) => {
+        let parsed;
+        try {
+            parsed = JSON.parse($(el).contents().text() || 'null');
+        } catch {
+            return;
+        }
+        const queue = Array.isArray(parsed) ? [...parsed] : [parsed];
+        while (queue.length) {
+            const node = queue.shift();
+            if (!node || typeof node !== 'object') continue;
+            if (Array.isArray(node)) {
+                queue.push(...node);
+                continue;
+            }
+            nodes.push(node);
+            for (const key of Object.keys(node)) {
+                if (node[key] && typeof node[key] === 'object') queue.push(node[key]);
+            }
+        }
+    });
+    return nodes;
+}
+
+// Structured weight wins over the title; the title catches multipacks that structured data reports per item.
+function extractPackSize(jsonLdNodes, title) {
+    let structured = null;
+    for (const node of jsonLdNodes) {
+        const weight = isPlainObject(node.weight) ? node.weight : null;
+        if (weight && Number(weight.value) > 0) {
+            const unit = PACK_UNIT_CODES[String(weight.unitCode || '').toUpperCase()] || normalizeAvailabilityText(weight.unitText);
+            structured = parsePackSize(`${weight.value} ${unit}`);
+        } else if (typeof node.size === 'string') {
+            structured = parsePackSize(node.size);
+        }
+        if (structured) break;
+    }
+    const fromTitle = parsePackSize(title);
+    if (fromTitle && (!structured || (fromTitle.unit === structured.unit && fromTitle.quantity > structured.quantity))) {
+        return { ...fromTitle, source: 'title' };
+    }
+    return structured ? { ...structured, source: 'structured' } : null;
+}
+
+function computeUnitPrice(price, quantity) {
+    const numericPrice = Number(price);
+    const numericQuantity = Number(quantity);
+    if (!Number.isFinite(numericPrice) || !(numericQuantity > 0)) return null;
+    return Number((numericPrice / numericQuantity).toFixed(4));
+}
+
+const GENERIC_SHIPPING_SELECTORS = [
+    '[data-csa-c-delivery-price]',
+    '[class*="shipping-cost"]',
+    '[class*="shipping-price"]',
+    '[class*="delivery-price"]',
+    '[class*="kargo"]',
+    '[id*="shipping"]'
+];
+const GENERIC_COUPON_SELECTORS = ['[id*="coupon"]', '[class*="coupon"]', '[class*="sepette"]', '[class*="basket-discount"]'];
+const FREE_SHIPPING_PATTERN = /(free (shipping|delivery)|ucretsiz kargo|kargo bedava|kostenlose[rn]? (versand|lieferung)|livraison gratuite)/;
+const FREE_SHIPPING_THRESHOLD_PATTERNS = [
+    /free (?:shipping|delivery)[^.]{0,40}?(?:over|above|from|of)\s*[$\u20AC\u00A3]?\s*(\d[\d.,]*)/,
+    /(\d[\d.,]*)\s*(?:tl|\u20BA)?\s*(?:ve )?uzeri(?:ne)? (?:kargo bedava|ucretsiz kargo)/
+];
+
+const EXPLICIT_CURRENCY_PATTERN = /(\u20BA|\u20AC|\u00A3|\$|\bTRY\b|\bUSD\b|\bEUR\b|\bGBP\b|\bTL\b)/i;
+
+function parseCostAmount(text, currency) {
+    const raw = extractNumericCandidates(text)[0];
+    if (!raw) return null;
+    const value = normalizePriceString(raw, currency);
+    return Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+// Shipping, coupons and free-shipping thresholds as the page states them; the discount is resolved later against the final price.
+function extractPurchaseCosts($, preferredCurrency, targetUrl = '') {
+    const { shippingSelectors, couponSelectors } = getDomainHints(targetUrl);
+    const readTexts = selectors => selectors.flatMap((selector) => {
+        try {
+            return $(selector).slice(0, 5).toArray().map(el => $(el).attr('data-csa-c-delivery-price') || $(el).text());
+        } catch {
+            return [];
+        }
+    }).map(text => String(text || '').replace(/\s+/g, ' ').trim()).filter(text => text && text.length <= 220);
+
+    const costs = {
+        shippingPrice: null,
+        freeShippingThreshold: null,
+        couponAmount: null,
+        couponPercent: null,
+        couponBasketPrice: null,
+        couponLabel: null
+    };
+    const pageText = normalizeAvailabilityText($('body').text()).slice(0, 200000);
+    for (const pattern of FREE_SHIPPING_THRESHOLD_PATTERNS) {
+        const match = pageText.match(pattern);
+        if (match) {
+            costs.freeShippingThreshold = parseCostAmount(match[1], preferredCurrency);
+            break;
+        }
+    }
+
+    for (const text of readTexts([...shippingSelectors, ...GENERIC_SHIPPING_SELECTORS])) {
+        const normalized = normalizeAvailabilityText(text);
+        if (FREE_SHIPPING_THRESHOLD_PATTERNS.some(pattern => pattern.test(normalized))) continue;
+        if (FREE_SHIPPING_PATTERN.test(normalized) || /^free\b/.test(normalized)) {
+            costs.shippingPrice = 0;
+            break;
+        }
+        if (!EXPLICIT_CURRENCY_PATTERN.test(text)) continue;
+        const amount = parseCostAmount(text, preferredCurrency);
+        if (amount !== null) {
+            costs.shippingPrice = amount;
+            break;
+        }
+    }
+
+    for (const text of readTexts([...couponSelectors, ...GENERIC_COUPON_SELECTORS])) {
+        const normalized = normalizeAvailabilityText(text);
+        if (!/(coupon|kupon|sepette|indirim|save|off|rabatt)/.test(normalized)) continue;
+        const percentMatch = normalized.match(/%\s?(\d+(?:[.,]\d+)?)|(\d+(?:[.,]\d+)?)\s?%/);
+        if (percentMatch) {
+            const percent = Number(String(percentMatch[1] || percentMatch[2]).replace(',', '.'));
+            if (percent > 0 && percent < 100) costs.couponPercent = percent;
+        } else if (!EXPLICIT_CURRENCY_PATTERN.test(text)) {
+            continue;
+        } else if (/sepette/.test(normalized) && !/indirim/.test(normalized)) {
+            // Turkish marketplaces show the basket price ("Sepette 899 TL") rather than the discount.
+            costs.couponBasketPrice = parseCostAmount(text, preferredCurrency);
+        } else {
+            costs.couponAmount = parseCostAmount(text, preferredCurrency);
+        }
+        if (costs.couponPercent !== null || costs.couponBasketPrice !== null || costs.couponAmount !== null) {
+            costs.couponLabel = text.slice(0, 120);
+            break;
+        }
+    }
+    return costs;
+}
+
+function normalizePurchaseCosts(rawCosts) {
+    const costs = isPlainObject(rawCosts) ? rawCosts : {};
+    const percent = normalizeFiniteNumberOrNull(costs.couponPercent);
+    return {
+        shippingPrice: normalizeFiniteNumberOrNull(costs.shippingPrice),
+        freeShippingThreshold: normalizeFiniteNumberOrNull(costs.freeShippingThreshold),
+        couponAmount: normalizeFiniteNumberOrNull(costs.couponAmount),
+        couponPercent: percent !== null && percent > 0 && percent < 100 ? percent : null,
+        couponBasketPrice: normalizeFiniteNumberOrNull(costs.couponBasketPrice),
+        couponLabel: normalizeOptionalStringOrNull(costs.couponLabel)
+    };
+}
+
+// effectivePrice = price - coupon + shipping, with shipping waived once the discounted price reaches the free-shipping threshold.
+function computeEffectivePrice(price, rawCosts) {
+    if (!Number.isFinite(price)) return { shippingPrice: null, couponDiscount: null, effectivePrice: null };
+    const costs = normalizePurchaseCosts(rawCosts);
+    let couponDiscount = 0;
+    if (costs.couponAmount !== null) couponDiscount = costs.couponAmount;
+    else if (costs.couponPercent !== null) couponDiscount = price * (costs.couponPercent / 100);
+    else if (costs.couponBasketPrice !== null && costs.couponBasketPrice < price) couponDiscount = price - costs.couponBasketPrice;
+    couponDiscount = Math.min(price, Number(couponDiscount.toFixed(2)));
+    const discounted = price - couponDiscount;
+    const shippingPrice = costs.freeShippingThreshold !== null && discounted >= costs.freeShippingThreshold
+        ? 0
+        : costs.shippingPrice;
+    return {
+        shippingPrice,
+        couponDiscount: couponDiscount > 0 ? couponDiscount : null,
+        effectivePrice: Number((discounted + (shippingPrice || 0)).toFixed(2))
+    };
+}
+
 function buildCandidate(text, selector, source, preferredCurrency, scoreBase = 0) {
     const rawText = String(text || '').trim();
     if (!rawText) return null;
@@ -2609,6 +4567,115 @@ function extractFromJsonLd($, preferredCurrency) {
     return candidates;
 }
 
+const PRODUCT_IDENTIFIER_KEYS = ['gtin', 'mpn', 'sku', 'brand'];
+const JSON_LD_GTIN_KEYS = ['gtin14', 'gtin13', 'gtin12', 'gtin8', 'gtin'];
+
+// GTINs keep only their digits; the 8/12/13/14-digit forms of one code compare equal after zero-padding.
+function normalizeGtin(value) {
+    const digits = String(value ?? '').replace(/\D/g, '');
+    return [8, 12, 13, 14].includes(digits.length) && /[1-9]/.test(digits) ? digits : null;
+}
+
+function normalizeProductIdentifiers(raw) {
+    const source = isPlainObject(raw) ? raw : {};
+    return {
+        gtin: normalizeGtin(source.gtin),
+        mpn: normalizeOptionalString(source.mpn, '').slice(0, 80) || null,
+        sku: normalizeOptionalString(source.sku, '').slice(0, 80) || null,
+        brand: normalizeOptionalString(source.brand, '').slice(0, 80) || null
+    };
+}
+
+function isJsonLdProductNode(node) {
+    const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+    return types.some(type => /^(Product|ProductModel|IndividualProduct|ProductGroup)$/i.test(String(type || '')));
+}
+
+// schema.org Product nodes first, then microdata and Open Graph product tags for pages without JSON-LD.
+function extractProductIdentifiers($, jsonLdNodes) {
+    const found = {};
+    const take = (key, value) => {
+        if (found[key] || value == null) return;
+        const text = String(isPlainObject(value) ? value.name || '' : value).trim();
+        if (text) found[key] = text;
+    };
+    jsonLdNodes.filter(isJsonLdProductNode).forEach((node) => {
+        const offer = Array.isArray(node.offers) ? node.offers[0] : node.offers;
+        const gtinKey = JSON_LD_GTIN_KEYS.find(key => normalizeGtin(node[key]))
+            || (isPlainObject(offer) ? JSON_LD_GTIN_KEYS.find(key => normalizeGtin(offer[key])) : null);
+        if (gtinKey) take('gtin', normalizeGtin(node[gtinKey]) || normalizeGtin(offer[gtinKey]));
+        take('mpn', node.mpn);
+        take('sku', node.sku || (isPlainObject(offer) ? offer.sku : null));
+        take('brand', Array.isArray(node.brand) ? node.brand[0] : node.brand);
+    });
+    const readMicrodata = (prop) => {
+        const el = $(`[itemprop="${prop}"]`).first();
+        if (!el.length) return null;
+        return el.attr('content') || (el.find('[itemprop="name"]').first().text() || el.text()).trim() || null;
+    };
+    JSON_LD_GTIN_KEYS.forEach(key => take('gtin', normalizeGtin(readMicrodata(key))));
+    take('mpn', readMicrodata('mpn'));
+    take('sku', readMicrodata('sku'));
+    take('brand', readMicrodata('brand') || $('meta[property="product:brand"], meta[property="og:brand"]').first().attr('content'));
+    take('gtin', normalizeGtin($('meta[property="product:upc"], meta[property="product:ean"], meta[property="product:gtin"]').first().attr('content')));
+    return normalizeProductIdentifiers(found);
+}
+
+function isJsonLdInStock(availability) {
+    if (availability == null || availability === '') return true;
+    return /(InStock|LimitedAvailability|OnlineOnly|InStoreOnly)$/i.test(String(availability));
+}
+
+// Offers from different sellers are one product sold several times, not variants.
+function isMultiSellerOfferList(offers) {
+    const sellers = offers
+        .filter(offer => isPlainObject(offer) && offer.seller)
+        .map(offer => String(isPlainObject(offer.seller) ? offer.seller.name || '' : offer.seller).trim().toLowerCase());
+    return new Set(sellers).size > 1;
+}
+
+// Offer arrays and ProductGroup `hasVariant` lists become selectable variants; ids prefer the SKU so they survive reordering.
+function extractJsonLdVariants(jsonLdNodes, preferredCurrency) {
+    const offerVariants = [];
+    const groupVariants = [];
+    const toVariant = (offer, fallbackTitle, fallbackId, extra = {}) => {
+        const currency = (offer.priceCurrency || preferredCurrency || 'USD').toString().toUpperCase();
+        const price = normalizePriceString(String(offer.price ?? ''), currency);
+        if (!Number.isFinite(price) || price <= 0) return null;
+        return normalizePlatformVariant({
+            id: extra.sku || offer.sku || offer.gtin || offer.url || offer.name || fallbackId,
+            title: extra.title || offer.name || fallbackTitle,
+            sku: extra.sku || offer.sku,
+            price,
+            available: isJsonLdInStock(offer.availability)
+        });
+    };
+    jsonLdNodes.forEach((node) => {
+        if (Array.isArray(node.hasVariant)) {
+            node.hasVariant.forEach((product, index) => {
+                if (!isPlainObject(product) || !product.offers) return;
+                const offer = Array.isArray(product.offers) ? product.offers[0] : product.offers;
+                if (!isPlainObject(offer)) return;
+                const attributes = [product.color, product.size, product.material].filter(value => typeof value === 'string' && value.trim());
+                const variant = toVariant(offer, `Variant ${index + 1}`, `variant-${index + 1}`, {
+                    sku: product.sku || product.productID,
+                    title: attributes.length ? attributes.join(' / ') : product.name
+                });
+                if (variant) groupVariants.push(variant);
+            });
+        } else if (Array.isArray(node.offers) && node.offers.length > 1 && !isMultiSellerOfferList(node.offers)) {
+            node.offers.forEach((offer, index) => {
+                if (!isPlainObject(offer)) return;
+                const variant = toVariant(offer, `${node.name || 'Offer'} ${index + 1}`, `offer-${index + 1}`);
+                if (variant) offerVariants.push(variant);
+            });
+        }
+    });
+    const variants = groupVariants.length ? groupVariants : offerVariants;
+    const unique = [...new Map(variants.map(variant => [variant.id, variant])).values()];
+    return unique.length > 1 ? unique.slice(0, PLATFORM_MAX_VARIANTS) : [];
+}
+
 function collectSelectorCandidates($, selectors, preferredCurrency, source, scoreBase) {
     const candidates = [];
     for (const sel of selectors) {
@@ -2647,12 +4714,19 @@ function parseHtml(htmlString, customSelector = null, targetUrl = '') {
     const isAmazon = isAmazonTarget(targetUrl);
     const candidates = [];
     const availability = detectAvailability($, htmlString, targetUrl);
+    const jsonLdNodes = collectJsonLdNodes($);
+    const variants = extractJsonLdVariants(jsonLdNodes, preferredCurrency);
+    const costs = extractPurchaseCosts($, preferredCurrency, targetUrl);
+    const metadata = extractPageMetadata($, jsonLdNodes, targetUrl);
+    const packSize = extractPackSize(jsonLdNodes, metadata.title);
+    const identifiers = extractProductIdentifiers($, jsonLdNodes);
 
     candidates.push(...extractFromJsonLd($, preferredCurrency));
     if (!isAmazon) {
         candidates.push(...extractFromRawPatterns(htmlString, preferredCurrency, targetUrl));
     }
 
+    const customCandidates = [];
     if (customSelector) {
         const customSelectors = [
             customSelector,
@@ -2661,8 +4735,10 @@ function parseHtml(htmlString, customSelector = null, targetUrl = '') {
             `[data-test-id="${customSelector}"]`,
             `[data-testid="${customSelector}"]`
         ];
-        candidates.push(...collectSelectorCandidates($, customSelectors, preferredCurrency, 'custom', 88));
+        customCandidates.push(...collectSelectorCandidates($, customSelectors, preferredCurrency, 'custom', 88));
+        candidates.push(...customCandidates);
     }
+    const customSelectorMatched = customSelector ? customCandidates.length > 0 : null;
 
     const selectors = isAmazon
         ? [...new Set([
@@ -2708,7 +4784,8 @@ function parseHtml(htmlString, customSelector = null, targetUrl = '') {
         snippet: c.snippet,
         score: c.score,
         price: c.price,
-        currency: c.currency
+        currency: c.currency,
+        source: c.source || null
     }));
 
     const shouldSuppressAmazonOutOfStockPrice = isAmazon
@@ -2730,8 +4807,14 @@ function parseHtml(htmlString, customSelector = null, targetUrl = '') {
             confidence: normalizeConfidence(noPriceConfidence),
             selectorUsed: null,
             source: null,
+            customSelectorMatched,
             suggestions,
             availability,
+            variants,
+            costs,
+            packSize,
+            identifiers,
+            metadata,
             debug: {
                 isAmazon,
                 candidateCount: candidates.length,
@@ -2748,8 +4831,14 @@ function parseHtml(htmlString, customSelector = null, targetUrl = '') {
         confidence: normalizeConfidence(best.score),
         selectorUsed: best.selector || null,
         source: best.source || null,
+        customSelectorMatched,
         suggestions,
         availability,
+        variants,
+        costs,
+        packSize,
+        identifiers,
+        metadata,
         debug: {
             isAmazon,
             candidateCount: candidates.length,
@@ -2760,9 +4849,22 @@ function parseHtml(htmlString, customSelector = null, targetUrl = '') {
     };
 }
 
-function extractTitleFromHtml(htmlString) {
-    const $ = cheerio.load(htmlString);
+function extractTitleFromHtml(htmlString, targetUrl = '') {
+    return readPageTitle(cheerio.load(htmlString), targetUrl);
+}
+
+function readPageTitle($, targetUrl = '') {
+    const { titleSelector } = getDomainHints(targetUrl);
+    let adapterTitle = '';
+    if (titleSelector) {
+        try {
+            adapterTitle = $(titleSelector).first().text();
+        } catch {
+            adapterTitle = '';
+        }
+    }
     const candidates = [
+        adapterTitle,
         $('meta[property="og:title"]').attr('content'),
         $('meta[name="twitter:title"]').attr('content'),
         $('h1').first().text(),
@@ -2772,6 +4874,75 @@ function extractTitleFromHtml(htmlString) {
     return candidates[0].replace(/\s+/g, ' ').trim().slice(0, 180);
 }
 
+function normalizePageMetadata(raw) {
+    const source = isPlainObject(raw) ? raw : {};
+    return {
+        title: normalizeOptionalString(source.title, '').slice(0, 180) || null,
+        imageUrl: resolvePageUrl(source.imageUrl) || null,
+        category: normalizeOptionalString(source.category, '').slice(0, 160) || null
+    };
+}
+
+function resolvePageUrl(rawUrl, targetUrl) {
+    const value = String(rawUrl || '').trim();
+    if (!value) return null;
+    try {
+        const resolved = new URL(value, targetUrl || undefined);
+        return ['http:', 'https:'].includes(resolved.protocol) ? resolved.toString() : null;
+    } catch {
+        return null;
+    }
+}
+
+// Breadcrumbs usually end with the product itself and start with "Home"; neither is a category.
+function cleanBreadcrumbNames(names, title) {
+    const normalizedTitle = normalizeAvailabilityText(title);
+    const parts = names
+        .map(name => String(name || '').replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .filter(name => !/^(home|homepage|ana sayfa|anasayfa|startseite|accueil|inicio)$/i.test(name));
+    if (parts.length && normalizedTitle && normalizedTitle.startsWith(normalizeAvailabilityText(parts[parts.length - 1]))) parts.pop();
+    return parts.length ? parts.join(' > ').slice(0, 160) : null;
+}
+
+// Title, product image, and breadcrumb category; refreshed on every check alongside the price.
+function extractPageMetadata($, jsonLdNodes, targetUrl = '') {
+    const title = readPageTitle($, targetUrl);
+    let jsonLdImage = null;
+    let breadcrumbNames = null;
+    jsonLdNodes.forEach((node) => {
+        if (!jsonLdImage && isJsonLdProductNode(node) && node.image) {
+            const image = Array.isArray(node.image) ? node.image[0] : node.image;
+            jsonLdImage = isPlainObject(image) ? image.url || image.contentUrl : image;
+        }
+        if (!breadcrumbNames && /BreadcrumbList/i.test(String(node['@type'] || '')) && Array.isArray(node.itemListElement)) {
+            breadcrumbNames = node.itemListElement
+                .filter(isPlainObject)
+                .sort((a, b) => Number(a.position || 0) - Number(b.position || 0))
+                .map(entry => entry.name || (isPlainObject(entry.item) ? entry.item.name : ''));
+        }
+    });
+    const imageCandidates = [
+        $('meta[property="og:image:secure_url"]').attr('content'),
+        $('meta[property="og:image"]').attr('content'),
+        $('meta[name="twitter:image"]').attr('content'),
+        jsonLdImage,
+        $('[itemprop="image"]').first().attr('content') || $('[itemprop="image"]').first().attr('src')
+    ];
+    const imageUrl = imageCandidates.map(candidate => resolvePageUrl(candidate, targetUrl)).find(Boolean) || null;
+    if (!breadcrumbNames) {
+        breadcrumbNames = $('nav[aria-label*="readcrumb"] li, [class*="breadcrumb"] li, [itemtype*="BreadcrumbList"] [itemprop="name"]')
+            .slice(0, 12)
+            .map((_, el) => $(el).text())
+            .get();
+    }
+    return {
+        title,
+        imageUrl,
+        category: cleanBreadcrumbNames(breadcrumbNames || [], title)
+    };
+}
+
 async function refreshExchangeRates() {
     try {
         // External feed is best-effort; failures keep prior cached rates.
@@ -2800,87 +4971,639 @@ function convertToUSD(amount, currency) {
     return amount / rate;
 }
 
-// Helper: Get or Init Browser
-async function getBrowser() {
-    if (browserInstance) {
-        if (!browserInstance.isConnected()) {
-            console.log('Browser disconnected, restarting...');
-            await browserInstance.close().catch(() => { });
-            browserInstance = null;
-        } else {
-            return browserInstance;
-        }
-    }
-
-    console.log('Launching new Puppeteer instance...');
-    const executablePath = resolveBrowserExecutablePath();
-    if (process.env.PUPPETEER_EXECUTABLE_PATH && !executablePath) {
-        console.warn(`[Browser] Configured PUPPETEER_EXECUTABLE_PATH not found: ${process.env.PUPPETEER_EXECUTABLE_PATH}`);
-    }
-    if (executablePath) {
-        console.log(`[Browser] Using executable: ${executablePath}`);
-    } else {
-        console.log('[Browser] Using Puppeteer default browser resolution.');
+// --- Proxy pool ---
+function maskProxyUrl(proxyUrl) {
+    try {
+        const parsed = new URL(proxyUrl);
+        return `${parsed.protocol}//${parsed.username ? `${parsed.username}:***@` : ''}${parsed.host}`;
+    } catch (_) {
+        return '';
     }
-    browserInstance = await puppeteer.launch({
-        headless: "new",
-        handleSIGINT: false,
-        handleSIGTERM: false,
-        handleSIGHUP: false,
-        ...(executablePath ? { executablePath } : {}),
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--disable-gpu',
-            '--window-size=1920,1080'
-        ]
-    });
-    return browserInstance;
 }
 
-// Helper: Fetch with Puppeteer (Reusing Browser)
-async function fetchWithPuppeteer(url) {
-    let page = null;
-    try {
-        if (TEST_FETCH_DELAY_MS) {
-            await delayMs(TEST_FETCH_DELAY_MS);
-        }
-        if (TEST_FAKE_FETCH_HTML) {
-            return TEST_FAKE_FETCH_HTML;
-        }
-
-        const browser = await getBrowser();
-        page = await browser.newPage();
+function getProxyLabel(proxy) {
+    return proxy ? proxy.label : null;
+}
 
-        // Randomize Viewport
-        await page.setViewport({ width: 1920, height: 1080 });
+function isProxyCoolingDown(proxyId, nowMs = Date.now()) {
+    const health = proxyHealth.get(proxyId);
+    return Boolean(health && health.cooldownUntil && health.cooldownUntil > nowMs);
+}
 
-        // Set User Agent
-        const userAgent = USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
-        await page.setUserAgent(userAgent);
+function getProxyPoolSnapshot() {
+    const nowMs = Date.now();
+    return {
+        proxies: (settings.proxies || []).map((proxy) => {
+            const health = proxyHealth.get(proxy.id) || {};
+            return {
+                id: proxy.id,
+                label: proxy.label,
+                url: maskProxyUrl(proxy.url),
+                enabled: proxy.enabled,
+                httpOnly: !canProxyBrowser(proxy),
+                hosts: [...hostProxyAssignments.entries()].filter(([, proxyId]) => proxyId === proxy.id).map(([hostKey]) => hostKey),
+                health: {
+                    successes: health.successes || 0,
+                    failures: health.failures || 0,
+                    consecutiveFailures: health.consecutiveFailures || 0,
+                    lastSuccessAt: health.lastSuccessAt || null,
+                    lastFailureAt: health.lastFailureAt || null,
+                    lastError: health.lastError || '',
+                    coolingDownUntil: isProxyCoolingDown(proxy.id, nowMs) ? new Date(health.cooldownUntil).toISOString() : null
+                }
+            };
+        }),
+        rules: settings.proxyRules || [],
+        defaultMode: settings.proxyDefaultMode,
+        revision: settingsRevision
+    };
+}
 
-        // Optimize: Block images/fonts/media
-        await page.setRequestInterception(true);
-        page.on('request', (req) => {
-            if (['image', 'stylesheet', 'font', 'media'].includes(req.resourceType())) {
-                req.abort();
-            } else {
-                req.continue();
-            }
-        });
+// The most specific rule wins, so "outlet.example.com" can override "example.com".
+function findProxyRule(hostKey, sourceSettings = settings) {
+    return (sourceSettings.proxyRules || [])
+        .filter(rule => siteHostMatches(hostKey, rule.host))
+        .sort((a, b) => b.host.length - a.host.length)[0] || null;
+}
 
-        // Navigate
-        // Using domcontentloaded is faster than 'networkidle0' but might miss late JS 
-        // We add a small sleep to be safe.
-        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 45000 });
+function getProxyCandidates(hostKey, sourceSettings = settings) {
+    const enabled = (sourceSettings.proxies || []).filter(proxy => proxy.enabled);
+    const rule = findProxyRule(hostKey, sourceSettings);
+    if (rule) return rule.proxyIds.map(id => enabled.find(proxy => proxy.id === id)).filter(Boolean);
+    return sourceSettings.proxyDefaultMode === 'pool' ? enabled : [];
+}
 
-        // Wait a bit for JS frameworks (React/Vue hydration)
-        await new Promise(r => setTimeout(r, 2000));
+// New hosts go to the least used proxy; after a failure the host moves on to the next one in order.
+// When every candidate is cooling down, the one whose cooldown ends first is still tried rather than going direct.
+function pickNextProxy(candidates, currentId = null) {
+    const start = currentId ? candidates.findIndex(proxy => proxy.id === currentId) + 1 : 0;
+    const ordered = [...candidates.slice(start), ...candidates.slice(0, start)].filter(proxy => proxy.id !== currentId || candidates.length === 1);
+    const healthy = ordered.filter(proxy => !isProxyCoolingDown(proxy.id));
+    if (!healthy.length) {
+        return [...candidates].sort((a, b) => (proxyHealth.get(a.id)?.cooldownUntil || 0) - (proxyHealth.get(b.id)?.cooldownUntil || 0))[0];
+    }
+    if (currentId) return healthy[0];
+    const load = proxy => [...hostProxyAssignments.values()].filter(proxyId => proxyId === proxy.id).length;
+    return healthy.reduce((best, proxy) => (load(proxy) < load(best) ? proxy : best), healthy[0]);
+}
 
-        const html = await page.content();
-        return html;
+// Chrome cannot sign in to SOCKS proxies, so a SOCKS proxy with credentials only carries plain HTTP fetches.
+function canProxyBrowser(proxy) {
+    return !(proxy.url.startsWith('socks') && new URL(proxy.url).username);
+}
+
+// Hosts stick to one proxy so consecutive checks keep the same exit address.
+function selectProxyForHost(hostKey, sourceSettings = settings) {
+    const candidates = getProxyCandidates(hostKey, sourceSettings);
+    if (!candidates.length) {
+        hostProxyAssignments.delete(hostKey);
+        return null;
+    }
+    const assigned = candidates.find(proxy => proxy.id === hostProxyAssignments.get(hostKey));
+    if (assigned && !isProxyCoolingDown(assigned.id)) return assigned;
+    const next = pickNextProxy(candidates, assigned ? assigned.id : null);
+    hostProxyAssignments.set(hostKey, next.id);
+    return next;
+}
+
+// Browser fetches pass over a host's HTTP-only proxy without moving the host off it, and go direct when no other proxy fits.
+function selectBrowserProxyForHost(hostKey, sourceSettings = settings) {
+    const proxy = selectProxyForHost(hostKey, sourceSettings);
+    if (!proxy || canProxyBrowser(proxy)) return proxy;
+    const candidates = getProxyCandidates(hostKey, sourceSettings).filter(canProxyBrowser);
+    return candidates.length ? pickNextProxy(candidates) : null;
+}
+
+function recordProxyResult(proxy, hostKey, ok, errorMessage = '', sourceSettings = settings) {
+    if (!proxy) return;
+    const nowMs = Date.now();
+    const health = {
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        lastError: '',
+        cooldownUntil: null,
+        ...(proxyHealth.get(proxy.id) || {})
+    };
+    if (ok) {
+        health.successes += 1;
+        health.consecutiveFailures = 0;
+        health.lastSuccessAt = new Date(nowMs).toISOString();
+        health.cooldownUntil = null;
+        proxyHealth.set(proxy.id, health);
+        return;
+    }
+    health.failures += 1;
+    health.consecutiveFailures += 1;
+    health.lastFailureAt = new Date(nowMs).toISOString();
+    health.lastError = String(errorMessage || '').slice(0, 300);
+    if (health.consecutiveFailures >= PROXY_FAILURE_THRESHOLD) {
+        health.cooldownUntil = nowMs + PROXY_COOLDOWN_MS;
+        console.warn(`[Proxy] ${proxy.label} failed ${health.consecutiveFailures} times in a row; resting it for ${PROXY_COOLDOWN_MS / 60000} minutes.`);
+    }
+    proxyHealth.set(proxy.id, health);
+    const candidates = getProxyCandidates(hostKey, sourceSettings);
+    if (candidates.length > 1) hostProxyAssignments.set(hostKey, pickNextProxy(candidates, proxy.id).id);
+}
+
+function forgetProxyState(proxy) {
+    proxyAgents.delete(proxy.url);
+    proxyHealth.delete(proxy.id);
+    for (const [hostKey, proxyId] of hostProxyAssignments.entries()) {
+        if (proxyId === proxy.id) hostProxyAssignments.delete(hostKey);
+    }
+}
+
+function getAxiosProxyOptions(proxy) {
+    if (!proxy) return {};
+    if (!proxyAgents.has(proxy.url)) {
+        const socksAgent = proxy.url.startsWith('socks') ? new SocksProxyAgent(proxy.url) : null;
+        proxyAgents.set(proxy.url, socksAgent
+            ? { httpAgent: socksAgent, httpsAgent: socksAgent }
+            : { httpAgent: new HttpProxyAgent(proxy.url), httpsAgent: new HttpsProxyAgent(proxy.url) });
+    }
+    // proxy:false stops axios from also applying HTTP(S)_PROXY from the environment on top of the agent.
+    return { ...proxyAgents.get(proxy.url), proxy: false };
+}
+
+// Chrome takes the proxy per browser context. HTTP proxy credentials are answered per page;
+// SOCKS proxies with credentials never get here (see selectBrowserProxyForHost).
+// `isolate` gives a fetch its own context even without a proxy, so a browser profile's cookies never share a store
+// with other fetches; the context and its cookies are dropped on close.
+async function openBrowserPage(proxy, isolate = false, browser = null) {
+    const activeBrowser = browser || await getBrowser();
+    let context = null;
+    if (proxy || isolate) {
+        const contextOptions = {};
+        if (proxy) {
+            const parsed = new URL(proxy.url);
+            const protocol = { 'socks5h:': 'socks5:', 'socks4a:': 'socks4:' }[parsed.protocol] || parsed.protocol;
+            contextOptions.proxyServer = `${protocol}//${parsed.host}`;
+        }
+        context = await activeBrowser.createBrowserContext(contextOptions);
+    }
+    try {
+        const page = await (context || activeBrowser).newPage();
+        if (proxy && /^https?:/.test(proxy.url)) {
+            const parsed = new URL(proxy.url);
+            if (parsed.username) {
+                await page.authenticate({ username: decodeURIComponent(parsed.username), password: decodeURIComponent(parsed.password) });
+            }
+        }
+        return {
+            page,
+            close: async () => {
+                await page.close().catch(() => { });
+                if (context) await context.close().catch(() => { });
+            }
+        };
+    } catch (e) {
+        if (context) await context.close().catch(() => { });
+        throw e;
+    }
+}
+
+// --- Browser profiles ---
+// An item's own profile wins; otherwise the profile naming the most specific matching site is used.
+function findBrowserProfile(url, profileId = null) {
+    if (profileId) {
+        const attached = browserProfiles.find(profile => profile.id === profileId);
+        if (attached) return attached;
+    }
+    const hostKey = getCheckHostKey(url);
+    let best = null;
+    let bestLength = 0;
+    for (const profile of browserProfiles) {
+        for (const host of profile.hosts) {
+            if (siteHostMatches(hostKey, host) && host.length > bestLength) {
+                best = profile;
+                bestLength = host.length;
+            }
+        }
+    }
+    return best;
+}
+
+function getBrowserProfileSummary(profile, includeStorage = false) {
+    return {
+        id: profile.id,
+        name: profile.name,
+        hosts: profile.hosts,
+        acceptLanguage: profile.acceptLanguage,
+        geolocation: profile.geolocation,
+        zipCode: profile.zipCode,
+        zipCodeCookie: profile.zipCodeCookie,
+        cookieCount: profile.cookies.length,
+        cookieDomains: [...new Set(profile.cookies.map(cookie => cookie.domain.replace(/^\./, '')))].slice(0, 10),
+        ...(includeStorage ? { localStorage: profile.localStorage } : {}),
+        updatedAt: profile.updatedAt
+    };
+}
+
+// The zip code is only sent when the profile names the cookie the site reads it from.
+function getProfileCookies(profile, url) {
+    if (!profile) return [];
+    if (!profile.zipCode || !profile.zipCodeCookie) return profile.cookies;
+    return [
+        ...profile.cookies.filter(cookie => cookie.name !== profile.zipCodeCookie),
+        { name: profile.zipCodeCookie, value: profile.zipCode, domain: `.${getCheckHostKey(url)}`, path: '/', expires: -1, httpOnly: false, secure: false }
+    ];
+}
+
+function getProfileRequestHeaders(profile, url) {
+    if (!profile) return {};
+    const parsedUrl = new URL(url);
+    const hostname = parsedUrl.hostname.toLowerCase();
+    const cookieHeader = getProfileCookies(profile, url)
+        .filter((cookie) => {
+            const domain = cookie.domain.replace(/^\./, '');
+            const domainMatches = cookie.domain.startsWith('.') ? siteHostMatches(hostname, domain) : hostname === domain;
+            return domainMatches && parsedUrl.pathname.startsWith(cookie.path) && (!cookie.secure || parsedUrl.protocol === 'https:');
+        })
+        .map(cookie => `${cookie.name}=${cookie.value}`)
+        .join('; ');
+    return {
+        ...(profile.acceptLanguage ? { 'Accept-Language': profile.acceptLanguage } : {}),
+        ...(cookieHeader ? { Cookie: cookieHeader } : {})
+    };
+}
+
+// Must run before page.goto so the first request already carries the profile's cookies and language.
+async function applyBrowserProfile(page, profile, url) {
+    if (!profile) return;
+    if (profile.acceptLanguage) await page.setExtraHTTPHeaders({ 'Accept-Language': profile.acceptLanguage });
+    const cookies = getProfileCookies(profile, url).map(({ expires, ...cookie }) => (expires > 0 ? { ...cookie, expires } : cookie));
+    if (cookies.length) await page.setCookie(...cookies);
+    if (profile.geolocation) {
+        await page.browserContext().overridePermissions(new URL(url).origin, ['geolocation']);
+        await page.setGeolocation(profile.geolocation);
+    }
+    if (Object.keys(profile.localStorage).length) {
+        await page.evaluateOnNewDocument((storage) => {
+            const values = storage[window.location.origin];
+            if (!values) return;
+            try {
+                Object.entries(values).forEach(([key, value]) => window.localStorage.setItem(key, value));
+            } catch (_) { }
+        }, profile.localStorage);
+    }
+}
+
+// Cookies the site set during a browser fetch go back into the jar, so consent and session cookies survive restarts.
+async function rememberProfileCookies(profileId, pageCookies) {
+    await runStateMutation(async () => {
+        const profile = browserProfiles.find(entry => entry.id === profileId);
+        if (!profile) return;
+        const cookies = normalizeProfileCookies([...profile.cookies, ...pageCookies]);
+        if (JSON.stringify(cookies) === JSON.stringify(profile.cookies)) return;
+        await saveBrowserProfiles(browserProfiles.map(entry => (entry.id === profileId
+            ? { ...entry, cookies, updatedAt: new Date().toISOString() }
+            : entry)));
+    });
+}
+
+// Accepts a cookie-editor JSON export (a list, or an object with a `cookies` list) or a Netscape cookies.txt file.
+function parseCookieImport(content) {
+    const text = String(content || '').trim();
+    if (!text) throw new Error('Cookie file is empty');
+    if (text.startsWith('[') || text.startsWith('{')) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (_) {
+            throw new Error('Cookie file is not valid JSON');
+        }
+        const list = Array.isArray(parsed) ? parsed : (Array.isArray(parsed.cookies) ? parsed.cookies : null);
+        if (!list) throw new Error('Cookie JSON must be a list of cookies');
+        return normalizeProfileCookies(list.map(cookie => (isPlainObject(cookie)
+            ? { ...cookie, expires: cookie.expires ?? cookie.expirationDate }
+            : cookie)));
+    }
+    const cookies = [];
+    for (const rawLine of text.split(/\r?\n/)) {
+        let line = rawLine.trim();
+        const httpOnly = line.startsWith('#HttpOnly_');
+        if (httpOnly) line = line.slice('#HttpOnly_'.length);
+        if (!line || line.startsWith('#')) continue;
+        const fields = line.split('\t');
+        if (fields.length < 7) continue;
+        const [domain, includeSubdomains, cookiePath, secure, expires, name, ...valueParts] = fields;
+        cookies.push({
+            domain: includeSubdomains.toUpperCase() === 'TRUE' && !domain.startsWith('.') ? `.${domain}` : domain,
+            path: cookiePath,
+            secure: secure.toUpperCase() === 'TRUE',
+            expires: Number(expires),
+            name,
+            value: valueParts.join('\t'),
+            httpOnly
+        });
+    }
+    const normalized = normalizeProfileCookies(cookies);
+    if (!normalized.length) throw new Error('No cookies found. Use a JSON cookie export or a Netscape cookies.txt file.');
+    return normalized;
+}
+
+// --- Page actions ---
+// One step per line: `click <selector>`, `wait-for <selector>`, `type <selector> | <text>`, `scroll [<selector>]`
+// or `wait <ms>`. A `try ` prefix marks a step whose failure is ignored, e.g. a cookie banner that only shows sometimes.
+function parsePageActionScript(script) {
+    const lines = Array.isArray(script) ? script.map(line => String(line ?? '')) : String(script || '').split(/\r?\n/);
+    const actions = [];
+    lines.forEach((rawLine, index) => {
+        let line = rawLine.trim();
+        if (!line || line.startsWith('#')) return;
+        const fail = message => new Error(`Line ${index + 1}: ${message}`);
+        const optional = /^try\s+/i.test(line);
+        if (optional) line = line.replace(/^try\s+/i, '');
+        const [, rawType, rawArgument = ''] = line.match(/^(\S+)\s*(.*)$/);
+        const type = rawType.toLowerCase();
+        const argument = rawArgument.trim();
+        if (!PAGE_ACTION_TYPES.includes(type)) throw fail(`unknown action "${rawType}"`);
+        const action = { type, selector: null, text: null, ms: null, optional };
+        if (type === 'wait') {
+            const ms = Number(argument);
+            if (!Number.isInteger(ms) || ms <= 0 || ms > PAGE_ACTION_TIMEOUT_MS) {
+                throw fail(`wait needs milliseconds between 1 and ${PAGE_ACTION_TIMEOUT_MS}`);
+            }
+            action.ms = ms;
+        } else if (type === 'type') {
+            const separator = argument.indexOf('|');
+            action.selector = (separator === -1 ? argument : argument.slice(0, separator)).trim();
+            action.text = separator === -1 ? '' : argument.slice(separator + 1).trim();
+            if (!action.selector || !action.text) throw fail('type needs "<selector> | <text>"');
+        } else {
+            action.selector = argument || null;
+            if (!action.selector && type !== 'scroll') throw fail(`${type} needs a selector`);
+        }
+        actions.push(action);
+    });
+    if (actions.length > MAX_PAGE_ACTIONS) throw new Error(`Page actions are limited to ${MAX_PAGE_ACTIONS} steps`);
+    return actions;
+}
+
+// Stored actions were parsed on the way in; this only drops entries that no longer fit the shape.
+function normalizePageActions(rawActions) {
+    if (!Array.isArray(rawActions)) return [];
+    return rawActions
+        .filter(action => isPlainObject(action) && PAGE_ACTION_TYPES.includes(action.type))
+        .map(action => ({
+            type: action.type,
+            selector: normalizeOptionalStringOrNull(action.selector),
+            text: action.type === 'type' ? normalizeOptionalString(action.text, '') : null,
+            ms: action.type === 'wait' ? Math.min(Math.max(Math.round(Number(action.ms)) || 0, 1), PAGE_ACTION_TIMEOUT_MS) : null,
+            optional: Boolean(action.optional)
+        }))
+        .filter(action => action.type === 'wait' || action.type === 'scroll' || action.selector)
+        .slice(0, MAX_PAGE_ACTIONS);
+}
+
+function formatPageAction(action) {
+    const prefix = action.optional ? 'try ' : '';
+    if (action.type === 'wait') return `${prefix}wait ${action.ms}`;
+    if (action.type === 'type') return `${prefix}type ${action.selector} | ${action.text}`;
+    return `${prefix}${action.type}${action.selector ? ` ${action.selector}` : ''}`;
+}
+
+// The item's own script replaces the adapter's rather than adding to it.
+function getPageActionsForUrl(url, itemActions = []) {
+    if (itemActions && itemActions.length) return itemActions;
+    try {
+        const adapter = getSiteAdapter(new URL(url).hostname);
+        return (adapter && adapter.actions) || [];
+    } catch {
+        return [];
+    }
+}
+
+async function runPageAction(page, action) {
+    const waitOptions = { timeout: PAGE_ACTION_TIMEOUT_MS };
+    if (action.type === 'wait') {
+        await delayMs(action.ms);
+    } else if (action.type === 'wait-for') {
+        await page.waitForSelector(action.selector, waitOptions);
+    } else if (action.type === 'click') {
+        const handle = await page.waitForSelector(action.selector, { ...waitOptions, visible: true });
+        await handle.click();
+    } else if (action.type === 'type') {
+        const handle = await page.waitForSelector(action.selector, { ...waitOptions, visible: true });
+        await handle.click({ count: 3 });
+        await handle.type(action.text, { delay: 30 });
+    } else if (action.selector) {
+        const handle = await page.waitForSelector(action.selector, waitOptions);
+        await handle.evaluate(element => element.scrollIntoView({ block: 'center' }));
+    } else {
+        await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    }
+}
+
+// Runs the steps in order and logs each one. A failed required step stops the script and throws with the log so far;
+// `onStep` lets the Extractor Lab attach a screenshot to every entry.
+async function runPageActions(page, actions, onStep = null) {
+    const steps = [];
+    for (const [index, action] of actions.entries()) {
+        const startedAt = Date.now();
+        let error = null;
+        try {
+            await runPageAction(page, action);
+        } catch (e) {
+            error = e.message;
+        }
+        const step = {
+            step: index + 1,
+            action: formatPageAction(action),
+            ok: !error,
+            optional: action.optional,
+            error,
+            durationMs: Date.now() - startedAt
+        };
+        if (onStep) await onStep(step);
+        steps.push(step);
+        if (error && !action.optional) {
+            const failure = new Error(`Page action ${step.step} (${step.action}) failed: ${error}`);
+            failure.steps = steps;
+            throw failure;
+        }
+    }
+    return steps;
+}
+
+// --- Page readiness ---
+// Site rules pick the strategy per host, the most specific one winning. `auto` waits for the item's or adapter's price
+// selectors when there are any, and for any price signal in the page otherwise.
+function resolvePageWait(url, selector = null, sourceSettings = settings) {
+    const hostKey = getCheckHostKey(url);
+    const rule = (sourceSettings.pageWaitRules || [])
+        .filter(entry => siteHostMatches(hostKey, entry.host))
+        .sort((a, b) => b.host.length - a.host.length)[0] || null;
+    const selectors = [...new Set([selector, ...getDomainHints(url).selectors].filter(Boolean))];
+    let strategy = rule ? rule.strategy : sourceSettings.pageWaitStrategy;
+    if (strategy === 'auto' || (strategy === 'selector' && !selectors.length)) {
+        strategy = selectors.length ? 'selector' : 'content';
+    }
+    const timeoutMs = (rule && rule.timeoutMs)
+        || (strategy === 'fixed' ? FIXED_PAGE_WAIT_MS : sourceSettings.pageWaitTimeoutMs || DEFAULT_PAGE_WAIT_TIMEOUT_MS);
+    return { strategy, timeoutMs, selectors };
+}
+
+// Runs inside the page: JSON-LD with a price, price microdata or meta tags, or a currency amount in the visible text.
+function pageHasPriceSignal() {
+    const hasStructuredPrice = Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+        .some(script => /"(?:price|lowPrice)"\s*:/.test(script.textContent || ''));
+    if (hasStructuredPrice) return true;
+    if (document.querySelector('[itemprop="price"], meta[property="product:price:amount"], meta[property="og:price:amount"]')) return true;
+    const text = document.body ? document.body.innerText || '' : '';
+    return /(?:[$€£¥₺]|\b(?:USD|EUR|GBP|TRY|TL)\b)\s?\d|\d[\d.,]*\s?(?:[$€£¥₺]|\b(?:USD|EUR|GBP|TRY|TL)\b)/.test(text);
+}
+
+// A wait that runs out is not an error; the page is read as it is and `timedOut` tells diagnostics so.
+// Selectors are tried one by one so a selector Chrome cannot parse only rules itself out.
+async function waitForPageReady(page, plan) {
+    const startedAt = Date.now();
+    const options = { timeout: plan.timeoutMs, polling: 250 };
+    let timedOut = false;
+    try {
+        if (plan.strategy === 'fixed') {
+            await delayMs(plan.timeoutMs);
+        } else if (plan.strategy === 'network-idle') {
+            await page.waitForNetworkIdle({ idleTime: 500, timeout: plan.timeoutMs });
+        } else if (plan.strategy === 'selector') {
+            await page.waitForFunction((selectors) => selectors.some((selector) => {
+                try {
+                    return Boolean(document.querySelector(selector));
+                } catch (_) {
+                    return false;
+                }
+            }), options, plan.selectors);
+        } else {
+            await page.waitForFunction(pageHasPriceSignal, options);
+        }
+    } catch (e) {
+        if (e.name !== 'TimeoutError') throw e;
+        timedOut = true;
+    }
+    return { strategy: plan.strategy, waitedMs: Date.now() - startedAt, timedOut };
+}
+
+// Helper: Get or Init Browser
+async function getBrowser() {
+    if (browserInstance) {
+        if (!browserInstance.isConnected()) {
+            console.log('Browser disconnected, restarting...');
+            await browserInstance.close().catch(() => { });
+            browserInstance = null;
+        } else {
+            return browserInstance;
+        }
+    }
+    // Concurrent check workers share a single launch instead of racing to start several browsers.
+    if (browserLaunchPromise) return browserLaunchPromise;
+
+    console.log('Launching new Puppeteer instance...');
+    const executablePath = resolveBrowserExecutablePath();
+    if (process.env.PUPPETEER_EXECUTABLE_PATH && !executablePath) {
+        console.warn(`[Browser] Configured PUPPETEER_EXECUTABLE_PATH not found: ${process.env.PUPPETEER_EXECUTABLE_PATH}`);
+    }
+    if (executablePath) {
+        console.log(`[Browser] Using executable: ${executablePath}`);
+    } else {
+        console.log('[Browser] Using Puppeteer default browser resolution.');
+    }
+    browserLaunchPromise = puppeteer.launch({
+        headless: "new",
+        handleSIGINT: false,
+        handleSIGTERM: false,
+        handleSIGHUP: false,
+        ...(executablePath ? { executablePath } : {}),
+        args: [
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+            '--disable-accelerated-2d-canvas',
+            '--disable-gpu',
+            '--window-size=1920,1080'
+        ]
+    }).then((browser) => {
+        browserInstance = browser;
+        return browser;
+    }).finally(() => {
+        browserLaunchPromise = null;
+    });
+    return browserLaunchPromise;
+}
+
+// Helper: Fetch with Puppeteer (Reusing Browser)
+// `waitPlan` comes from resolvePageWait(url, selector) so the item's own selector can decide readiness.
+// Resolves to the page HTML, how the wait for the page to be ready went, and, when `screenshot` asks for one
+// ({ mode, selectorsFor(html) }), a capture of that same page.
+async function fetchWithPuppeteer(
+    url,
+    waitPlan,
+    proxy = selectBrowserProxyForHost(getCheckHostKey(url)),
+    profile = findBrowserProfile(url),
+    actions = [],
+    screenshot = null
+) {
+    let session = null;
+    try {
+        if (TEST_FETCH_DELAY_MS) {
+            await delayMs(TEST_FETCH_DELAY_MS);
+        }
+        if (TEST_FAKE_FETCH_HTML) {
+            return {
+                html: TEST_FAKE_FETCH_HTML,
+                wait: { strategy: waitPlan.strategy, waitedMs: 0, timedOut: false },
+                screenshot: screenshot && TEST_FAKE_IMAGE ? { body: TEST_FAKE_IMAGE, extension: 'png', mode: screenshot.mode } : null
+            };
+        }
+
+        session = await openBrowserPage(proxy, Boolean(profile));
+        const { page } = session;
+
+        // Randomize Viewport
+        await page.setViewport({ width: 1920, height: 1080 });
+
+        // Set User Agent
+        const userAgent = USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
+        await page.setUserAgent(userAgent);
+        await applyBrowserProfile(page, profile, url);
+
+        // Optimize: Block images/fonts/media. A capturing check keeps images and styles so the screenshot looks like the shop.
+        const blockedTypes = screenshot ? ['font', 'media'] : ['image', 'stylesheet', 'font', 'media'];
+        await page.setRequestInterception(true);
+        page.on('request', (req) => {
+            if (blockedTypes.includes(req.resourceType())) {
+                req.abort();
+            } else {
+                req.continue();
+            }
+        });
+
+        // Navigate
+        // Using domcontentloaded is faster than 'networkidle0' but might miss late JS,
+        // so the host's wait strategy decides when the rendered page is ready to read.
+        await paceHostRequest(url, () => page.goto(url, { waitUntil: 'domcontentloaded', timeout: 45000 }));
+        const wait = await waitForPageReady(page, waitPlan);
+        if (actions.length) await runPageActions(page, actions);
+
+        const html = await page.content();
+        let capture = null;
+        if (screenshot) {
+            try {
+                const selectors = screenshot.mode === 'element' ? await screenshot.selectorsFor(html) : [];
+                capture = await capturePageScreenshot(page, screenshot.mode, selectors);
+            } catch (e) {
+                console.warn(`[Screenshot] Could not capture ${url}: ${e.message}`);
+            }
+        }
+        if (profile) {
+            // The page lives in the profile's own context, so these are only the cookies this profile's visit holds.
+            await rememberProfileCookies(profile.id, await page.cookies()).catch((e) => {
+                console.warn(`[Profiles] Could not save cookies for ${profile.name}: ${e.message}`);
+            });
+        }
+        return { html, wait, screenshot: capture };
 
     } catch (e) {
         // If browser crashes, reset instance
@@ -2890,15 +5613,804 @@ async function fetchWithPuppeteer(url) {
         }
         throw new Error(`Puppeteer fetch failed: ${e.message}`);
     } finally {
-        if (page) await page.close(); // Only close the page, keep browser open
+        if (session) await session.close(); // Only close the page, keep browser open
+    }
+}
+
+// Unlike a check, the trial keeps the page's styles so every step can be screenshotted the way a visitor would see it,
+// and a failed step still returns the steps before it together with the page as the failure left it.
+async function runPageActionTrial(url, actions, waitPlan, profile = findBrowserProfile(url)) {
+    if (TEST_FAKE_FETCH_HTML) {
+        return {
+            html: TEST_FAKE_FETCH_HTML,
+            steps: actions.map((action, index) => ({
+                step: index + 1,
+                action: formatPageAction(action),
+                ok: true,
+                optional: action.optional,
+                error: null,
+                durationMs: 0,
+                screenshot: null
+            })),
+            failure: null
+        };
+    }
+    const session = await openBrowserPage(selectBrowserProxyForHost(getCheckHostKey(url)), Boolean(profile));
+    const { page } = session;
+    try {
+        await page.setViewport({ width: 1366, height: 900 });
+        await page.setUserAgent(USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)]);
+        await applyBrowserProfile(page, profile, url);
+        await paceHostRequest(url, () => page.goto(url, { waitUntil: 'domcontentloaded', timeout: 45000 }));
+        await waitForPageReady(page, waitPlan);
+        const attachScreenshot = async (step) => {
+            step.screenshot = await page.screenshot({ type: 'jpeg', quality: 50, encoding: 'base64' })
+                .then(data => `data:image/jpeg;base64,${data}`, () => null);
+        };
+        let steps;
+        let failure = null;
+        try {
+            steps = await runPageActions(page, actions, attachScreenshot);
+        } catch (e) {
+            if (!e.steps) throw e;
+            steps = e.steps;
+            failure = e.message;
+        }
+        return { html: await page.content(), steps, failure };
+    } finally {
+        await session.close();
+    }
+}
+
+// Every request to a site, from any tier, check run, or route, starts at least hostDelayMs after the previous one
+// ended. The start slot is claimed before waiting so callers arriving together are spaced out instead of firing at once.
+async function paceHostRequest(url, request) {
+    const hostKey = getCheckHostKey(url);
+    const hostDelay = sanitizeHostDelayMs(settings.hostDelayMs);
+    if (!hostKey || !hostDelay) return request();
+    const startAt = Math.max(Date.now(), hostNextRequestAt.get(hostKey) || 0);
+    hostNextRequestAt.set(hostKey, startAt + hostDelay);
+    if (startAt > Date.now()) await delayMs(startAt - Date.now());
+    try {
+        return await request();
+    } finally {
+        hostNextRequestAt.set(hostKey, Math.max(hostNextRequestAt.get(hostKey) || 0, Date.now() + hostDelay));
+    }
+}
+
+// Helper: Fetch static HTML without a browser (first tier for background checks)
+// Errors carry `proxyFailure` when the proxy itself, or the exit address it gave us, is the likely cause.
+async function fetchWithHttp(url, proxy = selectProxyForHost(getCheckHostKey(url)), profile = findBrowserProfile(url)) {
+    if (TEST_FAKE_HTTP_FETCH_HTML !== null) {
+        return TEST_FAKE_HTTP_FETCH_HTML;
+    }
+    let response;
+    try {
+        response = await paceHostRequest(url, () => axios.get(url, {
+            ...getAxiosProxyOptions(proxy),
+            timeout: HTTP_FETCH_TIMEOUT_MS,
+            maxRedirects: 5,
+            maxContentLength: HTTP_FETCH_MAX_BYTES,
+            responseType: 'text',
+            transformResponse: [data => data],
+            headers: {
+                'User-Agent': USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)],
+                Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+                'Accept-Language': 'en-US,en;q=0.9',
+                ...getProfileRequestHeaders(profile, url)
+            }
+        }));
+    } catch (e) {
+        const error = new Error(`HTTP fetch failed: ${e.response ? `status ${e.response.status}` : e.message}`);
+        error.proxyFailure = !e.response || [403, 407, 429].includes(e.response.status);
+        throw error;
+    }
+    const contentType = String(response.headers['content-type'] || '');
+    if (contentType && !/html|xml/i.test(contentType)) {
+        throw new Error(`HTTP fetch failed: unexpected content type ${contentType}`);
+    }
+    return String(response.data || '');
+}
+
+// A proxy that fails is rotated out and the request retried once through the host's next proxy.
+async function fetchWithHttpProxyRotation(url, hostKey, profile = null) {
+    let proxy = selectProxyForHost(hostKey);
+    for (let attempt = 0; ; attempt += 1) {
+        try {
+            const html = await fetchWithHttp(url, proxy, profile);
+            recordProxyResult(proxy, hostKey, true);
+            return { html, proxy };
+        } catch (e) {
+            recordProxyResult(proxy, hostKey, !e.proxyFailure, e.message);
+            const nextProxy = e.proxyFailure ? selectProxyForHost(hostKey) : null;
+            if (attempt > 0 || !proxy || !nextProxy || nextProxy.id === proxy.id) {
+                e.proxy = proxy;
+                throw e;
+            }
+            console.warn(`[Proxy] ${e.message} via ${proxy.label}; retrying ${hostKey} via ${nextProxy.label}.`);
+            proxy = nextProxy;
+        }
+    }
+}
+
+function getThumbnailPath(fileName) {
+    return path.join(THUMBNAILS_DIR, path.basename(String(fileName || '')));
+}
+
+// Downloads the product image once per image URL; a missing cache file (e.g. after a restore) is fetched again.
+async function cacheItemThumbnail(item, imageUrl) {
+    if (!imageUrl) return null;
+    if (item.thumbnailSourceUrl === imageUrl && item.thumbnailFile && fs.existsSync(getThumbnailPath(item.thumbnailFile))) {
+        return null;
+    }
+    let body;
+    let contentType;
+    if (TEST_FAKE_IMAGE) {
+        body = TEST_FAKE_IMAGE;
+        contentType = 'image/png';
+    } else {
+        // Redirects are followed by hand so every hop gets the same private-address check as the image URL itself.
+        let targetUrl = imageUrl;
+        let response;
+        for (let redirects = 0; ; redirects += 1) {
+            await validateFetchUrl(targetUrl);
+            const requestUrl = targetUrl;
+            response = await paceHostRequest(requestUrl, () => axios.get(requestUrl, {
+                timeout: HTTP_FETCH_TIMEOUT_MS,
+                maxRedirects: 0,
+                validateStatus: status => status >= 200 && status < 400,
+                maxContentLength: THUMBNAIL_MAX_BYTES,
+                responseType: 'arraybuffer',
+                headers: { 'User-Agent': USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)], Accept: 'image/*' }
+            }));
+            if (response.status < 300) break;
+            if (!response.headers.location) throw new Error('image redirect has no location');
+            if (redirects >= THUMBNAIL_MAX_REDIRECTS) throw new Error('image redirected too many times');
+            targetUrl = new URL(response.headers.location, requestUrl).href;
+        }
+        body = Buffer.from(response.data);
+        contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    }
+    const extension = THUMBNAIL_CONTENT_TYPES[contentType];
+    if (!extension) throw new Error(`unexpected image type ${contentType || 'unknown'}`);
+    const safeId = String(item.id).replace(/[^A-Za-z0-9_-]/g, '_');
+    const file = `${safeId}.${extension}`;
+    await fsPromises.mkdir(THUMBNAILS_DIR, { recursive: true });
+    const tempPath = createTempFilePath(getThumbnailPath(file), 'thumb');
+    await fsPromises.writeFile(tempPath, body);
+    await replaceFileAtomic(tempPath, getThumbnailPath(file));
+    if (item.thumbnailFile && item.thumbnailFile !== file) {
+        await fsPromises.rm(getThumbnailPath(item.thumbnailFile), { force: true });
+    }
+    return { file, sourceUrl: imageUrl };
+}
+
+async function removeItemThumbnails(removedItems) {
+    await Promise.all(removedItems
+        .filter(item => item && item.thumbnailFile)
+        .map(item => fsPromises.rm(getThumbnailPath(item.thumbnailFile), { force: true }).catch(() => { })));
+}
+
+// The fields a fixture pins down; the replay harness in test/ compares exactly these.
+function summarizeFixtureExtraction(extraction) {
+    return {
+        price: extraction.price ?? null,
+        currency: extraction.currency || null,
+        confidence: extraction.confidence ?? null,
+        stockStatus: (extraction.availability && extraction.availability.status) || 'unknown'
+    };
+}
+
+// The expected output comes from parseHtml alone so a replay can reproduce it without the network.
+function buildExtractionFixture({ url, selector = null, html, strategy = null, recordedAt = new Date().toISOString() }) {
+    return {
+        version: FIXTURE_VERSION,
+        url,
+        selector: selector || null,
+        strategy,
+        recordedAt,
+        expected: summarizeFixtureExtraction(parseHtml(html, selector, url)),
+        html
+    };
+}
+
+async function saveExtractionFixture(item, html, strategy) {
+    const safeHost = getCheckHostKey(item.url).replace(/[^A-Za-z0-9.-]/g, '_') || 'page';
+    const safeId = String(item.id).replace(/[^A-Za-z0-9_-]/g, '_');
+    const filePath = path.join(FIXTURES_DIR, `${safeHost}-${safeId}.json.gz`);
+    const fixture = buildExtractionFixture({ url: item.url, selector: normalizeSelectorValue(item.selector), html, strategy });
+    await fsPromises.mkdir(FIXTURES_DIR, { recursive: true });
+    const tempPath = createTempFilePath(filePath, 'fixture');
+    await fsPromises.writeFile(tempPath, zlib.gzipSync(JSON.stringify(fixture, null, 2)));
+    await replaceFileAtomic(tempPath, filePath);
+    return path.basename(filePath);
+}
+
+function normalizeItemScreenshots(entries) {
+    return (Array.isArray(entries) ? entries : [])
+        .filter(entry => isPlainObject(entry) && /^[A-Za-z0-9_-]+\.(png|jpg)$/.test(String(entry.file || '')))
+        .map(entry => ({
+            file: entry.file,
+            date: normalizeIsoDateStringOrNull(entry.date),
+            price: normalizeFiniteNumberOrNull(entry.price),
+            currency: normalizeOptionalStringOrNull(entry.currency),
+            stockStatus: ['unknown', 'in_stock', 'out_of_stock'].includes(entry.stockStatus) ? entry.stockStatus : 'unknown',
+            mode: entry.mode === 'element' ? 'element' : 'page'
+        }))
+        .filter(entry => entry.date)
+        .slice(-MAX_SCREENSHOTS_PER_ITEM);
+}
+
+function getScreenshotPath(fileName) {
+    return path.join(SCREENSHOTS_DIR, path.basename(String(fileName || '')));
+}
+
+// Keeps the newest MAX_SCREENSHOTS_PER_ITEM captures younger than the retention window.
+function splitScreenshotsByRetention(entries, retentionDays, nowMs = Date.now()) {
+    const cutoffMs = nowMs - (retentionDays * DAY_MS);
+    const fresh = entries.filter(entry => Date.parse(entry.date) >= cutoffMs);
+    const kept = fresh.slice(-MAX_SCREENSHOTS_PER_ITEM);
+    return { kept, dropped: entries.filter(entry => !kept.includes(entry)) };
+}
+
+async function removeScreenshotFiles(fileNames) {
+    await Promise.all(fileNames.map(file => fsPromises.rm(getScreenshotPath(file), { force: true }).catch(() => { })));
+}
+
+// Element mode crops to the element behind the winning candidate, then the custom selector; invisible
+// sources such as meta tags or JSON-LD fall back to a full-page capture.
+async function capturePageScreenshot(page, mode, selectors) {
+    if (mode === 'element') {
+        for (const selector of selectors) {
+            let handle = null;
+            try {
+                handle = await page.$(selector);
+            } catch {
+                continue;
+            }
+            const box = handle ? await handle.boundingBox() : null;
+            if (!box || box.width < 2 || box.height < 2) continue;
+            return { body: Buffer.from(await handle.screenshot({ type: 'png' })), extension: 'png', mode: 'element' };
+        }
+    }
+    return { body: Buffer.from(await page.screenshot({ type: 'jpeg', quality: 70, fullPage: true })), extension: 'jpg', mode: 'page' };
+}
+
+async function recordChangeScreenshot(itemId, fetchUrl, capture, nowIso) {
+    const file = `${String(itemId).replace(/[^A-Za-z0-9_-]/g, '_')}-${Date.parse(nowIso)}.${capture.extension}`;
+    await fsPromises.mkdir(SCREENSHOTS_DIR, { recursive: true });
+    const tempPath = createTempFilePath(getScreenshotPath(file), 'shot');
+    await fsPromises.writeFile(tempPath, capture.body);
+    await replaceFileAtomic(tempPath, getScreenshotPath(file));
+
+    const droppedFiles = await runItemsMutation(async () => {
+        const currentItem = items.find(item => item.id === itemId);
+        if (!currentItem || currentItem.url !== fetchUrl) return [file];
+        const { kept, dropped } = splitScreenshotsByRetention([
+            ...normalizeItemScreenshots(currentItem.screenshots),
+            {
+                file,
+                date: nowIso,
+                price: currentItem.currentPrice,
+                currency: currentItem.currency,
+                stockStatus: currentItem.stockStatus,
+                mode: capture.mode
+            }
+        ], settings.screenshotRetentionDays);
+        await replaceItemState(itemId, { ...currentItem, screenshots: kept }, { allowDuplicateCanonicalUrls: false });
+        return dropped.map(entry => entry.file);
+    });
+    await removeScreenshotFiles(droppedFiles);
+}
+
+async function pruneExpiredScreenshots() {
+    const droppedFiles = await runItemsMutation(async () => {
+        const dropped = [];
+        const nextItems = items.map((item) => {
+            const split = splitScreenshotsByRetention(normalizeItemScreenshots(item.screenshots), settings.screenshotRetentionDays);
+            if (!split.dropped.length) return item;
+            dropped.push(...split.dropped.map(entry => entry.file));
+            return { ...item, screenshots: split.kept };
+        });
+        if (dropped.length) await persistItemsState(nextItems, { allowDuplicateCanonicalUrls: false });
+        return dropped;
+    });
+    await removeScreenshotFiles(droppedFiles);
+}
+
+function isConfidentHttpExtraction(extraction) {
+    return extraction.price !== null && Number(extraction.confidence || 0) >= HTTP_FETCH_MIN_CONFIDENCE;
+}
+
+function getFetchStrategiesSnapshot(sourceItems = items) {
+    const visibleHosts = new Set(sourceItems.map(item => getCheckHostKey(item.url)));
+    return [...hostFetchStrategies.entries()]
+        .filter(([hostKey]) => visibleHosts.has(hostKey))
+        .map(([hostKey, entry]) => ({ host: hostKey, strategy: entry.strategy, decidedAt: new Date(entry.decidedAt).toISOString() }));
+}
+
+function detectCommercePlatform(htmlString) {
+    const raw = String(htmlString || '');
+    if (!raw) return null;
+    return Object.keys(COMMERCE_PLATFORM_PATTERNS).find(platform => COMMERCE_PLATFORM_PATTERNS[platform].test(raw)) || null;
+}
+
+async function requestPlatformJson(url, options = {}) {
+    const response = await paceHostRequest(url, () => axios({
+        ...getAxiosProxyOptions(selectProxyForHost(getCheckHostKey(url))),
+        url,
+        method: options.method || 'GET',
+        data: options.data,
+        timeout: PLATFORM_FETCH_TIMEOUT_MS,
+        maxRedirects: 3,
+        maxContentLength: HTTP_FETCH_MAX_BYTES,
+        headers: {
+            'User-Agent': USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)],
+            Accept: 'application/json',
+            ...getProfileRequestHeaders(findBrowserProfile(url), url),
+            ...(options.data ? { 'Content-Type': 'application/json' } : {})
+        }
+    }));
+    if (!response.data || typeof response.data !== 'object') {
+        throw new Error('endpoint did not return JSON');
+    }
+    return response.data;
+}
+
+function normalizePlatformVariant(variant) {
+    const price = normalizeFiniteNumberOrNull(variant.price);
+    const compareAtPrice = normalizeFiniteNumberOrNull(variant.compareAtPrice);
+    return {
+        id: normalizeOptionalString(variant.id, ''),
+        title: normalizeOptionalString(variant.title, 'Default'),
+        sku: normalizeOptionalStringOrNull(variant.sku),
+        price,
+        compareAtPrice: compareAtPrice !== null && price !== null && compareAtPrice > price ? compareAtPrice : null,
+        available: Boolean(variant.available)
+    };
+}
+
+async function fetchShopifyProduct(pageUrl, htmlString) {
+    const parsedUrl = new URL(pageUrl);
+    const handleMatch = parsedUrl.pathname.match(/\/products\/([^/?#.]+)/);
+    if (!handleMatch) throw new Error('no product handle in URL');
+    const product = await requestPlatformJson(`${parsedUrl.origin}/products/${handleMatch[1]}.js`);
+    const currencyMatch = String(htmlString || '').match(/Shopify\.currency\s*=\s*\{[^}]*"active"\s*:\s*"([A-Z]{3})"/)
+        || String(htmlString || '').match(/"priceCurrency"\s*:\s*"([A-Z]{3})"/);
+    // Shopify's product JSON reports money in minor units.
+    const variants = (Array.isArray(product.variants) ? product.variants : []).map(variant => normalizePlatformVariant({
+        id: variant.id,
+        title: variant.title,
+        sku: variant.sku,
+        price: Number(variant.price) / 100,
+        compareAtPrice: variant.compare_at_price != null ? Number(variant.compare_at_price) / 100 : null,
+        available: variant.available
+    }));
+    return {
+        platform: 'shopify',
+        title: normalizeOptionalStringOrNull(product.title),
+        currency: currencyMatch ? currencyMatch[1] : null,
+        variants,
+        selectedVariantId: parsedUrl.searchParams.get('variant')
+    };
+}
+
+function getWooCommerceMoney(prices, key) {
+    if (!prices || prices[key] == null || prices[key] === '') return null;
+    const minorUnit = Number.isFinite(Number(prices.currency_minor_unit)) ? Number(prices.currency_minor_unit) : 2;
+    const value = Number(prices[key]) / (10 ** minorUnit);
+    return Number.isFinite(value) ? value : null;
+}
+
+async function fetchWooCommerceProduct(pageUrl, htmlString) {
+    const parsedUrl = new URL(pageUrl);
+    const raw = String(htmlString || '');
+    const idMatch = raw.match(/\bpostid-(\d+)/)
+        || raw.match(/name="add-to-cart"\s+value="(\d+)"/)
+        || raw.match(/data-product_id="(\d+)"/);
+    const apiBase = `${parsedUrl.origin}/wp-json/wc/store/v1/products`;
+    let product;
+    if (idMatch) {
+        product = await requestPlatformJson(`${apiBase}/${idMatch[1]}`);
+    } else {
+        const slugMatch = parsedUrl.pathname.match(/\/product\/([^/?#]+)/);
+        if (!slugMatch) throw new Error('no product id or slug found');
+        const matches = await requestPlatformJson(`${apiBase}?slug=${encodeURIComponent(slugMatch[1])}`);
+        product = Array.isArray(matches) ? matches[0] : null;
+        if (!product) throw new Error('product not found');
+    }
+    const toVariant = (entry, title) => normalizePlatformVariant({
+        id: entry.id,
+        title,
+        sku: entry.sku,
+        price: getWooCommerceMoney(entry.prices, 'price'),
+        compareAtPrice: getWooCommerceMoney(entry.prices, 'regular_price'),
+        available: entry.is_in_stock !== false && entry.is_purchasable !== false
+    });
+    const variations = Array.isArray(product.variations) ? product.variations : [];
+    const variants = [];
+    // The Store API lists variation ids only, so each variation's price and stock needs its own request.
+    for (const variation of variations.slice(0, WOOCOMMERCE_MAX_VARIATION_FETCHES)) {
+        const title = (Array.isArray(variation.attributes) ? variation.attributes : [])
+            .map(attribute => attribute.value)
+            .filter(Boolean)
+            .join(' / ');
+        try {
+            variants.push(toVariant(await requestPlatformJson(`${apiBase}/${variation.id}`), title || `Variation ${variation.id}`));
+        } catch (e) {
+            console.warn(`[Platform] WooCommerce variation ${variation.id} failed: ${e.message}`);
+        }
+    }
+    if (!variants.length) variants.push(toVariant(product, 'Default'));
+    return {
+        platform: 'woocommerce',
+        title: normalizeOptionalStringOrNull(product.name),
+        currency: normalizeOptionalStringOrNull(product.prices && product.prices.currency_code),
+        variants,
+        selectedVariantId: parsedUrl.searchParams.get('variation_id')
+    };
+}
+
+const MAGENTO_PRODUCT_QUERY = `query CentsibleProduct($urlKey: String) {
+  products(filter: { url_key: { eq: $urlKey } }) {
+    items {
+      name
+      sku
+      stock_status
+      price_range { minimum_price { regular_price { value currency } final_price { value currency } } }
+      ... on ConfigurableProduct {
+        variants {
+          attributes { label }
+          product {
+            sku
+            stock_status
+            price_range { minimum_price { regular_price { value currency } final_price { value currency } } }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+async function fetchMagentoProduct(pageUrl) {
+    const parsedUrl = new URL(pageUrl);
+    const urlKey = parsedUrl.pathname.split('/').filter(Boolean).pop()?.replace(/\.html?$/i, '');
+    if (!urlKey) throw new Error('no url key in URL');
+    const response = await requestPlatformJson(`${parsedUrl.origin}/graphql`, {
+        method: 'POST',
+        data: { query: MAGENTO_PRODUCT_QUERY, variables: { urlKey } }
+    });
+    const product = response.data && response.data.products && Array.isArray(response.data.products.items)
+        ? response.data.products.items[0]
+        : null;
+    if (!product) throw new Error('product not found');
+    const toVariant = (entry, title) => {
+        const minimum = entry.price_range && entry.price_range.minimum_price ? entry.price_range.minimum_price : {};
+        return normalizePlatformVariant({
+            id: entry.sku,
+            title,
+            sku: entry.sku,
+            price: minimum.final_price && minimum.final_price.value,
+            compareAtPrice: minimum.regular_price && minimum.regular_price.value,
+            available: entry.stock_status === 'IN_STOCK'
+        });
+    };
+    const variants = (Array.isArray(product.variants) ? product.variants : [])
+        .filter(variant => variant && variant.product)
+        .map(variant => toVariant(variant.product, (variant.attributes || []).map(attribute => attribute.label).filter(Boolean).join(' / ')));
+    if (!variants.length) variants.push(toVariant(product, 'Default'));
+    const minimum = product.price_range && product.price_range.minimum_price ? product.price_range.minimum_price : {};
+    return {
+        platform: 'magento',
+        title: normalizeOptionalStringOrNull(product.name),
+        currency: normalizeOptionalStringOrNull(minimum.final_price && minimum.final_price.currency),
+        variants,
+        selectedVariantId: null
+    };
+}
+
+const PLATFORM_PRODUCT_FETCHERS = {
+    shopify: fetchShopifyProduct,
+    woocommerce: fetchWooCommerceProduct,
+    magento: fetchMagentoProduct
+};
+
+// Platform data replaces the parsed price when it has one: the URL's variant if named, else the first in-stock variant.
+function applyPlatformProduct(extraction, product) {
+    const variants = product.variants.filter(variant => variant.price !== null).slice(0, PLATFORM_MAX_VARIANTS);
+    if (!variants.length) return extraction;
+    const selected = variants.find(variant => product.selectedVariantId && variant.id === String(product.selectedVariantId))
+        || variants.find(variant => variant.available)
+        || variants[0];
+    const anyAvailable = variants.some(variant => variant.available);
+    return {
+        ...extraction,
+        price: selected.price,
+        currency: product.currency || extraction.currency,
+        compareAtPrice: selected.compareAtPrice,
+        confidence: 98,
+        selectorUsed: null,
+        source: `${product.platform}-api`,
+        platform: product.platform,
+        variants,
+        availability: {
+            status: selected.available ? 'in_stock' : 'out_of_stock',
+            confidence: 97,
+            reason: selected.available
+                ? `${product.platform} variant available`
+                : `${product.platform} variant sold out${anyAvailable ? ' (other variants in stock)' : ''}`,
+            source: `${product.platform}-api`
+        }
+    };
+}
+
+function normalizeOfferCondition(rawCondition) {
+    const text = normalizeAvailabilityText(rawCondition);
+    if (/(refurbished|renewed|yenilenmis|generaluberholt|reconditionne)/.test(text)) return 'refurbished';
+    if (/(used|ikinci el|2\. el|gebraucht|occasion|usato|usado)/.test(text)) return 'used';
+    return 'new';
+}
+
+function normalizeTrackedOffer(offer) {
+    const price = normalizeFiniteNumberOrNull(offer.price);
+    const shipping = normalizeFiniteNumberOrNull(offer.shipping);
+    return {
+        seller: normalizeOptionalString(offer.seller, '').slice(0, 120) || null,
+        condition: ['new', 'used', 'refurbished'].includes(offer.condition) ? offer.condition : 'new',
+        price,
+        shipping,
+        total: Number.isFinite(price) ? Number((price + (shipping || 0)).toFixed(2)) : null,
+        buyBox: Boolean(offer.buyBox)
+    };
+}
+
+function parseOfferShipping(text, currency) {
+    const normalized = normalizeAvailabilityText(text);
+    if (!normalized) return null;
+    if (/(free|ucretsiz|kostenlos|gratuit|gratis)/.test(normalized)) return 0;
+    const match = String(text).match(/\d[\d.,]*/);
+    return match ? normalizePriceString(match[0], currency) : null;
+}
+
+function extractOfferRows($, config, preferredCurrency) {
+    const offers = [];
+    const buyBoxRows = config.buyBoxSelector ? new Set($(config.buyBoxSelector).toArray()) : new Set();
+    $(config.rowSelector).slice(0, MAX_TRACKED_OFFERS).each((_, row) => {
+        const $row = $(row);
+        const priceText = $row.find(config.priceSelector).first().text();
+        const price = normalizePriceString(priceText.match(/\d[\d.,]*/)?.[0] || '', preferredCurrency);
+        if (!Number.isFinite(price) || price <= 0) return;
+        const $shipping = config.shippingSelector ? $row.find(config.shippingSelector).first() : null;
+        const shippingText = $shipping && $shipping.length
+            ? ($shipping.attr('data-csa-c-delivery-price') || $shipping.text())
+            : '';
+        offers.push(normalizeTrackedOffer({
+            seller: config.sellerSelector ? $row.find(config.sellerSelector).first().text().trim() : null,
+            condition: normalizeOfferCondition(config.conditionSelector ? $row.find(config.conditionSelector).first().text() : ''),
+            price,
+            shipping: parseOfferShipping(shippingText, preferredCurrency),
+            buyBox: buyBoxRows.has(row)
+        }));
+    });
+    return offers;
+}
+
+// Product offers that name a seller are treated as a marketplace listing.
+function extractJsonLdOffers(jsonLdNodes, preferredCurrency) {
+    const offers = [];
+    jsonLdNodes.forEach((node) => {
+        const offerList = Array.isArray(node.offers) ? node.offers : [];
+        offerList.filter(offer => isPlainObject(offer) && offer.seller).forEach((offer) => {
+            const currency = (offer.priceCurrency || preferredCurrency || 'USD').toString().toUpperCase();
+            const price = normalizePriceString(String(offer.price ?? ''), currency);
+            if (!Number.isFinite(price) || price <= 0) return;
+            const shippingRate = isPlainObject(offer.shippingDetails) && isPlainObject(offer.shippingDetails.shippingRate)
+                ? offer.shippingDetails.shippingRate.value
+                : null;
+            offers.push(normalizeTrackedOffer({
+                seller: isPlainObject(offer.seller) ? offer.seller.name : offer.seller,
+                condition: normalizeOfferCondition(String(offer.itemCondition || '').replace(/^.*\//, '').replace(/Condition$/, '')),
+                price,
+                shipping: shippingRate != null ? normalizePriceString(String(shippingRate), currency) : null
+            }));
+        });
+    });
+    return offers.slice(0, MAX_TRACKED_OFFERS);
+}
+
+// Used and refurbished offers share the used series; the buy box falls back to the page's headline price.
+function summarizeOffers(offers, headlinePrice = null) {
+    const lowestTotal = list => (list.length ? Math.min(...list.map(offer => offer.total)) : null);
+    const priced = offers.filter(offer => Number.isFinite(offer.total));
+    const buyBoxOffer = priced.find(offer => offer.buyBox);
+    return {
+        lowestNew: lowestTotal(priced.filter(offer => offer.condition === 'new')),
+        lowestUsed: lowestTotal(priced.filter(offer => offer.condition !== 'new')),
+        buyBox: buyBoxOffer ? buyBoxOffer.total : normalizeFiniteNumberOrNull(headlinePrice),
+        offerCount: priced.length
+    };
+}
+
+async function collectOfferListing(html, url, extraction) {
+    const { preferredCurrency, offers: config } = getDomainHints(url);
+    let offers = [];
+    let offerError = null;
+    if (config) {
+        let listingHtml = html;
+        if (config.listingUrl) {
+            const asin = (String(url).match(/\/(?:dp|gp\/product|gp\/aw\/d)\/([A-Z0-9]{10})/i) || [])[1];
+            if (!config.listingUrl.includes('{asin}') || asin) {
+                try {
+                    listingHtml = await fetchWithHttp(new URL(config.listingUrl.replace('{asin}', encodeURIComponent(asin || '')), url).toString());
+                } catch (e) {
+                    offerError = e.message;
+                }
+            }
+        }
+        offers = extractOfferRows(cheerio.load(listingHtml), config, extraction.currency || preferredCurrency);
+    }
+    if (!offers.length) {
+        offers = extractJsonLdOffers(collectJsonLdNodes(cheerio.load(html)), extraction.currency || preferredCurrency);
+    }
+    offers.sort((a, b) => a.total - b.total);
+    return {
+        ...extraction,
+        offers,
+        offerSummary: summarizeOffers(offers, extraction.price),
+        ...(offerError ? { debug: { ...(extraction.debug || {}), offerError } } : {})
+    };
+}
+
+// Narrows an extraction to the tracked variant; a variant that disappeared is a failed check, not a silent switch.
+function applyVariantSelection(extraction, variantId) {
+    if (!variantId) return extraction;
+    const variant = (extraction.variants || []).find(entry => entry.id === variantId);
+    if (!variant) throw new Error(`Tracked variant ${variantId} is no longer listed on the page`);
+    const source = extraction.platform ? `${extraction.platform}-api` : 'json-ld-variant';
+    return {
+        ...extraction,
+        price: variant.price,
+        compareAtPrice: variant.compareAtPrice,
+        confidence: extraction.platform ? 98 : 95,
+        selectorUsed: null,
+        source,
+        variantTitle: variant.title,
+        // A product-level GTIN covers every size and colour, so a tracked variant keeps only its own SKU.
+        identifiers: { ...normalizeProductIdentifiers(extraction.identifiers), gtin: null, sku: variant.sku || null },
+        availability: {
+            status: variant.available ? 'in_stock' : 'out_of_stock',
+            confidence: 95,
+            reason: `variant ${variant.title} ${variant.available ? 'available' : 'sold out'}`,
+            source
+        }
+    };
+}
+
+// Asks a recognised shop platform's own product endpoint; null when the page is on no known platform.
+async function lookupPlatformProduct(html, url) {
+    const platform = detectCommercePlatform(html);
+    if (!platform) return null;
+    try {
+        return { platform, product: await PLATFORM_PRODUCT_FETCHERS[platform](url, html), error: null };
+    } catch (e) {
+        console.warn(`[Platform] ${platform} product endpoint failed for ${url}: ${e.message}`);
+        return { platform, product: null, error: e.message };
+    }
+}
+
+// parseHtml plus, for recognised shop platforms, the platform's own product endpoint.
+// `platformLookup` is the outcome of an earlier lookupPlatformProduct for the same URL; without one, the page is looked up.
+async function extractFromPage(html, url, selector = null, options = {}, platformLookup = undefined) {
+    let extraction = parseHtml(html, selector, url);
+    const lookup = platformLookup === undefined ? await lookupPlatformProduct(html, url) : platformLookup;
+    if (lookup && lookup.product) {
+        extraction = applyPlatformProduct(extraction, lookup.product);
+    } else if (lookup) {
+        extraction = { ...extraction, platform: lookup.platform, debug: { ...(extraction.debug || {}), platformError: lookup.error } };
+    }
+    extraction = applyVariantSelection(extraction, options.variantId || null);
+    return options.offers ? collectOfferListing(html, url, extraction) : extraction;
+}
+
+// Whether a reading differs from the price or stock status the item holds, i.e. whether a check would keep a screenshot.
+function isReadingChange(extraction, previous) {
+    const stockStatus = (extraction.availability && extraction.availability.status)
+        || (extraction.price !== null ? 'in_stock' : 'unknown');
+    return (extraction.price !== null && extraction.price !== normalizeFiniteNumberOrNull(previous.price))
+        || stockStatus !== String(previous.stockStatus || 'unknown');
+}
+
+// Tries plain HTTP first and escalates to the browser on failure, low confidence, or no price.
+// The winning tier is remembered per host so later checks skip the step that keeps losing.
+// `proxy` is the label of the pool proxy the winning tier went through, or null for a direct connection.
+// `fetchMs` covers every tier that was tried; `wait` says how the browser's wait for the page went.
+// With `screenshotMode` on, a change read over plain HTTP (against `options.previous`) is read again in the browser
+// so the change has a capture; if that fails, the HTTP reading still counts.
+// A shop platform's endpoint is asked once per check: the browser tier reuses what the HTTP tier's lookup found, or
+// that it found no platform.
+async function fetchAndExtract(url, selector = null, options = {}) {
+    const startedAt = Date.now();
+    const hostKey = getCheckHostKey(url);
+    const remembered = hostFetchStrategies.get(hostKey);
+    const skipHttp = remembered
+        && remembered.strategy === 'browser'
+        && Date.now() - remembered.decidedAt < FETCH_STRATEGY_RECHECK_MS;
+    const profile = findBrowserProfile(url, options.profileId || null);
+    // Page actions need a real page, so a scripted check goes straight to the browser.
+    const actions = getPageActionsForUrl(url, options.pageActions);
+    const wantsScreenshot = ['element', 'page'].includes(options.screenshotMode);
+
+    let httpResult = null;
+    let platformLookup;
+    if (!skipHttp && !actions.length) {
+        try {
+            const { html, proxy } = await fetchWithHttpProxyRotation(url, hostKey, profile);
+            platformLookup = await lookupPlatformProduct(html, url);
+            const extraction = await extractFromPage(html, url, selector, options, platformLookup);
+            if (isConfidentHttpExtraction(extraction)) {
+                hostFetchStrategies.set(hostKey, { strategy: 'http', decidedAt: Date.now() });
+                const result = { html, extraction, strategy: 'http', proxy: getProxyLabel(proxy), fetchMs: Date.now() - startedAt, wait: null, screenshot: null };
+                if (!wantsScreenshot || !options.previous || !isReadingChange(extraction, options.previous)) return result;
+                httpResult = result;
+            }
+        } catch (e) {
+            console.warn(`[Fetch] ${e.message} for ${hostKey}; falling back to the browser.`);
+        }
     }
+
+    // `screenshotMode` asks for a capture of the browser page; element mode crops to where the price was read,
+    // so the extraction runs before the page closes and is reused below.
+    let browserExtraction = null;
+    const extractBrowserPage = async (html) => {
+        if (!browserExtraction) browserExtraction = await extractFromPage(html, url, selector, options, platformLookup);
+        return browserExtraction;
+    };
+    const screenshot = wantsScreenshot
+        ? {
+            mode: options.screenshotMode,
+            selectorsFor: async html => [(await extractBrowserPage(html)).selectorUsed, selector].filter(Boolean)
+        }
+        : null;
+    const proxy = selectBrowserProxyForHost(hostKey);
+    let page;
+    try {
+        page = await fetchWithPuppeteer(url, resolvePageWait(url, selector), proxy, profile, actions, screenshot);
+    } catch (e) {
+        recordProxyResult(proxy, hostKey, false, e.message);
+        if (httpResult) {
+            console.warn(`[Screenshot] Browser capture failed for ${hostKey}: ${e.message}; keeping the HTTP reading.`);
+            return httpResult;
+        }
+        e.proxy = getProxyLabel(proxy);
+        throw e;
+    }
+    recordProxyResult(proxy, hostKey, true);
+    const { html, wait } = page;
+    const fetchMs = Date.now() - startedAt;
+    const extraction = await extractBrowserPage(html);
+    if (extraction.price !== null && !skipHttp && !actions.length && !httpResult) {
+        hostFetchStrategies.set(hostKey, { strategy: 'browser', decidedAt: Date.now() });
+    }
+    return { html, extraction, strategy: 'browser', proxy: getProxyLabel(proxy), fetchMs, wait, screenshot: page.screenshot || null };
 }
 
 // --- Notifications & Webhooks ---
-async function notifyAll(title, message, overrideSettings = null) {
+function getItemNotificationMedia(item) {
+    const thumbnailPath = item && item.thumbnailFile ? getThumbnailPath(item.thumbnailFile) : null;
+    return {
+        brand: (item && item.brand) || null,
+        imageUrl: (item && item.imageUrl) || null,
+        thumbnailPath: thumbnailPath && fs.existsSync(thumbnailPath) ? thumbnailPath : null
+    };
+}
+
+// `media` adds the item's brand line and product image: the cached file locally, the shop's image URL remotely.
+async function notifyAll(title, message, overrideSettings = null, media = null) {
     const effective = overrideSettings && typeof overrideSettings === 'object'
         ? { ...settings, ...overrideSettings }
         : settings;
+    if (media && media.brand) message = `${message}\nBrand: ${media.brand}`;
+    const imageUrl = media && media.imageUrl ? media.imageUrl : null;
     const result = {
         local: { attempted: true, success: true, error: null, channel: 'Local' },
         discord: { attempted: false, success: false, error: null, channel: 'Discord' },
@@ -2910,6 +6422,7 @@ async function notifyAll(title, message, overrideSettings = null) {
         notifier.notify({
             title: title,
             message: message,
+            ...(media && media.thumbnailPath ? { icon: media.thumbnailPath } : {}),
             sound: true,
             wait: true
         });
@@ -2925,7 +6438,8 @@ async function notifyAll(title, message, overrideSettings = null) {
         try {
             const discordUrl = buildDiscordWebhookUrl(effective.discordWebhook);
             await axios.post(discordUrl, {
-                content: `**${title}**\n${message}`
+                content: `**${title}**\n${message}`,
+                ...(imageUrl ? { embeds: [{ thumbnail: { url: imageUrl } }] } : {})
             });
             result.discord.success = true;
         } catch (e) {
@@ -2944,12 +6458,24 @@ async function notifyAll(title, message, overrideSettings = null) {
     if (effective.telegramWebhook && effective.telegramChatId) {
         result.telegram.attempted = true;
         try {
-            const url = `https://api.telegram.org/bot${effective.telegramWebhook}/sendMessage`;
-            await axios.post(url, {
-                chat_id: effective.telegramChatId,
-                text: `*${title}*\n${message}`,
-                parse_mode: 'Markdown'
-            });
+            const botUrl = `https://api.telegram.org/bot${effective.telegramWebhook}`;
+            const text = `*${title}*\n${message}`;
+            // Telegram fetches the photo itself; a shop that blocks it shouldn't cost the alert.
+            const sentPhoto = imageUrl
+                ? await axios.post(`${botUrl}/sendPhoto`, {
+                    chat_id: effective.telegramChatId,
+                    photo: imageUrl,
+                    caption: text,
+                    parse_mode: 'Markdown'
+                }).then(() => true, () => false)
+                : false;
+            if (!sentPhoto) {
+                await axios.post(`${botUrl}/sendMessage`, {
+                    chat_id: effective.telegramChatId,
+                    text,
+                    parse_mode: 'Markdown'
+                });
+            }
             result.telegram.success = true;
         } catch (e) {
             result.telegram.error = e.response
@@ -3061,220 +6587,423 @@ function invalidateActiveBackgroundCheck(reason = 'state restore') {
     if (!isChecking) return false;
     activeBackgroundCheckToken = ++backgroundCheckRunCounter;
     checkingItemId = null;
+    checkingItemIds.clear();
     console.warn(`[Background Check] Active run invalidated: ${reason}.`);
     return true;
 }
 
-// Background Task: Check Prices
-async function checkPrices() {
-    if (isChecking) return;
-    isChecking = true;
-    const runToken = createBackgroundCheckRunToken();
-    console.log(`[${new Date().toLocaleTimeString()}] Starting background check...`);
-
-    let updatedCount = 0;
-    const rules = getAlertRules();
+// Hostnames share a queue so one store never sees parallel requests from us.
+function getCheckHostKey(url) {
     try {
-        const candidateIds = items.filter(item => !Boolean(item.purchased)).map(item => item.id);
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (_) {
+        return String(url || '');
+    }
+}
 
-        for (const itemId of candidateIds) {
-            if (!isBackgroundCheckRunActive(runToken)) {
-                console.warn('[Background Check] Stopping invalidated run before next item.');
-                break;
-            }
-            const snapshotItem = items.find(item => item.id === itemId);
-            if (!snapshotItem || Boolean(snapshotItem.purchased)) continue;
+function getHostCircuitState(hostKey, nowMs = Date.now()) {
+    const circuit = hostCircuits.get(hostKey);
+    if (!circuit) return { state: 'closed', consecutiveFailures: 0, openUntil: null, lastError: '' };
+    let state = 'closed';
+    // Once the cooldown expires the circuit is half-open: the next check is a trial, and one more failure reopens it.
+    if (circuit.openUntil) state = circuit.openUntil > nowMs ? 'open' : 'half-open';
+    return {
+        state,
+        consecutiveFailures: circuit.consecutiveFailures,
+        openUntil: circuit.openUntil ? new Date(circuit.openUntil).toISOString() : null,
+        lastError: circuit.lastError
+    };
+}
 
-            checkingItemId = itemId;
-            const fetchUrl = snapshotItem.url;
-            const fetchSelector = normalizeSelectorValue(snapshotItem.selector);
-            const nowIso = new Date().toISOString();
-            const nowTs = Date.now();
+function recordHostCheckResult(hostKey, ok, errorMessage = '') {
+    if (!hostKey) return;
+    if (ok) {
+        hostCircuits.delete(hostKey);
+        return;
+    }
+    const circuit = hostCircuits.get(hostKey) || { consecutiveFailures: 0, openUntil: 0, lastError: '' };
+    circuit.consecutiveFailures += 1;
+    circuit.lastError = normalizeOptionalString(errorMessage, 'Check failed');
+    if (circuit.consecutiveFailures >= HOST_CIRCUIT_FAILURE_THRESHOLD) {
+        circuit.openUntil = Date.now() + HOST_CIRCUIT_COOLDOWN_MS;
+        console.warn(`[Background Check] Circuit opened for ${hostKey} after ${circuit.consecutiveFailures} consecutive failures; skipping until ${new Date(circuit.openUntil).toLocaleTimeString()}.`);
+    }
+    hostCircuits.set(hostKey, circuit);
+}
+
+function getHostCircuitsSnapshot(sourceItems = items) {
+    const visibleHosts = new Set(sourceItems.map(item => getCheckHostKey(item.url)));
+    return [...hostCircuits.keys()]
+        .filter(hostKey => visibleHosts.has(hostKey))
+        .map(hostKey => ({ host: hostKey, ...getHostCircuitState(hostKey) }));
+}
 
+function groupCheckCandidatesByHost(itemIds) {
+    const hostQueues = new Map();
+    itemIds.forEach((itemId) => {
+        const item = items.find(entry => entry.id === itemId);
+        if (!item) return;
+        const hostKey = getCheckHostKey(item.url);
+        if (!hostQueues.has(hostKey)) hostQueues.set(hostKey, []);
+        hostQueues.get(hostKey).push(itemId);
+    });
+    return [...hostQueues.values()];
+}
+
+// Checks one item and persists the result; returns 'updated', 'failed', 'skipped', or 'invalidated'.
+async function checkBackgroundItem(itemId, runToken, rules) {
+    const snapshotItem = items.find(item => item.id === itemId);
+    if (!snapshotItem || Boolean(snapshotItem.purchased)) return 'skipped';
+
+    checkingItemId = itemId;
+    checkingItemIds.add(itemId);
+    const fetchUrl = snapshotItem.url;
+    const fetchSelector = normalizeSelectorValue(snapshotItem.selector);
+    const fetchVariantId = normalizeOptionalStringOrNull(snapshotItem.variantId);
+    const nowIso = new Date().toISOString();
+    const nowTs = Date.now();
+
+    let fetchStrategy = null;
+    let fetchProxy = null;
+    let fetchTiming = null;
+    const fetchStartedAt = Date.now();
+    try {
+        const { html, extraction, strategy, proxy, fetchMs, wait, screenshot } = await fetchAndExtract(fetchUrl, fetchSelector, {
+            variantId: fetchVariantId,
+            offers: Boolean(snapshotItem.offerMode),
+            profileId: snapshotItem.browserProfileId,
+            pageActions: snapshotItem.pageActions,
+            screenshotMode: settings.screenshotMode,
+            previous: { price: snapshotItem.currentPrice, stockStatus: snapshotItem.stockStatus }
+        });
+        fetchStrategy = strategy;
+        fetchProxy = proxy;
+        fetchTiming = {
+            fetchMs,
+            waitStrategy: wait ? wait.strategy : null,
+            waitMs: wait ? wait.waitedMs : null,
+            waitTimedOut: Boolean(wait && wait.timedOut)
+        };
+        if (snapshotItem.recordFixture) {
             try {
-                const html = await fetchWithPuppeteer(fetchUrl);
-                const extraction = parseHtml(html, fetchSelector, fetchUrl);
-                const persisted = await runItemsMutation(async () => {
-                    if (!isBackgroundCheckRunActive(runToken)) {
-                        return { skipped: true, reason: 'check-invalidated' };
-                    }
-                    const currentItem = items.find(item => item.id === itemId);
-                    if (!currentItem || Boolean(currentItem.purchased)) {
-                        return { skipped: true, reason: 'item-missing' };
+                const fixtureFile = await saveExtractionFixture(snapshotItem, html, strategy);
+                console.log(`[Fixture] Saved ${fixtureFile} for ${snapshotItem.name}`);
+            } catch (e) {
+                console.warn(`[Fixture] Could not save HTML for ${snapshotItem.name}: ${e.message}`);
+            }
+        }
+        try {
+            const thumbnail = await cacheItemThumbnail(snapshotItem, normalizePageMetadata(extraction.metadata).imageUrl);
+            if (thumbnail) extraction.thumbnail = thumbnail;
+        } catch (e) {
+            console.warn(`[Thumbnail] Could not cache image for ${snapshotItem.name}: ${e.message}`);
+        }
+        const persisted = await runItemsMutation(async () => {
+            if (!isBackgroundCheckRunActive(runToken)) {
+                return { skipped: true, reason: 'check-invalidated' };
+            }
+            const currentItem = items.find(item => item.id === itemId);
+            if (!currentItem || Boolean(currentItem.purchased)) {
+                return { skipped: true, reason: 'item-missing' };
+            }
+            if (itemSourceChanged(currentItem, fetchUrl, fetchSelector, fetchVariantId)) {
+                return { skipped: true, reason: 'source-changed' };
+            }
+
+            const result = buildSuccessfulCheckItem(currentItem, extraction, nowIso);
+            if (result.quarantined) {
+                console.warn(`[Quarantine] Holding ${extraction.price} for ${currentItem.name}: ${result.nextItem.pendingPrice.reason}`);
+            }
+            const currentPrice = result.price;
+            // A held reading is not a price yet, so nothing about it alerts until a re-check confirms it.
+            if (!result.quarantined) {
+                const notifyItem = (title, message) => notifyAll(title, message, null, getItemNotificationMedia(result.nextItem));
+                const oldPrice = Number(currentItem.currentPrice);
+
+                // Drop and target alerts follow the item's chosen series; the other alerts stay on the headline price.
+                const alertSeries = getItemAlertSeries(currentItem);
+                const alertValue = alertSeries === 'price'
+                    ? (result.isOutOfStock ? null : currentPrice)
+                    : getItemSeriesValue(result.nextItem, alertSeries);
+                const oldAlertValue = Number(getItemSeriesValue(currentItem, alertSeries));
+                const alertLabel = alertSeries === 'price' ? currentItem.name : `${currentItem.name} (${OFFER_SERIES_LABELS[alertSeries]})`;
+                if (alertValue !== null && alertValue !== getItemSeriesValue(currentItem, alertSeries)) {
+                    if (rules.priceDropEnabled && Number.isFinite(oldAlertValue) && alertValue < oldAlertValue) {
+                        const dropAmount = (oldAlertValue - alertValue).toFixed(2);
+                        if (shouldSendAlert(`drop:${currentItem.id}`, rules.notifyCooldownMinutes)) {
+                            console.log(`[Price Drop] ${alertLabel} dropped by ${dropAmount}!`);
+                            notifyItem('Price Drop Alert', `${alertLabel} is now ${alertValue} (Was ${oldAlertValue})`);
+                        }
                     }
-                    if (itemSourceChanged(currentItem, fetchUrl, fetchSelector)) {
-                        return { skipped: true, reason: 'source-changed' };
+
+                }
+
+                // With targetUseEffectivePrice, a headline-price target is met by the total after coupons and shipping.
+                const useEffectiveTarget = alertSeries === 'price' && rules.targetUseEffectivePrice;
+                const targetValue = useEffectiveTarget
+                    ? (result.isOutOfStock ? null : normalizeFiniteNumberOrNull(result.nextItem.effectivePrice))
+                    : alertValue;
+                const oldTargetValue = useEffectiveTarget
+                    ? Number(currentItem.effectivePrice ?? currentItem.currentPrice)
+                    : oldAlertValue;
+                const targetLabel = useEffectiveTarget ? `${currentItem.name} (total with shipping and coupons)` : alertLabel;
+                if (rules.targetHitEnabled && currentItem.targetPrice && targetValue !== null
+                    && targetValue <= currentItem.targetPrice && oldTargetValue > currentItem.targetPrice) {
+                    if (shouldSendAlert(`target:${currentItem.id}`, rules.notifyCooldownMinutes)) {
+                        console.log(`[Target Hit] ${targetLabel} hit target of ${currentItem.targetPrice}!`);
+                        notifyItem('Target Price Hit', `${targetLabel} is now ${targetValue}, meeting your target of ${currentItem.targetPrice}!`);
                     }
+                }
 
-                    const result = buildSuccessfulCheckItem(currentItem, extraction, nowIso);
-                    const currentPrice = result.price;
-                    const oldPrice = Number(currentItem.currentPrice);
+                const unitPrice = result.isOutOfStock ? null : normalizeFiniteNumberOrNull(result.nextItem.unitPrice);
+                const oldUnitPrice = Number(currentItem.unitPrice);
+                if (rules.unitTargetHitEnabled && currentItem.unitTargetPrice && unitPrice !== null
+                    && unitPrice <= currentItem.unitTargetPrice && oldUnitPrice > currentItem.unitTargetPrice) {
+                    if (shouldSendAlert(`unit-target:${currentItem.id}`, rules.notifyCooldownMinutes)) {
+                        const unitLabel = result.nextItem.unitOfMeasure === 'unit' ? 'piece' : result.nextItem.unitOfMeasure;
+                        notifyItem('Unit Price Target Hit', `${currentItem.name} is now ${unitPrice} per ${unitLabel}, meeting your target of ${currentItem.unitTargetPrice}!`);
+                    }
+                }
 
-                    if (!result.isOutOfStock && currentPrice !== currentItem.currentPrice) {
-                        if (rules.priceDropEnabled && Number.isFinite(oldPrice) && currentPrice < oldPrice) {
-                            const dropAmount = (oldPrice - currentPrice).toFixed(2);
-                            if (shouldSendAlert(`drop:${currentItem.id}`, rules.notifyCooldownMinutes)) {
-                                console.log(`[Price Drop] ${currentItem.name} dropped by ${dropAmount}!`);
-                                notifyAll('Price Drop Alert', `${currentItem.name} is now ${currentPrice} (Was ${oldPrice})`);
-                            }
+                // Any member crossing the group target fires once per group, whichever store it comes from.
+                const productGroup = currentItem.groupId
+                    ? (settings.productGroups || []).find(group => group.id === currentItem.groupId)
+                    : null;
+                if (rules.groupTargetHitEnabled && productGroup && productGroup.targetPrice && !result.isOutOfStock && currentPrice !== null) {
+                    const groupTargetUSD = convertToUSD(productGroup.targetPrice, productGroup.targetCurrency);
+                    const memberPriceUSD = convertToUSD(currentPrice, result.nextItem.currency);
+                    const oldMemberPriceUSD = convertToUSD(oldPrice, currentItem.currency);
+                    if (memberPriceUSD !== null && memberPriceUSD <= groupTargetUSD && oldMemberPriceUSD > groupTargetUSD) {
+                        if (shouldSendAlert(`group-target:${productGroup.id}`, rules.notifyCooldownMinutes)) {
+                            notifyItem('Group Target Hit', `${productGroup.name}: ${currentItem.name} is now ${currentPrice} ${result.nextItem.currency}, meeting the group target of ${productGroup.targetPrice} ${productGroup.targetCurrency}!`);
                         }
+                    }
+                }
 
-                        if (rules.targetHitEnabled && currentItem.targetPrice && currentPrice <= currentItem.targetPrice && oldPrice > currentItem.targetPrice) {
-                            if (shouldSendAlert(`target:${currentItem.id}`, rules.notifyCooldownMinutes)) {
-                                console.log(`[Target Hit] ${currentItem.name} hit target of ${currentItem.targetPrice}!`);
-                                notifyAll('Target Price Hit', `${currentItem.name} is now ${currentPrice}, meeting your target of ${currentItem.targetPrice}!`);
+                if (!result.isOutOfStock && currentPrice !== null && currentPrice !== currentItem.currentPrice) {
+                    if (rules.priceDrop24hEnabled && Array.isArray(currentItem.history) && currentItem.history.length > 1) {
+                        const reference = findPriceNear24h(currentItem.history, nowTs);
+                        if (reference && Number(reference.price) > 0) {
+                            const pctDrop = ((Number(reference.price) - Number(currentPrice)) / Number(reference.price)) * 100;
+                            if (pctDrop >= Number(rules.priceDrop24hPercent || 0) && currentPrice < oldPrice) {
+                                if (shouldSendAlert(`drop24h:${currentItem.id}`, rules.notifyCooldownMinutes)) {
+                                    notifyItem('24h Drop Alert', `${currentItem.name} dropped ${pctDrop.toFixed(2)}% in ~24h (now ${currentPrice}).`);
+                                }
                             }
                         }
+                    }
 
-                        if (rules.priceDrop24hEnabled && Array.isArray(currentItem.history) && currentItem.history.length > 1) {
-                            const reference = findPriceNear24h(currentItem.history, nowTs);
-                            if (reference && Number(reference.price) > 0) {
-                                const pctDrop = ((Number(reference.price) - Number(currentPrice)) / Number(reference.price)) * 100;
-                                if (pctDrop >= Number(rules.priceDrop24hPercent || 0) && currentPrice < oldPrice) {
-                                    if (shouldSendAlert(`drop24h:${currentItem.id}`, rules.notifyCooldownMinutes)) {
-                                        notifyAll('24h Drop Alert', `${currentItem.name} dropped ${pctDrop.toFixed(2)}% in ~24h (now ${currentPrice}).`);
-                                    }
-                                }
+                    if (rules.allTimeLowEnabled) {
+                        const historyPrices = Array.isArray(currentItem.history)
+                            ? currentItem.history.map(h => Number(h.price)).filter(Number.isFinite)
+                            : [];
+                        const minBefore = Math.min(...historyPrices, Number.isFinite(oldPrice) ? oldPrice : Number.POSITIVE_INFINITY);
+                        if (currentPrice < minBefore) {
+                            if (shouldSendAlert(`atl:${currentItem.id}`, rules.notifyCooldownMinutes)) {
+                                notifyItem('All-Time Low', `${currentItem.name} reached a new all-time low at ${currentPrice}.`);
                             }
                         }
+                    }
+                }
+
+                if (result.previousStockStatus !== 'out_of_stock' && result.isOutOfStock) {
+                    if (shouldSendAlert(`oos-transition:${currentItem.id}`, rules.notifyCooldownMinutes)) {
+                        notifyItem('Out of Stock', `${currentItem.name} appears to be out of stock.`);
+                    }
+                } else if (result.previousStockStatus === 'out_of_stock' && result.stockStatus === 'in_stock') {
+                    if (shouldSendAlert(`back-in-stock:${currentItem.id}`, rules.notifyCooldownMinutes)) {
+                        notifyItem('Back in Stock', `${currentItem.name} appears to be back in stock.`);
+                    }
+                }
+
+                if (
+                    rules.lowConfidenceEnabled
+                    && Number(result.nextItem.extractionConfidence || 0) > 0
+                    && Number(result.nextItem.extractionConfidence) < Number(rules.lowConfidenceThreshold || 0)
+                ) {
+                    if (shouldSendAlert(`lowconf:${currentItem.id}`, rules.notifyCooldownMinutes)) {
+                        notifyItem('Low Extraction Confidence', `${currentItem.name} confidence is ${Math.round(result.nextItem.extractionConfidence)}.`);
+                    }
+                }
+            }
+
+            const savedItem = await replaceItemState(itemId, result.nextItem, { allowDuplicateCanonicalUrls: false });
+            return {
+                skipped: false,
+                savedItem,
+                price: currentPrice,
+                isOutOfStock: result.isOutOfStock,
+                changed: (currentPrice !== null && currentPrice !== normalizeFiniteNumberOrNull(currentItem.currentPrice))
+                    || result.stockStatus !== result.previousStockStatus,
+                extraction
+            };
+        });
+
+        if (persisted.skipped) {
+            if (persisted.reason === 'check-invalidated') {
+                console.warn('[Background Check] Discarded stale result after run invalidation.');
+                return 'invalidated';
+            }
+            return 'skipped';
+        }
+
+        recordHostCheckResult(getCheckHostKey(fetchUrl), true);
+        if (persisted.changed && screenshot) {
+            try {
+                await recordChangeScreenshot(itemId, fetchUrl, screenshot, nowIso);
+            } catch (e) {
+                console.warn(`[Screenshot] Could not save ${persisted.savedItem.name}: ${e.message}`);
+            }
+        }
+        await addDiagnostic({
+            itemId: persisted.savedItem.id,
+            itemName: persisted.savedItem.name,
+            url: persisted.savedItem.url,
+            listId: persisted.savedItem.listId || 'default',
+            ok: true,
+            price: persisted.price,
+            currency: persisted.savedItem.currency,
+            confidence: persisted.extraction.confidence || 0,
+            source: persisted.extraction.source || null,
+            selectorUsed: persisted.extraction.selectorUsed || null,
+            stockStatus: persisted.savedItem.stockStatus,
+            outOfStock: persisted.isOutOfStock,
+            stockReason: persisted.savedItem.stockReason || '',
+            error: null,
+            fetchStrategy,
+            proxy: fetchProxy,
+            ...fetchTiming
+        }).catch((e) => {
+            console.error('[Diagnostics] Failed to append entry:', e.message);
+        });
+        return 'updated';
+    } catch (error) {
+        console.error(`Failed to check ${snapshotItem.name}: ${error.message}`);
+        const hostKey = getCheckHostKey(fetchUrl);
+        recordHostCheckResult(hostKey, false, error.message);
+        const persistedFailure = await runItemsMutation(async () => {
+            if (!isBackgroundCheckRunActive(runToken)) {
+                return { skipped: true, reason: 'check-invalidated' };
+            }
+            const currentItem = items.find(item => item.id === itemId);
+            if (!currentItem || Boolean(currentItem.purchased)) {
+                return { skipped: true, reason: 'item-missing' };
+            }
+            if (itemSourceChanged(currentItem, fetchUrl, fetchSelector, fetchVariantId)) {
+                return { skipped: true, reason: 'source-changed' };
+            }
 
-                        if (rules.allTimeLowEnabled) {
-                            const historyPrices = Array.isArray(currentItem.history)
-                                ? currentItem.history.map(h => Number(h.price)).filter(Number.isFinite)
-                                : [];
-                            const minBefore = Math.min(...historyPrices, Number.isFinite(oldPrice) ? oldPrice : Number.POSITIVE_INFINITY);
-                            if (currentPrice < minBefore) {
-                                if (shouldSendAlert(`atl:${currentItem.id}`, rules.notifyCooldownMinutes)) {
-                                    notifyAll('All-Time Low', `${currentItem.name} reached a new all-time low at ${currentPrice}.`);
-                                }
-                            }
-                        }
+            if (rules.staleEnabled) {
+                const last = currentItem.lastChecked ? new Date(currentItem.lastChecked).getTime() : 0;
+                const staleMs = Number(rules.staleHours || 0) * 60 * 60 * 1000;
+                if (!last || (nowTs - last) > staleMs) {
+                    if (shouldSendAlert(`stale:${currentItem.id}`, rules.notifyCooldownMinutes)) {
+                        notifyAll('Stale Price Item', `${currentItem.name} has not had a successful check for over ${rules.staleHours}h.`, null, getItemNotificationMedia(currentItem));
                     }
+                }
+            }
 
-                    if (result.previousStockStatus !== 'out_of_stock' && result.isOutOfStock) {
-                        if (shouldSendAlert(`oos-transition:${currentItem.id}`, rules.notifyCooldownMinutes)) {
-                            notifyAll('Out of Stock', `${currentItem.name} appears to be out of stock.`);
-                        }
-                    } else if (result.previousStockStatus === 'out_of_stock' && result.stockStatus === 'in_stock') {
-                        if (shouldSendAlert(`back-in-stock:${currentItem.id}`, rules.notifyCooldownMinutes)) {
-                            notifyAll('Back in Stock', `${currentItem.name} appears to be back in stock.`);
-                        }
-                    }
+            const savedItem = await replaceItemState(
+                itemId,
+                buildFailedCheckItem(currentItem, error.message, nowIso),
+                { allowDuplicateCanonicalUrls: false }
+            );
+            return {
+                skipped: false,
+                savedItem
+            };
+        });
 
-                    if (
-                        rules.lowConfidenceEnabled
-                        && Number(result.nextItem.extractionConfidence || 0) > 0
-                        && Number(result.nextItem.extractionConfidence) < Number(rules.lowConfidenceThreshold || 0)
-                    ) {
-                        if (shouldSendAlert(`lowconf:${currentItem.id}`, rules.notifyCooldownMinutes)) {
-                            notifyAll('Low Extraction Confidence', `${currentItem.name} confidence is ${Math.round(result.nextItem.extractionConfidence)}.`);
-                        }
-                    }
+        if (persistedFailure.skipped && persistedFailure.reason === 'check-invalidated') {
+            console.warn('[Background Check] Discarded stale failure result after run invalidation.');
+            return 'invalidated';
+        }
+        if (!persistedFailure.skipped) {
+            await addDiagnostic({
+                itemId: persistedFailure.savedItem.id,
+                itemName: persistedFailure.savedItem.name,
+                url: persistedFailure.savedItem.url,
+                listId: persistedFailure.savedItem.listId || 'default',
+                ok: false,
+                price: null,
+                currency: persistedFailure.savedItem.currency || null,
+                confidence: 0,
+                source: null,
+                selectorUsed: persistedFailure.savedItem.selector || null,
+                stockStatus: persistedFailure.savedItem.stockStatus || 'unknown',
+                outOfStock: false,
+                stockReason: persistedFailure.savedItem.stockReason || '',
+                error: error.message,
+                fetchStrategy,
+                proxy: fetchProxy || error.proxy || null,
+                // A fetch that failed took until the failure; later failures keep the fetch's own timing.
+                ...(fetchTiming || { fetchMs: Date.now() - fetchStartedAt }),
+                consecutiveFailures: persistedFailure.savedItem.consecutiveFailures,
+                backoffUntil: persistedFailure.savedItem.backoffUntil,
+                circuitState: getHostCircuitState(hostKey).state,
+                hostFailures: getHostCircuitState(hostKey).consecutiveFailures
+            }).catch((e) => {
+                console.error('[Diagnostics] Failed to append entry:', e.message);
+            });
+        }
+    }
+    return 'failed';
+}
 
-                    const savedItem = await replaceItemState(itemId, result.nextItem, { allowDuplicateCanonicalUrls: false });
-                    return {
-                        skipped: false,
-                        savedItem,
-                        price: currentPrice,
-                        isOutOfStock: result.isOutOfStock,
-                        extraction
-                    };
-                });
+// Background Task: Check Prices (all active items, or only options.itemIds when the scheduler passes due items)
+async function checkPrices(options = {}) {
+    if (isChecking) return;
+    isChecking = true;
+    const runToken = createBackgroundCheckRunToken();
+    const concurrency = sanitizeCheckConcurrency(settings.checkConcurrency);
+    console.log(`[${new Date().toLocaleTimeString()}] Starting background check (${concurrency} worker${concurrency === 1 ? '' : 's'})...`);
 
-                if (persisted.skipped) {
-                    if (persisted.reason === 'check-invalidated') {
-                        console.warn('[Background Check] Discarded stale result after run invalidation.');
+    let updatedCount = 0;
+    const rules = getAlertRules();
+    try {
+        const requestedIds = Array.isArray(options.itemIds) ? new Set(options.itemIds) : null;
+        const candidateIds = items
+            .filter(item => !Boolean(item.purchased) && (!requestedIds || requestedIds.has(item.id)))
+            .map(item => item.id);
+        const pendingHostQueues = groupCheckCandidatesByHost(candidateIds);
+        let stopped = false;
+
+        // Each worker drains one host queue at a time; paceHostRequest spaces the requests themselves.
+        const runWorker = async () => {
+            while (!stopped && pendingHostQueues.length) {
+                const hostQueue = pendingHostQueues.shift();
+                const hostKey = getCheckHostKey(items.find(item => item.id === hostQueue[0])?.url);
+                for (let index = 0; index < hostQueue.length; index += 1) {
+                    if (getHostCircuitState(hostKey).state === 'open') {
+                        console.warn(`[Background Check] Circuit open for ${hostKey}; skipped ${hostQueue.length - index} item(s).`);
                         break;
                     }
-                    continue;
-                }
-
-                updatedCount += 1;
-                await addDiagnostic({
-                    itemId: persisted.savedItem.id,
-                    itemName: persisted.savedItem.name,
-                    url: persisted.savedItem.url,
-                    listId: persisted.savedItem.listId || 'default',
-                    ok: true,
-                    price: persisted.price,
-                    currency: persisted.savedItem.currency,
-                    confidence: persisted.extraction.confidence || 0,
-                    source: persisted.extraction.source || null,
-                    selectorUsed: persisted.extraction.selectorUsed || null,
-                    stockStatus: persisted.savedItem.stockStatus,
-                    outOfStock: persisted.isOutOfStock,
-                    stockReason: persisted.savedItem.stockReason || '',
-                    error: null
-                }).catch((e) => {
-                    console.error('[Diagnostics] Failed to append entry:', e.message);
-                });
-            } catch (error) {
-                console.error(`Failed to check ${snapshotItem.name}: ${error.message}`);
-                const persistedFailure = await runItemsMutation(async () => {
-                    if (!isBackgroundCheckRunActive(runToken)) {
-                        return { skipped: true, reason: 'check-invalidated' };
-                    }
-                    const currentItem = items.find(item => item.id === itemId);
-                    if (!currentItem || Boolean(currentItem.purchased)) {
-                        return { skipped: true, reason: 'item-missing' };
+                    if (stopped || !isBackgroundCheckRunActive(runToken)) {
+                        if (!stopped) console.warn('[Background Check] Stopping invalidated run before next item.');
+                        stopped = true;
+                        return;
                     }
-                    if (itemSourceChanged(currentItem, fetchUrl, fetchSelector)) {
-                        return { skipped: true, reason: 'source-changed' };
+                    const itemId = hostQueue[index];
+                    let outcome = 'skipped';
+                    try {
+                        outcome = await checkBackgroundItem(itemId, runToken, rules);
+                    } finally {
+                        checkingItemIds.delete(itemId);
+                        if (checkingItemId === itemId) checkingItemId = [...checkingItemIds][0] || null;
                     }
-
-                    if (rules.staleEnabled) {
-                        const last = currentItem.lastChecked ? new Date(currentItem.lastChecked).getTime() : 0;
-                        const staleMs = Number(rules.staleHours || 0) * 60 * 60 * 1000;
-                        if (!last || (nowTs - last) > staleMs) {
-                            if (shouldSendAlert(`stale:${currentItem.id}`, rules.notifyCooldownMinutes)) {
-                                notifyAll('Stale Price Item', `${currentItem.name} has not had a successful check for over ${rules.staleHours}h.`);
-                            }
-                        }
+                    if (outcome === 'updated') updatedCount += 1;
+                    if (outcome === 'invalidated' || !isBackgroundCheckRunActive(runToken)) {
+                        if (outcome !== 'invalidated') console.warn('[Background Check] Run invalidated after item processing.');
+                        stopped = true;
+                        return;
                     }
-
-                    const savedItem = await replaceItemState(
-                        itemId,
-                        buildFailedCheckItem(currentItem, error.message, nowIso),
-                        { allowDuplicateCanonicalUrls: false }
-                    );
-                    return {
-                        skipped: false,
-                        savedItem
-                    };
-                });
-
-                if (persistedFailure.skipped && persistedFailure.reason === 'check-invalidated') {
-                    console.warn('[Background Check] Discarded stale failure result after run invalidation.');
-                    break;
-                }
-                if (!persistedFailure.skipped) {
-                    await addDiagnostic({
-                        itemId: persistedFailure.savedItem.id,
-                        itemName: persistedFailure.savedItem.name,
-                        url: persistedFailure.savedItem.url,
-                        listId: persistedFailure.savedItem.listId || 'default',
-                        ok: false,
-                        price: null,
-                        currency: persistedFailure.savedItem.currency || null,
-                        confidence: 0,
-                        source: null,
-                        selectorUsed: persistedFailure.savedItem.selector || null,
-                        stockStatus: persistedFailure.savedItem.stockStatus || 'unknown',
-                        outOfStock: false,
-                        stockReason: persistedFailure.savedItem.stockReason || '',
-                        error: error.message
-                    }).catch((e) => {
-                        console.error('[Diagnostics] Failed to append entry:', e.message);
-                    });
                 }
             }
-            // Small pacing delay helps avoid bursty scraping patterns.
-            if (!isBackgroundCheckRunActive(runToken)) {
-                console.warn('[Background Check] Run invalidated after item processing.');
-                break;
-            }
-            await new Promise(r => setTimeout(r, 2000));
-        }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, pendingHostQueues.length) }, runWorker));
+        await pruneExpiredScreenshots().catch((e) => {
+            console.warn(`[Screenshot] Retention cleanup failed: ${e.message}`);
+        });
 
         lastCheckTime = new Date();
         console.log(`[${new Date().toLocaleTimeString()}] Background check complete. Updated ${updatedCount} items.`);
@@ -3285,6 +7014,7 @@ async function checkPrices() {
             activeBackgroundCheckToken = 0;
         }
         checkingItemId = null;
+        checkingItemIds.clear();
         isChecking = false;
     }
 }
@@ -3296,6 +7026,7 @@ app.get('/api/items', (req, res) => {
     try {
         res.json({
             items: items,
+            schedule: getItemsSchedulePayload(),
             revision: itemsRevision,
             settingsRevision,
             listsStateToken: getListsStateToken(),
@@ -3303,7 +7034,9 @@ app.get('/api/items', (req, res) => {
                 active: true,
                 lastCheck: lastCheckTime,
                 isChecking: isChecking,
-                checkingItemId: checkingItemId || null
+                checkingItemId: checkingItemId || null,
+                checkingItemIds: [...checkingItemIds],
+                circuits: getHostCircuitsSnapshot(getVisibleItems(getRequestUser(req)))
             }
         });
     } catch (e) {
@@ -3313,7 +7046,7 @@ app.get('/api/items', (req, res) => {
 });
 
 // Update Items (Add/Delete/Rename from UI)
-app.post('/api/items', async (req, res) => {
+app.post('/api/items', requireHouseholdAdmin, async (req, res) => {
     try {
         const body = isPlainObject(req.body) ? req.body : null;
         const rawItems = body ? body.items : req.body;
@@ -3322,6 +7055,7 @@ app.post('/api/items', async (req, res) => {
             assertItemsRevision(requestedRevision);
             return persistItemsState(rawItems, { allowDuplicateCanonicalUrls: false });
         });
+        await addAuditEntry('items.replaced', { count: normalizedItems.length }, 'items', getRequestActor(req));
         res.json({ success: true, count: normalizedItems.length, items: normalizedItems, revision: itemsRevision });
     } catch (e) {
         if (e.status && e.payload) {
@@ -3338,12 +7072,19 @@ app.post('/api/items/create', async (req, res) => {
         if (!rawItem) {
             return res.status(400).json({ error: 'Item payload is required' });
         }
+        const user = getRequestUser(req);
         const normalizedItems = await runItemsMutation(async () => {
             assertItemsRevision(Number(body.revision));
             const seenIds = new Set(items.map(item => item.id));
+            const targetListId = normalizeOptionalString(rawItem.listId, '') || getDefaultListIdForUser(user);
+            if (!canWriteList(findListById(targetListId), user)) {
+                throw createApiError(403, 'You cannot add items to this list', { error: 'You cannot add items to this list' });
+            }
             const nextItem = {
                 ...rawItem,
-                id: generateUniqueItemId(seenIds)
+                id: generateUniqueItemId(seenIds),
+                listId: targetListId,
+                ownerId: isHouseholdAdmin(user) ? null : user.username
             };
             const savedItems = await persistItemsState([...items, nextItem], { allowDuplicateCanonicalUrls: false });
             return {
@@ -3354,7 +7095,14 @@ app.post('/api/items/create', async (req, res) => {
         const createdItem = normalizedItems.savedItems.find(item => item.id === normalizedItems.createdId)
             || normalizedItems.savedItems[normalizedItems.savedItems.length - 1]
             || null;
-        res.json(getItemsSuccessPayload({ item: createdItem }));
+        if (createdItem) {
+            await addAuditEntry('item.created', { itemId: createdItem.id, name: createdItem.name, listId: createdItem.listId }, 'items', getRequestActor(req));
+        }
+        // Matches against items already tracked, so the client can point out a likely duplicate right away.
+        const matches = createdItem
+            ? findProductMatches(getVisibleItems(user), settings.dismissedMatches).filter(match => match.itemIds.includes(createdItem.id))
+            : [];
+        res.json(getItemsSuccessPayload({ item: createdItem, matches }));
     } catch (e) {
         if (e.status && e.payload) {
             return res.status(e.status).json(e.payload);
@@ -3366,143 +7114,574 @@ app.post('/api/items/create', async (req, res) => {
 app.delete('/api/items/:id', async (req, res) => {
     try {
         const { id } = req.params;
-        await runItemsMutation(async () => {
+        const user = getRequestUser(req);
+        const deletedItem = await runItemsMutation(async () => {
             assertItemsRevision(Number(req.query.revision));
-            if (!items.some(item => item.id === id)) {
-                throw createApiError(404, 'Item not found');
-            }
+            const currentItem = getAccessibleItemOrThrow(id, user);
             await persistItemsState(items.filter(item => item.id !== id), { allowDuplicateCanonicalUrls: false });
+            return currentItem;
+        });
+        await removeItemThumbnails([deletedItem]);
+        await removeScreenshotFiles(normalizeItemScreenshots(deletedItem.screenshots).map(entry => entry.file));
+        await addAuditEntry('item.deleted', { itemId: id, name: deletedItem.name }, 'items', getRequestActor(req));
+        res.json(getItemsSuccessPayload({ deletedId: id }));
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(getItemValidationStatus(e.message || '')).json({ error: e.message || 'Failed to delete item' });
+    }
+});
+
+app.get('/api/items/:id/thumbnail', (req, res) => {
+    try {
+        const item = getAccessibleItemOrThrow(req.params.id, getRequestUser(req), 'read');
+        const thumbnailPath = item.thumbnailFile ? getThumbnailPath(item.thumbnailFile) : null;
+        if (!thumbnailPath || !fs.existsSync(thumbnailPath)) {
+            return res.status(404).json({ error: 'No thumbnail for this item' });
+        }
+        res.set('Cache-Control', 'private, max-age=86400');
+        res.sendFile(thumbnailPath);
+    } catch (e) {
+        res.status(e.status || 500).json(e.payload || { error: e.message || 'Failed to load thumbnail' });
+    }
+});
+
+app.get('/api/items/:id/screenshots/:file', (req, res) => {
+    try {
+        const item = getAccessibleItemOrThrow(req.params.id, getRequestUser(req), 'read');
+        const entry = normalizeItemScreenshots(item.screenshots).find(screenshot => screenshot.file === req.params.file);
+        if (!entry || !fs.existsSync(getScreenshotPath(entry.file))) {
+            return res.status(404).json({ error: 'Screenshot not found' });
+        }
+        res.set('Cache-Control', 'private, max-age=86400');
+        res.sendFile(getScreenshotPath(entry.file));
+    } catch (e) {
+        res.status(e.status || 500).json(e.payload || { error: e.message || 'Failed to load screenshot' });
+    }
+});
+
+app.post('/api/items/:id/move', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const body = isPlainObject(req.body) ? req.body : {};
+        const targetListId = normalizeOptionalString(body.listId, '');
+        if (!targetListId) {
+            return res.status(400).json({ error: 'List id is required' });
+        }
+        const user = getRequestUser(req);
+        const targetList = findListById(targetListId);
+        if (!targetList || !getListAccess(targetList, user)) {
+            return res.status(400).json({ error: 'List not found' });
+        }
+        if (!canWriteList(targetList, user)) {
+            return res.status(403).json({ error: 'You cannot add items to this list' });
+        }
+        const savedItem = await runItemsMutation(async () => {
+            assertItemsRevision(Number(body.revision));
+            const currentItem = getAccessibleItemOrThrow(id, user);
+            return replaceItemState(id, { ...currentItem, listId: targetListId }, { allowDuplicateCanonicalUrls: false });
+        });
+        await addAuditEntry('item.moved', { itemId: id, name: savedItem.name, listId: targetListId }, 'items', getRequestActor(req));
+        res.json(getItemsSuccessPayload({ item: savedItem }));
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(getItemValidationStatus(e.message || '')).json({ error: e.message || 'Failed to move item' });
+    }
+});
+
+app.post('/api/items/:id/purchase', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const body = isPlainObject(req.body) ? req.body : {};
+        const nextPurchased = Boolean(body.purchased);
+        const user = getRequestUser(req);
+        const savedItem = await runItemsMutation(async () => {
+            assertItemsRevision(Number(body.revision));
+            const currentItem = getAccessibleItemOrThrow(id, user);
+            return replaceItemState(id, {
+                ...currentItem,
+                purchased: nextPurchased,
+                purchasedAt: nextPurchased
+                    ? (normalizeIsoDateStringOrNull(body.purchasedAt) || new Date().toISOString())
+                    : null
+            }, { allowDuplicateCanonicalUrls: false });
+        });
+        await addAuditEntry(nextPurchased ? 'item.purchased' : 'item.unpurchased', { itemId: id, name: savedItem.name }, 'items', getRequestActor(req));
+        res.json(getItemsSuccessPayload({ item: savedItem }));
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(getItemValidationStatus(e.message || '')).json({ error: e.message || 'Failed to update purchased status' });
+    }
+});
+
+// Rejecting drops the held reading; the next check reads the page again and may hold it again.
+app.post('/api/items/:id/pending-price/:action', async (req, res) => {
+    try {
+        const { id, action } = req.params;
+        if (!['accept', 'reject'].includes(action)) {
+            throw createApiError(404, 'Unknown pending price action', { error: 'Unknown pending price action' });
+        }
+        const body = isPlainObject(req.body) ? req.body : {};
+        const user = getRequestUser(req);
+        const savedItem = await runItemsMutation(async () => {
+            assertItemsRevision(Number(body.revision));
+            const currentItem = getAccessibleItemOrThrow(id, user);
+            if (!normalizePendingPrice(currentItem.pendingPrice)) {
+                throw createApiError(404, 'No pending price for this item', { error: 'No pending price for this item' });
+            }
+            const nextItem = action === 'accept'
+                ? buildAcceptedPendingPriceItem(currentItem)
+                : { ...currentItem, pendingPrice: null };
+            return replaceItemState(id, nextItem, { allowDuplicateCanonicalUrls: false });
+        });
+        await addAuditEntry(`item.pending_price_${action}ed`, { itemId: id, name: savedItem.name }, 'items', getRequestActor(req));
+        res.json(getItemsSuccessPayload({ item: savedItem }));
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(getItemValidationStatus(e.message || '')).json({ error: e.message || 'Failed to update pending price' });
+    }
+});
+
+// Accepting swaps in the proposed selector; dismissing waits for the next run of misses before proposing again.
+app.post('/api/items/:id/selector-proposal/:action', async (req, res) => {
+    try {
+        const { id, action } = req.params;
+        if (!['accept', 'dismiss'].includes(action)) {
+            throw createApiError(404, 'Unknown selector proposal action', { error: 'Unknown selector proposal action' });
+        }
+        const body = isPlainObject(req.body) ? req.body : {};
+        const user = getRequestUser(req);
+        const savedItem = await runItemsMutation(async () => {
+            assertItemsRevision(Number(body.revision));
+            const currentItem = getAccessibleItemOrThrow(id, user);
+            const proposal = normalizeSelectorProposal(currentItem.selectorProposal, currentItem.selector);
+            if (!proposal) {
+                throw createApiError(404, 'No selector proposal for this item', { error: 'No selector proposal for this item' });
+            }
+            if (action === 'dismiss') {
+                const health = normalizeSelectorHealth(currentItem.selectorHealth, currentItem.selector);
+                return replaceItemState(id, {
+                    ...currentItem,
+                    selectorHealth: health ? { ...health, consecutiveMisses: 0 } : null,
+                    selectorProposal: null
+                }, { allowDuplicateCanonicalUrls: false });
+            }
+            return replaceItemState(id, {
+                ...currentItem,
+                selector: proposal.selector,
+                selectorHealth: null,
+                selectorProposal: null
+            }, { allowDuplicateCanonicalUrls: false });
+        });
+        await addAuditEntry(action === 'accept' ? 'item.selector_proposal_accepted' : 'item.selector_proposal_dismissed', {
+            itemId: id,
+            name: savedItem.name,
+            selector: savedItem.selector || null
+        }, 'items', getRequestActor(req));
+        res.json(getItemsSuccessPayload({ item: savedItem }));
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(getItemValidationStatus(e.message || '')).json({ error: e.message || 'Failed to update selector proposal' });
+    }
+});
+
+app.post('/api/items/:id/check-result', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const body = isPlainObject(req.body) ? req.body : {};
+        const user = getRequestUser(req);
+        const savedItem = await runItemsMutation(async () => {
+            assertItemsRevision(Number(body.revision));
+            const currentItem = getAccessibleItemOrThrow(id, user);
+            if (Boolean(currentItem.purchased)) {
+                throw createApiError(400, 'Purchased items are excluded from refresh checks');
+            }
+            if (itemSourceChanged(currentItem, body.expectedUrl, body.expectedSelector, body.expectedVariantId)) {
+                const message = 'Item changed during refresh. Reload and try again.';
+                throw createApiError(409, message, getItemsConflictPayload(message));
+            }
+
+            recordHostCheckResult(getCheckHostKey(currentItem.url), !body.error, body.error);
+            if (body.error) {
+                return replaceItemState(
+                    id,
+                    buildFailedCheckItem(currentItem, body.error, new Date().toISOString()),
+                    { allowDuplicateCanonicalUrls: false }
+                );
+            }
+            const extraction = isPlainObject(body.extraction) ? body.extraction : {};
+            const { nextItem } = buildSuccessfulCheckItem(currentItem, extraction, new Date().toISOString());
+            return replaceItemState(id, nextItem, { allowDuplicateCanonicalUrls: false });
+        });
+        await addAuditEntry('item.check_recorded', { itemId: id, name: savedItem.name, ok: !body.error }, 'items', getRequestActor(req));
+
+        res.json(getItemsSuccessPayload({ item: savedItem }));
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(getItemValidationStatus(e.message || '')).json({ error: e.message || 'Failed to persist check result' });
+    }
+});
+
+// Manual Trigger
+app.post('/api/check-now', (req, res) => {
+    if (isChecking) return res.status(429).json({ error: 'Already checking' });
+    const user = getRequestUser(req);
+    // Members check only the items they may change; a household-wide run stays with the admin.
+    const itemIds = isHouseholdAdmin(user) ? null : items.filter(item => getItemAccess(item, user) === 'write').map(item => item.id);
+    checkPrices(itemIds ? { itemIds } : {}); // Run async without awaiting
+    res.json({ success: true, message: 'Background check started' });
+});
+
+// Test Notification
+app.post('/api/test-notification', requireHouseholdAdmin, async (req, res) => {
+    const body = req.body || {};
+    const type = body.type;
+    const testSettings = body.settings && typeof body.settings === 'object'
+        ? {
+            discordWebhook: String(body.settings.discordWebhook || '').trim() || settings.discordWebhook || '',
+            telegramWebhook: String(body.settings.telegramWebhook || '').trim() || settings.telegramWebhook || '',
+            telegramChatId: String(body.settings.telegramChatId || '').trim() || settings.telegramChatId || ''
+        }
+        : null;
+    const result = type === 'target'
+        ? await notifyAll('Test: Target Hit', 'This is a test notification for a target price hit.', testSettings)
+        : await notifyAll('Test: Price Drop', 'This is a test notification for a generic price drop.', testSettings);
+    const summary = summarizeTestNotificationResult(result);
+    if (!summary.ok) {
+        return res.status(summary.status).json({ error: summary.message, deliveries: result });
+    }
+    res.json({ success: true, message: summary.message, deliveries: result });
+});
+
+// Auth Endpoints
+app.get('/api/auth/session', (req, res) => {
+    const payload = getAuthStatePayload(getAuthSessionFromRequest(req));
+    res.json({ ...payload, setupCodeRequired: !payload.authConfigured && !isLoopbackRequest(req) });
+});
+
+app.post('/api/auth/setup', async (req, res) => {
+    try {
+        const body = isPlainObject(req.body) ? req.body : {};
+        const session = await runStateMutation(async () => {
+            if (hasAuthConfigured()) {
+                throw createApiError(409, 'Admin account is already configured', { error: 'Admin account is already configured' });
+            }
+            if (!isAuthSetupAllowed(req, body.setupCode)) {
+                throw createApiError(403, 'Setup code required', {
+                    error: 'Enter the setup code printed in the server log to enable sign-in from another device',
+                    setupCodeRequired: true
+                });
+            }
+            const authConfig = await createAuthConfigFromPassword(body.username, body.password);
+            const nextSettings = normalizeSettingsShape({ ...settings, auth: authConfig });
+            await saveSettings(nextSettings);
+            settings = nextSettings;
+            bumpSettingsRevision();
+            clearAuthSessions();
+            authSetupCode = null;
+            return createAuthSession(authConfig.username);
+        });
+        res.setHeader('Set-Cookie', buildAuthSessionCookie(req, session.id, AUTH_SESSION_TTL_MS));
+        await addAuditEntry('auth.setup', { username: session.username }, 'auth', session.username);
+        res.json({ success: true, ...getAuthStatePayload(session) });
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(500).json({ error: e.message || 'Failed to configure admin account' });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const body = isPlainObject(req.body) ? req.body : {};
+        const clientKey = getAuthClientKey(req);
+        if (!hasAuthConfigured()) {
+            return res.status(409).json({ error: 'Admin account is not configured' });
+        }
+        if (isAuthLoginLocked(clientKey)) {
+            return res.status(429).json({ error: 'Too many failed sign-in attempts. Try again later.' });
+        }
+        const username = normalizeAuthUsername(body.username);
+        const valid = await verifyAuthCredentials(username, String(body.password || ''));
+        if (!valid) {
+            recordAuthLoginFailure(clientKey);
+            await addAuditEntry('auth.login_failed', { username, ip: clientKey }, 'auth');
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        authLoginFailuresByClient.delete(clientKey);
+        const session = createAuthSession(username);
+        res.setHeader('Set-Cookie', buildAuthSessionCookie(req, session.id, AUTH_SESSION_TTL_MS));
+        await addAuditEntry('auth.login', { ip: clientKey }, 'auth', username);
+        res.json({ success: true, ...getAuthStatePayload(session) });
+    } catch (e) {
+        res.status(500).json({ error: e.message || 'Sign-in failed' });
+    }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        const session = getAuthSessionFromRequest(req);
+        if (session) {
+            authSessions.delete(session.id);
+            await addAuditEntry('auth.logout', {}, 'auth', session.username);
+        }
+        res.setHeader('Set-Cookie', buildAuthSessionCookie(req, '', 0));
+        res.json({ success: true, ...getAuthStatePayload(null) });
+    } catch (e) {
+        res.status(500).json({ error: e.message || 'Sign-out failed' });
+    }
+});
+
+app.post('/api/auth/password', async (req, res) => {
+    try {
+        const body = isPlainObject(req.body) ? req.body : {};
+        const session = req.authSession;
+        if (!session) {
+            return res.status(409).json({ error: 'Admin account is not configured' });
+        }
+        await runStateMutation(async () => {
+            const valid = await verifyAuthCredentials(session.username, String(body.currentPassword || ''));
+            if (!valid) {
+                throw createApiError(401, 'Current password is incorrect', { error: 'Current password is incorrect' });
+            }
+            const authConfig = await createAuthConfigFromPassword(session.username, body.newPassword);
+            const account = getAuthAccount(session.username);
+            const nextSettings = normalizeSettingsShape(account && account.role === 'member'
+                ? {
+                    ...settings,
+                    users: settings.users.map(user => (user.username === account.username ? { ...user, ...authConfig } : user))
+                }
+                : { ...settings, auth: authConfig });
+            await saveSettings(nextSettings);
+            settings = nextSettings;
+            bumpSettingsRevision();
+            // Other browsers must sign in again with the new password.
+            clearAuthSessions(session.id, session.username);
         });
-        res.json(getItemsSuccessPayload({ deletedId: id }));
+        await addAuditEntry('auth.password_changed', {}, 'auth', session.username);
+        res.json({ success: true, ...getAuthStatePayload(session) });
     } catch (e) {
         if (e.status && e.payload) {
             return res.status(e.status).json(e.payload);
         }
-        res.status(getItemValidationStatus(e.message || '')).json({ error: e.message || 'Failed to delete item' });
+        res.status(500).json({ error: e.message || 'Failed to change password' });
     }
 });
 
-app.post('/api/items/:id/move', async (req, res) => {
+// API Token Endpoints
+app.get('/api/api-tokens', (req, res) => {
+    try {
+        res.json({ tokens: getApiTokensSnapshot(settings, getRequestUser(req)), scopes: API_TOKEN_SCOPES });
+    } catch (e) {
+        res.status(e.status || 500).json(e.payload || { error: e.message });
+    }
+});
+
+app.post('/api/api-tokens', async (req, res) => {
     try {
-        const { id } = req.params;
         const body = isPlainObject(req.body) ? req.body : {};
-        const targetListId = normalizeOptionalString(body.listId, '');
-        if (!targetListId) {
-            return res.status(400).json({ error: 'List id is required' });
+        const label = normalizeOptionalString(body.label, '').slice(0, 80);
+        const scopes = normalizeApiTokenScopes(body.scopes);
+        if (!label) return res.status(400).json({ error: 'Token label is required' });
+        if (!scopes.length) return res.status(400).json({ error: 'Select at least one scope' });
+        const user = getRequestUser(req);
+        if (!isHouseholdAdmin(user) && scopes.includes('backups:admin')) {
+            return res.status(403).json({ error: 'Only the household admin can grant the backups:admin scope' });
         }
-        if (!(settings.lists || DEFAULT_LISTS).some(list => list.id === targetListId)) {
-            return res.status(400).json({ error: 'List not found' });
-        }
-        const savedItem = await runItemsMutation(async () => {
-            assertItemsRevision(Number(body.revision));
-            const currentItem = items.find(item => item.id === id);
-            if (!currentItem) {
-                throw createApiError(404, 'Item not found');
+        const rawToken = `${API_TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        const entry = await runStateMutation(async () => {
+            const activeTokens = settings.apiTokens.filter(entry => !entry.revokedAt);
+            if (activeTokens.length >= API_TOKEN_LIMIT) {
+                throw createApiError(400, `Token limit reached (${API_TOKEN_LIMIT})`, { error: `Token limit reached (${API_TOKEN_LIMIT})` });
             }
-            return replaceItemState(id, { ...currentItem, listId: targetListId }, { allowDuplicateCanonicalUrls: false });
+            // Revoked tokens stay listed for reference until their slots are needed; the oldest revocations go first.
+            const keptRevokedTokens = settings.apiTokens
+                .filter(entry => entry.revokedAt)
+                .sort((a, b) => Date.parse(b.revokedAt) - Date.parse(a.revokedAt))
+                .slice(0, API_TOKEN_LIMIT - activeTokens.length - 1);
+            const nextEntry = {
+                id: crypto.randomUUID(),
+                label,
+                ownerId: isHouseholdAdmin(user) ? null : user.username,
+                scopes,
+                tokenHash: hashApiToken(rawToken),
+                prefix: rawToken.slice(0, API_TOKEN_PREFIX.length + 6),
+                createdAt: new Date().toISOString(),
+                lastUsedAt: null,
+                revokedAt: null
+            };
+            const nextSettings = normalizeSettingsShape({
+                ...settings,
+                apiTokens: [...settings.apiTokens.filter(entry => !entry.revokedAt || keptRevokedTokens.includes(entry)), nextEntry]
+            });
+            await saveSettings(nextSettings);
+            settings = nextSettings;
+            bumpSettingsRevision();
+            return nextEntry;
         });
-        res.json(getItemsSuccessPayload({ item: savedItem }));
+        await addAuditEntry('api_token.created', { tokenId: entry.id, label, scopes }, 'auth', getRequestActor(req));
+        const { tokenHash, ...publicEntry } = entry;
+        // The raw token is only ever returned here; the server keeps just its hash.
+        res.json({ success: true, token: rawToken, entry: publicEntry });
     } catch (e) {
         if (e.status && e.payload) {
             return res.status(e.status).json(e.payload);
         }
-        res.status(getItemValidationStatus(e.message || '')).json({ error: e.message || 'Failed to move item' });
+        res.status(500).json({ error: e.message || 'Failed to create API token' });
     }
 });
 
-app.post('/api/items/:id/purchase', async (req, res) => {
+app.delete('/api/api-tokens/:id', async (req, res) => {
     try {
-        const { id } = req.params;
-        const body = isPlainObject(req.body) ? req.body : {};
-        const nextPurchased = Boolean(body.purchased);
-        const savedItem = await runItemsMutation(async () => {
-            assertItemsRevision(Number(body.revision));
-            const currentItem = items.find(item => item.id === id);
-            if (!currentItem) {
-                throw createApiError(404, 'Item not found');
+        const tokenId = String(req.params.id || '');
+        const user = getRequestUser(req);
+        const revoked = await runStateMutation(async () => {
+            const existing = settings.apiTokens.find(entry => entry.id === tokenId
+                && (isHouseholdAdmin(user) || entry.ownerId === user.username));
+            if (!existing) {
+                throw createApiError(404, 'API token not found', { error: 'API token not found' });
             }
-            return replaceItemState(id, {
-                ...currentItem,
-                purchased: nextPurchased,
-                purchasedAt: nextPurchased
-                    ? (normalizeIsoDateStringOrNull(body.purchasedAt) || new Date().toISOString())
-                    : null
-            }, { allowDuplicateCanonicalUrls: false });
+            if (existing.revokedAt) return existing;
+            const nextEntry = { ...existing, revokedAt: new Date().toISOString() };
+            const nextSettings = normalizeSettingsShape({
+                ...settings,
+                apiTokens: settings.apiTokens.map(entry => (entry.id === tokenId ? nextEntry : entry))
+            });
+            await saveSettings(nextSettings);
+            settings = nextSettings;
+            bumpSettingsRevision();
+            return nextEntry;
         });
-        res.json(getItemsSuccessPayload({ item: savedItem }));
+        await addAuditEntry('api_token.revoked', { tokenId, label: revoked.label }, 'auth', getRequestActor(req));
+        res.json({ success: true, tokens: getApiTokensSnapshot(settings, user) });
     } catch (e) {
         if (e.status && e.payload) {
             return res.status(e.status).json(e.payload);
         }
-        res.status(getItemValidationStatus(e.message || '')).json({ error: e.message || 'Failed to update purchased status' });
+        res.status(500).json({ error: e.message || 'Failed to revoke API token' });
     }
 });
 
-app.post('/api/items/:id/check-result', async (req, res) => {
+// Household Member Endpoints
+app.get('/api/users', requireHouseholdAdmin, (req, res) => {
+    res.json({ users: getHouseholdUsersSnapshot() });
+});
+
+app.post('/api/users', requireHouseholdAdmin, async (req, res) => {
     try {
-        const { id } = req.params;
         const body = isPlainObject(req.body) ? req.body : {};
-        const savedItem = await runItemsMutation(async () => {
-            assertItemsRevision(Number(body.revision));
-            const currentItem = items.find(item => item.id === id);
-            if (!currentItem) {
-                throw createApiError(404, 'Item not found');
-            }
-            if (Boolean(currentItem.purchased)) {
-                throw createApiError(400, 'Purchased items are excluded from refresh checks');
-            }
-            if (itemSourceChanged(currentItem, body.expectedUrl, body.expectedSelector)) {
-                const message = 'Item changed during refresh. Reload and try again.';
-                throw createApiError(409, message, getItemsConflictPayload(message));
+        const username = normalizeOptionalString(body.username, '').toLowerCase();
+        if (!HOUSEHOLD_USERNAME_PATTERN.test(username)) {
+            return res.status(400).json({ error: 'Username must be 2-32 characters: letters, numbers, dots, dashes, or underscores' });
+        }
+        if (!hasAuthConfigured()) {
+            return res.status(409).json({ error: 'Set up the admin account before adding household members' });
+        }
+        const authConfig = await createAuthConfigFromPassword(username, body.password);
+        await runStateMutation(async () => {
+            if (getAuthAccount(username)) {
+                throw createApiError(409, 'Username is already taken', { error: 'Username is already taken' });
             }
-
-            if (body.error) {
-                return replaceItemState(
-                    id,
-                    buildFailedCheckItem(currentItem, body.error, new Date().toISOString()),
-                    { allowDuplicateCanonicalUrls: false }
-                );
+            if (settings.users.length >= HOUSEHOLD_USER_LIMIT) {
+                throw createApiError(400, `Member limit reached (${HOUSEHOLD_USER_LIMIT})`, { error: `Member limit reached (${HOUSEHOLD_USER_LIMIT})` });
             }
-            const extraction = isPlainObject(body.extraction) ? body.extraction : {};
-            const { nextItem } = buildSuccessfulCheckItem(currentItem, extraction, new Date().toISOString());
-            return replaceItemState(id, nextItem, { allowDuplicateCanonicalUrls: false });
+            const createdAt = new Date().toISOString();
+            // Every member starts with a personal list so they can add items right away.
+            const personalList = { id: `list_${Date.now()}`, name: 'My List', ownerId: username, shares: [] };
+            const nextSettings = normalizeSettingsShape({
+                ...settings,
+                users: [...settings.users, { ...authConfig, createdAt }],
+                lists: [...(settings.lists || DEFAULT_LISTS), personalList]
+            });
+            await saveSettings(nextSettings);
+            settings = nextSettings;
+            bumpSettingsRevision();
         });
-
-        res.json(getItemsSuccessPayload({ item: savedItem }));
+        await addAuditEntry('user.created', { username }, 'auth', getRequestActor(req));
+        res.json({ success: true, users: getHouseholdUsersSnapshot() });
     } catch (e) {
         if (e.status && e.payload) {
             return res.status(e.status).json(e.payload);
         }
-        res.status(getItemValidationStatus(e.message || '')).json({ error: e.message || 'Failed to persist check result' });
+        res.status(500).json({ error: e.message || 'Failed to add household member' });
     }
 });
 
-// Manual Trigger
-app.post('/api/check-now', (req, res) => {
-    if (isChecking) return res.status(429).json({ error: 'Already checking' });
-    checkPrices(); // Run async without awaiting
-    res.json({ success: true, message: 'Background check started' });
-});
-
-// Test Notification
-app.post('/api/test-notification', async (req, res) => {
-    const body = req.body || {};
-    const type = body.type;
-    const testSettings = body.settings && typeof body.settings === 'object'
-        ? {
-            discordWebhook: String(body.settings.discordWebhook || '').trim() || settings.discordWebhook || '',
-            telegramWebhook: String(body.settings.telegramWebhook || '').trim() || settings.telegramWebhook || '',
-            telegramChatId: String(body.settings.telegramChatId || '').trim() || settings.telegramChatId || ''
+app.delete('/api/users/:username', requireHouseholdAdmin, async (req, res) => {
+    try {
+        const username = normalizeAuthUsername(req.params.username);
+        const account = getAuthAccount(username);
+        if (!account) {
+            return res.status(404).json({ error: 'Household member not found' });
         }
-        : null;
-    const result = type === 'target'
-        ? await notifyAll('Test: Target Hit', 'This is a test notification for a target price hit.', testSettings)
-        : await notifyAll('Test: Price Drop', 'This is a test notification for a generic price drop.', testSettings);
-    const summary = summarizeTestNotificationResult(result);
-    if (!summary.ok) {
-        return res.status(summary.status).json({ error: summary.message, deliveries: result });
+        if (account.role === 'admin') {
+            return res.status(400).json({ error: 'The household admin cannot be removed' });
+        }
+        const result = await runStateMutation(async () => {
+            // The admin inherits the member's lists and items so nothing tracked is lost.
+            const nextLists = (settings.lists || DEFAULT_LISTS).map((list) => {
+                const shares = (list.shares || []).filter(share => share.userId !== username);
+                if (list.ownerId === username) return { ...list, ownerId: null, shares };
+                return list.shares ? { ...list, shares } : list;
+            });
+            const getInheritedKey = item => getTrackedItemKey(null, normalizeTrackedUrl(item.canonicalUrl || item.url), item.variantId);
+            const adminKeys = new Set(items.filter(item => !item.ownerId).map(getInheritedKey));
+            let droppedDuplicates = 0;
+            const nextItems = items
+                .filter((item) => {
+                    if (item.ownerId !== username || !adminKeys.has(getInheritedKey(item))) return true;
+                    droppedDuplicates += 1;
+                    return false;
+                })
+                .map(item => (item.ownerId === username ? { ...item, ownerId: null } : item));
+            const revokedAt = new Date().toISOString();
+            const nextSettings = normalizeSettingsShape({
+                ...settings,
+                users: settings.users.filter(user => user.username !== username),
+                lists: nextLists,
+                apiTokens: settings.apiTokens.map(entry => (entry.ownerId === username && !entry.revokedAt
+                    ? { ...entry, revokedAt }
+                    : entry))
+            });
+            await runJsonFileTransaction([
+                {
+                    label: 'settings',
+                    targetPath: SETTINGS_FILE,
+                    nextValue: getPersistentSettingsSnapshot(nextSettings)
+                },
+                {
+                    label: 'items',
+                    targetPath: DATA_FILE,
+                    nextValue: nextItems
+                }
+            ]);
+            settings = nextSettings;
+            bumpSettingsRevision();
+            items = normalizeItemsForPersistence(nextItems, { allowDuplicateCanonicalUrls: false });
+            bumpItemsRevision();
+            clearAuthSessions(null, username);
+            return { droppedDuplicates };
+        });
+        await addAuditEntry('user.removed', { username, droppedDuplicates: result.droppedDuplicates }, 'auth', getRequestActor(req));
+        res.json({ success: true, users: getHouseholdUsersSnapshot(), droppedDuplicates: result.droppedDuplicates });
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(500).json({ error: e.message || 'Failed to remove household member' });
     }
-    res.json({ success: true, message: summary.message, deliveries: result });
 });
 
 // Settings Endpoints
@@ -3510,7 +7689,9 @@ app.get('/api/settings', (req, res) => {
     res.json(getPublicSettingsSnapshot(settings));
 });
 
-app.post('/api/settings', async (req, res) => {
+app.post('/api/settings', requireHouseholdAdmin, async (req, res) => {
+    // Only the names of the changed fields are audited; webhook and password values stay out of the log.
+    const changedKeys = Object.keys(isPlainObject(req.body) ? req.body : {}).filter(key => key !== 'revision');
     try {
         const payload = await runStateMutation(async () => {
             const previousSettingsSnapshot = cloneJsonState(settings);
@@ -3537,12 +7718,23 @@ app.post('/api/settings', async (req, res) => {
                 delete incoming.backupPasswordConfigured;
                 delete incoming.backupPasswordUpdatedAt;
                 delete incoming.backupSessionUnlocked;
+                delete incoming.auth;
+                delete incoming.authConfigured;
+                delete incoming.apiTokens;
+                delete incoming.users;
                 delete incoming.discordWebhookConfigured;
                 delete incoming.telegramWebhookConfigured;
                 delete incoming.telegramChatIdConfigured;
                 delete incoming.clearDiscordWebhook;
                 delete incoming.clearTelegramWebhook;
                 delete incoming.clearTelegramChatId;
+                // The proxy pool carries credentials and is managed through /api/proxies only.
+                delete incoming.proxies;
+                delete incoming.proxyRules;
+                delete incoming.proxyDefaultMode;
+                // Lists and product groups carry owners and shares, so they change only through their own routes.
+                delete incoming.lists;
+                delete incoming.productGroups;
 
                 const incomingDiscordWebhook = typeof incoming.discordWebhook === 'string' ? incoming.discordWebhook : null;
                 const incomingTelegramWebhook = typeof incoming.telegramWebhook === 'string' ? incoming.telegramWebhook : null;
@@ -3558,7 +7750,10 @@ app.post('/api/settings', async (req, res) => {
                     discordWebhook: resolveSecretSettingValue(settings.discordWebhook, incomingDiscordWebhook, clearDiscordWebhook),
                     telegramWebhook: resolveSecretSettingValue(settings.telegramWebhook, incomingTelegramWebhook, clearTelegramWebhook),
                     telegramChatId: resolveSecretSettingValue(settings.telegramChatId, incomingTelegramChatId, clearTelegramChatId),
-                    backupEncryption: previousEncryption ? getPersistentBackupEncryptionConfig(previousEncryption) : null
+                    backupEncryption: previousEncryption ? getPersistentBackupEncryptionConfig(previousEncryption) : null,
+                    auth: settings.auth,
+                    apiTokens: settings.apiTokens,
+                    users: settings.users
                 });
                 let backupPasswordUpdated = false;
                 let nextBackupSession = null;
@@ -3677,6 +7872,7 @@ app.post('/api/settings', async (req, res) => {
                 throw e;
             }
         });
+        await addAuditEntry('settings.updated', { fields: changedKeys }, 'settings', getRequestActor(req));
         res.json(payload);
     } catch (e) {
         if (e.status && e.payload) {
@@ -3696,23 +7892,26 @@ app.get('/api/lists', (req, res) => {
 
 app.post('/api/lists', async (req, res) => {
     try {
+        const user = getRequestUser(req);
         const result = await runStateMutation(async () => {
             const body = req.body || {};
             assertSettingsRevision(Number(body.revision));
             const name = String(body.name || '').trim();
             if (!name) throw createApiError(400, 'List name is required');
             const lists = Array.isArray(settings.lists) ? settings.lists : [...DEFAULT_LISTS];
-            if (lists.some(l => String(l.name).toLowerCase() === name.toLowerCase())) {
+            if (lists.some(l => getListAccess(l, user) === 'owner' && String(l.name).toLowerCase() === name.toLowerCase())) {
                 throw createApiError(400, 'List already exists');
             }
             const id = `list_${Date.now()}`;
-            const nextLists = [...lists, { id, name }];
+            const ownerId = isHouseholdAdmin(user) ? null : user.username;
+            const nextLists = [...lists, ownerId ? { id, name, ownerId, shares: [] } : { id, name }];
             const nextSettings = normalizeSettingsShape({ ...settings, lists: nextLists });
             await saveSettings(nextSettings);
             settings = nextSettings;
             bumpSettingsRevision();
             return { success: true, list: { id, name }, lists: getListsSnapshot(), revision: settingsRevision };
         });
+        await addAuditEntry('list.created', { listId: result.list.id, name: result.list.name }, 'lists', getRequestActor(req));
         res.json(result);
     } catch (e) {
         if (e.status && e.payload) {
@@ -3724,25 +7923,41 @@ app.post('/api/lists', async (req, res) => {
 
 app.patch('/api/lists/:id', async (req, res) => {
     try {
+        const user = getRequestUser(req);
         const result = await runStateMutation(async () => {
             const { id } = req.params;
             const body = req.body || {};
             assertSettingsRevision(Number(body.revision));
-            const name = String(body.name || '').trim();
-            if (!name) throw createApiError(400, 'List name is required');
+            // Either field may be sent alone; a null checkIntervalMs clears the list override.
+            const hasInterval = Object.prototype.hasOwnProperty.call(body, 'checkIntervalMs');
+            const nextInterval = hasInterval ? parseCheckIntervalOverrideInput(body.checkIntervalMs) : undefined;
+            const name = hasInterval && body.name === undefined ? null : String(body.name || '').trim();
+            if (name !== null && !name) throw createApiError(400, 'List name is required');
             const lists = Array.isArray(settings.lists) ? settings.lists : [...DEFAULT_LISTS];
             const idx = lists.findIndex(l => l.id === id);
-            if (idx === -1) throw createApiError(404, 'List not found');
-            if (lists.some((l, listIndex) => listIndex !== idx && String(l.name).toLowerCase() === name.toLowerCase())) {
+            assertListOwner(lists[idx], user);
+            const ownerId = getEffectiveOwnerId(lists[idx]);
+            if (name !== null && lists.some((l, listIndex) => listIndex !== idx
+                && getEffectiveOwnerId(l) === ownerId
+                && String(l.name).toLowerCase() === name.toLowerCase())) {
                 throw createApiError(400, 'List already exists');
             }
-            const nextLists = lists.map((list, listIndex) => listIndex === idx ? { ...list, name } : list);
+            const nextLists = lists.map((list, listIndex) => {
+                if (listIndex !== idx) return list;
+                const nextList = name !== null ? { ...list, name } : { ...list };
+                if (hasInterval) nextList.checkIntervalMs = nextInterval;
+                return nextList;
+            });
             const nextSettings = normalizeSettingsShape({ ...settings, lists: nextLists });
             await saveSettings(nextSettings);
             settings = nextSettings;
             bumpSettingsRevision();
             return { success: true, lists: getListsSnapshot(), revision: settingsRevision };
         });
+        await addAuditEntry('list.updated', {
+            listId: req.params.id,
+            fields: Object.keys(req.body || {}).filter(key => key !== 'revision')
+        }, 'lists', getRequestActor(req));
         res.json(result);
     } catch (e) {
         if (e.status && e.payload) {
@@ -3754,18 +7969,27 @@ app.patch('/api/lists/:id', async (req, res) => {
 
 app.post('/api/lists/:id/delete', async (req, res) => {
     try {
+        const user = getRequestUser(req);
         const result = await runStateMutation(async () => {
             const { id } = req.params;
             const body = req.body || {};
             assertSettingsRevision(Number(body.revision));
             const lists = Array.isArray(settings.lists) ? settings.lists : [...DEFAULT_LISTS];
             const idx = lists.findIndex(l => l.id === id);
-            if (idx === -1) throw createApiError(404, 'List not found');
-            if (lists.length <= 1) throw createApiError(400, 'Cannot delete the last list');
-            if (id === 'default') throw createApiError(400, 'Default list cannot be deleted');
+            assertListOwner(lists[idx], user);
+            if (lists.length <= 1) throw createApiError(400, 'Cannot delete the last list', { error: 'Cannot delete the last list' });
+            if (id === 'default') throw createApiError(400, 'Default list cannot be deleted', { error: 'Default list cannot be deleted' });
 
             let targetId = 'default';
-            if (!lists.some(l => l.id === targetId)) {
+            const listOwnerId = lists[idx].ownerId || null;
+            if (listOwnerId) {
+                // A member's items stay with them, so they move to another list the same member owns.
+                const fallbackList = lists.find(l => l.id !== id && (l.ownerId || null) === listOwnerId);
+                if (!fallbackList) {
+                    throw createApiError(400, 'Cannot delete your last list', { error: 'Cannot delete your last list' });
+                }
+                targetId = fallbackList.id;
+            } else if (!lists.some(l => l.id === targetId)) {
                 lists.unshift({ id: 'default', name: 'Default' });
                 targetId = 'default';
             }
@@ -3792,15 +8016,251 @@ app.post('/api/lists/:id/delete', async (req, res) => {
             ]);
             settings = nextSettings;
             bumpSettingsRevision();
-            items = normalizeItemsForPersistence(nextItems, { allowDuplicateCanonicalUrls: false });
-            bumpItemsRevision();
+            items = normalizeItemsForPersistence(nextItems, { allowDuplicateCanonicalUrls: false });
+            bumpItemsRevision();
+            return {
+                success: true,
+                movedTo: targetId,
+                lists: getListsSnapshot(),
+                items,
+                revision: itemsRevision,
+                settingsRevision
+            };
+        });
+        await addAuditEntry('list.deleted', { listId: req.params.id, movedTo: result.movedTo }, 'lists', getRequestActor(req));
+        res.json(result);
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(500).json({ error: e.message || 'Failed to delete list' });
+    }
+});
+
+app.post('/api/lists/:id/shares', async (req, res) => {
+    try {
+        const user = getRequestUser(req);
+        const result = await runStateMutation(async () => {
+            const { id } = req.params;
+            const body = isPlainObject(req.body) ? req.body : {};
+            assertSettingsRevision(Number(body.revision));
+            const lists = Array.isArray(settings.lists) ? settings.lists : [...DEFAULT_LISTS];
+            const idx = lists.findIndex(l => l.id === id);
+            assertListOwner(lists[idx], user);
+            const userId = normalizeAuthUsername(body.userId);
+            const access = normalizeOptionalString(body.access, '').toLowerCase();
+            if (!['read', 'write', 'none'].includes(access)) {
+                throw createApiError(400, 'Access must be read, write, or none', { error: 'Access must be read, write, or none' });
+            }
+            if (!getAuthAccount(userId)) {
+                throw createApiError(404, 'Household member not found', { error: 'Household member not found' });
+            }
+            const ownerId = getEffectiveOwnerId(lists[idx]);
+            if (userId === ownerId) {
+                throw createApiError(400, 'Lists cannot be shared with their owner', { error: 'Lists cannot be shared with their owner' });
+            }
+            const nextShares = (lists[idx].shares || []).filter(share => share.userId !== userId);
+            if (access !== 'none') nextShares.push({ userId, access });
+            const nextLists = lists.map((list, listIndex) => listIndex === idx
+                ? { ...list, ownerId: list.ownerId || null, shares: nextShares }
+                : list);
+            const nextSettings = normalizeSettingsShape({ ...settings, lists: nextLists });
+            await saveSettings(nextSettings);
+            settings = nextSettings;
+            bumpSettingsRevision();
+            return { success: true, lists: getListsSnapshot(), revision: settingsRevision };
+        });
+        await addAuditEntry('list.shared', {
+            listId: req.params.id,
+            userId: normalizeAuthUsername(req.body.userId),
+            access: String(req.body.access).toLowerCase()
+        }, 'lists', getRequestActor(req));
+        res.json(result);
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(500).json({ error: e.message || 'Failed to update list sharing' });
+    }
+});
+
+// An empty target clears it; anything else must be a positive amount in a currency the FX table knows.
+function parseProductGroupTarget(body, currentGroup = null) {
+    const target = {
+        targetPrice: currentGroup ? currentGroup.targetPrice : null,
+        targetCurrency: currentGroup ? currentGroup.targetCurrency : 'USD'
+    };
+    if (Object.prototype.hasOwnProperty.call(body, 'targetPrice')) {
+        const rawTarget = body.targetPrice;
+        const numericTarget = Number(rawTarget);
+        if (rawTarget == null || rawTarget === '' || numericTarget === 0) {
+            target.targetPrice = null;
+        } else if (!Number.isFinite(numericTarget) || numericTarget < 0) {
+            throw createApiError(400, 'Target price must be a positive number', { error: 'Target price must be a positive number' });
+        } else {
+            target.targetPrice = numericTarget;
+        }
+    }
+    if (Object.prototype.hasOwnProperty.call(body, 'targetCurrency')) {
+        const currency = normalizeOptionalString(body.targetCurrency, 'USD').toUpperCase();
+        if (!SUPPORTED_CURRENCIES.has(currency)) {
+            throw createApiError(400, 'Unsupported currency', { error: 'Unsupported currency' });
+        }
+        target.targetCurrency = currency;
+    }
+    return target;
+}
+
+app.get('/api/groups', (req, res) => {
+    try {
+        res.json({ groups: getProductGroupsSnapshot(getRequestUser(req)), revision: settingsRevision });
+    } catch (e) {
+        res.status(e.status || 500).json(e.payload || { error: e.message || 'Failed to load product groups' });
+    }
+});
+
+app.post('/api/groups', async (req, res) => {
+    try {
+        const user = getRequestUser(req);
+        const result = await runStateMutation(async () => {
+            const body = isPlainObject(req.body) ? req.body : {};
+            assertSettingsRevision(Number(body.revision));
+            const name = normalizeOptionalString(body.name, '');
+            if (!name) throw createApiError(400, 'Group name is required', { error: 'Group name is required' });
+            const groups = settings.productGroups || [];
+            const ownerId = isHouseholdAdmin(user) ? null : user.username;
+            if (groups.some(group => canAccessProductGroup(group, user) && group.name.toLowerCase() === name.toLowerCase())) {
+                throw createApiError(400, 'Group already exists', { error: 'Group already exists' });
+            }
+            const group = { id: `group_${Date.now()}`, name, ownerId, ...parseProductGroupTarget(body) };
+            const nextSettings = normalizeSettingsShape({ ...settings, productGroups: [...groups, group] });
+            await saveSettings(nextSettings);
+            settings = nextSettings;
+            bumpSettingsRevision();
+            return {
+                success: true,
+                group: summarizeProductGroup(group, getVisibleItems(user)),
+                groups: getProductGroupsSnapshot(user),
+                revision: settingsRevision
+            };
+        });
+        res.json(result);
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(500).json({ error: e.message || 'Failed to create product group' });
+    }
+});
+
+app.patch('/api/groups/:id', async (req, res) => {
+    try {
+        const user = getRequestUser(req);
+        const result = await runStateMutation(async () => {
+            const body = isPlainObject(req.body) ? req.body : {};
+            assertSettingsRevision(Number(body.revision));
+            const currentGroup = findAccessibleProductGroupOrThrow(req.params.id, user);
+            const name = body.name === undefined ? currentGroup.name : normalizeOptionalString(body.name, '');
+            if (!name) throw createApiError(400, 'Group name is required', { error: 'Group name is required' });
+            const groups = settings.productGroups || [];
+            if (groups.some(group => group.id !== currentGroup.id
+                && canAccessProductGroup(group, user)
+                && group.name.toLowerCase() === name.toLowerCase())) {
+                throw createApiError(400, 'Group already exists', { error: 'Group already exists' });
+            }
+            const nextGroup = { ...currentGroup, name, ...parseProductGroupTarget(body, currentGroup) };
+            const nextSettings = normalizeSettingsShape({
+                ...settings,
+                productGroups: groups.map(group => (group.id === currentGroup.id ? nextGroup : group))
+            });
+            await saveSettings(nextSettings);
+            settings = nextSettings;
+            bumpSettingsRevision();
+            return { success: true, groups: getProductGroupsSnapshot(user), revision: settingsRevision };
+        });
+        res.json(result);
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(500).json({ error: e.message || 'Failed to update product group' });
+    }
+});
+
+app.post('/api/groups/:id/delete', async (req, res) => {
+    try {
+        const user = getRequestUser(req);
+        const result = await runStateMutation(async () => {
+            const body = isPlainObject(req.body) ? req.body : {};
+            assertSettingsRevision(Number(body.revision));
+            const currentGroup = findAccessibleProductGroupOrThrow(req.params.id, user);
+            // Members stay tracked on their own; only the link to the deleted group goes away.
+            const nextItems = items.map(item => (item.groupId === currentGroup.id ? { ...item, groupId: null } : item));
+            const nextSettings = normalizeSettingsShape({
+                ...settings,
+                productGroups: (settings.productGroups || []).filter(group => group.id !== currentGroup.id)
+            });
+            await runJsonFileTransaction([
+                {
+                    label: 'settings',
+                    targetPath: SETTINGS_FILE,
+                    nextValue: getPersistentSettingsSnapshot(nextSettings)
+                },
+                {
+                    label: 'items',
+                    targetPath: DATA_FILE,
+                    nextValue: nextItems
+                }
+            ]);
+            settings = nextSettings;
+            bumpSettingsRevision();
+            items = normalizeItemsForPersistence(nextItems, { allowDuplicateCanonicalUrls: false });
+            bumpItemsRevision();
+            return {
+                success: true,
+                groups: getProductGroupsSnapshot(user),
+                items,
+                revision: itemsRevision,
+                settingsRevision
+            };
+        });
+        res.json(result);
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(500).json({ error: e.message || 'Failed to delete product group' });
+    }
+});
+
+app.get('/api/matches', (req, res) => {
+    try {
+        const user = getRequestUser(req);
+        res.json({ matches: findProductMatches(getVisibleItems(user), settings.dismissedMatches), revision: settingsRevision });
+    } catch (e) {
+        res.status(e.status || 500).json(e.payload || { error: e.message || 'Failed to load product matches' });
+    }
+});
+
+app.post('/api/matches/:id/dismiss', async (req, res) => {
+    try {
+        const user = getRequestUser(req);
+        const result = await runStateMutation(async () => {
+            const body = isPlainObject(req.body) ? req.body : {};
+            assertSettingsRevision(Number(body.revision));
+            const match = findProductMatches(getVisibleItems(user), settings.dismissedMatches).find(entry => entry.id === req.params.id);
+            if (!match) throw createApiError(404, 'Match not found', { error: 'Match not found' });
+            const nextSettings = normalizeSettingsShape({
+                ...settings,
+                dismissedMatches: [...(settings.dismissedMatches || []), match.id]
+            });
+            await saveSettings(nextSettings);
+            settings = nextSettings;
+            bumpSettingsRevision();
             return {
                 success: true,
-                movedTo: targetId,
-                lists: getListsSnapshot(),
-                items,
-                revision: itemsRevision,
-                settingsRevision
+                matches: findProductMatches(getVisibleItems(user), settings.dismissedMatches),
+                revision: settingsRevision
             };
         });
         res.json(result);
@@ -3808,7 +8268,7 @@ app.post('/api/lists/:id/delete', async (req, res) => {
         if (e.status && e.payload) {
             return res.status(e.status).json(e.payload);
         }
-        res.status(500).json({ error: e.message || 'Failed to delete list' });
+        res.status(500).json({ error: e.message || 'Failed to dismiss match' });
     }
 });
 
@@ -3816,7 +8276,7 @@ app.get('/api/alert-rules', (req, res) => {
     res.json({ alertRules: getAlertRules(), revision: settingsRevision });
 });
 
-app.post('/api/alert-rules', async (req, res) => {
+app.post('/api/alert-rules', requireHouseholdAdmin, async (req, res) => {
     try {
         const result = await runStateMutation(async () => {
             const body = req.body || {};
@@ -3834,6 +8294,7 @@ app.post('/api/alert-rules', async (req, res) => {
             bumpSettingsRevision();
             return { success: true, alertRules: nextAlertRules, revision: settingsRevision };
         });
+        await addAuditEntry('alert_rules.updated', { fields: Object.keys(req.body || {}).filter(key => key !== 'revision') }, 'settings', getRequestActor(req));
         res.json(result);
     } catch (e) {
         if (e.status && e.payload) {
@@ -3847,15 +8308,23 @@ app.get('/api/diagnostics', (req, res) => {
     const limit = Math.max(1, Math.min(500, Number(req.query.limit || 100)));
     const itemId = req.query.itemId ? String(req.query.itemId) : null;
     const listId = req.query.listId ? String(req.query.listId) : null;
-    const filtered = diagnostics.filter(d => {
+    const user = getRequestUser(req);
+    const visibleItemIds = isHouseholdAdmin(user) ? null : new Set(getVisibleItems(user).map(item => item.id));
+    const visible = visibleItemIds ? diagnostics.filter(d => visibleItemIds.has(d.itemId)) : diagnostics;
+    const filtered = visible.filter(d => {
         if (itemId && d.itemId !== itemId) return false;
         if (listId && d.listId !== listId) return false;
         return true;
     }).slice(0, limit);
-    res.json({ entries: filtered, total: diagnostics.length });
+    res.json({
+        entries: filtered,
+        total: visible.length,
+        circuits: getHostCircuitsSnapshot(getVisibleItems(user)),
+        fetchStrategies: getFetchStrategiesSnapshot(getVisibleItems(user))
+    });
 });
 
-app.delete('/api/diagnostics', async (req, res) => {
+app.delete('/api/diagnostics', requireHouseholdAdmin, async (req, res) => {
     try {
         await runStateMutation(async () => {
             const nextDiagnostics = [];
@@ -3870,7 +8339,10 @@ app.delete('/api/diagnostics', async (req, res) => {
 
 app.get('/api/audit', (req, res) => {
     const limit = Math.max(1, Math.min(1000, Number(req.query.limit || 300)));
-    res.json({ entries: auditLog.slice(0, limit), total: auditLog.length });
+    const user = getRequestUser(req);
+    // Members only see their own activity; the household-wide trail stays with the admin.
+    const visible = isHouseholdAdmin(user) ? auditLog : auditLog.filter(entry => entry.actor === user.username);
+    res.json({ entries: visible.slice(0, limit), total: visible.length });
 });
 
 app.post('/api/audit', async (req, res) => {
@@ -3880,14 +8352,14 @@ app.post('/api/audit', async (req, res) => {
         if (!action) return res.status(400).json({ error: 'action is required' });
         const details = body.details && typeof body.details === 'object' ? body.details : {};
         const source = String(body.source || 'ui').trim() || 'ui';
-        await addAuditEntry(action, details, source);
+        await addAuditEntry(action, details, source, getRequestActor(req));
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: e.message || 'Failed to write audit log' });
     }
 });
 
-app.delete('/api/audit', async (req, res) => {
+app.delete('/api/audit', requireHouseholdAdmin, async (req, res) => {
     try {
         await runStateMutation(async () => {
             const nextAuditLog = [];
@@ -3900,14 +8372,377 @@ app.delete('/api/audit', async (req, res) => {
     }
 });
 
+app.get('/api/adapters', requireHouseholdAdmin, (req, res) => {
+    res.json({ adapters: getSiteAdaptersSnapshot(), directory: ADAPTERS_DIR, revision: settingsRevision });
+});
+
+app.post('/api/adapters/reload', requireHouseholdAdmin, async (req, res) => {
+    try {
+        await loadSiteAdapters();
+        const adapters = getSiteAdaptersSnapshot();
+        await addAuditEntry('adapters.reloaded', {
+            loaded: adapters.filter(adapter => !adapter.builtIn && !adapter.error).length,
+            failed: adapters.filter(adapter => adapter.error).length
+        }, 'settings', getRequestActor(req));
+        res.json({ success: true, adapters, directory: ADAPTERS_DIR, revision: settingsRevision });
+    } catch (e) {
+        res.status(500).json({ error: e.message || 'Failed to reload adapters' });
+    }
+});
+
+app.post('/api/adapters/:id', requireHouseholdAdmin, async (req, res) => {
+    try {
+        const adapterId = normalizeOptionalString(req.params.id, '').toLowerCase();
+        const body = isPlainObject(req.body) ? req.body : {};
+        if (typeof body.enabled !== 'boolean') {
+            return res.status(400).json({ error: 'enabled must be true or false' });
+        }
+        const result = await runStateMutation(async () => {
+            assertSettingsRevision(Number(body.revision));
+            if (!getSiteAdaptersSnapshot().some(adapter => adapter.id === adapterId)) {
+                throw createApiError(404, 'Adapter not found', { error: 'Adapter not found' });
+            }
+            const disabledIds = (settings.disabledAdapters || []).filter(id => id !== adapterId);
+            if (!body.enabled) disabledIds.push(adapterId);
+            const nextSettings = normalizeSettingsShape({ ...settings, disabledAdapters: disabledIds });
+            await saveSettings(nextSettings);
+            settings = nextSettings;
+            bumpSettingsRevision();
+            return { success: true, adapters: getSiteAdaptersSnapshot(), directory: ADAPTERS_DIR, revision: settingsRevision };
+        });
+        await addAuditEntry(body.enabled ? 'adapter.enabled' : 'adapter.disabled', { adapterId }, 'settings', getRequestActor(req));
+        res.json(result);
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(500).json({ error: e.message || 'Failed to update adapter' });
+    }
+});
+
+function parseProxyUrlOrThrow(rawUrl) {
+    try {
+        return parseProxyUrl(rawUrl);
+    } catch (e) {
+        throw createApiError(400, e.message, { error: e.message });
+    }
+}
+
+function findProxyOrThrow(proxyId) {
+    const proxy = (settings.proxies || []).find(entry => entry.id === proxyId);
+    if (!proxy) throw createApiError(404, 'Proxy not found', { error: 'Proxy not found' });
+    return proxy;
+}
+
+async function saveProxySettings(nextFields) {
+    const nextSettings = normalizeSettingsShape({ ...settings, ...nextFields });
+    await saveSettings(nextSettings);
+    settings = nextSettings;
+    bumpSettingsRevision();
+    return { success: true, ...getProxyPoolSnapshot() };
+}
+
+app.get('/api/proxies', requireHouseholdAdmin, (req, res) => {
+    res.json(getProxyPoolSnapshot());
+});
+
+app.post('/api/proxies', requireHouseholdAdmin, async (req, res) => {
+    try {
+        const body = isPlainObject(req.body) ? req.body : {};
+        const result = await runStateMutation(async () => {
+            assertSettingsRevision(Number(body.revision));
+            const url = parseProxyUrlOrThrow(body.url);
+            const proxies = settings.proxies || [];
+            if (proxies.length >= MAX_PROXIES) {
+                throw createApiError(400, `At most ${MAX_PROXIES} proxies can be configured`, { error: `At most ${MAX_PROXIES} proxies can be configured` });
+            }
+            if (proxies.some(proxy => proxy.url === url)) {
+                throw createApiError(400, 'Proxy already exists', { error: 'Proxy already exists' });
+            }
+            const proxy = {
+                id: `proxy_${crypto.randomBytes(6).toString('hex')}`,
+                label: normalizeOptionalString(body.label, new URL(url).host),
+                url,
+                enabled: true
+            };
+            return { ...(await saveProxySettings({ proxies: [...proxies, proxy] })), proxyId: proxy.id };
+        });
+        const added = result.proxies.find(proxy => proxy.id === result.proxyId);
+        await addAuditEntry('proxy.added', { proxyId: added.id, label: added.label, url: added.url }, 'settings', getRequestActor(req));
+        res.json(result);
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(500).json({ error: e.message || 'Failed to add proxy' });
+    }
+});
+
+app.patch('/api/proxies/:id', requireHouseholdAdmin, async (req, res) => {
+    try {
+        const body = isPlainObject(req.body) ? req.body : {};
+        const result = await runStateMutation(async () => {
+            assertSettingsRevision(Number(body.revision));
+            const current = findProxyOrThrow(req.params.id);
+            const url = body.url === undefined ? current.url : parseProxyUrlOrThrow(body.url);
+            if (url !== current.url && (settings.proxies || []).some(proxy => proxy.url === url)) {
+                throw createApiError(400, 'Proxy already exists', { error: 'Proxy already exists' });
+            }
+            const nextProxy = {
+                ...current,
+                label: body.label === undefined ? current.label : normalizeOptionalString(body.label, current.label),
+                url,
+                enabled: typeof body.enabled === 'boolean' ? body.enabled : current.enabled
+            };
+            // A new address or a manual re-enable starts with a clean health record.
+            if (url !== current.url || (nextProxy.enabled && !current.enabled)) forgetProxyState(current);
+            return saveProxySettings({
+                proxies: settings.proxies.map(proxy => (proxy.id === current.id ? nextProxy : proxy))
+            });
+        });
+        const updated = result.proxies.find(proxy => proxy.id === req.params.id);
+        await addAuditEntry('proxy.updated', { proxyId: updated.id, label: updated.label, url: updated.url, enabled: updated.enabled }, 'settings', getRequestActor(req));
+        res.json(result);
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(500).json({ error: e.message || 'Failed to update proxy' });
+    }
+});
+
+app.post('/api/proxies/:id/delete', requireHouseholdAdmin, async (req, res) => {
+    try {
+        const body = isPlainObject(req.body) ? req.body : {};
+        const result = await runStateMutation(async () => {
+            assertSettingsRevision(Number(body.revision));
+            const current = findProxyOrThrow(req.params.id);
+            forgetProxyState(current);
+            // Rules keep their host; a rule left without proxies pins that host to direct connections.
+            return saveProxySettings({
+                proxies: settings.proxies.filter(proxy => proxy.id !== current.id),
+                proxyRules: (settings.proxyRules || []).map(rule => ({ ...rule, proxyIds: rule.proxyIds.filter(id => id !== current.id) }))
+            });
+        });
+        await addAuditEntry('proxy.removed', { proxyId: req.params.id }, 'settings', getRequestActor(req));
+        res.json(result);
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(500).json({ error: e.message || 'Failed to remove proxy' });
+    }
+});
+
+app.post('/api/proxy-routing', requireHouseholdAdmin, async (req, res) => {
+    try {
+        const body = isPlainObject(req.body) ? req.body : {};
+        const result = await runStateMutation(async () => {
+            assertSettingsRevision(Number(body.revision));
+            const defaultMode = body.defaultMode === undefined ? settings.proxyDefaultMode : body.defaultMode;
+            if (!PROXY_DEFAULT_MODES.includes(defaultMode)) {
+                throw createApiError(400, 'defaultMode must be direct or pool', { error: 'defaultMode must be direct or pool' });
+            }
+            const rules = body.rules === undefined ? settings.proxyRules : body.rules;
+            if (!Array.isArray(rules)) throw createApiError(400, 'rules must be a list', { error: 'rules must be a list' });
+            const knownIds = new Set((settings.proxies || []).map(proxy => proxy.id));
+            const unknownId = rules.flatMap(rule => (isPlainObject(rule) && Array.isArray(rule.proxyIds) ? rule.proxyIds : []))
+                .find(id => !knownIds.has(id));
+            if (unknownId !== undefined) {
+                throw createApiError(400, `Unknown proxy: ${unknownId}`, { error: `Unknown proxy: ${unknownId}` });
+            }
+            hostProxyAssignments.clear();
+            return saveProxySettings({ proxyDefaultMode: defaultMode, proxyRules: rules });
+        });
+        await addAuditEntry('proxy.routing_changed', { defaultMode: result.defaultMode, rules: result.rules.length }, 'settings', getRequestActor(req));
+        res.json(result);
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(500).json({ error: e.message || 'Failed to update proxy routing' });
+    }
+});
+
+function findBrowserProfileOrThrow(profileId) {
+    const profile = browserProfiles.find(entry => entry.id === profileId);
+    if (!profile) throw createApiError(404, 'Browser profile not found', { error: 'Browser profile not found' });
+    return profile;
+}
+
+// Fields missing from the body keep their current value; hosts may be a list or comma-separated text.
+function buildBrowserProfileFromBody(body, current = null) {
+    const pick = (key, fallback) => (Object.prototype.hasOwnProperty.call(body, key) ? body[key] : fallback);
+    const name = normalizeOptionalString(pick('name', current ? current.name : ''), '');
+    if (!name) throw createApiError(400, 'Profile name is required', { error: 'Profile name is required' });
+    if (browserProfiles.some(profile => profile.id !== (current && current.id) && profile.name.toLowerCase() === name.toLowerCase())) {
+        throw createApiError(400, 'Profile already exists', { error: 'Profile already exists' });
+    }
+    const rawHosts = pick('hosts', current ? current.hosts : []);
+    let localStorage = pick('localStorage', current ? current.localStorage : {});
+    if (typeof localStorage === 'string') {
+        try {
+            localStorage = localStorage.trim() ? JSON.parse(localStorage) : {};
+        } catch (_) {
+            throw createApiError(400, 'localStorage must be JSON', { error: 'localStorage must be JSON' });
+        }
+    }
+    if (!isPlainObject(localStorage)) {
+        throw createApiError(400, 'localStorage must map origins to key/value objects', { error: 'localStorage must map origins to key/value objects' });
+    }
+    const geolocation = pick('geolocation', current ? current.geolocation : null);
+    if (geolocation) {
+        const latitude = Number(geolocation.latitude);
+        const longitude = Number(geolocation.longitude);
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            const message = 'Geolocation needs a latitude between -90 and 90 and a longitude between -180 and 180';
+            throw createApiError(400, message, { error: message });
+        }
+    }
+    const nowIso = new Date().toISOString();
+    return {
+        id: current ? current.id : `profile_${crypto.randomBytes(6).toString('hex')}`,
+        name,
+        hosts: Array.isArray(rawHosts) ? rawHosts : String(rawHosts || '').split(','),
+        acceptLanguage: pick('acceptLanguage', current ? current.acceptLanguage : null),
+        geolocation: geolocation || null,
+        zipCode: pick('zipCode', current ? current.zipCode : null),
+        zipCodeCookie: pick('zipCodeCookie', current ? current.zipCodeCookie : null),
+        localStorage,
+        cookies: current ? current.cookies : [],
+        createdAt: current ? current.createdAt : nowIso,
+        updatedAt: nowIso
+    };
+}
+
+function getBrowserProfilesPayload(user, profileId = null) {
+    const includeStorage = isHouseholdAdmin(user);
+    const profiles = browserProfiles.map(profile => getBrowserProfileSummary(profile, includeStorage));
+    return {
+        success: true,
+        ...(profileId ? { profile: profiles.find(profile => profile.id === profileId) || null } : {}),
+        profiles
+    };
+}
+
+// Members see which profiles exist so they can attach one to their items; cookie values never leave the server.
+app.get('/api/browser-profiles', (req, res) => {
+    try {
+        res.json(getBrowserProfilesPayload(getRequestUser(req)));
+    } catch (e) {
+        res.status(e.status || 500).json(e.payload || { error: e.message || 'Failed to load browser profiles' });
+    }
+});
+
+app.post('/api/browser-profiles', requireHouseholdAdmin, async (req, res) => {
+    try {
+        const body = isPlainObject(req.body) ? req.body : {};
+        const profile = await runStateMutation(async () => {
+            const nextProfile = buildBrowserProfileFromBody(body);
+            await saveBrowserProfiles([...browserProfiles, nextProfile]);
+            return nextProfile;
+        });
+        await addAuditEntry('profile.created', { profileId: profile.id, name: profile.name }, 'settings', getRequestActor(req));
+        res.json(getBrowserProfilesPayload(getRequestUser(req), profile.id));
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(500).json({ error: e.message || 'Failed to create browser profile' });
+    }
+});
+
+app.patch('/api/browser-profiles/:id', requireHouseholdAdmin, async (req, res) => {
+    try {
+        const body = isPlainObject(req.body) ? req.body : {};
+        const profile = await runStateMutation(async () => {
+            const current = findBrowserProfileOrThrow(req.params.id);
+            const nextProfile = buildBrowserProfileFromBody(body, current);
+            await saveBrowserProfiles(browserProfiles.map(entry => (entry.id === current.id ? nextProfile : entry)));
+            return nextProfile;
+        });
+        await addAuditEntry('profile.updated', { profileId: profile.id, name: profile.name }, 'settings', getRequestActor(req));
+        res.json(getBrowserProfilesPayload(getRequestUser(req), profile.id));
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(500).json({ error: e.message || 'Failed to update browser profile' });
+    }
+});
+
+app.post('/api/browser-profiles/:id/cookies', requireHouseholdAdmin, async (req, res) => {
+    try {
+        const body = isPlainObject(req.body) ? req.body : {};
+        const result = await runStateMutation(async () => {
+            const current = findBrowserProfileOrThrow(req.params.id);
+            let imported;
+            try {
+                imported = parseCookieImport(body.content);
+            } catch (e) {
+                throw createApiError(400, e.message, { error: e.message });
+            }
+            // Imported cookies replace stored ones with the same domain, path, and name unless `replace` drops the jar first.
+            const cookies = normalizeProfileCookies(body.replace ? imported : [...current.cookies, ...imported]);
+            await saveBrowserProfiles(browserProfiles.map(entry => (entry.id === current.id
+                ? { ...entry, cookies, updatedAt: new Date().toISOString() }
+                : entry)));
+            return { profileId: current.id, imported: imported.length };
+        });
+        await addAuditEntry('profile.cookies_imported', { profileId: result.profileId, cookies: result.imported, replace: Boolean(body.replace) }, 'settings', getRequestActor(req));
+        res.json({ ...getBrowserProfilesPayload(getRequestUser(req), result.profileId), imported: result.imported });
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(500).json({ error: e.message || 'Failed to import cookies' });
+    }
+});
+
+app.post('/api/browser-profiles/:id/delete', requireHouseholdAdmin, async (req, res) => {
+    try {
+        const profile = await runStateMutation(async () => {
+            const current = findBrowserProfileOrThrow(req.params.id);
+            await saveBrowserProfiles(browserProfiles.filter(entry => entry.id !== current.id));
+            // Items that used it fall back to the profile matching their site, if any.
+            if (items.some(item => item.browserProfileId === current.id)) {
+                await persistItemsState(
+                    items.map(item => (item.browserProfileId === current.id ? { ...item, browserProfileId: null } : item)),
+                    { allowDuplicateCanonicalUrls: false }
+                );
+            }
+            return current;
+        });
+        await addAuditEntry('profile.deleted', { profileId: profile.id, name: profile.name }, 'settings', getRequestActor(req));
+        res.json({ ...getBrowserProfilesPayload(getRequestUser(req)), items, revision: itemsRevision });
+    } catch (e) {
+        if (e.status && e.payload) {
+            return res.status(e.status).json(e.payload);
+        }
+        res.status(500).json({ error: e.message || 'Failed to delete browser profile' });
+    }
+});
+
 // Selector Doctor: Test a selector
 app.post('/api/test-selector', async (req, res) => {
-    const { url, selector } = req.body;
+    const { url, selector, browserProfileId, pageActions } = req.body;
     if (!url) return res.status(400).json({ error: 'URL is required' });
 
+    let actions;
+    try {
+        actions = parsePageActionScript(pageActions);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
     try {
         await validateFetchUrl(url);
-        const html = await fetchWithPuppeteer(url);
+        const { html } = await fetchWithPuppeteer(
+            url,
+            resolvePageWait(url, selector),
+            selectBrowserProxyForHost(getCheckHostKey(url)),
+            findBrowserProfile(url, normalizeOptionalStringOrNull(browserProfileId)),
+            getPageActionsForUrl(url, actions)
+        );
         const result = parseHtml(html, selector, url);
         res.json({
             success: true,
@@ -3916,6 +8751,7 @@ app.post('/api/test-selector', async (req, res) => {
             confidence: result.confidence,
             source: result.source || null,
             selectorUsed: result.selectorUsed,
+            customSelectorMatched: typeof result.customSelectorMatched === 'boolean' ? result.customSelectorMatched : null,
             suggestions: result.suggestions || [],
             availability: result.availability || { status: 'unknown', confidence: 0, reason: '', source: null },
             debug: result.debug || null
@@ -3935,22 +8771,48 @@ app.post('/api/test-selector', async (req, res) => {
 });
 
 app.post('/api/extract', async (req, res) => {
-    const { url, selector } = req.body || {};
+    const { url, selector, variantId, offers, browserProfileId, pageActions } = req.body || {};
     if (!url) return res.status(400).json({ error: 'URL is required' });
 
+    let actions;
+    try {
+        actions = parsePageActionScript(pageActions);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
     try {
         await validateFetchUrl(url);
-        const html = await fetchWithPuppeteer(url);
-        const result = parseHtml(html, selector || null, url);
-        const title = extractTitleFromHtml(html);
+        const { html, extraction: result, strategy, proxy, fetchMs, wait } = await fetchAndExtract(url, selector || null, {
+            variantId: normalizeOptionalStringOrNull(variantId),
+            offers: Boolean(offers),
+            profileId: normalizeOptionalStringOrNull(browserProfileId),
+            pageActions: actions
+        });
+        const title = extractTitleFromHtml(html, url);
         res.json({
             success: true,
             price: result.price,
             currency: result.currency,
             title: title,
+            fetchStrategy: strategy,
+            proxy,
+            fetchMs,
+            wait,
+            platform: result.platform || null,
+            compareAtPrice: result.compareAtPrice ?? null,
+            variants: result.variants || [],
+            variantTitle: result.variantTitle || null,
+            offers: result.offers || [],
+            offerSummary: result.offerSummary || null,
+            costs: normalizePurchaseCosts(result.costs),
+            packSize: result.packSize || null,
+            identifiers: normalizeProductIdentifiers(result.identifiers),
+            metadata: normalizePageMetadata(result.metadata),
+            ...computeEffectivePrice(result.price, result.costs),
             confidence: result.confidence,
             source: result.source || null,
             selectorUsed: result.selectorUsed,
+            customSelectorMatched: typeof result.customSelectorMatched === 'boolean' ? result.customSelectorMatched : null,
             suggestions: result.suggestions || [],
             availability: result.availability || { status: 'unknown', confidence: 0, reason: '', source: null },
             debug: result.debug || null
@@ -3969,19 +8831,63 @@ app.post('/api/extract', async (req, res) => {
     }
 });
 
+// Extractor Lab: run a page action script step by step, then extract from the page it leaves behind.
+app.post('/api/page-actions/test', async (req, res) => {
+    const { url, selector, browserProfileId, actions } = req.body || {};
+    if (!url) return res.status(400).json({ error: 'URL is required' });
+
+    let parsedActions;
+    try {
+        parsedActions = parsePageActionScript(actions);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+    if (!parsedActions.length) return res.status(400).json({ error: 'Add at least one page action' });
+    try {
+        await validateFetchUrl(url);
+        const { html, steps, failure } = await runPageActionTrial(
+            url,
+            parsedActions,
+            resolvePageWait(url, selector || null),
+            findBrowserProfile(url, normalizeOptionalStringOrNull(browserProfileId))
+        );
+        const result = parseHtml(html, selector || null, url);
+        res.json({
+            success: true,
+            completed: !failure,
+            failure,
+            steps,
+            price: result.price,
+            currency: result.currency,
+            confidence: result.confidence,
+            source: result.source || null,
+            selectorUsed: result.selectorUsed,
+            availability: result.availability || { status: 'unknown', confidence: 0, reason: '', source: null }
+        });
+    } catch (e) {
+        const isValidationError = [
+            'Invalid URL',
+            'Only http/https URLs are allowed',
+            'Refusing localhost fetch',
+            'Host is not allowlisted',
+            'Failed to resolve hostname',
+            'Hostname has no DNS records',
+            'Refusing private/link-local destination'
+        ].includes(e.message);
+        res.status(isValidationError ? 400 : 500).json({ error: e.message });
+    }
+});
+
 // Update specific item property (e.g. selector)
 app.patch('/api/items/:id', async (req, res) => {
     try {
+        const user = getRequestUser(req);
         const savedItem = await runItemsMutation(async () => {
             const { id } = req.params;
             const updates = isPlainObject(req.body) ? req.body : {};
             assertItemsRevision(Number(updates.revision));
-            const index = items.findIndex(i => i.id === id);
-            if (index === -1) {
-                throw createApiError(404, 'Item not found');
-            }
-
-            const currentItem = items[index];
+            const currentItem = getAccessibleItemOrThrow(id, user);
+            const index = items.indexOf(currentItem);
             const nextName = typeof updates.name === 'string' ? updates.name.trim() : currentItem.name;
             const nextUrl = typeof updates.url === 'string' ? updates.url.trim() : currentItem.url;
             const nextSelector = typeof updates.selector === 'string' ? updates.selector.trim() || null : (currentItem.selector || null);
@@ -4003,11 +8909,92 @@ app.patch('/api/items/:id', async (req, res) => {
                 throw createApiError(400, 'Invalid URL');
             }
             const nextCanonicalUrl = normalizeTrackedUrl(nextUrl);
+            // Variants can only be picked from the list the last successful check saw on the page.
+            let nextVariant = currentItem.variantId
+                ? { id: currentItem.variantId, title: currentItem.variantTitle || null }
+                : null;
+            if (Object.prototype.hasOwnProperty.call(updates, 'variantId')) {
+                const requestedVariantId = normalizeOptionalStringOrNull(updates.variantId);
+                if (!requestedVariantId) {
+                    nextVariant = null;
+                } else {
+                    const variant = (currentItem.variants || []).find(entry => entry.id === requestedVariantId);
+                    if (!variant) {
+                        throw createApiError(400, 'Unknown variant for this item', { error: 'Unknown variant for this item' });
+                    }
+                    nextVariant = { id: variant.id, title: variant.title || null };
+                }
+            }
+            const nextVariantId = nextVariant ? nextVariant.id : null;
+            const nextOfferMode = Object.prototype.hasOwnProperty.call(updates, 'offerMode')
+                ? Boolean(updates.offerMode)
+                : Boolean(currentItem.offerMode);
+            const nextRecordFixture = Object.prototype.hasOwnProperty.call(updates, 'recordFixture')
+                ? Boolean(updates.recordFixture)
+                : Boolean(currentItem.recordFixture);
+            let nextBrowserProfileId = currentItem.browserProfileId || null;
+            if (Object.prototype.hasOwnProperty.call(updates, 'browserProfileId')) {
+                nextBrowserProfileId = normalizeOptionalStringOrNull(updates.browserProfileId);
+                if (nextBrowserProfileId && !browserProfiles.some(profile => profile.id === nextBrowserProfileId)) {
+                    throw createApiError(400, 'Unknown browser profile', { error: 'Unknown browser profile' });
+                }
+            }
+            // Accepts the script text from the edit dialog or a list of lines; an empty script falls back to the adapter's.
+            let nextPageActions = currentItem.pageActions || [];
+            if (Object.prototype.hasOwnProperty.call(updates, 'pageActions')) {
+                try {
+                    nextPageActions = parsePageActionScript(updates.pageActions);
+                } catch (e) {
+                    throw createApiError(400, e.message, { error: e.message });
+                }
+            }
+            const nextAlertSeries = Object.prototype.hasOwnProperty.call(updates, 'alertSeries')
+                ? normalizeOptionalString(updates.alertSeries, 'price')
+                : (currentItem.alertSeries || 'price');
+            if (!OFFER_SERIES.includes(nextAlertSeries)) {
+                throw createApiError(400, 'Unknown alert series', { error: 'Unknown alert series' });
+            }
+            // A pack size text ("24 x 330 ml") pins the unit; an empty one hands it back to detection on the next check.
+            let nextUnit = {
+                unitQuantity: currentItem.unitQuantity || null,
+                unitOfMeasure: currentItem.unitOfMeasure || null,
+                unitSource: currentItem.unitSource || null
+            };
+            if (Object.prototype.hasOwnProperty.call(updates, 'packSize')) {
+                const packSizeText = normalizeOptionalString(updates.packSize, '');
+                if (!packSizeText) {
+                    nextUnit = currentItem.unitSource === 'manual'
+                        ? { unitQuantity: null, unitOfMeasure: null, unitSource: null }
+                        : nextUnit;
+                } else {
+                    const parsedPackSize = parsePackSize(packSizeText);
+                    if (!parsedPackSize) {
+                        throw createApiError(400, 'Could not read pack size', { error: 'Could not read pack size' });
+                    }
+                    nextUnit = { unitQuantity: parsedPackSize.quantity, unitOfMeasure: parsedPackSize.unit, unitSource: 'manual' };
+                }
+            }
+            const nextUnitTargetPrice = Object.prototype.hasOwnProperty.call(updates, 'unitTargetPrice')
+                ? (Number(updates.unitTargetPrice) > 0 ? Number(updates.unitTargetPrice) : null)
+                : (currentItem.unitTargetPrice || null);
+            let nextGroupId = currentItem.groupId || null;
+            if (Object.prototype.hasOwnProperty.call(updates, 'groupId')) {
+                const requestedGroupId = normalizeOptionalStringOrNull(updates.groupId);
+                nextGroupId = requestedGroupId ? findAccessibleProductGroupOrThrow(requestedGroupId, user).id : null;
+            }
 
-            if (nextCanonicalUrl && items.some((item, itemIndex) => itemIndex !== index && normalizeTrackedUrl(item.canonicalUrl || item.url) === nextCanonicalUrl)) {
+            const currentOwnerId = currentItem.ownerId || null;
+            if (nextCanonicalUrl && items.some((item, itemIndex) => itemIndex !== index
+                && (item.ownerId || null) === currentOwnerId
+                && normalizeTrackedUrl(item.canonicalUrl || item.url) === nextCanonicalUrl
+                && normalizeOptionalStringOrNull(item.variantId) === nextVariantId)) {
                 throw createApiError(400, 'Item already tracked');
             }
 
+            const nextCheckIntervalMs = Object.prototype.hasOwnProperty.call(updates, 'checkIntervalMs')
+                ? parseCheckIntervalOverrideInput(updates.checkIntervalMs)
+                : (currentItem.checkIntervalMs || null);
+
             if (TEST_PATCH_DELAY_MS) {
                 await delayMs(TEST_PATCH_DELAY_MS);
             }
@@ -4017,9 +9004,32 @@ app.patch('/api/items/:id', async (req, res) => {
                 name: nextName,
                 url: nextUrl,
                 canonicalUrl: nextCanonicalUrl,
-                selector: nextSelector
+                selector: nextSelector,
+                checkIntervalMs: nextCheckIntervalMs,
+                variantId: nextVariantId,
+                variantTitle: nextVariant ? nextVariant.title : null,
+                offerMode: nextOfferMode,
+                recordFixture: nextRecordFixture,
+                browserProfileId: nextBrowserProfileId,
+                pageActions: nextPageActions,
+                alertSeries: nextAlertSeries,
+                ...nextUnit,
+                unitPrice: computeUnitPrice(currentItem.currentPrice, nextUnit.unitQuantity),
+                unitTargetPrice: nextUnitTargetPrice,
+                groupId: nextGroupId,
+                // Identifiers describe the old page or variant until the next check reads them again.
+                ...(nextCanonicalUrl !== normalizeTrackedUrl(currentItem.canonicalUrl || currentItem.url) || nextVariantId !== (currentItem.variantId || null)
+                    ? { gtin: null, mpn: null, sku: null, brand: null, pageTitle: null, imageUrl: null, category: null }
+                    : {}),
+                // A new source gets a fresh start instead of inheriting the old URL's backoff.
+                ...(itemSourceChanged(currentItem, nextUrl, nextSelector, nextVariantId) ? { consecutiveFailures: 0, backoffUntil: null, pendingPrice: null } : {})
             }, { allowDuplicateCanonicalUrls: false });
         });
+        await addAuditEntry('item.updated', {
+            itemId: savedItem.id,
+            name: savedItem.name,
+            fields: Object.keys(isPlainObject(req.body) ? req.body : {}).filter(key => key !== 'revision')
+        }, 'items', getRequestActor(req));
         res.json({ success: true, item: savedItem, revision: itemsRevision });
     } catch (e) {
         if (e.status && e.payload) {
@@ -4095,9 +9105,11 @@ app.post('/api/backups/export', async (req, res) => {
             getActiveBackupEncryptionKeyBuffer(),
             encryptionConfig.salt
         );
+        const filename = `centsible-backup-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        await addAuditEntry('backup.exported', { filename }, 'backup', getRequestActor(req));
         res.json({
             success: true,
-            filename: `centsible-backup-${new Date().toISOString().replace(/[:.]/g, '-')}.json`,
+            filename,
             backup: envelope
         });
     } catch (e) {
@@ -4113,6 +9125,7 @@ app.post('/api/backups/import', async (req, res) => {
 
     try {
         await runStateMutation(async () => executeBackupRestore(backupInput, password));
+        await addAuditEntry('backup.imported', {}, 'backup', getRequestActor(req));
         res.json({ success: true, message: 'Backup imported successfully' });
     } catch (e) {
         res.status(400).json({ error: `Failed to import backup: ${e.message}` });
@@ -4129,6 +9142,7 @@ app.post('/api/backups/restore', async (req, res) => {
         await fsPromises.access(backupPath);
         const raw = await fsPromises.readFile(backupPath, 'utf8');
         await runStateMutation(async () => executeBackupRestore(raw, password));
+        await addAuditEntry('backup.restored', { filename }, 'backup', getRequestActor(req));
         res.json({ success: true, message: `Restored from ${filename}` });
     } catch (e) {
         res.status(400).json({ error: `Failed to restore: ${e.message}` });
@@ -4204,7 +9218,7 @@ app.get('/api/fetch', async (req, res) => {
     try {
         await validateFetchUrl(url);
         console.log(`[Proxy] Fetching: ${url}`);
-        const html = await fetchWithPuppeteer(url);
+        const { html } = await fetchWithPuppeteer(url, resolvePageWait(url));
         res.send(html);
     } catch (error) {
         console.error(`Error fetching ${url}:`, error.message);
@@ -4222,22 +9236,22 @@ app.get('/api/fetch', async (req, res) => {
 });
 
 
-// Initialization
-(async () => {
+// Initialization; requiring this file (the fixture replay harness does) loads the parsers without starting the server.
+if (require.main === module) (async () => {
     await recoverPendingJsonFileTransaction();
     await migrateLegacyProjectRootData();
     await loadSettings();
+    await loadSiteAdapters();
     await loadData();
     await loadDiagnostics();
     await loadAuditLog();
+    await loadBrowserProfiles();
     if (!DISABLE_STARTUP_NETWORK) {
         await refreshExchangeRates();
     }
 
     // Start Background Job
-    const activeCheckIntervalMs = DISABLE_SCHEDULED_JOBS
-        ? sanitizeCheckIntervalMs(settings.checkIntervalMs)
-        : scheduleBackgroundChecks();
+    const activeCheckIntervalMs = scheduleBackgroundChecks();
     if (!DISABLE_SCHEDULED_JOBS && !DISABLE_STARTUP_NETWORK) {
         setInterval(refreshExchangeRates, 60 * 60 * 1000);
     }
@@ -4259,10 +9273,13 @@ app.get('/api/fetch', async (req, res) => {
         } else {
             console.log('[CORS] Open mode. Set ALLOWED_ORIGINS to enforce an origin allowlist.');
         }
+        if (!hasAuthConfigured()) {
+            console.log(`[Auth] Sign-in is not enabled. To enable it from another device, use setup code ${getAuthSetupCode()}.`);
+        }
         console.log(`
 Centsible Server (with Persistence) running on http://localhost:${PORT}
 -------------------------------------------------------
-Background checks running every ${activeCheckIntervalMs / 60000} minutes.
+Background checks default to every ${activeCheckIntervalMs / 60000} minutes (item and list overrides apply).
         `);
     });
 
@@ -4289,6 +9306,22 @@ Background checks running every ${activeCheckIntervalMs / 60000} minutes.
 
 })();
 
-
-
-
+module.exports = {
+    parseHtml,
+    detectAvailability,
+    summarizeFixtureExtraction,
+    buildExtractionFixture,
+    resolvePageWait,
+    parseProxyUrl,
+    normalizeProxyRules,
+    selectProxyForHost,
+    selectBrowserProxyForHost,
+    recordProxyResult,
+    parsePackSize,
+    openBrowserPage,
+    applyBrowserProfile,
+    parseCookieImport,
+    parsePageActionScript,
+    formatPageAction,
+    FIXTURE_VERSION
+};
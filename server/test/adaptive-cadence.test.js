@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, getCurrentRevision } = require('./helpers');
+
+test('adaptive cadence tightens near the target, relaxes quiet items, and leaves item intervals fixed', async (t) => {
+    const server = await startServer(t);
+    const dayMs = 24 * 60 * 60 * 1000;
+    const now = Date.now();
+    const twentyDaysAgo = new Date(now - 20 * dayMs).toISOString();
+    const createItem = async (name, url, extra = {}) => {
+        const created = await server.post('/items/create', {
+            revision: await getCurrentRevision(server),
+            item: { name, url, currentPrice: 100, currency: 'USD', history: [{ date: twentyDaysAgo, price: 100 }], ...extra }
+        });
+        assert.equal(created.status, 200);
+        return created.json.item.id;
+    };
+
+    const nearTargetId = await createItem('Near Target', 'https://near.example/p', { targetPrice: 97 });
+    const quietId = await createItem('Quiet', 'https://quiet.example/p');
+    const fixedId = await createItem('Fixed', 'https://fixed.example/p', { targetPrice: 97 });
+    assert.equal((await server.patch(`/items/${fixedId}`, {
+        checkIntervalMs: 2 * 60 * 60 * 1000,
+        revision: await getCurrentRevision(server)
+    })).status, 200);
+
+    const settingsResponse = await server.get('/settings');
+    const globalInterval = settingsResponse.json.checkIntervalMs;
+    let schedule = (await server.get('/items')).json.schedule;
+    assert.equal(schedule[nearTargetId].intervalMs, globalInterval / 4);
+    assert.match(schedule[nearTargetId].reason, /target/);
+    assert.equal(schedule[quietId].intervalMs, globalInterval * 2);
+    assert.equal(schedule[quietId].factor, 2);
+    assert.match(schedule[quietId].reason, /20 days/);
+    assert.equal(schedule[fixedId].intervalMs, 2 * 60 * 60 * 1000);
+    assert.equal(schedule[fixedId].factor, 1);
+    assert.equal(schedule[fixedId].source, 'item');
+
+    const disabled = await server.post('/settings', {
+        revision: settingsResponse.json.revision,
+        adaptiveChecksEnabled: false
+    });
+    assert.equal(disabled.status, 200);
+    schedule = (await server.get('/items')).json.schedule;
+    assert.equal(schedule[nearTargetId].intervalMs, globalInterval);
+    assert.equal(schedule[quietId].factor, 1);
+});
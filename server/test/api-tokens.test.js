@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { startServer } = require('./helpers');
+
+test('scoped API tokens authorize matching routes, record use, and stop working once revoked', async (t) => {
+    const server = await startServer(t);
+    const withToken = (token, init = {}) => ({
+        ...init,
+        headers: { ...(init.headers || {}), Authorization: `Bearer ${token}` }
+    });
+
+    const invalidScopes = await server.post('/api-tokens', { label: 'Nothing', scopes: ['settings:write'] });
+    assert.equal(invalidScopes.status, 400);
+
+    const readToken = await server.post('/api-tokens', { label: 'Home Assistant', scopes: ['items:read'] });
+    assert.equal(readToken.status, 200);
+    assert.match(readToken.json.token, /^cst_/);
+    assert.equal(readToken.json.entry.tokenHash, undefined);
+
+    const writeToken = await server.post('/api-tokens', { label: 'Cron', scopes: ['items:read', 'items:write'] });
+    assert.equal(writeToken.status, 200);
+
+    assert.equal((await server.request('/items', withToken(readToken.json.token))).status, 200);
+    assert.equal((await server.request('/settings', withToken(readToken.json.token))).status, 403);
+    assert.equal((await server.request('/api-tokens', withToken(writeToken.json.token))).status, 403);
+    const forbiddenWrite = await server.request('/lists', withToken(readToken.json.token, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'Blocked' })
+    }));
+    assert.equal(forbiddenWrite.status, 403);
+
+    const settings = await server.get('/settings');
+    assert.equal(settings.json.apiTokens, undefined);
+    const allowedWrite = await server.request('/lists', withToken(writeToken.json.token, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'From Cron', revision: settings.json.revision })
+    }));
+    assert.equal(allowedWrite.status, 200);
+
+    let tokenAudit = null;
+    for (let attempt = 0; attempt < 20 && !tokenAudit; attempt += 1) {
+        const audit = await server.get('/audit');
+        tokenAudit = audit.json.entries.find(entry => entry.action === 'api_token.used') || null;
+        if (!tokenAudit) await delay(100);
+    }
+    assert(tokenAudit);
+    assert.equal(tokenAudit.actor, 'token:Cron');
+    assert.equal(tokenAudit.details.path, '/api/lists');
+
+    const listing = await server.get('/api-tokens');
+    const readEntry = listing.json.tokens.find(entry => entry.id === readToken.json.entry.id);
+    assert(readEntry.lastUsedAt);
+
+    const revoke = await server.request(`/api-tokens/${readToken.json.entry.id}`, { method: 'DELETE' });
+    assert.equal(revoke.status, 200);
+    assert(revoke.json.tokens.find(entry => entry.id === readToken.json.entry.id).revokedAt);
+    assert.equal((await server.request('/items', withToken(readToken.json.token))).status, 401);
+    assert.equal((await server.request('/items', withToken('cst_not-a-real-token'))).status, 401);
+
+    // Only active tokens count toward the limit; revoked ones make room for new tokens.
+    for (let index = 1; index < 100; index += 1) {
+        assert.equal((await server.post('/api-tokens', { label: `Bulk ${index}`, scopes: ['items:read'] })).status, 200);
+    }
+    const overLimit = await server.post('/api-tokens', { label: 'One too many', scopes: ['items:read'] });
+    assert.equal(overLimit.status, 400);
+    assert.match(overLimit.json.error, /limit/i);
+    assert.equal((await server.request(`/api-tokens/${writeToken.json.entry.id}`, { method: 'DELETE' })).status, 200);
+    const replacement = await server.post('/api-tokens', { label: 'Replacement', scopes: ['items:read'] });
+    assert.equal(replacement.status, 200);
+    const fullListing = await server.get('/api-tokens');
+    assert.equal(fullListing.json.tokens.length, 100);
+    assert.ok(fullListing.json.tokens.every(entry => !entry.revokedAt));
+});
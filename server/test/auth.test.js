@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const { startServer } = require('./helpers');
+
+test('first-run setup from another device requires the setup code printed to the server log', async (t) => {
+    const externalAddress = Object.values(os.networkInterfaces())
+        .flat()
+        .find((entry) => entry && entry.family === 'IPv4' && !entry.internal);
+    if (!externalAddress) {
+        t.skip('no non-loopback network interface available');
+        return;
+    }
+    const server = await startServer(t);
+    const setupCode = (server.logs.stdout.match(/setup code ([0-9A-F]+)/) || [])[1];
+    assert(setupCode);
+
+    const remoteUrl = `http://${externalAddress.address}:${server.port}/api`;
+    const postSetup = (body) => fetch(`${remoteUrl}/auth/setup`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    const remoteSession = await (await fetch(`${remoteUrl}/auth/session`)).json();
+    assert.equal(remoteSession.setupCodeRequired, true);
+
+    const withoutCode = await postSetup({ username: 'intruder', password: 'correct horse battery' });
+    assert.equal(withoutCode.status, 403);
+    const wrongCode = await postSetup({ username: 'intruder', password: 'correct horse battery', setupCode: '00000000' });
+    assert.equal(wrongCode.status, 403);
+    assert.equal((await server.get('/auth/session')).json.authConfigured, false);
+
+    const withCode = await postSetup({ username: 'admin', password: 'correct horse battery', setupCode: setupCode.toLowerCase() });
+    assert.equal(withCode.status, 200);
+    assert.equal((await withCode.json()).username, 'admin');
+});
+
+test('first-run setup relayed by a reverse proxy on the same machine still requires the setup code', async (t) => {
+    const server = await startServer(t);
+    const setupCode = (server.logs.stdout.match(/setup code ([0-9A-F]+)/) || [])[1];
+    assert(setupCode);
+    const proxiedHeaders = { 'Content-Type': 'application/json', 'X-Forwarded-For': '203.0.113.7' };
+
+    const proxiedSession = await server.request('/auth/session', { headers: proxiedHeaders });
+    assert.equal(proxiedSession.json.setupCodeRequired, true);
+
+    const withoutCode = await server.request('/auth/setup', {
+        method: 'POST',
+        headers: proxiedHeaders,
+        body: JSON.stringify({ username: 'intruder', password: 'correct horse battery' })
+    });
+    assert.equal(withoutCode.status, 403);
+    assert.equal(withoutCode.json.setupCodeRequired, true);
+    assert.equal((await server.get('/auth/session')).json.authConfigured, false);
+
+    const withCode = await server.request('/auth/setup', {
+        method: 'POST',
+        headers: proxiedHeaders,
+        body: JSON.stringify({ username: 'admin', password: 'correct horse battery', setupCode })
+    });
+    assert.equal(withCode.status, 200);
+});
+
+test('admin sign-in protects the API with session cookies and CSRF tokens once configured', async (t) => {
+    const server = await startServer(t);
+
+    const initialSession = await server.get('/auth/session');
+    assert.equal(initialSession.status, 200);
+    assert.equal(initialSession.json.authConfigured, false);
+    assert.equal(initialSession.json.setupCodeRequired, false);
+    assert.equal((await server.get('/items')).status, 200);
+
+    const weakSetup = await server.post('/auth/setup', { username: 'admin', password: 'short' });
+    assert.equal(weakSetup.status, 400);
+
+    const setup = await server.post('/auth/setup', { username: 'admin', password: 'correct horse battery' });
+    assert.equal(setup.status, 200);
+    assert.equal(setup.json.authenticated, true);
+    const cookie = String(setup.headers.get('set-cookie') || '').split(';')[0];
+    assert.match(cookie, /^centsible_session=/);
+    const csrfToken = setup.json.csrfToken;
+    assert(csrfToken);
+
+    const repeatedSetup = await server.post('/auth/setup', { username: 'intruder', password: 'another password' });
+    assert.equal(repeatedSetup.status, 409);
+
+    assert.equal((await server.get('/items')).status, 401);
+    const authedItems = await server.request('/items', { headers: { cookie } });
+    assert.equal(authedItems.status, 200);
+
+    const auditBody = JSON.stringify({ action: 'test.action', details: {} });
+    const missingCsrf = await server.request('/audit', {
+        method: 'POST',
+        headers: { cookie, 'Content-Type': 'application/json' },
+        body: auditBody
+    });
+    assert.equal(missingCsrf.status, 403);
+    const withCsrf = await server.request('/audit', {
+        method: 'POST',
+        headers: { cookie, 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+        body: auditBody
+    });
+    assert.equal(withCsrf.status, 200);
+    const audit = await server.request('/audit', { headers: { cookie } });
+    assert.equal(audit.json.entries[0].action, 'test.action');
+    assert.equal(audit.json.entries[0].actor, 'admin');
+
+    const itemsRevision = (await server.request('/items', { headers: { cookie } })).json.revision;
+    const created = await server.request('/items/create', {
+        method: 'POST',
+        headers: { cookie, 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+        body: JSON.stringify({ revision: itemsRevision, item: { name: 'Audited Lamp', url: 'https://audit.example/lamp', currentPrice: 10 } })
+    });
+    assert.equal(created.status, 200);
+    const itemAudit = (await server.request('/audit', { headers: { cookie } })).json.entries[0];
+    assert.equal(itemAudit.action, 'item.created');
+    assert.equal(itemAudit.source, 'items');
+    assert.equal(itemAudit.actor, 'admin');
+    assert.equal(itemAudit.details.itemId, created.json.item.id);
+
+    const badLogin = await server.post('/auth/login', { username: 'admin', password: 'wrong password' });
+    assert.equal(badLogin.status, 401);
+    const login = await server.post('/auth/login', { username: 'admin', password: 'correct horse battery' });
+    assert.equal(login.status, 200);
+    assert.notEqual(login.json.csrfToken, csrfToken);
+
+    const publicSettings = await server.request('/settings', { headers: { cookie } });
+    assert.equal(publicSettings.json.authConfigured, true);
+    assert.equal(publicSettings.json.auth, undefined);
+    const savedSettings = JSON.parse(await fs.readFile(path.join(server.dataDir, 'settings.json'), 'utf8'));
+    assert(savedSettings.auth && savedSettings.auth.passwordHash);
+});
@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const http = require('node:http');
+const path = require('node:path');
+const { once } = require('node:events');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { parseCookieImport, openBrowserPage, applyBrowserProfile } = require('../server.js');
+const { startServer, getCurrentRevision } = require('./helpers');
+
+const futureExpiry = Math.floor(Date.now() / 1000) + 86400;
+const pastExpiry = Math.floor(Date.now() / 1000) - 86400;
+
+test('cookie-editor JSON exports import as a list or under a cookies key', () => {
+    const exported = [
+        { name: 'session', value: 'abc', domain: '.Example.com', path: '/', expirationDate: futureExpiry + 0.25, httpOnly: true, secure: true, sameSite: 'no_restriction' },
+        { name: 'consent', value: 'yes', domain: 'www.example.com', session: true },
+        { name: 'stale', value: 'old', domain: 'example.com', expirationDate: pastExpiry },
+        { name: '', value: 'nameless', domain: 'example.com' },
+        'not a cookie'
+    ];
+    const expected = [
+        { name: 'session', value: 'abc', domain: '.example.com', path: '/', expires: futureExpiry, httpOnly: true, secure: true, sameSite: 'None' },
+        { name: 'consent', value: 'yes', domain: 'www.example.com', path: '/', expires: -1, httpOnly: false, secure: false }
+    ];
+    assert.deepEqual(parseCookieImport(JSON.stringify(exported)), expected);
+    assert.deepEqual(parseCookieImport(JSON.stringify({ url: 'https://www.example.com', cookies: exported })), expected);
+});
+
+test('Netscape cookies.txt files import with subdomain and HttpOnly markers', () => {
+    const cookiesTxt = [
+        '# Netscape HTTP Cookie File',
+        '',
+        `example.com\tTRUE\t/\tTRUE\t${futureExpiry}\tsession\tabc\tdef`,
+        `#HttpOnly_www.example.com\tFALSE\t/cart\tFALSE\t0\tcart\t42`,
+        `example.com\tTRUE\t/\tFALSE\t${pastExpiry}\tstale\told`,
+        'too\tfew\tfields'
+    ].join('\r\n');
+    assert.deepEqual(parseCookieImport(cookiesTxt), [
+        { name: 'session', value: 'abc\tdef', domain: '.example.com', path: '/', expires: futureExpiry, httpOnly: false, secure: true },
+        { name: 'cart', value: '42', domain: 'www.example.com', path: '/cart', expires: -1, httpOnly: true, secure: false }
+    ]);
+});
+
+test('cookie imports that hold no cookies are rejected', () => {
+    assert.throws(() => parseCookieImport('  '), /Cookie file is empty/);
+    assert.throws(() => parseCookieImport('[{"name":'), /Cookie file is not valid JSON/);
+    assert.throws(() => parseCookieImport('{"name":"session"}'), /Cookie JSON must be a list of cookies/);
+    assert.throws(() => parseCookieImport('# Netscape HTTP Cookie File\nnot cookies'), /No cookies found/);
+});
+
+// Chrome keeps one cookie store per browser context; the default context is shared by every page opened on the browser.
+function createFakeBrowser() {
+    const openPage = (store, context) => ({
+        setCookie: async (...cookies) => cookies.forEach(cookie => store.set(`${cookie.domain}|${cookie.name}`, cookie)),
+        cookies: async () => [...store.values()],
+        browserContext: () => context,
+        close: async () => { }
+    });
+    const defaultStore = new Map();
+    const contexts = [];
+    return {
+        defaultStore,
+        contexts,
+        newPage: async () => openPage(defaultStore, null),
+        createBrowserContext: async (options) => {
+            const store = new Map();
+            const context = { options, closed: false, store, close: async () => { context.closed = true; } };
+            context.newPage = async () => openPage(store, context);
+            contexts.push(context);
+            return context;
+        }
+    };
+}
+
+test('profile fetches run back to back in their own browser contexts and keep their cookie jars apart', async () => {
+    const browser = createFakeBrowser();
+    const buildProfile = (value) => ({
+        cookies: [{ name: 'session', value, domain: '.shop.example', path: '/', expires: -1, httpOnly: true, secure: true }],
+        localStorage: {},
+        acceptLanguage: null,
+        geolocation: null,
+        zipCode: null
+    });
+    const visit = async (profile, consent) => {
+        const session = await openBrowserPage(null, true, browser);
+        await applyBrowserProfile(session.page, profile, 'https://shop.example/lamp');
+        // The site answers with a cookie of its own, as a consent banner would.
+        await session.page.setCookie({ name: 'consent', value: consent, domain: 'shop.example', path: '/' });
+        const cookies = await session.page.cookies();
+        await session.close();
+        return cookies.map(cookie => `${cookie.name}=${cookie.value}`).sort();
+    };
+
+    assert.deepEqual(await visit(buildProfile('alice'), 'alice-yes'), ['consent=alice-yes', 'session=alice']);
+    assert.deepEqual(await visit(buildProfile('bob'), 'bob-no'), ['consent=bob-no', 'session=bob']);
+    assert.equal(browser.contexts.length, 2);
+    assert.ok(browser.contexts.every(context => context.closed && !context.options.proxyServer));
+    assert.equal(browser.defaultStore.size, 0);
+
+    const shared = await openBrowserPage(null, false, browser);
+    await shared.close();
+    assert.equal(browser.contexts.length, 2, 'fetches without a profile or proxy stay on the default context');
+});
+
+test('browser profiles send their imported cookies, zip code, and language with checks of matching sites', async (t) => {
+    const productJson = JSON.stringify({
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        name: 'Member Kettle',
+        offers: { '@type': 'Offer', price: '29.90', priceCurrency: 'EUR' }
+    });
+    const shopRequests = [];
+    const shop = http.createServer((req, res) => {
+        shopRequests.push({ cookie: req.headers.cookie || '', language: req.headers['accept-language'] || '' });
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(`<html><head><script type="application/ld+json">${productJson}</script></head><body></body></html>`);
+    });
+    shop.listen(0, '127.0.0.1');
+    await once(shop, 'listening');
+    t.after(() => shop.close());
+    const server = await startServer(t);
+
+    const created = await server.post('/browser-profiles', {
+        name: 'Berlin member',
+        hosts: '127.0.0.1',
+        acceptLanguage: 'de-DE,de;q=0.9',
+        zipCode: '10115',
+        zipCodeCookie: 'zip',
+        localStorage: '{"http://127.0.0.1": {"consent": "yes"}}'
+    });
+    assert.equal(created.status, 200);
+    const profileId = created.json.profile.id;
+    assert.deepEqual(created.json.profile.localStorage, { 'http://127.0.0.1': { consent: 'yes' } });
+    assert.equal((await server.post('/browser-profiles', { name: 'berlin MEMBER' })).status, 400);
+
+    const future = Math.floor(Date.now() / 1000) + 86400;
+    const netscape = [
+        '# Netscape HTTP Cookie File',
+        '127.0.0.1\tFALSE\t/\tFALSE\t0\tsession\tabc123',
+        `#HttpOnly_127.0.0.1\tFALSE\t/\tFALSE\t${future}\tmember\tgold`,
+        '127.0.0.1\tFALSE\t/\tFALSE\t1\texpired\tgone'
+    ].join('\n');
+    const imported = await server.post(`/browser-profiles/${profileId}/cookies`, { content: netscape });
+    assert.equal(imported.status, 200);
+    assert.equal(imported.json.imported, 2);
+    assert.equal(imported.json.profile.cookieCount, 2);
+    assert.ok(!JSON.stringify(imported.json).includes('abc123'));
+    const invalidImport = await server.post(`/browser-profiles/${profileId}/cookies`, { content: 'not a cookie file' });
+    assert.equal(invalidImport.status, 400);
+
+    const item = await server.post('/items/create', {
+        revision: await getCurrentRevision(server),
+        item: { name: 'Member Kettle', url: `http://127.0.0.1:${shop.address().port}/kettle`, currentPrice: 35, currency: 'EUR' }
+    });
+    assert.equal(item.status, 200);
+    const itemId = item.json.item.id;
+    const unknown = await server.patch(`/items/${itemId}`, { browserProfileId: 'profile_missing', revision: item.json.revision });
+    assert.equal(unknown.status, 400);
+    const attached = await server.patch(`/items/${itemId}`, { browserProfileId: profileId, revision: item.json.revision });
+    assert.equal(attached.status, 200);
+    assert.equal(attached.json.item.browserProfileId, profileId);
+
+    assert.equal((await server.post('/check-now', {})).status, 200);
+    const startedAt = Date.now();
+    let itemsResponse;
+    do {
+        await delay(100);
+        itemsResponse = await server.get('/items');
+    } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 15000);
+    assert.equal(itemsResponse.json.items.find(entry => entry.id === itemId).currentPrice, 29.9);
+    assert.equal(shopRequests.length, 1);
+    assert.equal(shopRequests[0].language, 'de-DE,de;q=0.9');
+    assert.deepEqual(shopRequests[0].cookie.split('; ').sort(), ['member=gold', 'session=abc123', 'zip=10115']);
+
+    const saved = JSON.parse(await fs.readFile(path.join(server.dataDir, 'browser-profiles.json'), 'utf8'));
+    assert.equal(saved[0].cookies.find(cookie => cookie.name === 'member').httpOnly, true);
+
+    const deleted = await server.post(`/browser-profiles/${profileId}/delete`, {});
+    assert.equal(deleted.status, 200);
+    assert.deepEqual(deleted.json.profiles, []);
+    assert.equal(deleted.json.items.find(entry => entry.id === itemId).browserProfileId, null);
+});
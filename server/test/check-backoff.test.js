@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { startServer, getCurrentRevision } = require('./helpers');
+
+test('failing checks back off per item and open a host circuit after repeated failures', async (t) => {
+    const server = await startServer(t, {
+        env: {
+            CENTSIBLE_TEST_FETCH_HTML: '<html><body><p>Nothing to see here</p></body></html>'
+        }
+    });
+    const settingsResponse = await server.get('/settings');
+    assert.equal((await server.post('/settings', { revision: settingsResponse.json.revision, hostDelayMs: 0 })).status, 200);
+    const createItem = async (name, url) => {
+        const created = await server.post('/items/create', {
+            revision: await getCurrentRevision(server),
+            item: { name, url, currentPrice: 10, currency: 'USD' }
+        });
+        assert.equal(created.status, 200);
+        return created.json.item.id;
+    };
+    const shopIds = [];
+    for (let index = 1; index <= 6; index += 1) {
+        shopIds.push(await createItem(`Shop ${index}`, `https://www.shop.example/p/${index}`));
+    }
+    const otherId = await createItem('Other', 'https://other.example/p');
+
+    const runCheck = async () => {
+        assert.equal((await server.post('/check-now', {})).status, 200);
+        const startedAt = Date.now();
+        let itemsResponse;
+        do {
+            await delay(100);
+            itemsResponse = await server.get('/items');
+        } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 10000);
+        assert.equal(itemsResponse.json.status.isChecking, false);
+        return itemsResponse.json;
+    };
+
+    let payload = await runCheck();
+    let itemsById = new Map(payload.items.map(item => [item.id, item]));
+    shopIds.slice(0, 5).forEach((id) => {
+        assert.equal(itemsById.get(id).lastCheckStatus, 'fail');
+        assert.equal(itemsById.get(id).consecutiveFailures, 1);
+    });
+    assert.equal(itemsById.get(shopIds[5]).lastCheckAttempt, null, 'item behind an open circuit was checked');
+    const shopCircuit = payload.status.circuits.find(circuit => circuit.host === 'shop.example');
+    assert.equal(shopCircuit.state, 'open');
+    assert.equal(shopCircuit.consecutiveFailures, 5);
+    assert(Date.parse(payload.schedule[shopIds[5]].nextCheckAt) >= Date.parse(shopCircuit.openUntil));
+
+    const diagnosticsResponse = await server.get('/diagnostics');
+    assert.equal(diagnosticsResponse.json.circuits.find(circuit => circuit.host === 'shop.example').state, 'open');
+    assert.equal(diagnosticsResponse.json.entries.find(entry => entry.itemId === shopIds[4]).circuitState, 'open');
+
+    payload = await runCheck();
+    itemsById = new Map(payload.items.map(item => [item.id, item]));
+    assert.equal(itemsById.get(shopIds[0]).consecutiveFailures, 1, 'open circuit should skip the host on Check Now');
+    const other = itemsById.get(otherId);
+    assert.equal(other.consecutiveFailures, 2);
+    assert.equal(Date.parse(other.backoffUntil) - Date.parse(other.lastCheckAttempt), payload.schedule[otherId].intervalMs * 2);
+    assert.equal(payload.schedule[otherId].nextCheckAt, other.backoffUntil);
+
+    const patched = await server.patch(`/items/${otherId}`, {
+        url: 'https://other.example/p2',
+        revision: await getCurrentRevision(server)
+    });
+    assert.equal(patched.status, 200);
+    assert.equal(patched.json.item.consecutiveFailures, 0);
+    assert.equal(patched.json.item.backoffUntil, null);
+});
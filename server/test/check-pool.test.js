@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { once } = require('node:events');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { startServer, getCurrentRevision } = require('./helpers');
+
+test('background checks run hosts in parallel while keeping each host serialized', async (t) => {
+    const server = await startServer(t, {
+        env: {
+            CENTSIBLE_TEST_FETCH_HTML: '<html><body><span>$20.00</span></body></html>',
+            CENTSIBLE_TEST_FETCH_DELAY_MS: '400'
+        }
+    });
+
+    const settingsResponse = await server.get('/settings');
+    assert.equal(settingsResponse.json.checkConcurrency, 2);
+    const saved = await server.post('/settings', {
+        revision: settingsResponse.json.revision,
+        checkConcurrency: 3,
+        hostDelayMs: 100
+    });
+    assert.equal(saved.status, 200);
+
+    const urls = [
+        'https://shop-a.example/one',
+        'https://www.shop-a.example/two',
+        'https://shop-b.example/one',
+        'https://shop-b.example/two'
+    ];
+    const idsByHost = new Map();
+    for (const [index, url] of urls.entries()) {
+        const created = await server.post('/items/create', {
+            revision: await getCurrentRevision(server),
+            item: { name: `Pool Item ${index}`, url, listId: 'default' }
+        });
+        assert.equal(created.status, 200);
+        const host = new URL(url).hostname.replace(/^www\./, '');
+        idsByHost.set(created.json.item.id, host);
+    }
+
+    const startedAt = Date.now();
+    assert.equal((await server.post('/check-now', {})).status, 200);
+    let maxParallel = 0;
+    let status = null;
+    do {
+        await delay(50);
+        status = (await server.get('/items')).json.status;
+        const hosts = status.checkingItemIds.map(id => idsByHost.get(id));
+        assert.equal(new Set(hosts).size, hosts.length, 'same host checked in parallel');
+        maxParallel = Math.max(maxParallel, hosts.length);
+    } while (status.isChecking && Date.now() - startedAt < 10000);
+
+    assert.equal(status.isChecking, false);
+    assert.equal(maxParallel, 2);
+    // Two hosts with two 400ms fetches each finish in roughly one host's time, not four sequential fetches.
+    assert(Date.now() - startedAt < 1600, `run took ${Date.now() - startedAt}ms`);
+    const itemsResponse = await server.get('/items');
+    assert(itemsResponse.json.items.every(item => item.currentPrice === 20 && item.lastCheckStatus === 'ok'));
+});
+
+test('the per-site delay also spaces requests from separate check runs', async (t) => {
+    const productJson = JSON.stringify({ '@context': 'https://schema.org', '@type': 'Product', name: 'Mug', offers: { '@type': 'Offer', price: '12.00', priceCurrency: 'USD' } });
+    const requestTimes = [];
+    const shop = http.createServer((req, res) => {
+        requestTimes.push(Date.now());
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(`<html><head><script type="application/ld+json">${productJson}</script></head><body><h1>Mug</h1></body></html>`);
+    });
+    shop.listen(0, '127.0.0.1');
+    await once(shop, 'listening');
+    t.after(() => shop.close());
+    const server = await startServer(t);
+    const settingsResponse = await server.get('/settings');
+    assert.equal((await server.post('/settings', { revision: settingsResponse.json.revision, hostDelayMs: 1500 })).status, 200);
+    const created = await server.post('/items/create', {
+        revision: await getCurrentRevision(server),
+        item: { name: 'Mug', url: `http://127.0.0.1:${shop.address().port}/mug`, currentPrice: 15, currency: 'USD' }
+    });
+    assert.equal(created.status, 200);
+
+    for (let run = 0; run < 2; run += 1) {
+        assert.equal((await server.post('/check-now', {})).status, 200);
+        const startedAt = Date.now();
+        let itemsResponse;
+        do {
+            await delay(50);
+            itemsResponse = await server.get('/items');
+        } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 10000);
+        assert.equal(itemsResponse.json.items[0].currentPrice, 12);
+    }
+    assert.equal(requestTimes.length, 2);
+    assert(requestTimes[1] - requestTimes[0] >= 1400, `second run fetched after ${requestTimes[1] - requestTimes[0]}ms`);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { startServer, getCurrentRevision } = require('./helpers');
+
+test('scheduler only checks items that are due under their item, list, or global interval', async (t) => {
+    const server = await startServer(t, {
+        env: {
+            CENTSIBLE_DISABLE_SCHEDULED_JOBS: '0',
+            CENTSIBLE_TEST_FETCH_HTML: '<html><body><span>$20.00</span></body></html>'
+        }
+    });
+    const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+    const createItem = async (name, url, listId) => {
+        const created = await server.post('/items/create', {
+            revision: await getCurrentRevision(server),
+            item: { name, url, listId, currentPrice: 10, currency: 'USD', lastChecked: tenMinutesAgo, lastCheckAttempt: tenMinutesAgo }
+        });
+        assert.equal(created.status, 200);
+        return created.json.item.id;
+    };
+
+    const listsResponse = await server.get('/lists');
+    const flashList = await server.post('/lists', { name: 'Flash Sales', revision: listsResponse.json.revision });
+    assert.equal(flashList.status, 200);
+    const invalidSchedule = await server.patch(`/lists/${flashList.json.list.id}`, { checkIntervalMs: 1000, revision: flashList.json.revision });
+    assert.equal(invalidSchedule.status, 400);
+    const listSchedule = await server.patch(`/lists/${flashList.json.list.id}`, { checkIntervalMs: 5 * 60 * 1000, revision: flashList.json.revision });
+    assert.equal(listSchedule.status, 200);
+    assert.equal(listSchedule.json.lists.find(list => list.id === flashList.json.list.id).name, 'Flash Sales');
+
+    const itemOverrideId = await createItem('Item Override', 'https://item-override.example/p', 'default');
+    const listOverrideId = await createItem('List Override', 'https://list-override.example/p', flashList.json.list.id);
+    const globalId = await createItem('Global Interval', 'https://global.example/p', 'default');
+    const patched = await server.patch(`/items/${itemOverrideId}`, {
+        checkIntervalMs: 5 * 60 * 1000,
+        revision: await getCurrentRevision(server)
+    });
+    assert.equal(patched.status, 200);
+    assert.equal(patched.json.item.checkIntervalMs, 5 * 60 * 1000);
+
+    let itemsById = new Map();
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < 15000) {
+        await delay(250);
+        itemsById = new Map((await server.get('/items')).json.items.map(item => [item.id, item]));
+        if (itemsById.get(itemOverrideId).currentPrice === 20 && itemsById.get(listOverrideId).currentPrice === 20) break;
+    }
+    assert.equal(itemsById.get(itemOverrideId).currentPrice, 20);
+    assert.equal(itemsById.get(listOverrideId).currentPrice, 20);
+    assert.equal(itemsById.get(globalId).currentPrice, 10);
+    assert.equal(itemsById.get(globalId).lastCheckAttempt, tenMinutesAgo);
+});
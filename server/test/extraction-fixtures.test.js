@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const zlib = require('node:zlib');
+
+const { parseHtml, summarizeFixtureExtraction, FIXTURE_VERSION } = require('../server.js');
+
+// Replays recorded pages through the extraction heuristics. Point CENTSIBLE_FIXTURES_DIR at a data
+// directory's fixtures/ folder to replay fresh recordings, and set CENTSIBLE_UPDATE_FIXTURES=1 to
+// accept the current output as the new expectation after an intended heuristics change.
+const fixturesDir = process.env.CENTSIBLE_FIXTURES_DIR
+    ? path.resolve(process.env.CENTSIBLE_FIXTURES_DIR)
+    : path.join(__dirname, 'fixtures');
+const updateFixtures = process.env.CENTSIBLE_UPDATE_FIXTURES === '1';
+const FIXTURE_FIELDS = ['price', 'currency', 'confidence', 'stockStatus'];
+
+function readFixture(filePath) {
+    return JSON.parse(zlib.gunzipSync(fs.readFileSync(filePath)).toString('utf8'));
+}
+
+const fixtureFiles = fs.existsSync(fixturesDir)
+    ? fs.readdirSync(fixturesDir).filter(name => name.endsWith('.json.gz')).sort()
+    : [];
+
+test('extraction fixtures are present', () => {
+    assert.ok(fixtureFiles.length > 0, `No *.json.gz fixtures found in ${fixturesDir}`);
+});
+
+for (const fileName of fixtureFiles) {
+    test(`fixture ${fileName} still extracts the recorded result`, () => {
+        const filePath = path.join(fixturesDir, fileName);
+        const fixture = readFixture(filePath);
+        assert.equal(fixture.version, FIXTURE_VERSION, `${fileName} was recorded with fixture version ${fixture.version}`);
+
+        const actual = summarizeFixtureExtraction(parseHtml(fixture.html, fixture.selector || null, fixture.url));
+        const changes = FIXTURE_FIELDS
+            .filter(field => actual[field] !== fixture.expected[field])
+            .map(field => `${field}: ${JSON.stringify(fixture.expected[field])} -> ${JSON.stringify(actual[field])}`);
+        if (changes.length === 0) return;
+
+        if (updateFixtures) {
+            fs.writeFileSync(filePath, zlib.gzipSync(JSON.stringify({ ...fixture, expected: actual }, null, 2)));
+            return;
+        }
+        assert.fail(`${fileName} (${fixture.url}) changed ${changes.join(', ')}`);
+    });
+}
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { startServer, getCurrentRevision } = require('./helpers');
+
+test('items flagged to record fixtures save the fetched HTML and expected extraction on each check', async (t) => {
+    const html = '<html><head><title>Desk Lamp</title></head><body><h1>Desk Lamp</h1><span class="price">$42.00</span></body></html>';
+    const server = await startServer(t, { env: { CENTSIBLE_TEST_FETCH_HTML: html } });
+
+    const created = await server.post('/items/create', {
+        revision: await getCurrentRevision(server),
+        item: { name: 'Desk Lamp', url: 'https://lamps.example.com/desk', currentPrice: 45, currency: 'USD' }
+    });
+    assert.equal(created.status, 200);
+    const itemId = created.json.item.id;
+    const flagged = await server.patch(`/items/${itemId}`, { recordFixture: true, revision: created.json.revision });
+    assert.equal(flagged.status, 200);
+    assert.equal(flagged.json.item.recordFixture, true);
+
+    assert.equal((await server.post('/check-now', {})).status, 200);
+    const startedAt = Date.now();
+    let itemsResponse;
+    do {
+        await delay(100);
+        itemsResponse = await server.get('/items');
+    } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 15000);
+
+    const fixturePath = path.join(server.dataDir, 'fixtures', `lamps.example.com-${itemId}.json.gz`);
+    const fixture = JSON.parse(zlib.gunzipSync(await fs.readFile(fixturePath)).toString('utf8'));
+    assert.equal(fixture.url, 'https://lamps.example.com/desk');
+    assert.equal(fixture.html, html);
+    assert.equal(fixture.expected.price, 42);
+    assert.equal(fixture.expected.currency, 'USD');
+    assert.equal(fixture.expected.stockStatus, 'unknown');
+    assert.ok(fixture.expected.confidence > 0);
+});
@@ -0,0 +1,265 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+const crypto = require('node:crypto');
+const net = require('node:net');
+const { once } = require('node:events');
+const { spawn } = require('node:child_process');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const SERVER_DIR = path.resolve(__dirname, '..');
+const SERVER_ENTRY = path.join(SERVER_DIR, 'server.js');
+const BACKUP_SCHEMA_PLAIN = 'centsible-backup-v3';
+const BACKUP_SCHEMA_ENCRYPTED = 'centsible-backup-v3-encrypted';
+const BACKUP_CIPHER = 'aes-256-gcm';
+const BACKUP_PREVIEW_AAD_MODE = 'preview-v1';
+
+async function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const socket = net.createServer();
+        socket.on('error', reject);
+        socket.listen(0, '127.0.0.1', () => {
+            const address = socket.address();
+            socket.close((error) => {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+                resolve(address.port);
+            });
+        });
+    });
+}
+
+async function waitForServer(baseUrl, child, logs) {
+    for (let attempt = 0; attempt < 80; attempt += 1) {
+        if (child.exitCode !== null) {
+            throw new Error(`Server exited before becoming ready.\nSTDOUT:\n${logs.stdout}\nSTDERR:\n${logs.stderr}`);
+        }
+        try {
+            const response = await fetch(`${baseUrl}/settings`);
+            if (response.ok) return;
+        } catch (_) { }
+        await delay(250);
+    }
+    throw new Error(`Server did not become ready.\nSTDOUT:\n${logs.stdout}\nSTDERR:\n${logs.stderr}`);
+}
+
+async function stopServerProcess(child) {
+    if (child.exitCode !== null) return;
+    child.kill('SIGINT');
+    const exitPromise = once(child, 'exit').catch(() => []);
+    const timeoutReached = await Promise.race([
+        exitPromise.then(() => false),
+        delay(5000).then(() => true)
+    ]);
+    if (timeoutReached && child.exitCode === null) {
+        child.kill('SIGKILL');
+        await exitPromise;
+    }
+}
+
+async function startServer(t, options = {}) {
+    const port = options.port || await getFreePort();
+    const projectRoot = options.projectRoot || null;
+    const dataDir = options.dataDir || (projectRoot
+        ? path.join(projectRoot, 'data')
+        : await fs.mkdtemp(path.join(os.tmpdir(), 'centsible-regression-')));
+    const cleanupDataDir = options.cleanupDataDir !== false;
+    const autoStop = options.autoStop !== false;
+    await fs.mkdir(dataDir, { recursive: true });
+
+    const childEnv = {
+        ...process.env,
+        PORT: String(port),
+        CENTSIBLE_DISABLE_STARTUP_NETWORK: '1',
+        CENTSIBLE_DISABLE_SCHEDULED_JOBS: '1',
+        ...options.env
+    };
+    if (projectRoot) {
+        childEnv.CENTSIBLE_PROJECT_ROOT = projectRoot;
+    }
+    if (!options.omitDataDirEnv) {
+        childEnv.DATA_DIR = dataDir;
+    } else {
+        delete childEnv.DATA_DIR;
+    }
+
+    const logs = { stdout: '', stderr: '' };
+    const child = spawn(process.execPath, [SERVER_ENTRY], {
+        cwd: SERVER_DIR,
+        env: childEnv,
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    child.stdout.on('data', (chunk) => {
+        logs.stdout += chunk.toString();
+    });
+    child.stderr.on('data', (chunk) => {
+        logs.stderr += chunk.toString();
+    });
+
+    const baseUrl = `http://127.0.0.1:${port}/api`;
+    await waitForServer(baseUrl, child, logs);
+
+    const server = {
+        port,
+        dataDir,
+        baseUrl,
+        logs,
+        async request(apiPath, init = {}) {
+            const response = await fetch(`${baseUrl}${apiPath}`, init);
+            const text = await response.text();
+            let json = null;
+            if (text) {
+                try {
+                    json = JSON.parse(text);
+                } catch (_) {
+                    json = text;
+                }
+            }
+            return {
+                status: response.status,
+                ok: response.ok,
+                headers: response.headers,
+                json,
+                text
+            };
+        },
+        async get(apiPath) {
+            return this.request(apiPath);
+        },
+        async post(apiPath, body) {
+            return this.request(apiPath, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+        },
+        async patch(apiPath, body) {
+            return this.request(apiPath, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+        },
+        async stop() {
+            await stopServerProcess(child);
+            if (cleanupDataDir) {
+                await fs.rm(dataDir, { recursive: true, force: true });
+            }
+        }
+    };
+
+    if (autoStop) {
+        t.after(async () => {
+            await server.stop();
+        });
+    }
+
+    return server;
+}
+
+function summarizeItemsSnapshot(items) {
+    const normalizedItems = Array.isArray(items) ? items : [];
+    return {
+        itemCount: normalizedItems.length,
+        purchasedCount: normalizedItems.filter(item => Boolean(item && item.purchased)).length,
+        listCount: new Set(normalizedItems.map(item => String((item && item.listId) || 'default'))).size || 1,
+        rangeStart: null,
+        rangeEnd: null
+    };
+}
+
+async function deriveBackupKey(password, saltBase64) {
+    const saltBuffer = Buffer.from(String(saltBase64 || '').trim(), 'base64');
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, saltBuffer, 32, (error, key) => {
+            if (error) {
+                reject(error);
+                return;
+            }
+            resolve(key);
+        });
+    });
+}
+
+async function encryptBackupSnapshot(snapshot, password) {
+    const salt = crypto.randomBytes(16).toString('base64');
+    const iv = crypto.randomBytes(12);
+    const preview = {
+        ...summarizeItemsSnapshot(snapshot.items),
+        auditCount: Array.isArray(snapshot.audit) ? snapshot.audit.length : 0,
+        diagnosticsCount: Array.isArray(snapshot.diagnostics) ? snapshot.diagnostics.length : 0,
+        includesHistory: Array.isArray(snapshot.items)
+            ? snapshot.items.some(item => Array.isArray(item && item.history) && item.history.length > 0)
+            : false,
+        includesWebhookSettings: Boolean(
+            snapshot
+            && snapshot.settings
+            && (snapshot.settings.discordWebhook || snapshot.settings.telegramWebhook || snapshot.settings.telegramChatId)
+        )
+    };
+    const keyBuffer = await deriveBackupKey(password, salt);
+    const aad = Buffer.from(JSON.stringify(preview), 'utf8');
+    const cipher = crypto.createCipheriv(BACKUP_CIPHER, keyBuffer, iv);
+    cipher.setAAD(aad);
+    const ciphertext = Buffer.concat([
+        cipher.update(JSON.stringify(snapshot), 'utf8'),
+        cipher.final()
+    ]);
+    const tag = cipher.getAuthTag();
+
+    return {
+        schema: BACKUP_SCHEMA_ENCRYPTED,
+        createdAt: snapshot.createdAt,
+        encrypted: true,
+        preview,
+        encryption: {
+            algorithm: BACKUP_CIPHER,
+            kdf: 'scrypt',
+            aad: BACKUP_PREVIEW_AAD_MODE,
+            salt,
+            iv: iv.toString('base64'),
+            tag: tag.toString('base64')
+        },
+        ciphertext: ciphertext.toString('base64')
+    };
+}
+
+async function buildBackupSnapshotTemplate(server, items) {
+    const settingsResponse = await server.get('/settings');
+    assert.equal(settingsResponse.status, 200);
+    const settings = settingsResponse.json;
+    return {
+        schema: BACKUP_SCHEMA_PLAIN,
+        createdAt: new Date().toISOString(),
+        items,
+        settings: {
+            discordWebhook: '',
+            telegramWebhook: '',
+            telegramChatId: '',
+            lists: settings.lists,
+            alertRules: settings.alertRules,
+            checkIntervalMs: settings.checkIntervalMs,
+            checkIntervalPreset: settings.checkIntervalPreset
+        },
+        diagnostics: [],
+        audit: []
+    };
+}
+
+async function getCurrentRevision(server) {
+    const itemsResponse = await server.get('/items');
+    assert.equal(itemsResponse.status, 200);
+    return Number(itemsResponse.json.revision || 0);
+}
+
+module.exports = {
+    getFreePort,
+    startServer,
+    encryptBackupSnapshot,
+    buildBackupSnapshotTemplate,
+    getCurrentRevision
+};
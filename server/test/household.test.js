@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { startServer } = require('./helpers');
+
+test('household members only see their own and shared lists and cannot write to read-only shares', async (t) => {
+    const server = await startServer(t);
+    const signIn = async (response) => {
+        const cookie = String(response.headers.get('set-cookie') || '').split(';')[0];
+        const csrfToken = response.json.csrfToken;
+        const call = (apiPath, method = 'GET', body = undefined) => server.request(apiPath, {
+            method,
+            headers: body === undefined
+                ? { cookie, 'X-CSRF-Token': csrfToken }
+                : { cookie, 'X-CSRF-Token': csrfToken, 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { call, revision: async () => Number((await call('/items')).json.revision || 0) };
+    };
+
+    const admin = await signIn(await server.post('/auth/setup', { username: 'admin', password: 'correct horse battery' }));
+    const adminItem = await admin.call('/items/create', 'POST', {
+        revision: await admin.revision(),
+        item: { name: 'Shared Lamp', url: 'https://example.com/lamp', listId: 'default' }
+    });
+    assert.equal(adminItem.status, 200);
+
+    assert.equal((await admin.call('/users', 'POST', { username: 'X', password: 'member password' })).status, 400);
+    const addMember = await admin.call('/users', 'POST', { username: 'sam', password: 'member password' });
+    assert.equal(addMember.status, 200);
+    assert.deepEqual(addMember.json.users.map(user => `${user.username}:${user.role}`), ['admin:admin', 'sam:member']);
+
+    const memberLogin = await server.post('/auth/login', { username: 'sam', password: 'member password' });
+    assert.equal(memberLogin.status, 200);
+    assert.equal(memberLogin.json.role, 'member');
+    const member = await signIn(memberLogin);
+
+    const memberLists = await member.call('/lists');
+    assert.deepEqual(memberLists.json.lists.map(list => `${list.name}:${list.access}`), ['My List:owner']);
+    assert.equal((await member.call('/items')).json.items.length, 0);
+
+    const memberItem = await member.call('/items/create', 'POST', {
+        revision: await member.revision(),
+        item: { name: 'My Lamp', url: 'https://example.com/lamp' }
+    });
+    assert.equal(memberItem.status, 200);
+    assert.equal(memberItem.json.item.ownerId, 'sam');
+    assert.equal(memberItem.json.item.listId, memberLists.json.lists[0].id);
+    assert.equal((await member.call('/items/create', 'POST', {
+        revision: await member.revision(),
+        item: { name: 'Sneaky', url: 'https://example.com/sneaky', listId: 'default' }
+    })).status, 403);
+
+    const settingsRevision = Number((await admin.call('/settings')).json.revision);
+    const share = await admin.call('/lists/default/shares', 'POST', { revision: settingsRevision, userId: 'sam', access: 'read' });
+    assert.equal(share.status, 200);
+    const listOverwrite = await admin.call('/settings', 'POST', {
+        revision: Number((await admin.call('/settings')).json.revision),
+        lists: [{ id: 'default', name: 'Default', ownerId: 'admin' }]
+    });
+    assert.equal(listOverwrite.status, 200);
+    assert.deepEqual((await admin.call('/lists')).json.lists.find(list => list.id === 'default').shares, [{ userId: 'sam', access: 'read' }]);
+
+    const sharedItems = await member.call('/items');
+    assert.deepEqual(sharedItems.json.items.map(item => item.name).sort(), ['My Lamp', 'Shared Lamp']);
+    const deleteShared = await member.call(`/items/${adminItem.json.item.id}?revision=${sharedItems.json.revision}`, 'DELETE');
+    assert.equal(deleteShared.status, 403);
+
+    const memberVariant = await member.call('/items/create', 'POST', {
+        revision: sharedItems.json.revision,
+        item: { name: 'My Red Lamp', url: 'https://example.com/lamp', variantId: 'LAMP-RED', variantTitle: 'Red' }
+    });
+    assert.equal(memberVariant.status, 200);
+
+    assert.deepEqual((await admin.call('/items')).json.items.map(item => item.name), ['Shared Lamp']);
+    assert.equal((await member.call('/settings', 'POST', { revision: settingsRevision })).status, 403);
+    assert.equal((await member.call('/users')).status, 403);
+    assert.equal((await member.call('/backups')).status, 403);
+
+    const removed = await admin.call('/users/sam', 'DELETE');
+    assert.equal(removed.status, 200);
+    assert.equal(removed.json.droppedDuplicates, 1);
+    // Only the plain lamp duplicated the admin's item; the member's red variant is inherited.
+    const inherited = (await admin.call('/items')).json.items.filter(item => item.name !== 'Shared Lamp');
+    assert.deepEqual(inherited.map(item => `${item.name}:${item.variantId}`), ['My Red Lamp:LAMP-RED']);
+    assert.equal((await member.call('/items')).status, 401);
+    const adminLists = await admin.call('/lists');
+    assert(adminLists.json.lists.some(list => list.name === 'My List' && list.access === 'owner'));
+    assert(adminLists.json.lists.every(list => !(list.shares || []).length));
+});
+
+test('a member-started check covers only the items that member can change', async (t) => {
+    const server = await startServer(t, {
+        env: { CENTSIBLE_TEST_FETCH_HTML: '<html><body><h1>Lamp</h1><span class="price">$20.00</span></body></html>' }
+    });
+    const signIn = async (response) => {
+        const cookie = String(response.headers.get('set-cookie') || '').split(';')[0];
+        const call = (apiPath, method = 'GET', body = undefined) => server.request(apiPath, {
+            method,
+            headers: { cookie, 'X-CSRF-Token': response.json.csrfToken, 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { call, revision: async () => Number((await call('/items')).json.revision || 0) };
+    };
+    const admin = await signIn(await server.post('/auth/setup', { username: 'admin', password: 'correct horse battery' }));
+    assert.equal((await admin.call('/users', 'POST', { username: 'sam', password: 'member password' })).status, 200);
+    const member = await signIn(await server.post('/auth/login', { username: 'sam', password: 'member password' }));
+
+    const adminItem = await admin.call('/items/create', 'POST', {
+        revision: await admin.revision(),
+        item: { name: 'Admin Lamp', url: 'https://example.com/admin-lamp', listId: 'default', currentPrice: 22, currency: 'USD' }
+    });
+    assert.equal(adminItem.status, 200);
+    const memberItem = await member.call('/items/create', 'POST', {
+        revision: await member.revision(),
+        item: { name: 'Member Lamp', url: 'https://example.com/member-lamp', currentPrice: 22, currency: 'USD' }
+    });
+    assert.equal(memberItem.status, 200);
+
+    assert.equal((await member.call('/check-now', 'POST', {})).status, 200);
+    const startedAt = Date.now();
+    let itemsResponse;
+    do {
+        await delay(100);
+        itemsResponse = await admin.call('/items');
+    } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 15000);
+    const checkedAdminItem = itemsResponse.json.items.find(item => item.id === adminItem.json.item.id);
+    assert.equal(checkedAdminItem.currentPrice, 22);
+    assert.equal(checkedAdminItem.lastCheckAttempt ?? null, null);
+    const checkedMemberItem = (await member.call('/items')).json.items.find(item => item.id === memberItem.json.item.id);
+    assert.equal(checkedMemberItem.currentPrice, 20);
+});
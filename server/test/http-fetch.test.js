@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { startServer, getCurrentRevision } = require('./helpers');
+
+test('background checks use static HTML when it has a confident price and remember hosts that need the browser', async (t) => {
+    const jsonLdPage = '<html><head><script type="application/ld+json">{"@context":"https://schema.org","@type":"Product","name":"Lamp","offers":{"@type":"Offer","price":"15.00","priceCurrency":"USD"}}</script></head><body></body></html>';
+    const runCheck = async (server) => {
+        assert.equal((await server.post('/check-now', {})).status, 200);
+        const startedAt = Date.now();
+        let itemsResponse;
+        do {
+            await delay(100);
+            itemsResponse = await server.get('/items');
+        } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 10000);
+        return itemsResponse.json;
+    };
+    const createItem = async (server) => {
+        const created = await server.post('/items/create', {
+            revision: await getCurrentRevision(server),
+            item: { name: 'Lamp', url: 'https://static.example/lamp', currentPrice: 10, currency: 'USD' }
+        });
+        assert.equal(created.status, 200);
+    };
+
+    const staticServer = await startServer(t, {
+        env: {
+            CENTSIBLE_TEST_HTTP_FETCH_HTML: jsonLdPage,
+            CENTSIBLE_TEST_FETCH_HTML: '<html><body><span>$20.00</span></body></html>'
+        }
+    });
+    await createItem(staticServer);
+    let payload = await runCheck(staticServer);
+    assert.equal(payload.items[0].currentPrice, 15);
+    let diagnostics = (await staticServer.get('/diagnostics')).json;
+    assert.equal(diagnostics.entries[0].fetchStrategy, 'http');
+    assert.deepEqual(diagnostics.fetchStrategies.map(entry => [entry.host, entry.strategy]), [['static.example', 'http']]);
+
+    const dynamicServer = await startServer(t, {
+        env: {
+            CENTSIBLE_TEST_HTTP_FETCH_HTML: '<html><body><div id="root"></div></body></html>',
+            CENTSIBLE_TEST_FETCH_HTML: '<html><body><span>$20.00</span></body></html>'
+        }
+    });
+    await createItem(dynamicServer);
+    payload = await runCheck(dynamicServer);
+    assert.equal(payload.items[0].currentPrice, 20);
+    diagnostics = (await dynamicServer.get('/diagnostics')).json;
+    assert.equal(diagnostics.entries[0].fetchStrategy, 'browser');
+    assert.deepEqual(diagnostics.fetchStrategies.map(entry => [entry.host, entry.strategy]), [['static.example', 'browser']]);
+});
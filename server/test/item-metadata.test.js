@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { startServer, getCurrentRevision } = require('./helpers');
+
+test('checks store page metadata and cache the product thumbnail under the data directory', async (t) => {
+    const breadcrumbJson = JSON.stringify({
+        '@context': 'https://schema.org',
+        '@type': 'BreadcrumbList',
+        itemListElement: [
+            { '@type': 'ListItem', position: 1, name: 'Home' },
+            { '@type': 'ListItem', position: 2, name: 'Kitchen' },
+            { '@type': 'ListItem', position: 3, name: 'Coffee' },
+            { '@type': 'ListItem', position: 4, name: 'Burr Grinder' }
+        ]
+    });
+    const pngBytes = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+    const server = await startServer(t, {
+        env: {
+            CENTSIBLE_TEST_FETCH_HTML: `<html><head><title>Burr Grinder | Shop</title><meta property="og:title" content="Burr Grinder"><meta property="og:image" content="/images/grinder.png"><meta property="product:brand" content="Baratza"><script type="application/ld+json">${breadcrumbJson}</script></head><body><span class="price">$149.00</span></body></html>`,
+            CENTSIBLE_TEST_FETCH_IMAGE: pngBytes.toString('base64')
+        }
+    });
+
+    const created = await server.post('/items/create', {
+        revision: await getCurrentRevision(server),
+        item: { name: 'Grinder', url: 'https://shop.example.com/grinder', currentPrice: 160, currency: 'USD' }
+    });
+    assert.equal(created.status, 200);
+    const itemId = created.json.item.id;
+    const missing = await server.get(`/items/${itemId}/thumbnail`);
+    assert.equal(missing.status, 404);
+
+    assert.equal((await server.post('/check-now', {})).status, 200);
+    const startedAt = Date.now();
+    let itemsResponse;
+    do {
+        await delay(100);
+        itemsResponse = await server.get('/items');
+    } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 15000);
+    const item = itemsResponse.json.items.find(entry => entry.id === itemId);
+    assert.equal(item.pageTitle, 'Burr Grinder');
+    assert.equal(item.imageUrl, 'https://shop.example.com/images/grinder.png');
+    assert.equal(item.category, 'Kitchen > Coffee');
+    assert.equal(item.brand, 'Baratza');
+    assert.equal(item.thumbnailFile, `${itemId}.png`);
+
+    const cached = await fs.readFile(path.join(server.dataDir, 'thumbnails', item.thumbnailFile));
+    assert.deepEqual(cached, pngBytes);
+    const thumbnail = await server.get(`/items/${itemId}/thumbnail`);
+    assert.equal(thumbnail.status, 200);
+    assert.equal(thumbnail.headers.get('content-type'), 'image/png');
+
+    const deleted = await server.request(`/items/${itemId}?revision=${itemsResponse.json.revision}`, { method: 'DELETE' });
+    assert.equal(deleted.status, 200);
+    await assert.rejects(fs.access(path.join(server.dataDir, 'thumbnails', item.thumbnailFile)));
+});
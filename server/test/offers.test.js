@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { startServer, getCurrentRevision } = require('./helpers');
+
+test('offer-listing mode stores lowest new, lowest used, and buy-box series', async (t) => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'centsible-regression-'));
+    await fs.mkdir(path.join(dataDir, 'adapters'), { recursive: true });
+    await fs.writeFile(path.join(dataDir, 'adapters', 'bazaar.json'), JSON.stringify({
+        id: 'bazaar',
+        hosts: ['bazaar.example'],
+        priceSelectors: ['.main-price'],
+        offers: {
+            rowSelector: '.offer',
+            buyBoxSelector: '.offer.featured',
+            priceSelector: '.offer-price',
+            sellerSelector: '.offer-seller',
+            conditionSelector: '.offer-condition',
+            shippingSelector: '.offer-ship'
+        }
+    }));
+    const productJson = JSON.stringify({
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        name: 'Headphones',
+        offers: [
+            { '@type': 'Offer', price: '60.00', priceCurrency: 'USD', itemCondition: 'https://schema.org/NewCondition', seller: { name: 'Zed Audio' } },
+            { '@type': 'Offer', price: '25.00', priceCurrency: 'USD', itemCondition: 'https://schema.org/UsedCondition', seller: { name: 'Yard Sale' }, shippingDetails: { shippingRate: { value: '5.00' } } }
+        ]
+    });
+    const server = await startServer(t, {
+        dataDir,
+        env: {
+            CENTSIBLE_TEST_FETCH_HTML: `<html><head><script type="application/ld+json">${productJson}</script></head><body>
+                <div class="main-price">$50.00</div>
+                <div class="offer featured"><span class="offer-seller">Alpha</span><span class="offer-condition">New</span><span class="offer-price">$50.00</span><span class="offer-ship">FREE delivery</span></div>
+                <div class="offer"><span class="offer-seller">Beta</span><span class="offer-condition">New</span><span class="offer-price">$45.00</span><span class="offer-ship">$3.00 delivery</span></div>
+                <div class="offer"><span class="offer-seller">Gamma</span><span class="offer-condition">Used - Like New</span><span class="offer-price">$30.00</span><span class="offer-ship">$4.99 delivery</span></div>
+            </body></html>`
+        }
+    });
+
+    const createdIds = {};
+    for (const [name, url] of [['bazaar', 'https://bazaar.example/p/1'], ['marketplace', 'https://market.example/p/1'], ['plain', 'https://plain.example/p/1']]) {
+        const created = await server.post('/items/create', {
+            revision: await getCurrentRevision(server),
+            item: { name, url, currentPrice: 1, currency: 'USD', offerMode: name !== 'plain', alertSeries: 'lowestUsed', targetPrice: 40 }
+        });
+        assert.equal(created.status, 200);
+        createdIds[name] = created.json.item.id;
+    }
+
+    assert.equal((await server.post('/check-now', {})).status, 200);
+    const startedAt = Date.now();
+    let itemsResponse;
+    do {
+        await delay(100);
+        itemsResponse = await server.get('/items');
+    } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 15000);
+    const byId = new Map(itemsResponse.json.items.map(item => [item.id, item]));
+
+    const bazaar = byId.get(createdIds.bazaar);
+    assert.deepEqual(bazaar.offerSummary, { lowestNew: 48, lowestUsed: 34.99, buyBox: 50, offerCount: 3 });
+    assert.deepEqual(bazaar.offers.map(offer => [offer.seller, offer.condition, offer.shipping, offer.buyBox]), [
+        ['Gamma', 'used', 4.99, false],
+        ['Beta', 'new', 3, false],
+        ['Alpha', 'new', 0, true]
+    ]);
+    assert.equal(bazaar.offerHistory.length, 1);
+    assert.equal(bazaar.offerHistory[0].lowestUsed, 34.99);
+    assert.equal(bazaar.alertSeries, 'lowestUsed');
+
+    const marketplace = byId.get(createdIds.marketplace);
+    assert.equal(marketplace.offerSummary.lowestNew, 60);
+    assert.equal(marketplace.offerSummary.lowestUsed, 30);
+    assert.equal(marketplace.offerSummary.buyBox, marketplace.currentPrice);
+    assert.deepEqual(marketplace.variants, [], 'offers from several sellers are not variants');
+
+    const plain = byId.get(createdIds.plain);
+    assert.deepEqual(plain.offers, []);
+    assert.equal(plain.offerSummary, null);
+
+    const invalid = await server.patch(`/items/${encodeURIComponent(bazaar.id)}`, {
+        revision: await getCurrentRevision(server),
+        alertSeries: 'cheapestEver'
+    });
+    assert.equal(invalid.status, 400);
+    const switched = await server.patch(`/items/${encodeURIComponent(bazaar.id)}`, {
+        revision: await getCurrentRevision(server),
+        alertSeries: 'buyBox'
+    });
+    assert.equal(switched.status, 200);
+    assert.equal(switched.json.item.alertSeries, 'buyBox');
+});
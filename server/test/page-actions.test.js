@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { parsePageActionScript, formatPageAction } = require('../server.js');
+const { startServer, getCurrentRevision } = require('./helpers');
+
+test('page action scripts parse one step per line and skip blanks and comments', () => {
+    const actions = parsePageActionScript([
+        '# accept the consent banner first',
+        'try click #accept-cookies',
+        '',
+        'TYPE input[name=zip] | 10115 ',
+        'wait-for .price',
+        'scroll',
+        'scroll #reviews',
+        'wait 500'
+    ].join('\r\n'));
+    assert.deepEqual(actions, [
+        { type: 'click', selector: '#accept-cookies', text: null, ms: null, optional: true },
+        { type: 'type', selector: 'input[name=zip]', text: '10115', ms: null, optional: false },
+        { type: 'wait-for', selector: '.price', text: null, ms: null, optional: false },
+        { type: 'scroll', selector: null, text: null, ms: null, optional: false },
+        { type: 'scroll', selector: '#reviews', text: null, ms: null, optional: false },
+        { type: 'wait', selector: null, text: null, ms: 500, optional: false }
+    ]);
+    assert.deepEqual(actions.map(formatPageAction), [
+        'try click #accept-cookies',
+        'type input[name=zip] | 10115',
+        'wait-for .price',
+        'scroll',
+        'scroll #reviews',
+        'wait 500'
+    ]);
+    assert.deepEqual(parsePageActionScript(['click .a', 'wait 10']).map(action => action.type), ['click', 'wait']);
+});
+
+test('page action scripts report the line of the first invalid step', () => {
+    assert.throws(() => parsePageActionScript('click .a\nhover .b'), /^Error: Line 2: unknown action "hover"$/);
+    assert.throws(() => parsePageActionScript('wait-for'), /Line 1: wait-for needs a selector/);
+    assert.throws(() => parsePageActionScript('type #zip'), /Line 1: type needs "<selector> \| <text>"/);
+    assert.throws(() => parsePageActionScript('\nwait 0'), /Line 2: wait needs milliseconds between 1 and 10000/);
+    assert.throws(() => parsePageActionScript('wait 10001'), /Line 1: wait needs milliseconds/);
+    assert.throws(() => parsePageActionScript('wait 1.5'), /Line 1: wait needs milliseconds/);
+});
+
+test('page action scripts are limited to 20 steps', () => {
+    assert.equal(parsePageActionScript(Array(20).fill('scroll')).length, 20);
+    assert.throws(() => parsePageActionScript(Array(21).fill('scroll')), /limited to 20 steps/);
+});
+
+test('items with page actions are checked in the browser and reject scripts that do not parse', async (t) => {
+    const server = await startServer(t, {
+        env: {
+            CENTSIBLE_TEST_HTTP_FETCH_HTML: '<html><head><script type="application/ld+json">{"@context":"https://schema.org","@type":"Product","name":"Lamp","offers":{"@type":"Offer","price":"15.00","priceCurrency":"USD"}}</script></head><body></body></html>',
+            CENTSIBLE_TEST_FETCH_HTML: '<html><body><span class="price">$20.00</span></body></html>'
+        }
+    });
+    const created = await server.post('/items/create', {
+        revision: await getCurrentRevision(server),
+        item: { name: 'Lamp', url: 'https://scripted.example/lamp', currentPrice: 10, currency: 'USD' }
+    });
+    assert.equal(created.status, 200);
+    const itemId = created.json.item.id;
+
+    const invalid = await server.patch(`/items/${itemId}`, { pageActions: 'click #accept\nhover .price', revision: created.json.revision });
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.json.error, /^Line 2: unknown action/);
+    const tooLong = await server.patch(`/items/${itemId}`, { pageActions: 'wait 60000', revision: created.json.revision });
+    assert.equal(tooLong.status, 400);
+
+    const scripted = await server.patch(`/items/${itemId}`, {
+        pageActions: 'try click #accept-cookies\n\n# reveal the price\nclick ::-p-text(Show price)\ntype #zip | 10115\nwait 500',
+        revision: created.json.revision
+    });
+    assert.equal(scripted.status, 200);
+    assert.deepEqual(scripted.json.item.pageActions, [
+        { type: 'click', selector: '#accept-cookies', text: null, ms: null, optional: true },
+        { type: 'click', selector: '::-p-text(Show price)', text: null, ms: null, optional: false },
+        { type: 'type', selector: '#zip', text: '10115', ms: null, optional: false },
+        { type: 'wait', selector: null, text: null, ms: 500, optional: false }
+    ]);
+
+    assert.equal((await server.post('/check-now', {})).status, 200);
+    const startedAt = Date.now();
+    let itemsResponse;
+    do {
+        await delay(100);
+        itemsResponse = await server.get('/items');
+    } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 10000);
+    assert.equal(itemsResponse.json.items[0].currentPrice, 20);
+    const diagnostics = (await server.get('/diagnostics')).json;
+    assert.equal(diagnostics.entries[0].fetchStrategy, 'browser');
+    assert.deepEqual(diagnostics.fetchStrategies, []);
+
+    const cleared = await server.patch(`/items/${itemId}`, { pageActions: '', revision: itemsResponse.json.revision });
+    assert.equal(cleared.status, 200);
+    assert.deepEqual(cleared.json.item.pageActions, []);
+
+    const emptyTrial = await server.post('/page-actions/test', { url: 'https://scripted.example/lamp', actions: '# nothing yet' });
+    assert.equal(emptyTrial.status, 400);
+    const badTrial = await server.post('/page-actions/test', { url: 'https://scripted.example/lamp', actions: 'type #zip' });
+    assert.equal(badTrial.status, 400);
+    assert.match(badTrial.json.error, /^Line 1: type needs/);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { resolvePageWait } = require('../server.js');
+const { startServer, getCurrentRevision } = require('./helpers');
+
+const baseSettings = { pageWaitStrategy: 'auto', pageWaitTimeoutMs: 10000, pageWaitRules: [] };
+
+test('auto waits for the item selector when there is one and for any price signal otherwise', () => {
+    assert.deepEqual(resolvePageWait('https://shop.example/p/1', null, baseSettings), {
+        strategy: 'content',
+        timeoutMs: 10000,
+        selectors: []
+    });
+    assert.deepEqual(resolvePageWait('https://shop.example/p/1', '.price-now', baseSettings), {
+        strategy: 'selector',
+        timeoutMs: 10000,
+        selectors: ['.price-now']
+    });
+});
+
+test('auto on an adapter site waits for the item selector and the adapter price selectors', () => {
+    const plan = resolvePageWait('https://www.amazon.de/dp/B000000000', '#custom-price', baseSettings);
+    assert.equal(plan.strategy, 'selector');
+    assert.equal(plan.selectors[0], '#custom-price');
+    assert.ok(plan.selectors.includes('#priceblock_ourprice'));
+});
+
+test('the most specific site rule wins and keeps its own timeout', () => {
+    const settings = {
+        ...baseSettings,
+        pageWaitRules: [
+            { host: 'example.com', strategy: 'network-idle', timeoutMs: 20000 },
+            { host: 'shop.example.com', strategy: 'fixed', timeoutMs: null }
+        ]
+    };
+    assert.deepEqual(resolvePageWait('https://www.shop.example.com/p/1', '.price', settings), {
+        strategy: 'fixed',
+        timeoutMs: 2000,
+        selectors: ['.price']
+    });
+    assert.deepEqual(resolvePageWait('https://blog.example.com/p/1', null, settings), {
+        strategy: 'network-idle',
+        timeoutMs: 20000,
+        selectors: []
+    });
+    assert.equal(resolvePageWait('https://example.org/p/1', null, settings).strategy, 'content');
+});
+
+test('a selector strategy without any selector falls back to waiting for page content', () => {
+    const settings = { ...baseSettings, pageWaitStrategy: 'selector', pageWaitTimeoutMs: 15000 };
+    assert.deepEqual(resolvePageWait('https://shop.example/p/1', null, settings), {
+        strategy: 'content',
+        timeoutMs: 15000,
+        selectors: []
+    });
+    assert.equal(resolvePageWait('https://shop.example/p/1', '.price', settings).strategy, 'selector');
+});
+
+test('browser checks follow the wait strategy of their site rule and record how long each fetch took', async (t) => {
+    const server = await startServer(t, {
+        env: {
+            CENTSIBLE_TEST_HTTP_FETCH_HTML: '<html><body><div id="root"></div></body></html>',
+            CENTSIBLE_TEST_FETCH_HTML: '<html><body><span class="price">$20.00</span></body></html>'
+        }
+    });
+    const settingsResponse = await server.get('/settings');
+    const saved = await server.post('/settings', {
+        revision: settingsResponse.json.revision,
+        pageWaitStrategy: 'fixed',
+        pageWaitTimeoutMs: 120000,
+        pageWaitRules: [
+            { host: 'https://www.spa.example/', strategy: 'network-idle', timeoutMs: 15000 },
+            { host: 'broken.example', strategy: 'sleep' }
+        ]
+    });
+    assert.equal(saved.status, 200);
+    const storedSettings = (await server.get('/settings')).json;
+    assert.equal(storedSettings.pageWaitTimeoutMs, 30000);
+    assert.deepEqual(storedSettings.pageWaitRules, [{ host: 'spa.example', strategy: 'network-idle', timeoutMs: 15000 }]);
+
+    for (const [name, url, selector] of [
+        ['Spa Lamp', 'https://shop.spa.example/lamp', null],
+        ['Plain Lamp', 'https://plain.example/lamp', null],
+        ['Picked Lamp', 'https://picked.example/lamp', '.price']
+    ]) {
+        const created = await server.post('/items/create', {
+            revision: await getCurrentRevision(server),
+            item: { name, url, selector, currentPrice: 10, currency: 'USD' }
+        });
+        assert.equal(created.status, 200);
+    }
+    const autoSettings = await server.post('/settings', { revision: storedSettings.revision, pageWaitStrategy: 'auto' });
+    assert.equal(autoSettings.status, 200);
+
+    assert.equal((await server.post('/check-now', {})).status, 200);
+    const startedAt = Date.now();
+    let itemsResponse;
+    do {
+        await delay(100);
+        itemsResponse = await server.get('/items');
+    } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 10000);
+
+    const entries = (await server.get('/diagnostics')).json.entries;
+    const waitByItem = Object.fromEntries(entries.map(entry => [entry.itemName, entry.waitStrategy]));
+    assert.deepEqual(waitByItem, { 'Spa Lamp': 'network-idle', 'Plain Lamp': 'content', 'Picked Lamp': 'selector' });
+    for (const entry of entries) {
+        assert.equal(entry.fetchStrategy, 'browser');
+        assert.equal(typeof entry.fetchMs, 'number');
+        assert.ok(entry.fetchMs >= 0);
+        assert.equal(entry.waitTimedOut, false);
+    }
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { startServer, getCurrentRevision } = require('./helpers');
+
+test('implausible price readings are held until a re-check confirms them or a user accepts or rejects them', async (t) => {
+    const server = await startServer(t, {
+        env: { CENTSIBLE_TEST_FETCH_HTML: '<html><body><h1>Monitor</h1><span class="price">$45.00</span></body></html>' }
+    });
+    const itemIds = {};
+    for (const [key, currentPrice] of [['confirmed', 450], ['accepted', 4500], ['rejected', 4], ['offers', 450]]) {
+        const created = await server.post('/items/create', {
+            revision: await getCurrentRevision(server),
+            item: {
+                name: `Monitor ${key}`,
+                url: `https://monitors.example.com/${key}`,
+                currentPrice,
+                currency: 'USD',
+                ...(key === 'offers' ? { offerMode: true, alertSeries: 'buyBox' } : {})
+            }
+        });
+        assert.equal(created.status, 200);
+        itemIds[key] = created.json.item.id;
+        // A first successful check at the typed-in price sets the baseline the guard compares against.
+        const baseline = await server.post(`/items/${itemIds[key]}/check-result`, {
+            revision: created.json.revision,
+            expectedUrl: created.json.item.url,
+            extraction: { price: currentPrice, currency: 'USD', confidence: 90 }
+        });
+        assert.equal(baseline.status, 200);
+        assert.equal(baseline.json.item.currentPrice, currentPrice);
+    }
+    const runCheck = async () => {
+        assert.equal((await server.post('/check-now', {})).status, 200);
+        const startedAt = Date.now();
+        let itemsResponse;
+        do {
+            await delay(100);
+            itemsResponse = await server.get('/items');
+        } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 15000);
+        return itemsResponse;
+    };
+    const findItem = (response, key) => response.json.items.find(entry => entry.id === itemIds[key]);
+
+    let itemsResponse = await runCheck();
+    const held = findItem(itemsResponse, 'confirmed');
+    assert.equal(held.currentPrice, 450);
+    assert.equal(held.pendingPrice.price, 45);
+    assert.equal(held.pendingPrice.referencePrice, 450);
+    assert.match(held.pendingPrice.reason, /10x/);
+    assert.ok(!held.history.some(entry => entry.price === 45));
+    const heldOffers = findItem(itemsResponse, 'offers');
+    assert.equal(heldOffers.pendingPrice.price, 45);
+    assert.equal(heldOffers.offerSummary, null, 'a held reading leaves the offer series alone');
+    assert.deepEqual(heldOffers.offerHistory, []);
+
+    const accepted = await server.post(`/items/${itemIds.accepted}/pending-price/accept`, { revision: itemsResponse.json.revision });
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.json.item.currentPrice, 45);
+    assert.equal(accepted.json.item.pendingPrice, null);
+    assert.equal(accepted.json.item.history.at(-1).price, 45);
+    const rejected = await server.post(`/items/${itemIds.rejected}/pending-price/reject`, { revision: accepted.json.revision });
+    assert.equal(rejected.status, 200);
+    assert.equal(rejected.json.item.currentPrice, 4);
+    assert.equal(rejected.json.item.pendingPrice, null);
+    const missing = await server.post(`/items/${itemIds.rejected}/pending-price/accept`, { revision: rejected.json.revision });
+    assert.equal(missing.status, 404);
+
+    itemsResponse = await runCheck();
+    const confirmed = findItem(itemsResponse, 'confirmed');
+    assert.equal(confirmed.currentPrice, 45);
+    assert.equal(confirmed.pendingPrice, null);
+    assert.equal(confirmed.history.at(-1).price, 45);
+    assert.equal(findItem(itemsResponse, 'accepted').pendingPrice, null);
+    assert.equal(findItem(itemsResponse, 'rejected').currentPrice, 4);
+    assert.equal(findItem(itemsResponse, 'rejected').pendingPrice.price, 45);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, getCurrentRevision } = require('./helpers');
+
+test('product groups link items across stores, report the cheapest member, and unlink on delete', async (t) => {
+    const server = await startServer(t);
+
+    const first = await server.post('/items/create', {
+        revision: await getCurrentRevision(server),
+        item: { name: 'Headphones A', url: 'https://store-a.example.com/headphones', currentPrice: 120, currency: 'USD' }
+    });
+    assert.equal(first.status, 200);
+    const second = await server.post('/items/create', {
+        revision: await getCurrentRevision(server),
+        item: { name: 'Headphones B', url: 'https://store-b.example.com/headphones', currentPrice: 100, currency: 'USD' }
+    });
+    assert.equal(second.status, 200);
+
+    const groupsResponse = await server.get('/groups');
+    assert.deepEqual(groupsResponse.json.groups, []);
+    const missingName = await server.post('/groups', { revision: groupsResponse.json.revision, name: ' ' });
+    assert.equal(missingName.status, 400);
+    const created = await server.post('/groups', {
+        revision: groupsResponse.json.revision,
+        name: 'Headphones',
+        targetPrice: 110,
+        targetCurrency: 'USD'
+    });
+    assert.equal(created.status, 200);
+    const groupId = created.json.group.id;
+
+    const unknown = await server.patch(`/items/${encodeURIComponent(first.json.item.id)}`, {
+        revision: await getCurrentRevision(server),
+        groupId: 'group_missing'
+    });
+    assert.equal(unknown.status, 404);
+    for (const item of [first.json.item, second.json.item]) {
+        const linked = await server.patch(`/items/${encodeURIComponent(item.id)}`, {
+            revision: await getCurrentRevision(server),
+            groupId
+        });
+        assert.equal(linked.status, 200);
+        assert.equal(linked.json.item.groupId, groupId);
+    }
+
+    const summary = (await server.get('/groups')).json.groups.find(group => group.id === groupId);
+    assert.deepEqual(summary.memberIds.sort(), [first.json.item.id, second.json.item.id].sort());
+    assert.equal(summary.cheapestItemId, second.json.item.id);
+    assert.equal(summary.cheapestPriceUSD, 100);
+    assert.equal(summary.targetHit, true);
+
+    const badTarget = await server.patch(`/groups/${encodeURIComponent(groupId)}`, {
+        revision: created.json.revision,
+        targetPrice: 90,
+        targetCurrency: 'XYZ'
+    });
+    assert.equal(badTarget.status, 400);
+    const lowered = await server.patch(`/groups/${encodeURIComponent(groupId)}`, {
+        revision: created.json.revision,
+        targetPrice: 90
+    });
+    assert.equal(lowered.status, 200);
+    assert.equal(lowered.json.groups[0].targetHit, false);
+
+    const deleted = await server.post(`/groups/${encodeURIComponent(groupId)}/delete`, { revision: lowered.json.revision });
+    assert.equal(deleted.status, 200);
+    assert.deepEqual(deleted.json.groups, []);
+    const itemsResponse = await server.get('/items');
+    assert.equal(itemsResponse.json.items.length, 2);
+    assert.ok(itemsResponse.json.items.every(item => item.groupId === null));
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { startServer, getCurrentRevision } = require('./helpers');
+
+test('product identifiers from structured data suggest cross-store matches and same-store duplicates', async (t) => {
+    const productJson = JSON.stringify({
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        name: 'Noise Cancelling Headphones',
+        gtin13: '4 006381 333931',
+        mpn: 'WH-1000XM5',
+        sku: 'HP-5501',
+        brand: { '@type': 'Brand', name: 'Sony' },
+        offers: { '@type': 'Offer', price: '299.00', priceCurrency: 'USD' }
+    });
+    const server = await startServer(t, {
+        env: {
+            CENTSIBLE_TEST_FETCH_HTML: `<html><head><script type="application/ld+json">${productJson}</script></head><body><h1>Headphones</h1></body></html>`
+        }
+    });
+
+    const createdIds = [];
+    for (const url of ['https://store-a.example.com/headphones', 'https://store-a.example.com/headphones-black', 'https://store-b.example.com/p/1']) {
+        const created = await server.post('/items/create', {
+            revision: await getCurrentRevision(server),
+            item: { name: `Headphones ${createdIds.length + 1}`, url, currentPrice: 320, currency: 'USD' }
+        });
+        assert.equal(created.status, 200);
+        createdIds.push(created.json.item.id);
+    }
+
+    assert.equal((await server.post('/check-now', {})).status, 200);
+    const startedAt = Date.now();
+    let itemsResponse;
+    do {
+        await delay(100);
+        itemsResponse = await server.get('/items');
+    } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 15000);
+    const item = itemsResponse.json.items.find(entry => entry.id === createdIds[0]);
+    assert.equal(item.gtin, '4006381333931');
+    assert.equal(item.mpn, 'WH-1000XM5');
+    assert.equal(item.sku, 'HP-5501');
+    assert.equal(item.brand, 'Sony');
+
+    const matchesResponse = await server.get('/matches');
+    assert.equal(matchesResponse.status, 200);
+    const sameProduct = matchesResponse.json.matches.find(match => match.kind === 'same-product');
+    const duplicate = matchesResponse.json.matches.find(match => match.kind === 'duplicate');
+    assert.equal(matchesResponse.json.matches.length, 2);
+    assert.equal(sameProduct.reason, 'gtin');
+    assert.deepEqual(sameProduct.itemIds, [...createdIds].sort());
+    assert.equal(duplicate.reason, 'sku');
+    assert.deepEqual(duplicate.itemIds, createdIds.slice(0, 2).sort());
+
+    const dismissed = await server.post(`/matches/${duplicate.id}/dismiss`, { revision: matchesResponse.json.revision });
+    assert.equal(dismissed.status, 200);
+    assert.deepEqual(dismissed.json.matches.map(match => match.id), [sameProduct.id]);
+    const missing = await server.post(`/matches/${duplicate.id}/dismiss`, { revision: dismissed.json.revision });
+    assert.equal(missing.status, 404);
+});
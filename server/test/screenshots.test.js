@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { startServer, getCurrentRevision } = require('./helpers');
+
+test('price and stock changes capture a screenshot that is served with the item and deleted with it', async (t) => {
+    const pngBytes = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+    const server = await startServer(t, {
+        env: {
+            CENTSIBLE_TEST_FETCH_HTML: '<html><body><h1>Toaster</h1><span class="price">$42.00</span></body></html>',
+            CENTSIBLE_TEST_FETCH_IMAGE: pngBytes.toString('base64')
+        }
+    });
+    const settingsRevision = Number((await server.get('/settings')).json.revision);
+    const saved = await server.post('/settings', { revision: settingsRevision, screenshotMode: 'element', screenshotRetentionDays: 14 });
+    assert.equal(saved.status, 200);
+
+    const created = await server.post('/items/create', {
+        revision: await getCurrentRevision(server),
+        item: { name: 'Toaster', url: 'https://toasters.example.com/t1', currentPrice: 50, currency: 'USD' }
+    });
+    assert.equal(created.status, 200);
+    const itemId = created.json.item.id;
+    const runCheck = async () => {
+        assert.equal((await server.post('/check-now', {})).status, 200);
+        const startedAt = Date.now();
+        let itemsResponse;
+        do {
+            await delay(100);
+            itemsResponse = await server.get('/items');
+        } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 15000);
+        return itemsResponse.json.items.find(entry => entry.id === itemId);
+    };
+
+    let item = await runCheck();
+    assert.equal(item.currentPrice, 42);
+    assert.equal(item.screenshots.length, 1);
+    const [shot] = item.screenshots;
+    assert.equal(shot.price, 42);
+    assert.equal(shot.mode, 'element');
+    assert.equal(shot.date, item.history.at(-1).date);
+    const screenshotPath = path.join(server.dataDir, 'screenshots', shot.file);
+    assert.deepEqual(await fs.readFile(screenshotPath), pngBytes);
+    const served = await server.get(`/items/${itemId}/screenshots/${shot.file}`);
+    assert.equal(served.status, 200);
+    assert.equal((await server.get(`/items/${itemId}/screenshots/other.png`)).status, 404);
+
+    item = await runCheck();
+    assert.equal(item.screenshots.length, 1);
+
+    const deleted = await server.request(`/items/${itemId}?revision=${await getCurrentRevision(server)}`, { method: 'DELETE' });
+    assert.equal(deleted.status, 200);
+    await assert.rejects(fs.access(screenshotPath));
+});
+
+test('a change read over plain HTTP is read again in the browser to capture it, and unchanged checks stay on HTTP', async (t) => {
+    const productJson = JSON.stringify({ '@context': 'https://schema.org', '@type': 'Product', name: 'Kettle', offers: { '@type': 'Offer', price: '24.00', priceCurrency: 'USD', availability: 'https://schema.org/InStock' } });
+    const server = await startServer(t, {
+        env: {
+            CENTSIBLE_TEST_HTTP_FETCH_HTML: `<html><head><script type="application/ld+json">${productJson}</script></head><body><h1>Kettle</h1></body></html>`,
+            CENTSIBLE_TEST_FETCH_HTML: `<html><head><script type="application/ld+json">${productJson}</script></head><body><h1>Kettle</h1><span class="price">$24.00</span></body></html>`,
+            CENTSIBLE_TEST_FETCH_IMAGE: 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg=='
+        }
+    });
+    const settingsRevision = Number((await server.get('/settings')).json.revision);
+    assert.equal((await server.post('/settings', { revision: settingsRevision, screenshotMode: 'page' })).status, 200);
+    const created = await server.post('/items/create', {
+        revision: await getCurrentRevision(server),
+        item: { name: 'Kettle', url: 'https://kettles.example.com/k1', currentPrice: 30, currency: 'USD' }
+    });
+    assert.equal(created.status, 200);
+    const itemId = created.json.item.id;
+    const runCheck = async () => {
+        assert.equal((await server.post('/check-now', {})).status, 200);
+        const startedAt = Date.now();
+        let itemsResponse;
+        do {
+            await delay(100);
+            itemsResponse = await server.get('/items');
+        } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 15000);
+        return itemsResponse.json.items.find(entry => entry.id === itemId);
+    };
+
+    let item = await runCheck();
+    assert.equal(item.currentPrice, 24);
+    assert.equal(item.screenshots.length, 1);
+    assert.equal(item.screenshots[0].price, 24);
+    assert.equal(item.screenshots[0].mode, 'page');
+    let diagnostics = (await server.get(`/diagnostics?itemId=${itemId}`)).json;
+    assert.equal(diagnostics.entries[0].fetchStrategy, 'browser');
+    assert.deepEqual(diagnostics.fetchStrategies.map(entry => entry.strategy), ['http']);
+
+    item = await runCheck();
+    assert.equal(item.screenshots.length, 1);
+    diagnostics = (await server.get(`/diagnostics?itemId=${itemId}`)).json;
+    assert.equal(diagnostics.entries[0].fetchStrategy, 'http');
+});
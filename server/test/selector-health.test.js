@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { startServer, getCurrentRevision } = require('./helpers');
+
+test('a custom selector that stops matching gets a replacement proposal that can be accepted', async (t) => {
+    const server = await startServer(t, {
+        env: {
+            CENTSIBLE_TEST_FETCH_HTML: '<html><body><h1>Kettle</h1><div class="product"><span class="price">$42.00</span></div><div class="bundle"><span class="bundle-total">$199.00</span></div></body></html>'
+        }
+    });
+    const created = await server.post('/items/create', {
+        revision: await getCurrentRevision(server),
+        item: { name: 'Kettle', url: 'https://kettles.example.com/k1', currentPrice: 45, currency: 'USD' }
+    });
+    assert.equal(created.status, 200);
+    const itemId = created.json.item.id;
+    const edited = await server.patch(`/items/${itemId}`, { selector: '.old-price-box', revision: created.json.revision });
+    assert.equal(edited.status, 200);
+
+    const runCheck = async () => {
+        assert.equal((await server.post('/check-now', {})).status, 200);
+        const startedAt = Date.now();
+        let itemsResponse;
+        do {
+            await delay(100);
+            itemsResponse = await server.get('/items');
+        } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 15000);
+        return itemsResponse;
+    };
+
+    let itemsResponse = await runCheck();
+    let item = itemsResponse.json.items.find(entry => entry.id === itemId);
+    assert.equal(item.selectorHealth.consecutiveMisses, 1);
+    assert.equal(item.selectorProposal, null);
+
+    itemsResponse = await runCheck();
+    item = itemsResponse.json.items.find(entry => entry.id === itemId);
+    assert.equal(item.selectorHealth.misses, 2);
+    assert.equal(item.selectorHealth.recent.length, 2);
+    assert.equal(item.selectorProposal.selector, '.price');
+    assert.equal(item.selectorProposal.previousSelector, '.old-price-box');
+    assert.equal(item.selectorProposal.price, 42);
+    assert.equal(item.selectorProposal.lastKnownPrice, 42);
+
+    const accepted = await server.post(`/items/${itemId}/selector-proposal/accept`, { revision: itemsResponse.json.revision });
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.json.item.selector, '.price');
+    assert.equal(accepted.json.item.selectorProposal, null);
+    const again = await server.post(`/items/${itemId}/selector-proposal/accept`, { revision: accepted.json.revision });
+    assert.equal(again.status, 404);
+
+    itemsResponse = await runCheck();
+    item = itemsResponse.json.items.find(entry => entry.id === itemId);
+    assert.equal(item.selectorHealth.selector, '.price');
+    assert.equal(item.selectorHealth.hits, 1);
+    assert.equal(item.selectorHealth.consecutiveMisses, 0);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { startServer, getCurrentRevision } = require('./helpers');
+
+test('checks store shipping, coupon, and the effective price after both', async (t) => {
+    const server = await startServer(t, {
+        env: {
+            CENTSIBLE_TEST_FETCH_HTML: `<html><body>
+                <span class="price">$100.00</span>
+                <div class="shipping-cost">+ $7.50 shipping</div>
+                <div id="couponBadge">Apply $10.00 coupon</div>
+                <p>Free shipping on orders over $150.00</p>
+            </body></html>`
+        }
+    });
+
+    const created = await server.post('/items/create', {
+        revision: await getCurrentRevision(server),
+        item: { name: 'Blender', url: 'https://example.com/blender', currentPrice: 120, currency: 'USD', targetPrice: 95 }
+    });
+    assert.equal(created.status, 200);
+
+    const rulesResponse = await server.get('/alert-rules');
+    assert.equal(rulesResponse.json.alertRules.targetUseEffectivePrice, false);
+    const savedRules = await server.post('/alert-rules', { revision: rulesResponse.json.revision, targetUseEffectivePrice: true });
+    assert.equal(savedRules.status, 200);
+    assert.equal(savedRules.json.alertRules.targetUseEffectivePrice, true);
+
+    assert.equal((await server.post('/check-now', {})).status, 200);
+    const startedAt = Date.now();
+    let itemsResponse;
+    do {
+        await delay(100);
+        itemsResponse = await server.get('/items');
+    } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 15000);
+    const item = itemsResponse.json.items.find(entry => entry.id === created.json.item.id);
+
+    assert.equal(item.currentPrice, 100);
+    assert.equal(item.shippingPrice, 7.5);
+    assert.equal(item.couponDiscount, 10);
+    assert.equal(item.couponLabel, 'Apply $10.00 coupon');
+    assert.equal(item.freeShippingThreshold, 150);
+    assert.equal(item.effectivePrice, 97.5);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { startServer, getCurrentRevision } = require('./helpers');
+
+test('shop platforms are detected and priced from their product endpoints', async (t) => {
+    const routes = {
+        'GET /products/kettle': '<html><head><script src="https://cdn.shopify.com/s/files/theme.js"></script><script>Shopify.currency = {"active":"CAD","rate":"1.0"};</script></head><body><span class="price">$99.00</span></body></html>',
+        'GET /products/kettle.js': {
+            title: 'Kettle',
+            variants: [
+                { id: 1, title: 'Red', price: 2500, compare_at_price: 3000, available: false },
+                { id: 2, title: 'Blue', price: 2700, compare_at_price: null, available: true }
+            ]
+        },
+        'GET /shop/product/mug/': '<html><body class="product-template-default single-product woocommerce postid-77"><script src="/wp-content/plugins/woocommerce/assets/js/frontend/add-to-cart.min.js"></script></body></html>',
+        'GET /wp-json/wc/store/v1/products/77': {
+            id: 77,
+            name: 'Mug',
+            prices: { price: '1299', regular_price: '1599', currency_code: 'EUR', currency_minor_unit: 2 },
+            is_in_stock: true,
+            variations: []
+        },
+        'GET /lamp.html': '<html><body><script type="text/x-magento-init">{}</script></body></html>',
+        'POST /graphql': {
+            data: {
+                products: {
+                    items: [{
+                        name: 'Lamp',
+                        sku: 'L1',
+                        stock_status: 'OUT_OF_STOCK',
+                        price_range: { minimum_price: { regular_price: { value: 50, currency: 'GBP' }, final_price: { value: 45, currency: 'GBP' } } }
+                    }]
+                }
+            }
+        }
+    };
+    const shop = http.createServer((req, res) => {
+        const body = routes[`${req.method} ${new URL(req.url, 'http://shop.local').pathname}`];
+        if (!body) {
+            res.writeHead(404).end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': typeof body === 'string' ? 'text/html' : 'application/json' });
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+    await new Promise(resolve => shop.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => shop.close(resolve)));
+    const origin = `http://127.0.0.1:${shop.address().port}`;
+
+    const server = await startServer(t);
+    const settingsResponse = await server.get('/settings');
+    assert.equal((await server.post('/settings', { revision: settingsResponse.json.revision, hostDelayMs: 0 })).status, 200);
+    const urls = {
+        shopify: `${origin}/products/kettle`,
+        shopifyVariant: `${origin}/products/kettle?variant=1`,
+        woocommerce: `${origin}/shop/product/mug/`,
+        magento: `${origin}/lamp.html`
+    };
+    for (const [name, url] of Object.entries(urls)) {
+        const created = await server.post('/items/create', {
+            revision: await getCurrentRevision(server),
+            item: { name, url, currentPrice: 1, currency: 'USD' }
+        });
+        assert.equal(created.status, 200);
+    }
+
+    assert.equal((await server.post('/check-now', {})).status, 200);
+    const startedAt = Date.now();
+    let itemsResponse;
+    do {
+        await delay(100);
+        itemsResponse = await server.get('/items');
+    } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 15000);
+    const byName = new Map(itemsResponse.json.items.map(item => [item.name, item]));
+
+    const kettle = byName.get('shopify');
+    assert.equal(kettle.platform, 'shopify');
+    assert.equal(kettle.currentPrice, 27);
+    assert.equal(kettle.currency, 'CAD');
+    assert.equal(kettle.stockStatus, 'in_stock');
+    assert.deepEqual(kettle.variants.map(variant => [variant.id, variant.price, variant.available]), [['1', 25, false], ['2', 27, true]]);
+
+    const redKettle = byName.get('shopifyVariant');
+    assert.equal(redKettle.currentPrice, 1, 'out-of-stock checks keep the last price');
+    assert.equal(redKettle.compareAtPrice, 30);
+    assert.equal(redKettle.stockStatus, 'out_of_stock');
+
+    const mug = byName.get('woocommerce');
+    assert.equal(mug.platform, 'woocommerce');
+    assert.equal(mug.currentPrice, 12.99);
+    assert.equal(mug.compareAtPrice, 15.99);
+    assert.equal(mug.currency, 'EUR');
+
+    const lamp = byName.get('magento');
+    assert.equal(lamp.platform, 'magento');
+    assert.equal(lamp.currentPrice, 1, 'out-of-stock checks keep the last price');
+    assert.equal(lamp.stockStatus, 'out_of_stock');
+    assert.equal(lamp.currency, 'GBP');
+    assert.equal(lamp.variants[0].price, 45);
+});
+
+test('a check that falls back to the browser asks the shop platform endpoint only once', async (t) => {
+    const shopifyPage = '<html><head><script src="https://cdn.shopify.com/s/files/theme.js"></script></head><body><div id="price-root"></div></body></html>';
+    const endpointRequests = [];
+    const shop = http.createServer((req, res) => {
+        endpointRequests.push(new URL(req.url, 'http://shop.local').pathname);
+        res.writeHead(503).end();
+    });
+    await new Promise(resolve => shop.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => shop.close(resolve)));
+
+    const server = await startServer(t, {
+        env: {
+            CENTSIBLE_TEST_HTTP_FETCH_HTML: shopifyPage,
+            CENTSIBLE_TEST_FETCH_HTML: shopifyPage.replace('<div id="price-root"></div>', '<span class="price">$19.00</span>')
+        }
+    });
+    const created = await server.post('/items/create', {
+        revision: await getCurrentRevision(server),
+        item: { name: 'Lamp', url: `http://127.0.0.1:${shop.address().port}/products/lamp`, currentPrice: 25, currency: 'USD' }
+    });
+    assert.equal(created.status, 200);
+
+    assert.equal((await server.post('/check-now', {})).status, 200);
+    const startedAt = Date.now();
+    let itemsResponse;
+    do {
+        await delay(100);
+        itemsResponse = await server.get('/items');
+    } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 15000);
+    assert.equal(itemsResponse.json.items[0].currentPrice, 19);
+    assert.equal((await server.get('/diagnostics')).json.entries[0].fetchStrategy, 'browser');
+    assert.deepEqual(endpointRequests, ['/products/lamp.js']);
+});
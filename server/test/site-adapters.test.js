@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { startServer, getCurrentRevision } = require('./helpers');
+
+test('site adapters load from the data directory and can be disabled without editing the server', async (t) => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'centsible-regression-'));
+    await fs.mkdir(path.join(dataDir, 'adapters'), { recursive: true });
+    await fs.writeFile(path.join(dataDir, 'adapters', 'acme.json'), JSON.stringify({
+        id: 'acme',
+        name: 'Acme Shop',
+        hosts: ['acme.example'],
+        priceSelectors: ['.acme-amount'],
+        availabilitySelectors: ['.acme-stock'],
+        currency: 'EUR',
+        titleSelector: '.acme-title'
+    }));
+    await fs.writeFile(path.join(dataDir, 'adapters', 'broken.json'), '{ not json');
+    const server = await startServer(t, {
+        dataDir,
+        env: {
+            CENTSIBLE_TEST_FETCH_HTML: '<html><body><h2 class="acme-title">Acme Kettle</h2><div class="acme-amount">12,50</div><div class="acme-stock">In stock</div></body></html>'
+        }
+    });
+
+    let adaptersResponse = await server.get('/adapters');
+    assert.equal(adaptersResponse.status, 200);
+    const byId = new Map(adaptersResponse.json.adapters.map(adapter => [adapter.id, adapter]));
+    assert.equal(byId.get('acme').enabled, true);
+    assert.equal(byId.get('acme').file, 'acme.json');
+    assert.equal(byId.get('broken').enabled, false);
+    assert(byId.get('broken').error);
+    assert.equal(byId.get('amazon').builtIn, true);
+
+    const created = await server.post('/items/create', {
+        revision: await getCurrentRevision(server),
+        item: { name: 'Kettle', url: 'https://www.acme.example/kettle', currentPrice: 20, currency: 'USD' }
+    });
+    assert.equal(created.status, 200);
+    const runCheck = async () => {
+        assert.equal((await server.post('/check-now', {})).status, 200);
+        const startedAt = Date.now();
+        let itemsResponse;
+        do {
+            await delay(100);
+            itemsResponse = await server.get('/items');
+        } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 10000);
+        return itemsResponse.json.items[0];
+    };
+    let item = await runCheck();
+    assert.equal(item.currentPrice, 12.5);
+    assert.equal(item.currency, 'EUR');
+    assert.equal(item.stockStatus, 'in_stock');
+
+    const disabled = await server.post('/adapters/acme', { enabled: false, revision: adaptersResponse.json.revision });
+    assert.equal(disabled.status, 200);
+    assert.equal(disabled.json.adapters.find(adapter => adapter.id === 'acme').enabled, false);
+    assert.equal((await server.post('/adapters/missing', { enabled: false, revision: disabled.json.revision })).status, 404);
+    // The first check stored the adapter's selector on the item, and the site's currency does not depend on the adapter.
+    item = await runCheck();
+    assert.equal(item.lastCheckStatus, 'ok');
+    assert.equal(item.currency, 'EUR');
+
+    await fs.writeFile(path.join(dataDir, 'adapters', 'broken.json'), JSON.stringify({ hosts: ['broken.example'] }));
+    adaptersResponse = await server.post('/adapters/reload', {});
+    assert.equal(adaptersResponse.status, 200);
+    const reloaded = adaptersResponse.json.adapters.find(adapter => adapter.id === 'broken');
+    assert.equal(reloaded.error, undefined);
+    assert.equal(reloaded.enabled, true);
+    assert.equal(adaptersResponse.json.adapters.find(adapter => adapter.id === 'acme').enabled, false);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { parsePackSize } = require('../server.js');
+const { startServer, getCurrentRevision } = require('./helpers');
+
+test('pack sizes are read from titles without mistaking network or storage tokens for grams', () => {
+    assert.deepEqual(parsePackSize('Sparkling Water 24 x 330 ml'), { unit: 'l', quantity: 7.92 });
+    assert.deepEqual(parsePackSize('Coffee 10 x 5g sachets'), { unit: 'kg', quantity: 0.05 });
+    assert.deepEqual(parsePackSize('Saffron 1.5g'), { unit: 'kg', quantity: 0.0015 });
+    assert.deepEqual(parsePackSize('Yeast 5 g'), { unit: 'kg', quantity: 0.005 });
+    assert.equal(parsePackSize('Samsung Galaxy S24 5G 256GB'), null);
+    assert.equal(parsePackSize('Apple Watch 4G LTE'), null);
+    assert.equal(parsePackSize('Nokia 105 2G'), null);
+    assert.deepEqual(parsePackSize('Router 4G, pack of 2'), { unit: 'unit', quantity: 2 });
+});
+
+test('pack sizes from the title and product data drive unit prices with a manual override', async (t) => {
+    const productJson = JSON.stringify({ '@context': 'https://schema.org', '@type': 'Product', name: 'Sparkling Water', weight: { '@type': 'QuantitativeValue', value: 330, unitCode: 'MLT' } });
+    const server = await startServer(t, {
+        env: {
+            CENTSIBLE_TEST_FETCH_HTML: `<html><head><script type="application/ld+json">${productJson}</script></head><body>
+                <h1>Sparkling Water 24 x 330 ml</h1>
+                <span class="price">$12.00</span>
+            </body></html>`
+        }
+    });
+
+    const created = await server.post('/items/create', {
+        revision: await getCurrentRevision(server),
+        item: { name: 'Water', url: 'https://example.com/water', currentPrice: 15, currency: 'USD' }
+    });
+    assert.equal(created.status, 200);
+
+    assert.equal((await server.post('/check-now', {})).status, 200);
+    const startedAt = Date.now();
+    let itemsResponse;
+    do {
+        await delay(100);
+        itemsResponse = await server.get('/items');
+    } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 15000);
+    const item = itemsResponse.json.items.find(entry => entry.id === created.json.item.id);
+
+    assert.equal(item.currentPrice, 12);
+    assert.equal(item.unitQuantity, 7.92);
+    assert.equal(item.unitOfMeasure, 'l');
+    assert.equal(item.unitSource, 'title', 'the multipack title beats the per-can weight');
+    assert.equal(item.unitPrice, 1.5152);
+    assert.equal(item.history[item.history.length - 1].unitPrice, 1.5152);
+
+    const invalid = await server.patch(`/items/${encodeURIComponent(item.id)}`, {
+        revision: await getCurrentRevision(server),
+        packSize: 'a few'
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.json.error, 'Could not read pack size');
+
+    const manual = await server.patch(`/items/${encodeURIComponent(item.id)}`, {
+        revision: await getCurrentRevision(server),
+        packSize: '12 x 1 l',
+        unitTargetPrice: 0.9
+    });
+    assert.equal(manual.status, 200);
+    assert.equal(manual.json.item.unitSource, 'manual');
+    assert.equal(manual.json.item.unitQuantity, 12);
+    assert.equal(manual.json.item.unitPrice, 1);
+    assert.equal(manual.json.item.unitTargetPrice, 0.9);
+
+    const cleared = await server.patch(`/items/${encodeURIComponent(item.id)}`, {
+        revision: await getCurrentRevision(server),
+        packSize: ''
+    });
+    assert.equal(cleared.status, 200);
+    assert.equal(cleared.json.item.unitSource, null);
+    assert.equal(cleared.json.item.unitPrice, null);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { startServer, getCurrentRevision } = require('./helpers');
+
+test('items track a chosen JSON-LD variant and reject unknown variants', async (t) => {
+    const productJson = JSON.stringify({
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        name: 'Trail Shoe',
+        offers: [
+            { '@type': 'Offer', sku: 'SHOE-40', name: 'Size 40', price: '80.00', priceCurrency: 'USD', availability: 'https://schema.org/InStock' },
+            { '@type': 'Offer', sku: 'SHOE-44', name: 'Size 44', price: '92.50', priceCurrency: 'USD', availability: 'https://schema.org/OutOfStock' }
+        ]
+    });
+    const server = await startServer(t, {
+        env: {
+            CENTSIBLE_TEST_FETCH_HTML: `<html><head><script type="application/ld+json">${productJson}</script></head><body><span>$80.00</span></body></html>`
+        }
+    });
+
+    const url = 'https://example.com/trail-shoe';
+    const createdIds = {};
+    for (const variantId of ['SHOE-40', 'SHOE-44']) {
+        const created = await server.post('/items/create', {
+            revision: await getCurrentRevision(server),
+            item: { name: variantId, url, variantId, variantTitle: variantId, currentPrice: 1, currency: 'USD' }
+        });
+        assert.equal(created.status, 200, 'each variant of one page can be tracked separately');
+        createdIds[variantId] = created.json.item.id;
+    }
+    const duplicate = await server.post('/items/create', {
+        revision: await getCurrentRevision(server),
+        item: { name: 'again', url, variantId: 'SHOE-40', currentPrice: 1, currency: 'USD' }
+    });
+    assert.equal(duplicate.status, 400);
+
+    assert.equal((await server.post('/check-now', {})).status, 200);
+    const startedAt = Date.now();
+    let itemsResponse;
+    do {
+        await delay(100);
+        itemsResponse = await server.get('/items');
+    } while (itemsResponse.json.status.isChecking && Date.now() - startedAt < 15000);
+    const byId = new Map(itemsResponse.json.items.map(item => [item.id, item]));
+
+    const small = byId.get(createdIds['SHOE-40']);
+    assert.equal(small.currentPrice, 80);
+    assert.equal(small.stockStatus, 'in_stock');
+    assert.equal(small.variantTitle, 'Size 40');
+    assert.deepEqual(small.variants.map(variant => [variant.id, variant.price, variant.available]), [['SHOE-40', 80, true], ['SHOE-44', 92.5, false]]);
+
+    const large = byId.get(createdIds['SHOE-44']);
+    assert.equal(large.stockStatus, 'out_of_stock');
+    assert.equal(large.variantTitle, 'Size 44');
+
+    const unknown = await server.patch(`/items/${encodeURIComponent(small.id)}`, {
+        revision: await getCurrentRevision(server),
+        variantId: 'SHOE-99'
+    });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.json.error, 'Unknown variant for this item');
+
+    const cleared = await server.patch(`/items/${encodeURIComponent(large.id)}`, {
+        revision: await getCurrentRevision(server),
+        variantId: null
+    });
+    assert.equal(cleared.status, 200);
+    assert.equal(cleared.json.item.variantId, null);
+    assert.equal(cleared.json.item.variantTitle, null);
+});